@@ -1,7 +1,14 @@
-import React, { useEffect, useMemo, useState } from 'react';
-import { getPieces, createGame, getGame, place, skip } from './api.js';
-
-const BOARD_SIZE = 20;
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  getPieces, createGame, getGame, joinGame, place, skip, undo, respondUndo, resign, exportUrl, importGame, getLegalMoves, subscribeGame, validatePlacement,
+  setAuthToken, register, login, logout, listGames, getLeaderboard, getPlayerStats, getAnalysis,
+  getWatched, subscribeWatch, getChat, sendChat, getWatchChat, sendWatchChat, createTournament, getTournament, getBots,
+  rematch, listTemplates, saveTemplate, deleteTemplate, createFromTemplate
+} from './api.js';
+import { BOARD_SIZE, transformShape, stateFromMoves, validateMove, cornerAnchors, currentColor as colorToMove, remainingPieces } from '../../shared/engine.js';
+import { VARIANTS, resolveVariant, engineOptions } from '../../shared/variants.js';
+import { configuredVariant } from '../../shared/config.js';
+import { AI_LEVELS } from '../../shared/ai.js';
 
 const COLORS = {
   blue: '#2b6cb0',
@@ -10,6 +17,9 @@ const COLORS = {
   green: '#2f855a'
 };
 
+const DRAG_THRESHOLD = 6; // px a held tray piece moves before it is dragged
+const LONG_PRESS_MS = 500; // touch hold that flips the piece
+
 function Cell({ x, y, value, onClick, highlight }) {
   const style = {
     width: 24, height: 24,
@@ -24,9 +34,10 @@ function useQuery() {
   return useMemo(() => new URLSearchParams(window.location.search), []);
 }
 
-function PiecePreview({ piece, rotation, flipped, anchor, color, isValid=true }) {
+// `offending` holds the "x,y" keys of cells breaking a rule, drawn solid red
+function PiecePreview({ piece, rotation, flipped, anchor, color, isValid=true, offending }) {
   if (!piece || !anchor) return null;
-  const tr = transform(piece, rotation, flipped);
+  const tr = transformShape(piece, rotation, flipped);
   const style = { position:'absolute', left: 0, top: 0, pointerEvents:'none' };
   const cellBg = isValid ? (COLORS[color]+'66') : '#ef444433';
   const cellBorder = isValid ? '1px dashed #4ade80' : '1px dashed #ef4444';
@@ -35,100 +46,795 @@ function PiecePreview({ piece, rotation, flipped, anchor, color, isValid=true })
       {tr.map(([dx,dy], idx)=>{
         const left = (anchor.x + dx)*24;
         const top = (anchor.y + dy)*24;
-        return <div key={idx} style={{ position:'absolute', left, top, width:24, height:24, background: cellBg, border: cellBorder, borderRadius:4 }} />
+        const bad = offending?.has(`${anchor.x + dx},${anchor.y + dy}`);
+        return <div key={idx} style={{ position:'absolute', left, top, width:24, height:24, background: bad ? '#ef4444aa' : cellBg, border: bad ? '2px solid #b91c1c' : cellBorder, borderRadius:4, boxSizing:'border-box' }} />
       })}
     </div>
   );
 }
 
-function transform(shape, rotation=0, flipped=false){
-  let cells = shape.map(([x,y])=>[x,y]);
-  const rot = ((rotation%4)+4)%4;
-  if (flipped) cells = cells.map(([x,y])=>[-x,y]);
-  for(let i=0;i<rot;i++) cells = cells.map(([x,y])=>[y,-x]);
-  // normalize
-  let minX = Math.min(...cells.map(c=>c[0]));
-  let minY = Math.min(...cells.map(c=>c[1]));
-  cells = cells.map(([x,y])=>[x-minX,y-minY]);
-  return cells;
+// Why a previewed placement does not fit, from a /validate response
+function placementProblems({ error, violations, corner }){
+  const cells = list => list.length === 1 ? '1 cell' : `${list.length} cells`;
+  const problems = [];
+  if (error === 'not_your_turn') problems.push(`It is not this color's turn`);
+  if (error === 'piece_already_used') problems.push('This piece has already been played');
+  if (violations.out_of_bounds.length) problems.push(`${cells(violations.out_of_bounds)} off the board`);
+  if (violations.overlap.length) problems.push(`${cells(violations.overlap)} on top of other pieces`);
+  if (violations.edge_contact.length) problems.push(`${cells(violations.edge_contact)} touching your own pieces along an edge`);
+  if (!corner.satisfied) problems.push(corner.rule === 'start' ? 'Your first piece must cover your starting corner' : 'The piece must touch one of your own pieces at a corner');
+  return problems;
 }
 
-function cornerFor(color){
-  switch(color){
-    case 'blue': return {x:0, y:0};
-    case 'yellow': return {x:BOARD_SIZE-1, y:0};
-    case 'red': return {x:BOARD_SIZE-1, y:BOARD_SIZE-1};
-    case 'green': return {x:0, y:BOARD_SIZE-1};
-    default: return null;
-  }
+// Miniature of a piece, drawn with `size`px squares
+function PieceShape({ cells, color, size = 10 }){
+  const w = Math.max(...cells.map(c=>c[0])) + 1;
+  const h = Math.max(...cells.map(c=>c[1])) + 1;
+  return (
+    <div style={{ position:'relative', width: w*size, height: h*size, pointerEvents:'none' }}>
+      {cells.map(([x,y], idx)=> <div key={idx} style={{ position:'absolute', left: x*size, top: y*size, width: size-1, height: size-1, background: COLORS[color], borderRadius:2 }} />)}
+    </div>
+  );
 }
 
-function playerHasAny(color, occ){
-  for (let yy=0; yy<BOARD_SIZE; yy++){
-    for (let xx=0; xx<BOARD_SIZE; xx++){
-      if (occ[yy][xx] === color) return true;
-    }
-  }
-  return false;
+// Pieces left to `color`, the selected one shown turned the way it will be
+// placed. `handlersFor(key)` gives each piece its pointer gestures.
+function PieceTray({ keys, pieces, color, selected, rotation, flipped, playable, disabled, onSelect, handlersFor }){
+  return (
+    <div style={{display:'grid', gridTemplateColumns:'repeat(3,1fr)', gap:8, maxWidth:300}}>
+      {keys.filter(k=>pieces[k]).map(k=> {
+        const blocked = playable && !playable[k];
+        const cells = k === selected ? transformShape(pieces[k], rotation, flipped) : pieces[k];
+        return (
+          <button key={k} onClick={()=>onSelect(k)} {...handlersFor(k)} disabled={blocked || disabled} aria-pressed={k === selected} aria-label={`Piece ${k}`}
+            title={blocked ? 'No legal placement' : undefined}
+            style={{ display:'flex', flexDirection:'column', alignItems:'center', justifyContent:'center', gap:4, minHeight:64, padding:6, border: k === selected ? '2px solid #333' : '1px solid #aaa', borderRadius:6, background:'#fff', opacity: blocked ? 0.4 : 1, touchAction:'none', userSelect:'none' }}>
+            <PieceShape cells={cells} color={color} />
+            <span style={{fontSize:11, color:'#6b7280'}}>{k}</span>
+          </button>
+        );
+      })}
+    </div>
+  );
 }
 
-function CornerHint({ color }){
-  if (!color) return null;
-  const start = cornerFor(color);
+function CornerHint({ color, engine }){
+  if (!color || !engine) return null;
+  const start = engine.startCorners[color];
   if (!start) return null;
-  const left = start.x * 24;
-  const top = start.y * 24;
+  const left = start[0] * 24;
+  const top = start[1] * 24;
   return <div style={{ position:'absolute', left, top, width:24, height:24, border:'2px solid '+COLORS[color], borderRadius:4, boxShadow:'0 0 0 2px #fff', pointerEvents:'none' }} title={`${color} starts here`} />;
 }
 
-function canPlaceLocal({ piece, rotation, flipped, anchor, color, occ, game }){
-  if (!piece || !anchor || !color || !occ) return false;
-  const tr = transform(piece, rotation, flipped);
-  // Build absolute target cells
-  const targets = tr.map(([dx,dy]) => ({ x: anchor.x + dx, y: anchor.y + dy }));
-  // Bounds and empty checks
-  for (const {x,y} of targets) {
-    if (x < 0 || y < 0 || x >= BOARD_SIZE || y >= BOARD_SIZE) return false;
-    if (occ[y][x]) return false;
-  }
-  // Determine if this player has already placed any piece
-  const hasAny = playerHasAny(color, occ);
-  // 4-neighbor adjacency with same color is not allowed
-  const dirs = [[1,0],[-1,0],[0,1],[0,-1]];
-  for (const {x,y} of targets) {
-    for (const [dx,dy] of dirs) {
-      const nx = x+dx, ny = y+dy;
-      if (nx>=0 && ny>=0 && nx<BOARD_SIZE && ny<BOARD_SIZE) {
-        if (occ[ny][nx] === color) return false;
-      }
+// Small dot on every color's starting cell
+function StartMarkers({ engine }){
+  if (!engine) return null;
+  return engine.colors.map(color=>{
+    const [x,y] = engine.startCorners[color];
+    return <div key={color} style={{ position:'absolute', left: x*24+8, top: y*24+8, width:8, height:8, borderRadius:4, background:COLORS[color], boxShadow:'0 0 0 2px #fff', pointerEvents:'none' }} title={`${color} starts here`} />;
+  });
+}
+
+// Analysis layer over the board: each color's exclusive cells tinted,
+// contested cells hatched, open corners ringed and the hinted move outlined
+function AnalysisOverlay({ analysis }){
+  if (!analysis) return null;
+  const square = (key, x, y, style) => <div key={key} style={{ position:'absolute', left:x*24, top:y*24, width:24, height:24, boxSizing:'border-box', ...style }} />;
+  const colors = Object.entries(analysis.colors);
+  const hint = analysis.hint;
+  return (
+    <div style={{position:'absolute', left:0, top:0, pointerEvents:'none'}}>
+      {colors.flatMap(([color, a])=> a.exclusive.map(([x,y])=> square(`e${color}${x},${y}`, x, y, { background:COLORS[color]+'22' })))}
+      {analysis.contested.map(([x,y])=> square(`c${x},${y}`, x, y, { background:'repeating-linear-gradient(45deg, rgba(0,0,0,0.15) 0 3px, transparent 3px 6px)' }))}
+      {colors.flatMap(([color, a])=> a.corners.map(([x,y])=> square(`k${color}${x},${y}`, x, y, { border:'2px solid '+COLORS[color], borderRadius:12 })))}
+      {hint && hint.cells.map(([x,y])=> square(`h${x},${y}`, x, y, { border:'2px dashed '+COLORS[hint.player_color], background:COLORS[hint.player_color]+'44', borderRadius:4 }))}
+    </div>
+  );
+}
+
+// Numbers behind the overlay, and the hint for the color to move once asked for
+function AnalysisPanel({ analysis, canUseHint, onUseHint, onAskHint }){
+  if (!analysis) return <div style={{fontSize:13, color:'#6b7280'}}>Analyzing…</div>;
+  const { hint } = analysis;
+  const asked = 'hint' in analysis;
+  return (
+    <div style={{fontSize:13}}>
+      {Object.entries(analysis.colors).map(([color, a])=>(
+        <div key={color} style={{display:'flex', gap:8}}>
+          <b style={{width:56, color:COLORS[color]}}>{color}</b>
+          <span>{a.corners.length} corners · {a.legal_moves} moves · {a.exclusive.length} cells</span>
+        </div>
+      ))}
+      <div style={{color:'#6b7280'}}>Contested cells: {analysis.contested.length}</div>
+      <div style={{marginTop:4}}>
+        Hint: {!asked ? <button onClick={onAskHint}>Show</button>
+          : hint ? <><b>{hint.piece_key}</b> at {hint.position.x},{hint.position.y}{canUseHint && <button onClick={()=>onUseHint(hint)} style={{marginLeft:8}}>Use</button>}</> : '—'}
+      </div>
+    </div>
+  );
+}
+
+// Seat tokens for online games, remembered per game in this browser
+function loadSeats(gameId){
+  try { return JSON.parse(localStorage.getItem(`blokus:seats:${gameId}`)) || {}; }
+  catch { return {}; }
+}
+function saveSeats(gameId, seats){
+  localStorage.setItem(`blokus:seats:${gameId}`, JSON.stringify(seats));
+}
+
+// Signed-in account ({ user, token }), remembered in this browser
+function loadAccount(){
+  try { return JSON.parse(localStorage.getItem('blokus:account')); }
+  catch { return null; }
+}
+function saveAccount(account){
+  if (account) localStorage.setItem('blokus:account', JSON.stringify(account));
+  else localStorage.removeItem('blokus:account');
+}
+setAuthToken(loadAccount()?.token);
+
+function AccountPanel({ account, onSignIn, onSignOut }){
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  if (account) {
+    return (
+      <div style={{fontSize:13, color:'#4b5563', marginBottom:12}}>
+        Signed in as <b>{account.user.username}</b> <button onClick={onSignOut}>Sign out</button>
+      </div>
+    );
+  }
+  async function submit(action){
+    setError('');
+    try {
+      onSignIn(await action(username, password));
+    } catch(e){
+      setError(e.error||'Sign in failed');
     }
   }
-  // Must touch same color diagonally unless it's the very first move covering its corner
-  let touchesDiagonal = false;
-  const diags = [[1,1],[1,-1],[-1,1],[-1,-1]];
-  for (const {x,y} of targets) {
-    for (const [dx,dy] of diags) {
-      const nx = x+dx, ny = y+dy;
-      if (nx>=0 && ny>=0 && nx<BOARD_SIZE && ny<BOARD_SIZE) {
-        if (occ[ny][nx] === color) {
-          touchesDiagonal = true;
-          break;
-        }
-      }
+  return (
+    <form onSubmit={e=>{ e.preventDefault(); submit(login); }} style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', fontSize:13, marginBottom:12}}>
+      <input placeholder="Username" value={username} onChange={e=>setUsername(e.target.value)} autoComplete="username" />
+      <input placeholder="Password" type="password" value={password} onChange={e=>setPassword(e.target.value)} autoComplete="current-password" />
+      <button type="submit">Sign in</button>
+      <button type="button" onClick={()=>submit(register)}>Register</button>
+      {error && <span style={{color:'#b91c1c'}}>{error}</span>}
+    </form>
+  );
+}
+
+// Home screen tabs and the statuses each one lists
+const LIST_TABS = { active: 'waiting,active', finished: 'finished,abandoned' };
+const PAGE_SIZE = 10;
+
+// The signed-in account's games, a page at a time
+function GameList({ account, onOpen, onSessionExpired }){
+  const [tab, setTab] = useState('active');
+  const [offset, setOffset] = useState(0);
+  const [list, setList] = useState(null);
+  const [error, setError] = useState('');
+  useEffect(()=>{
+    if (!account) return;
+    let cancelled = false;
+    setError('');
+    listGames({ status: LIST_TABS[tab], limit: PAGE_SIZE, offset })
+      .then(d=>{ if (!cancelled) setList(d); })
+      .catch(e=>{
+        if (cancelled) return;
+        if (e.error === 'invalid_session') onSessionExpired();
+        else setError(e.error||'Could not load your games');
+      });
+    return ()=>{ cancelled = true; };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [account, tab, offset]);
+
+  if (!account) return <p style={{fontSize:13, color:'#6b7280'}}>Sign in to keep a list of your games and resume them from any browser.</p>;
+  const showTab = t => { setTab(t); setOffset(0); };
+  return (
+    <div style={{maxWidth:720}}>
+      <div style={{display:'flex', gap:8, marginBottom:8}}>
+        {Object.keys(LIST_TABS).map(t=> <button key={t} onClick={()=>showTab(t)} style={{fontWeight: tab === t ? 700 : 400}}>{t === 'active' ? 'In progress' : 'Finished'}</button>)}
+      </div>
+      {error && <div style={{fontSize:13, color:'#b91c1c'}}>{error}</div>}
+      {list && list.games.length === 0 && <div style={{fontSize:13, color:'#6b7280'}}>No games here yet.</div>}
+      {list && list.games.map(g=>(
+        <div key={g.id} style={{display:'flex', gap:12, alignItems:'center', background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:'6px 10px', marginBottom:6, fontSize:13}}>
+          <span style={{display:'flex', gap:2}}>{g.players.map(p=> <span key={p.color} title={p.name} style={{width:10, height:10, borderRadius:5, background:COLORS[p.color], outline: g.my_colors.includes(p.color) ? '2px solid #111' : undefined}} />)}</span>
+          <span style={{flex:1}}>{VARIANT_LABELS[g.variant] || g.variant} · {g.mode} · {g.move_count} moves</span>
+          <span style={{color:'#6b7280'}}>{g.status === 'active' ? `${g.next_color} to move` : g.status}</span>
+          <span style={{color:'#6b7280'}}>{new Date(g.created_at).toLocaleDateString()}</span>
+          <button onClick={()=>onOpen(g)}>{LIST_TABS.active.includes(g.status) ? 'Resume' : 'View'}</button>
+        </div>
+      ))}
+      {list && list.total > PAGE_SIZE && (
+        <div style={{display:'flex', gap:8, alignItems:'center', fontSize:13}}>
+          <button onClick={()=>setOffset(offset - PAGE_SIZE)} disabled={offset === 0}>Newer</button>
+          <span>{offset + 1}–{Math.min(offset + PAGE_SIZE, list.total)} of {list.total}</span>
+          <button onClick={()=>setOffset(offset + PAGE_SIZE)} disabled={offset + PAGE_SIZE >= list.total}>Older</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Totals and rating history of one account
+function PlayerStats({ userId, onClose }){
+  const [data, setData] = useState(null);
+  useEffect(()=>{
+    let cancelled = false;
+    setData(null);
+    getPlayerStats(userId).then(d=>{ if (!cancelled) setData(d); }).catch(()=>{});
+    return ()=>{ cancelled = true; };
+  }, [userId]);
+  if (!data) return null;
+  const { user, stats, history } = data;
+  return (
+    <div style={{background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:'8px 12px', marginTop:8, fontSize:13}}>
+      <div style={{display:'flex', alignItems:'center', marginBottom:4}}>
+        <b style={{flex:1}}>{user.username} · {user.rating}</b>
+        <button onClick={onClose}>Close</button>
+      </div>
+      <div>Games: {stats.games_played} · Wins: {stats.wins} ({Math.round(stats.win_rate*100)}%) · Average score: {stats.average_score.toFixed(1)}</div>
+      <div>Favorite opening: {stats.favorite_opening || '—'}</div>
+      {history.length > 0 && <div style={{color:'#6b7280', marginTop:4}}>Rating: {[history[0].rating_before, ...history.map(h=>h.rating_after)].join(' → ')}</div>}
+    </div>
+  );
+}
+
+function Leaderboard(){
+  const [offset, setOffset] = useState(0);
+  const [board, setBoard] = useState(null);
+  const [shown, setShown] = useState(null); // account whose stats are open
+  useEffect(()=>{
+    let cancelled = false;
+    getLeaderboard({ limit: PAGE_SIZE, offset }).then(d=>{ if (!cancelled) setBoard(d); }).catch(()=>{});
+    return ()=>{ cancelled = true; };
+  }, [offset]);
+  if (!board) return null;
+  if (board.total === 0) return <div style={{fontSize:13, color:'#6b7280'}}>No rated games yet. Online games between signed-in players are rated when they finish.</div>;
+  return (
+    <div style={{maxWidth:720, fontSize:13}}>
+      {board.players.map(p=>(
+        <div key={p.id} onClick={()=>setShown(p.id)} style={{display:'flex', gap:12, padding:'4px 10px', cursor:'pointer', background: shown === p.id ? '#e0e7ff' : undefined}}>
+          <span style={{width:28, color:'#6b7280', textAlign:'right'}}>{p.rank}.</span>
+          <span style={{flex:1}}>{p.username}</span>
+          <b>{p.rating}</b>
+          <span style={{width:72, color:'#6b7280'}}>{p.games} games</span>
+        </div>
+      ))}
+      {board.total > PAGE_SIZE && (
+        <div style={{display:'flex', gap:8, alignItems:'center'}}>
+          <button onClick={()=>setOffset(offset - PAGE_SIZE)} disabled={offset === 0}>Previous</button>
+          <button onClick={()=>setOffset(offset + PAGE_SIZE)} disabled={offset + PAGE_SIZE >= board.total}>Next</button>
+        </div>
+      )}
+      {shown && <PlayerStats userId={shown} onClose={()=>setShown(null)} />}
+    </div>
+  );
+}
+
+function SeatPanel({ game, seats, onJoin }){
+  const invite = `${window.location.origin}${window.location.pathname}?gameId=${game.game.id}`;
+  return (
+    <div style={{marginBottom:16}}>
+      <h3>Seats</h3>
+      <div style={{fontSize:12, color:'#6b7280', marginBottom:6}}>Invite link</div>
+      <input readOnly value={invite} onFocus={e=>e.target.select()} style={{width:'100%', boxSizing:'border-box', fontSize:12, padding:4, marginBottom:8}} />
+      {game.seats.map(s=>(
+        <div key={s.index} style={{display:'flex', alignItems:'center', gap:8, marginBottom:4}}>
+          {s.colors.map(c=> <span key={c} style={{width:10, height:10, borderRadius:5, background:COLORS[c]}} />)}
+          <span style={{flex:1}}>{s.name}</span>
+          {s.kind === 'ai' ? <span style={{fontSize:12, color:'#6b7280'}}>Computer ({s.ai_level})</span>
+            : seats[s.colors[0]] ? <b style={{fontSize:12}}>You</b>
+            : s.claimed ? <span style={{fontSize:12, color:'#6b7280'}}>Taken</span>
+            : <button onClick={()=>onJoin(s.colors[0])}>Join</button>}
+        </div>
+      ))}
+      {game.shared_color && <div style={{fontSize:12, color:'#6b7280'}}>{game.shared_color} is shared and played by each seat in turn.</div>}
+    </div>
+  );
+}
+
+const VARIANT_LABELS = {
+  classic: 'Classic (4 players)',
+  two_player: 'Classic, 2 players',
+  three_player: 'Classic, 3 players',
+  duo: 'Duo (14×14)'
+};
+
+// Time controls offered for new games (see server/clocks.js)
+const TIME_CONTROLS = {
+  none: { label: 'No clock', control: null },
+  move30: { label: '30 s per move', control: { type: 'move', seconds: 30 } },
+  move60: { label: '1 min per move', control: { type: 'move', seconds: 60 } },
+  bank5: { label: '5 min + 5 s', control: { type: 'bank', seconds: 300, increment: 5 } },
+  bank15: { label: '15 min + 10 s', control: { type: 'bank', seconds: 900, increment: 10 } }
+};
+
+function formatClock(ms){
+  const s = Math.ceil(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+// Time left per color; the running clock counts down from when the state arrived
+function Clocks({ clocks }){
+  const received = useMemo(()=>Date.now(), [clocks]);
+  const [, setTick] = useState(0);
+  useEffect(()=>{
+    if (!clocks?.running) return;
+    const timer = setInterval(()=>setTick(t=>t+1), 250);
+    return ()=>clearInterval(timer);
+  }, [clocks]);
+  if (!clocks) return null;
+  return (
+    <div style={{fontSize:13, background:'#fff', padding:'6px 10px', border:'1px solid #e5e7eb', borderRadius:8, display:'flex', gap:10}}>
+      {Object.entries(clocks.remaining).map(([color, ms])=>{
+        const running = color === clocks.running;
+        const left = running ? Math.max(0, ms - (Date.now() - received)) : ms;
+        return <span key={color} style={{color:COLORS[color], fontWeight: running ? 700 : 400, fontVariantNumeric:'tabular-nums'}}>{formatClock(left)}</span>;
+      })}
+    </div>
+  );
+}
+
+// Variant, computer players and clock for the next new game; AI levels are
+// keyed by the first color of each seat
+function GameSetup({ variant, ai, time, delay, houseRules, onVariant, onAi, onTime, onDelay, onHouseRules }){
+  const seats = resolveVariant(variant).seats;
+  const [bots, setBots] = useState([]); // external bots the server has registered
+  useEffect(()=>{
+    getBots().then(b=>setBots(b.bots)).catch(()=>{});
+  }, []);
+  return (
+    <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', fontSize:13, color:'#4b5563', marginBottom:8}}>
+      <select value={variant} onChange={e=>{ onVariant(e.target.value); onAi({}); }}>
+        {Object.keys(VARIANTS).map(v=> <option key={v} value={v}>{VARIANT_LABELS[v] || v}</option>)}
+      </select>
+      <span>Computer players:</span>
+      {seats.map(colors=>{
+        const c = colors[0];
+        const label = colors.join('+');
+        return (
+          <select key={c} value={ai[c]||''} onChange={e=>onAi({ ...ai, [c]: e.target.value || undefined })} style={{borderColor:COLORS[c]}}>
+            <option value="">{label}: human</option>
+            {AI_LEVELS.map(level=> <option key={level} value={level}>{label}: {level}</option>)}
+            {bots.map(bot=> <option key={bot} value={bot}>{label}: {bot}</option>)}
+          </select>
+        );
+      })}
+      <select value={time.preset} onChange={e=>onTime({ ...time, preset: e.target.value })}>
+        {Object.entries(TIME_CONTROLS).map(([k, t])=> <option key={k} value={k}>{t.label}</option>)}
+      </select>
+      {time.preset !== 'none' && (
+        <select value={time.on_timeout} onChange={e=>onTime({ ...time, on_timeout: e.target.value })}>
+          <option value="pass">Out of time: pass</option>
+          <option value="resign">Out of time: resign</option>
+        </select>
+      )}
+      <label title="Spectators see the game this many moves late">
+        Spectator delay <input type="number" min={0} max={50} value={delay} onChange={e=>onDelay(Math.max(0, Math.min(50, parseInt(e.target.value, 10) || 0)))} style={{width:48}} /> moves
+      </label>
+      <details style={{width:'100%'}}>
+        <summary>House rules</summary>
+        <textarea value={houseRules} onChange={e=>onHouseRules(e.target.value)} rows={4} style={{width:'100%', boxSizing:'border-box', fontFamily:'monospace', fontSize:12}}
+          placeholder={'{ "board_size": 30, "start_cells": { "blue": [14,14] }, "pieces": ["I1", "L5", { "key": "C6", "cells": [[0,0],[1,0],[2,0],[0,1],[2,1],[1,2]] }] }'} />
+      </details>
+    </div>
+  );
+}
+
+// The signed-in account's saved setups: start a game from one, save the
+// current setup under a name, or delete one
+function TemplateBar({ onStart, onSave }){
+  const [templates, setTemplates] = useState([]);
+  const [selected, setSelected] = useState('');
+  const [mode, setMode] = useState('online'); // mode a saved setup starts games in
+  const [error, setError] = useState('');
+  function refresh(){
+    listTemplates().then(d=>setTemplates(d.templates)).catch(e=>setError(e.error||'Could not load your templates'));
+  }
+  useEffect(refresh, []);
+
+  async function save(){
+    const name = window.prompt('Save this setup as');
+    if (!name) return;
+    setError('');
+    try {
+      const { template } = await onSave(name, mode);
+      refresh();
+      setSelected(template.id);
+    } catch(e){
+      setError(e.error||'Could not save the template');
+    }
+  }
+
+  async function remove(){
+    setError('');
+    try {
+      await deleteTemplate(selected);
+      setSelected('');
+      refresh();
+    } catch(e){
+      setError(e.error||'Could not delete the template');
+    }
+  }
+
+  return (
+    <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', fontSize:13, color:'#4b5563', marginBottom:8}}>
+      <span>Templates:</span>
+      <select value={selected} onChange={e=>setSelected(e.target.value)}>
+        <option value="">{templates.length ? 'Choose a template' : 'None saved yet'}</option>
+        {templates.map(t=> <option key={t.id} value={t.id}>{t.name} ({VARIANT_LABELS[t.settings.variant] || t.settings.variant}, {t.settings.mode})</option>)}
+      </select>
+      <button onClick={()=>onStart(selected)} disabled={!selected}>Start</button>
+      <button onClick={remove} disabled={!selected}>Delete</button>
+      <button onClick={save}>Save setup as template</button>
+      <select value={mode} onChange={e=>setMode(e.target.value)}>
+        <option value="online">for online games</option>
+        <option value="hotseat">for hotseat games</option>
+      </select>
+      {error && <span style={{color:'#b91c1c'}}>{error}</span>}
+    </div>
+  );
+}
+
+// Running score of a game and its rematches, best first
+function SeriesPanel({ series, gameId }){
+  const number = series.games.findIndex(g=>g.id === gameId) + 1;
+  return (
+    <div style={{fontSize:13}}>
+      <div style={{color:'#6b7280', marginBottom:4}}>Game {number} of {series.games.length}</div>
+      {series.players.map(p=> <div key={p.player}>{p.name}: <b>{p.wins}</b> {p.wins === 1 ? 'win' : 'wins'}, {p.score} points in {p.games}</div>)}
+    </div>
+  );
+}
+
+// Read-only link for spectators, and how far behind it runs
+function WatchLink({ game }){
+  if (!game.game.watch_id) return null;
+  const link = `${window.location.origin}${window.location.pathname}?watch=${game.game.watch_id}`;
+  return (
+    <div style={{marginBottom:16}}>
+      <div style={{fontSize:12, color:'#6b7280', marginBottom:6}}>
+        Spectator link{game.game.broadcast_delay > 0 && ` (${game.game.broadcast_delay} ${game.game.broadcast_delay === 1 ? 'move' : 'moves'} behind)`}
+      </div>
+      <input readOnly value={link} onFocus={e=>e.target.select()} style={{width:'100%', boxSizing:'border-box', fontSize:12, padding:4}} />
+    </div>
+  );
+}
+
+function addMessage(messages, message){
+  return messages.some(m=>m.id === message.id) ? messages : [...messages, message];
+}
+
+// Chat beside the board. `onSend(text, option)` gets the players-only flag
+// from players and the name to post under from spectators.
+function ChatPanel({ messages, onSend, canSend = true, asSpectator = false }){
+  const [text, setText] = useState('');
+  const [playersOnly, setPlayersOnly] = useState(false);
+  const [name, setName] = useState('');
+  const [error, setError] = useState('');
+  const end = useRef(null);
+  useEffect(()=>{ end.current?.scrollIntoView({ block:'nearest' }); }, [messages]);
+
+  async function submit(e){
+    e.preventDefault();
+    if (!text.trim()) return;
+    setError('');
+    try {
+      await onSend(text, asSpectator ? name.trim() || undefined : playersOnly);
+      setText('');
+    } catch(err){
+      setError(err.error||'Message not sent');
     }
-    if (touchesDiagonal) break;
   }
-  if (!hasAny) {
-    // First move: one of the cells must be exactly at the player's starting corner
-    const start = cornerFor(color);
-    const coversCorner = targets.some(({x,y})=> x===start.x && y===start.y);
-    return coversCorner; // server will also enforce; this helps preview
+
+  return (
+    <div>
+      <div style={{maxHeight:200, overflowY:'auto', background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, fontSize:13, padding:'4px 8px'}}>
+        {messages.length === 0 && <div style={{color:'#9ca3af'}}>No messages yet</div>}
+        {messages.map(m=>(
+          <div key={m.id} style={{marginBottom:2}}>
+            <b style={{color: m.role === 'spectator' ? '#6b7280' : '#111827'}}>{m.author}</b>
+            {m.role === 'spectator' && <span style={{color:'#9ca3af'}}> (watching)</span>}
+            {m.players_only && <span style={{color:'#92400e'}}> (players only)</span>}: {m.body}
+          </div>
+        ))}
+        <div ref={end} />
+      </div>
+      {canSend && (
+        <form onSubmit={submit} style={{display:'flex', flexWrap:'wrap', gap:6, marginTop:6, fontSize:13}}>
+          {asSpectator && <input value={name} onChange={e=>setName(e.target.value)} placeholder="Name" maxLength={40} style={{width:80}} />}
+          <input value={text} onChange={e=>setText(e.target.value)} placeholder="Message" maxLength={500} style={{flex:1}} />
+          <button type="submit">Send</button>
+          {!asSpectator && <label style={{width:'100%'}}><input type="checkbox" checked={playersOnly} onChange={e=>setPlayersOnly(e.target.checked)} /> Players only</label>}
+        </form>
+      )}
+      {error && <div style={{color:'#b91c1c', fontSize:12}}>{error}</div>}
+    </div>
+  );
+}
+
+// Open takeback request, with Accept/Decline for seats this browser holds
+// that still have to answer and Withdraw for the requester.
+function UndoBanner({ game, seats, onRespond }){
+  const pending = game?.game?.pending_undo;
+  if (!pending) return null;
+  const held = i => game.seats[i].colors.some(c=>seats[c]);
+  const requester = game.seats[pending.seat];
+  const mustAnswer = game.seats.some(s=>s.index !== pending.seat && s.kind === 'human' && !pending.approvals.includes(s.index) && held(s.index));
+  return (
+    <div style={{fontSize:13, color:'#1e3a8a', background:'#dbeafe', border:'1px solid #bfdbfe', padding:'6px 10px', borderRadius:8, marginBottom:8, display:'flex', gap:8, alignItems:'center'}}>
+      <span style={{flex:1}}><b>{requester.name}</b> asks to take back to turn {pending.turn_number}.</span>
+      {held(pending.seat) && <button onClick={()=>onRespond(false, pending.seat)}>Withdraw</button>}
+      {mustAnswer && <>
+        <button onClick={()=>onRespond(true)}>Accept</button>
+        <button onClick={()=>onRespond(false)}>Decline</button>
+      </>}
+    </div>
+  );
+}
+
+// Scrollable move history; clicking an entry jumps the replay to that turn.
+function MoveList({ moves, turn, onSelect }){
+  const current = useRef(null);
+  useEffect(()=>{ current.current?.scrollIntoView({ block:'nearest' }); }, [turn]);
+  return (
+    <div style={{maxHeight:240, overflowY:'auto', background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, fontSize:13}}>
+      <div onClick={()=>onSelect(0)} ref={turn === 0 ? current : null} style={{padding:'4px 8px', cursor:'pointer', background: turn === 0 ? '#e0e7ff' : undefined, color:'#6b7280'}}>Start</div>
+      {moves.map(m=> (
+        <div key={m.turn_number} onClick={()=>onSelect(m.turn_number)} ref={turn === m.turn_number ? current : null}
+          style={{padding:'4px 8px', cursor:'pointer', display:'flex', gap:8, alignItems:'center', background: turn === m.turn_number ? '#e0e7ff' : undefined}}>
+          <span style={{width:28, color:'#6b7280', textAlign:'right'}}>{m.turn_number}.</span>
+          <span style={{width:10, height:10, borderRadius:2, background:COLORS[m.player_color]}} />
+          <span>{m.player_color}</span>
+          <span style={{marginLeft:'auto', color: m.passed ? '#9ca3af' : undefined}}>{m.passed ? 'pass' : m.piece_key}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Step and scrub through a game's history; `turn` is the number of moves shown.
+function ReplayControls({ turn, total, finished, onTurn, onExit }){
+  const go = t => onTurn(Math.max(0, Math.min(total, t)));
+  return (
+    <div style={{display:'flex', gap:8, alignItems:'center', marginBottom:8}}>
+      <button onClick={()=>go(0)} disabled={turn === 0}>⏮</button>
+      <button onClick={()=>go(turn-1)} disabled={turn === 0}>◀</button>
+      <input type="range" min={0} max={total} value={turn} onChange={e=>go(Number(e.target.value))} style={{flex:1}} />
+      <button onClick={()=>go(turn+1)} disabled={turn === total}>▶</button>
+      <button onClick={()=>go(total)} disabled={turn === total}>⏭</button>
+      <span style={{fontSize:13, color:'#4b5563', minWidth:72}}>Turn {turn} / {total}</span>
+      {!finished && <button onClick={onExit}>Back to game</button>}
+    </div>
+  );
+}
+
+// Replay position to open a game at: the `turn` URL parameter when given,
+// the final position for finished games, otherwise live play (null).
+function initialReplayTurn(game, param){
+  const total = game.moves.length;
+  const turn = parseInt(param, 10);
+  if (Number.isInteger(turn)) return Math.max(0, Math.min(total, turn));
+  return game.game.status === 'finished' ? total : null;
+}
+
+function lastTurn(game){
+  const moves = game?.moves || [];
+  return moves.length ? moves[moves.length-1].turn_number : 0;
+}
+
+// Merge a live event into the current game state. Returns null when a turn
+// was missed, in which case the caller should refetch the full state.
+function reconcile(game, type, data){
+  // takebacks rewrite history, so they carry the whole state
+  if (type === 'undo') return data.state;
+  const next = { ...game, ...data.state, moves: game.moves };
+  if (type === 'move' || type === 'pass') {
+    const turn = data.move.turn_number;
+    if (turn <= lastTurn(game)) return game;
+    if (turn !== lastTurn(game) + 1) return null;
+    next.moves = [...game.moves, data.move];
+  }
+  return next;
+}
+
+// What a watch link (?watch=) opens: the game as spectators see it, possibly
+// some moves behind, with the spectators' chat. Nothing here can act.
+function Spectator({ watchId }){
+  const [game, setGame] = useState(null);
+  const [chat, setChat] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(()=>{
+    getWatched(watchId).then(setGame).catch(e=>setError(e.error||'Could not load the game'));
+    getWatchChat(watchId).then(d=>setChat(d.messages)).catch(()=>{});
+    return subscribeWatch(watchId, (type, data)=>{
+      if (type === 'state') setGame(data.state);
+      else setChat(c=>addMessage(c, data.message));
+    });
+  }, [watchId]);
+
+  async function onSend(text, name){
+    const { message } = await sendWatchChat(watchId, text, name);
+    setChat(c=>addMessage(c, message));
+  }
+
+  const page = { fontFamily:'Inter, ui-sans-serif, system-ui, Arial, sans-serif', padding:24, minHeight:'100vh', background:'#f3f4f6' };
+  if (!game) return <div style={page}>{error || 'Loading…'}</div>;
+  const size = game.game.board_size;
+  const occ = Array.from({length:size},()=>Array(size).fill(null));
+  for (const m of game.moves) for (const [x,y] of m.cells || []) occ[y][x] = m.player_color;
+  const next = game.players[game.game.next_player_index]?.color;
+  return (
+    <div style={{ ...page, display:'grid', gridTemplateColumns:'1fr 320px', gap:24 }}>
+      <div>
+        <div style={{display:'flex', alignItems:'baseline', gap:12, marginBottom:8}}>
+          <h1 style={{margin:0, fontSize:28}}>Blokus</h1>
+          <span style={{fontSize:13, color:'#6b7280'}}>Spectating</span>
+        </div>
+        <div style={{marginBottom:12, display:'flex', gap:16, fontSize:13, color:'#4b5563'}}>
+          {game.game.status === 'active' && <span>Next: <b style={{color:COLORS[next]}}>{next}</b></span>}
+          <span>Moves: {game.moves.length}</span>
+          {game.hidden_moves > 0 && <span>{game.hidden_moves} more not shown yet</span>}
+          {game.game.status !== 'active' && <span>{game.game.status}</span>}
+        </div>
+        <div style={{display:'grid', gridTemplateColumns:`repeat(${size},24px)`, border:'2px solid #333', borderRadius:12, width:size*24, height:size*24}}>
+          {occ.flatMap((row, y)=> row.map((value, x)=> <Cell key={`${x},${y}`} x={x} y={y} value={value} onClick={()=>{}} />))}
+        </div>
+      </div>
+      <div>
+        <h3>Players</h3>
+        {game.seats.map(s=> <div key={s.index} style={{fontSize:13}}>{s.rank !== undefined && `${s.rank}. `}{s.name} ({s.colors.join(' + ')}){s.score !== undefined && <>: <b>{s.score}</b></>}{s.resigned && ' — resigned'}</div>)}
+        <h4 style={{marginTop:16}}>Chat</h4>
+        <ChatPanel messages={chat} onSend={onSend} asSpectator />
+        <h4 style={{marginTop:16}}>Moves</h4>
+        <MoveList moves={game.moves} turn={null} onSelect={()=>{}} />
+      </div>
+    </div>
+  );
+}
+
+const TOURNAMENT_POLL_MS = 15000;
+const tournamentUrl = id => `${window.location.pathname}?tournament=${id}`;
+
+// Form for a new tournament: one player name per line
+function TournamentSetup(){
+  const [name, setName] = useState('');
+  const [format, setFormat] = useState('swiss');
+  const [variant, setVariant] = useState('classic');
+  const [rounds, setRounds] = useState('');
+  const [players, setPlayers] = useState('');
+  const [error, setError] = useState('');
+
+  async function submit(e){
+    e.preventDefault();
+    setError('');
+    const names = players.split('\n').map(n=>n.trim()).filter(Boolean);
+    try {
+      const created = await createTournament({ name, format, variant, players: names, rounds: format === 'swiss' && rounds ? Number(rounds) : undefined });
+      window.location.assign(tournamentUrl(created.tournament.id));
+    } catch(err){
+      setError(err.error||'Could not create the tournament');
+    }
   }
-  // Subsequent moves: must touch diagonally at least once
-  return touchesDiagonal;
+
+  return (
+    <form onSubmit={submit} style={{display:'grid', gap:8, maxWidth:360, fontSize:13}}>
+      <input value={name} onChange={e=>setName(e.target.value)} placeholder="Tournament name" maxLength={80} />
+      <div style={{display:'flex', gap:8}}>
+        <select value={format} onChange={e=>setFormat(e.target.value)}>
+          <option value="swiss">Swiss rounds</option>
+          <option value="elimination">Single elimination</option>
+        </select>
+        <select value={variant} onChange={e=>setVariant(e.target.value)}>
+          <option value="classic">Tables of four</option>
+          <option value="duo">Duo (1v1)</option>
+        </select>
+        {format === 'swiss' && <input type="number" min={1} max={20} value={rounds} onChange={e=>setRounds(e.target.value)} placeholder="Rounds" style={{width:64}} />}
+      </div>
+      <textarea value={players} onChange={e=>setPlayers(e.target.value)} rows={8} placeholder={'Players, one per line'} />
+      <button type="submit">Start tournament</button>
+      {error && <div style={{color:'#b91c1c'}}>{error}</div>}
+    </form>
+  );
+}
+
+function TournamentTable({ table }){
+  return (
+    <div style={{background:'#fff', border:'1px solid #e5e7eb', borderRadius:8, padding:'6px 8px', fontSize:13, minWidth:180}}>
+      <div style={{display:'flex', justifyContent:'space-between', color:'#6b7280', marginBottom:4}}>
+        <span>{table.status === 'bye' ? 'Bye' : `Table ${table.index + 1}`}</span>
+        {table.game_id && <a href={`?gameId=${table.game_id}`}>{table.status === 'finished' || table.status === 'abandoned' ? table.status : 'Open'}</a>}
+      </div>
+      {table.seats.map(s=>(
+        <div key={s.player} style={{display:'flex', alignItems:'center', gap:6}}>
+          {(s.colors || []).map(c=> <span key={c} style={{width:10, height:10, borderRadius:5, background:COLORS[c]}} />)}
+          <span style={{flex:1, fontWeight: s.rank === 1 ? 600 : undefined}}>{s.name}</span>
+          {s.rank !== null && table.status !== 'bye' && <span style={{color:'#6b7280'}}>{s.rank}. {s.score}</span>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Standings, then every round's tables with links to their games. Rounds
+// advance on the server as tables finish, so the page checks back now and then.
+function TournamentView({ tournamentId }){
+  const [data, setData] = useState(null);
+  const [error, setError] = useState('');
+  useEffect(()=>{
+    const load = ()=> getTournament(tournamentId).then(setData).catch(e=>setError(e.error||'Could not load the tournament'));
+    load();
+    const timer = setInterval(load, TOURNAMENT_POLL_MS);
+    return ()=> clearInterval(timer);
+  }, [tournamentId]);
+
+  if (!data) return <div>{error || 'Loading…'}</div>;
+  const { tournament, rounds, standings, winner } = data;
+  const elimination = tournament.format === 'elimination';
+  return (
+    <div>
+      <h2 style={{marginBottom:4}}>{tournament.name}</h2>
+      <div style={{fontSize:13, color:'#4b5563', marginBottom:16}}>
+        {elimination ? 'Single elimination' : `Swiss, ${tournament.rounds} rounds`} · {tournament.variant === 'duo' ? 'Duo' : 'tables of four'} ·{' '}
+        {winner !== null ? <b>Winner: {data.players[winner]}</b> : `round ${tournament.current_round}`}
+      </div>
+      <h3>Standings</h3>
+      <table style={{fontSize:13, borderCollapse:'collapse', marginBottom:16}}>
+        <thead><tr style={{color:'#6b7280', textAlign:'left'}}><th>#</th><th style={{paddingRight:16}}>Player</th><th>Points</th><th>Score</th><th>Games</th>{elimination && <th>Out in</th>}</tr></thead>
+        <tbody>
+          {standings.map(e=>(
+            <tr key={e.player} style={{color: e.eliminated_in ? '#9ca3af' : undefined}}>
+              <td style={{paddingRight:8}}>{e.rank}</td>
+              <td style={{paddingRight:16}}>{e.name}</td>
+              <td style={{paddingRight:12}}>{e.points}</td>
+              <td style={{paddingRight:12}}>{e.score}</td>
+              <td style={{paddingRight:12}}>{e.games}{e.byes > 0 && ` + ${e.byes} bye`}</td>
+              {elimination && <td>{e.eliminated_in ? `round ${e.eliminated_in}` : ''}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {[...rounds].reverse().map(r=>(
+        <div key={r.round} style={{marginBottom:16}}>
+          <h3>Round {r.round}</h3>
+          <div style={{display:'flex', flexWrap:'wrap', gap:8}}>
+            {r.tables.map(t=> <TournamentTable key={t.index} table={t} />)}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// ?tournament=<id> shows a tournament, ?tournament=new starts one
+function TournamentPage({ tournamentId }){
+  return (
+    <div style={{ fontFamily:'Inter, ui-sans-serif, system-ui, Arial, sans-serif', padding:24, minHeight:'100vh', background:'#f3f4f6' }}>
+      <div style={{display:'flex', alignItems:'baseline', gap:12, marginBottom:8}}>
+        <h1 style={{margin:0, fontSize:28}}>Blokus</h1>
+        <span style={{fontSize:13, color:'#6b7280'}}>Tournament</span>
+        <a href={window.location.pathname}>Home</a>
+      </div>
+      {tournamentId === 'new' ? <TournamentSetup /> : <TournamentView tournamentId={tournamentId} />}
+    </div>
+  );
 }
 
 export default function App(){
+  const query = useQuery();
+  const watchId = query.get('watch');
+  const tournamentId = query.get('tournament');
+  if (watchId) return <Spectator watchId={watchId} />;
+  if (tournamentId) return <TournamentPage tournamentId={tournamentId} />;
+  return <GameApp />;
+}
+
+function GameApp(){
   const query = useQuery();
   const [pieces, setPieces] = useState({});
   const [game, setGame] = useState(null);
@@ -138,35 +844,281 @@ export default function App(){
   const [flipped, setFlipped] = useState(false);
   const [hover, setHover] = useState(null);
   const [error, setError] = useState('');
+  const [playable, setPlayable] = useState(null); // piece key -> number of legal placements
+  const [seats, setSeats] = useState({}); // color -> seat token held by this browser
+  const [variantSetup, setVariantSetup] = useState('classic'); // variant for the next new game
+  const [aiSetup, setAiSetup] = useState({}); // color -> AI level for the next new game
+  const [houseRules, setHouseRules] = useState(''); // optional config JSON for the next new game
+  const [timeSetup, setTimeSetup] = useState({ preset: 'none', on_timeout: 'pass' }); // clock for the next new game
+  const [delaySetup, setDelaySetup] = useState(0); // moves spectators lag behind in the next new game
+  const [chat, setChat] = useState([]);
+  const [replayTurn, setReplayTurn] = useState(null); // moves shown while replaying, null when playing live
+  const [account, setAccount] = useState(loadAccount); // { user, token } when signed in
+  const [showAnalysis, setShowAnalysis] = useState(false); // analysis layer on the board
+  const [analysis, setAnalysis] = useState(null);
+  const [wantHint, setWantHint] = useState(false); // hints are searched for on request
 
   useEffect(()=>{
-    getPieces().then(d=> setPieces(d.pieces||{}));
-  },[]);
+    getPieces(gameId).then(d=> setPieces(d.pieces||{}));
+  },[gameId]);
+
+  function openGame(st){
+    setGame(st);
+    setGameId(st.game.id);
+    setReplayTurn(null);
+    const url = new URL(window.location.href);
+    url.searchParams.set('gameId', st.game.id);
+    window.history.replaceState({}, '', url.toString());
+  }
+
+  function goHome(){
+    setGame(null);
+    setGameId(null);
+    setReplayTurn(null);
+    setSelectedPiece(null);
+    setError('');
+    const url = new URL(window.location.href);
+    url.searchParams.delete('gameId');
+    url.searchParams.delete('turn');
+    window.history.replaceState({}, '', url.toString());
+  }
+
+  function onSignIn(acc){
+    saveAccount(acc);
+    setAuthToken(acc.token);
+    setAccount(acc);
+  }
+
+  function onSignOut(){
+    logout().catch(()=>{});
+    saveAccount(null);
+    setAuthToken(null);
+    setAccount(null);
+  }
+
+  // Resume a listed game. A seat claimed while signed in is recovered from the
+  // server when this browser does not hold its token.
+  async function onOpenListed(entry){
+    setError('');
+    const color = entry.my_colors[0];
+    if (entry.mode === 'online' && color && !loadSeats(entry.id)[color]) {
+      try {
+        const { seat, ...st } = await joinGame(entry.id, color);
+        const held = loadSeats(entry.id);
+        for (const c of seat.colors) held[c] = seat.token;
+        saveSeats(entry.id, held);
+        openGame(st);
+      } catch(e){
+        setError(e.error||'Could not resume the game');
+      }
+      return;
+    }
+    openGame(await getGame(entry.id));
+  }
+
+  // the setup controls as a createGame body; throws on bad house rules
+  function setupBody(mode){
+    let config;
+    try {
+      config = houseRules.trim() ? JSON.parse(houseRules) : undefined;
+    } catch {
+      throw { error: 'House rules must be valid JSON' };
+    }
+    const clock = TIME_CONTROLS[timeSetup.preset].control;
+    const time_control = clock ? { ...clock, on_timeout: timeSetup.on_timeout } : undefined;
+    return { mode, ai: aiSetup, variant: variantSetup, config, time_control, broadcast_delay: delaySetup || undefined };
+  }
+
+  async function newGame(mode){
+    setError('');
+    setSelectedPiece(null);
+    let body;
+    try {
+      body = setupBody(mode);
+    } catch(e){
+      return setError(e.error);
+    }
+    const st = await createGame(undefined, body);
+    if (st.error) return setError(st.error);
+    openGame(st);
+  }
+
+  function onSaveTemplate(name, mode){
+    return saveTemplate(name, setupBody(mode));
+  }
+
+  async function onStartTemplate(templateId){
+    setError('');
+    setSelectedPiece(null);
+    try {
+      openGame(await createFromTemplate(templateId));
+    } catch(e){
+      setError(e.error||'Could not start the game');
+    }
+  }
+
+  // a .json export or a file in the text notation
+  async function onImport(e){
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setError('');
+    const text = await file.text();
+    let record = text;
+    try { record = JSON.parse(text); } catch { /* text notation */ }
+    try {
+      const st = await importGame(record);
+      openGame(st);
+      setReplayTurn(st.moves.length);
+    } catch(err){
+      setError(err.turn ? `${err.error} (turn ${err.turn})` : err.error||'Import failed');
+    }
+  }
 
   useEffect(()=>{
+    // without a game the home screen is shown
     async function boot(){
-      if (!gameId) {
-        const st = await createGame();
-        setGame(st);
-        setGameId(st.game.id);
-        const url = new URL(window.location.href);
-        url.searchParams.set('gameId', st.game.id);
-        window.history.replaceState({}, '', url.toString());
-      } else {
-        const st = await getGame(gameId);
-        setGame(st);
-      }
+      if (!gameId) return;
+      const st = await getGame(gameId);
+      setGame(st);
+      setReplayTurn(initialReplayTurn(st, query.get('turn')));
     }
     boot();
   // eslint-disable-next-line react-hooks/exhaustive-deps
   },[gameId]);
 
-  const currentColor = game?.players?.[game?.game?.next_player_index||0]?.color;
+  // keep the replay position in the URL so it can be shared
+  useEffect(()=>{
+    if (!game) return;
+    const url = new URL(window.location.href);
+    if (replayTurn === null) url.searchParams.delete('turn');
+    else url.searchParams.set('turn', String(replayTurn));
+    window.history.replaceState({}, '', url.toString());
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [replayTurn]);
+
+  const gameRef = useRef(game);
+  gameRef.current = game;
+  const liveId = game?.game?.id;
+  // any seat token this browser holds; it unlocks the players-only chat
+  const chatToken = Object.values(seats)[0];
+  useEffect(()=>{
+    if (!liveId) return;
+    return subscribeGame(liveId, ()=> lastTurn(gameRef.current), (type, data)=>{
+      if (type === 'chat') {
+        setChat(c=>addMessage(c, data.message));
+        return;
+      }
+      if (type === 'rematch') {
+        const g = gameRef.current;
+        gameRef.current = { ...g, game: { ...g.game, rematch_id: data.rematch_id } };
+        setGame(gameRef.current);
+        return;
+      }
+      const merged = reconcile(gameRef.current, type, data);
+      if (merged === null) {
+        getGame(liveId).then(setGame);
+        return;
+      }
+      // several events can arrive before the next render
+      gameRef.current = merged;
+      setGame(merged);
+    }, chatToken);
+  }, [liveId, chatToken]);
+
+  useEffect(()=>{
+    setChat([]);
+    if (!liveId) return;
+    getChat(liveId, chatToken).then(d=>setChat(d.messages)).catch(()=>{});
+  }, [liveId, chatToken]);
+
+  async function onSendChat(text, playersOnly){
+    const { message } = await sendChat(liveId, text, playersOnly, chatToken);
+    setChat(c=>addMessage(c, message));
+  }
+
+  const replaying = replayTurn !== null && !!game;
+  const liveColor = game?.players?.[game?.game?.next_player_index||0]?.color;
+  const online = game?.game?.mode === 'online';
+  const boardSize = game?.game?.board_size || BOARD_SIZE;
+  // token for the seat acting this turn, if this browser holds it
+  const turnToken = game?.seats?.[game.game.next_seat]?.colors.map(c=>seats[c]).find(Boolean);
+  // hotseat games let this browser act for every color
+  const canAct = !!game && !replaying && game.game.status === 'active' && (!online || !!turnToken);
+
+  useEffect(()=>{
+    setSeats(gameId ? loadSeats(gameId) : {});
+  }, [gameId]);
+
+  async function onJoin(color){
+    setError('');
+    try {
+      const { seat, ...st } = await joinGame(game.game.id, color);
+      const next = { ...seats };
+      for (const c of seat.colors) next[c] = seat.token;
+      saveSeats(game.game.id, next);
+      setSeats(next);
+      setGame(st);
+    } catch(e){
+      setError(e.error||'Join failed');
+    }
+  }
+
+  // moves on the board: all of them, or the first `replayTurn` while replaying
+  const shownMoves = useMemo(()=>{
+    const moves = game?.moves || [];
+    return replayTurn === null ? moves : moves.filter(m=>m.turn_number <= replayTurn);
+  }, [game, replayTurn]);
+
+  const engine = useMemo(()=>{
+    if (!game) return null;
+    const base = resolveVariant(game.game.variant, game.game.variant === 'classic' ? game.players.map(p=>p.color) : undefined);
+    const variant = configuredVariant(base, game.game.config);
+    const st = stateFromMoves(shownMoves, engineOptions(variant));
+    if (replayTurn === null) st.nextPlayerIndex = game.game.next_player_index;
+    return st;
+  }, [game, shownMoves, replayTurn]);
+
+  // color to move on the board as shown
+  const currentColor = replaying ? colorToMove(engine) : liveColor;
+
+  useEffect(()=>{
+    setPlayable(null);
+    if (!game || !currentColor || replaying || game.game.status === 'finished') return;
+    let cancelled = false;
+    getLegalMoves(game.game.id, currentColor)
+      .then(d=>{ if (!cancelled) setPlayable(d.pieces||{}); })
+      .catch(()=>{});
+    return ()=>{ cancelled = true; };
+  }, [game, currentColor, replaying]);
+
+  useEffect(()=>{
+    setAnalysis(null);
+    if (!showAnalysis) setWantHint(false);
+    if (!showAnalysis || !game) return;
+    let cancelled = false;
+    getAnalysis(game.game.id, replaying ? replayTurn : undefined, turnToken, { hint: wantHint })
+      .then(d=>{ if (!cancelled) setAnalysis(d); })
+      .catch(()=>{});
+    return ()=>{ cancelled = true; };
+  }, [showAnalysis, game, replaying, replayTurn, turnToken, wantHint]);
+
+  // pick up the hinted piece, turned the way the hint places it
+  function onUseHint(hint){
+    setSelectedPiece(hint.piece_key);
+    setRotation(hint.rotation);
+    setFlipped(hint.flipped);
+  }
+
+  function canPlaceLocal(anchor){
+    if (!engine || !selectedPiece || !anchor || !currentColor) return false;
+    return validateMove(engine, { player_color: currentColor, piece_key: selectedPiece, rotation, flipped, position: anchor }).ok;
+  }
 
   function boardOccupancy(){
-    const occ = Array.from({length:BOARD_SIZE},()=>Array(BOARD_SIZE).fill(null));
+    const occ = Array.from({length:boardSize},()=>Array(boardSize).fill(null));
     if (!game) return occ;
-    for(const m of game.moves||[]){
+    for(const m of shownMoves){
       if (!m.passed && m.cells){
         for(const [x,y] of m.cells){
           occ[y][x] = m.player_color;
@@ -178,30 +1130,213 @@ export default function App(){
 
   const occ = boardOccupancy();
 
-  async function onCellClick(x,y){
+  // Position that centers the selected piece, as currently turned, on `cell`
+  function ghostAt(cell){
+    if (!cell || !selectedPiece || !pieces[selectedPiece]) return null;
+    const shape = transformShape(pieces[selectedPiece], rotation, flipped);
+    const w = Math.max(...shape.map(c=>c[0]));
+    const h = Math.max(...shape.map(c=>c[1]));
+    return { x: cell.x - Math.floor(w/2), y: cell.y - Math.floor(h/2) };
+  }
+  const ghost = ghostAt(hover);
+
+  async function placeAt(position){
     setError('');
-    if (!selectedPiece || !currentColor) return;
+    if (!selectedPiece || !currentColor || !canAct || !position) return;
     try {
-      const st = await place(game.game.id, { player_color: currentColor, piece_key: selectedPiece, rotation, flipped, position: { x, y } });
+      const st = await place(game.game.id, { player_color: currentColor, piece_key: selectedPiece, rotation, flipped, position, turn_number: lastTurn(game) + 1 }, turnToken);
       setGame(st);
       setSelectedPiece(null);
+      setHover(null);
     } catch(e){
-      setError(e.error||'Placement failed');
+      onMoveError(e, 'Placement failed');
+    }
+  }
+
+  // The server's verdict on the ghost, asked for once it rests for a moment.
+  // Until it arrives (or when it is for another spot) the local check colors it.
+  const [preview, setPreview] = useState(null); // { key, ...validate response }
+  const previewKey = ghost && canAct ? [selectedPiece, rotation, flipped, ghost.x, ghost.y, lastTurn(game)].join(':') : null;
+  useEffect(()=>{
+    if (!previewKey) return;
+    let cancelled = false;
+    const timer = setTimeout(()=>{
+      validatePlacement(game.game.id, { player_color: currentColor, piece_key: selectedPiece, rotation, flipped, position: ghost })
+        .then(d=>{ if (!cancelled) setPreview({ key: previewKey, ...d }); })
+        .catch(()=>{});
+    }, 80);
+    return ()=>{ cancelled = true; clearTimeout(timer); };
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [previewKey]);
+  const verdict = preview?.key === previewKey ? preview : null;
+  const offending = verdict && new Set(Object.values(verdict.violations).flat().map(([x,y])=>`${x},${y}`));
+
+  // touch has no hover, so the first tap shows the ghost and a second tap on
+  // the same cell places it
+  const boardPointer = useRef('mouse');
+  function onCellClick(x,y){
+    if (boardPointer.current === 'touch' && (hover?.x !== x || hover?.y !== y)) {
+      setHover({x,y});
+      return;
+    }
+    placeAt(ghostAt({x,y}));
+  }
+
+  // board cell under a viewport point, or null off the board
+  const boardRef = useRef(null);
+  function cellAt(clientX, clientY){
+    const el = boardRef.current;
+    if (!el) return null;
+    const rect = el.getBoundingClientRect();
+    const x = Math.floor((clientX - rect.left - el.clientLeft) / 24);
+    const y = Math.floor((clientY - rect.top - el.clientTop) / 24);
+    return x >= 0 && y >= 0 && x < boardSize && y < boardSize ? { x, y } : null;
+  }
+
+  // Tray gestures. Dragging a piece onto the board snaps the ghost to the cell
+  // under the pointer and drops it there. On touch, tapping the selected piece
+  // rotates it and holding any piece flips it.
+  const press = useRef(null); // { key, pointerId, x, y, type, wasSelected, dragging, held, timer }
+  function endPress(){
+    clearTimeout(press.current?.timer);
+    press.current = null;
+  }
+  function trayHandlers(key){
+    return {
+      onPointerDown(e){
+        if (e.button > 0) return;
+        endPress();
+        e.currentTarget.setPointerCapture?.(e.pointerId);
+        const p = { key, pointerId: e.pointerId, x: e.clientX, y: e.clientY, type: e.pointerType, wasSelected: selectedPiece === key, dragging: false, held: false };
+        if (e.pointerType === 'touch') {
+          p.timer = setTimeout(()=>{
+            p.held = true;
+            setSelectedPiece(key);
+            setFlipped(f=> !f);
+          }, LONG_PRESS_MS);
+        }
+        press.current = p;
+      },
+      onPointerMove(e){
+        const p = press.current;
+        if (!p || p.pointerId !== e.pointerId) return;
+        if (!p.dragging && Math.hypot(e.clientX - p.x, e.clientY - p.y) > DRAG_THRESHOLD) {
+          clearTimeout(p.timer);
+          p.dragging = true;
+          setSelectedPiece(key);
+        }
+        if (p.dragging) setHover(cellAt(e.clientX, e.clientY));
+      },
+      onPointerUp(e){
+        const p = press.current;
+        if (!p || p.pointerId !== e.pointerId) return;
+        endPress();
+        if (p.dragging) {
+          const cell = cellAt(e.clientX, e.clientY);
+          if (cell) placeAt(ghostAt(cell));
+        } else if (p.type === 'touch' && p.wasSelected && !p.held) {
+          setRotation(r=> (r+1)%4);
+        }
+      },
+      onPointerCancel: endPress,
+      // keep the long press from opening the context menu
+      onContextMenu: e=> e.preventDefault()
+    };
+  }
+
+  // Keyboard placement on the focused board: arrows move the ghost, Enter
+  // places it, Escape puts the piece back
+  const keyMoves = { ArrowLeft: [-1,0], ArrowRight: [1,0], ArrowUp: [0,-1], ArrowDown: [0,1] };
+  function onBoardKey(e){
+    if (!selectedPiece || replaying) return;
+    if (keyMoves[e.key]) {
+      e.preventDefault();
+      e.stopPropagation();
+      const [dx,dy] = keyMoves[e.key];
+      const clamp = v => Math.max(0, Math.min(boardSize - 1, v));
+      setHover(h=> h ? { x: clamp(h.x + dx), y: clamp(h.y + dy) } : startCell());
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      placeAt(ghost);
+    } else if (e.key === 'Escape') {
+      setSelectedPiece(null);
+      setHover(null);
     }
   }
 
+  // where the keyboard ghost starts: an open corner of the color to move
+  function startCell(){
+    const [x,y] = (engine && currentColor && cornerAnchors(engine, currentColor)[0]) || [boardSize >> 1, boardSize >> 1];
+    return { x, y };
+  }
+
+  // stale_state: someone moved first, so redraw from the state that came back
+  function onMoveError(e, fallback){
+    if (e.error === 'stale_state' && e.state) {
+      setGame(e.state);
+      setError('The board changed before your move arrived; it has been refreshed');
+      return;
+    }
+    setError(e.error||fallback);
+  }
+
   function onSkip(){
+    if (!game || !canAct) return;
+    skip(game.game.id, currentColor, turnToken, lastTurn(game) + 1).then(setGame).catch(e=>onMoveError(e, 'Skip failed'));
+  }
+
+  // any seat this browser holds in an online game
+  const myToken = Object.values(seats)[0];
+
+  function onUndo(){
     if (!game) return;
-    skip(game.game.id, currentColor).then(setGame).catch(e=>setError(e.error||'Skip failed'));
+    setError('');
+    undo(game.game.id, undefined, myToken).then(setGame).catch(e=>setError(e.error||'Undo failed'));
+  }
+
+  // answer as the requester (`asSeat`) or as a seat that still has to approve
+  function onRespondUndo(accept, asSeat){
+    const pending = game.game.pending_undo;
+    const seat = asSeat ?? game.seats.find(s=>s.index !== pending.seat && !pending.approvals.includes(s.index) && s.colors.some(c=>seats[c]))?.index;
+    const token = game.seats[seat]?.colors.map(c=>seats[c]).find(Boolean);
+    respondUndo(game.game.id, accept, token).then(setGame).catch(e=>setError(e.error||'Takeback failed'));
+  }
+
+  function onResign(){
+    if (!game) return;
+    const seat = online ? game.seats.find(s=>s.colors.some(c=>seats[c])) : game.seats[game.game.next_seat];
+    if (!seat || !window.confirm(`Resign ${seat.name} (${seat.colors.join(' + ')})?`)) return;
+    setError('');
+    resign(game.game.id, seat.colors[0], myToken).then(setGame).catch(e=>setError(e.error||'Resign failed'));
+  }
+
+  // open (or join) the rematch, taking this browser's seat in it along
+  async function onRematch(){
+    setError('');
+    try {
+      const { seat, ...st } = await rematch(game.game.id, myToken);
+      if (seat) saveSeats(st.game.id, Object.fromEntries(seat.colors.map(c=>[c, seat.token])));
+      openGame(st);
+    } catch(e){
+      setError(e.error||'Rematch failed');
+    }
   }
 
   function remainingFor(color){
     if (!game) return [];
+    if (replaying) return remainingPieces(engine, color);
     return game.remaining?.[color]||[];
   }
 
   useEffect(()=>{
     function onKey(e){
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      // arrow keys step through the replay
+      if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        const total = gameRef.current?.moves.length || 0;
+        const step = e.key === 'ArrowLeft' ? -1 : 1;
+        setReplayTurn(t=> t === null ? t : Math.max(0, Math.min(total, t + step)));
+      }
       if (e.key === 'r' || e.key === 'R') setRotation(r=> (r+1)%4);
       if (e.key === 'f' || e.key === 'F') setFlipped(f=> !f);
     }
@@ -209,7 +1344,35 @@ export default function App(){
     return ()=> window.removeEventListener('keydown', onKey);
   },[]);
 
-  const gridStyle = { position:'relative', display:'grid', gridTemplateColumns:`repeat(${BOARD_SIZE},24px)`, gridTemplateRows:`repeat(${BOARD_SIZE},24px)`, gap:0, border:'2px solid #333', borderRadius:12, boxShadow:'0 8px 24px rgba(16,24,40,0.12)', width: BOARD_SIZE*24, height: BOARD_SIZE*24 };
+  const newGameControls = (
+    <>
+      <div style={{display:'flex', alignItems:'baseline', gap:12, marginBottom:8}}>
+        <button onClick={()=>newGame('hotseat')}>New hotseat game</button>
+        <button onClick={()=>newGame('online')}>New online game</button>
+        <label style={{fontSize:13, cursor:'pointer', textDecoration:'underline'}}>Import<input type="file" accept=".json,.txt" onChange={onImport} style={{display:'none'}} /></label>
+        <a href={tournamentUrl('new')} style={{fontSize:13}}>New tournament</a>
+      </div>
+      {account && <TemplateBar onStart={onStartTemplate} onSave={onSaveTemplate} />}
+      <GameSetup variant={variantSetup} ai={aiSetup} time={timeSetup} delay={delaySetup} houseRules={houseRules} onVariant={setVariantSetup} onAi={setAiSetup} onTime={setTimeSetup} onDelay={setDelaySetup} onHouseRules={setHouseRules} />
+    </>
+  );
+
+  if (!gameId) {
+    return (
+      <div style={{ fontFamily:'Inter, ui-sans-serif, system-ui, Arial, sans-serif', padding:24, minHeight:'100vh', background:'#f3f4f6' }}>
+        <h1 style={{marginTop:0, fontSize:28}}>Blokus</h1>
+        <AccountPanel account={account} onSignIn={onSignIn} onSignOut={onSignOut} />
+        {newGameControls}
+        {error && <div style={{color:'#b91c1c', background:'#fee2e2', border:'1px solid #fecaca', padding:'8px 10px', borderRadius:8, marginBottom:8}}>{error}</div>}
+        <h3>Your games</h3>
+        <GameList account={account} onOpen={onOpenListed} onSessionExpired={onSignOut} />
+        <h3>Leaderboard</h3>
+        <Leaderboard />
+      </div>
+    );
+  }
+
+  const gridStyle = { position:'relative', display:'grid', gridTemplateColumns:`repeat(${boardSize},24px)`, gridTemplateRows:`repeat(${boardSize},24px)`, gap:0, border:'2px solid #333', borderRadius:12, boxShadow:'0 8px 24px rgba(16,24,40,0.12)', width: boardSize*24, height: boardSize*24 };
 
   return (
     <div style={{ fontFamily:'Inter, ui-sans-serif, system-ui, Arial, sans-serif', padding:24, display:'grid', gridTemplateColumns:'1fr 320px', gap:24, minHeight:'100vh', background:'#f3f4f6' }}>
@@ -217,65 +1380,93 @@ export default function App(){
         <h1>Blokus</h1>
         <div style={{display:'flex', alignItems:'baseline', gap:12, marginBottom:8}}>
           <h1 style={{margin:0, fontSize:28}}>Blokus</h1>
-          <span style={{fontSize:13, color:'#6b7280'}}>Hotseat</span>
+          <span style={{fontSize:13, color:'#6b7280'}}>{online ? 'Online' : 'Hotseat'}</span>
+          <button onClick={goHome}>Home</button>
         </div>
+        {newGameControls}
+        <UndoBanner game={game} seats={seats} onRespond={onRespondUndo} />
+        {game?.game?.status === 'waiting' && <div style={{fontSize:13, color:'#92400e', background:'#fef3c7', border:'1px solid #fde68a', padding:'6px 10px', borderRadius:8, marginBottom:8}}>Waiting for every seat to be claimed — share the invite link.</div>}
+        {online && game?.game?.status === 'active' && !canAct && <div style={{fontSize:13, color:'#4b5563', marginBottom:8}}>Waiting for {currentColor} to move…</div>}
 
         {game && (
           <div style={{marginBottom:12, display:'flex', gap:16, color:'#4b5563'}}>
             <div style={{fontSize:13, background:'#fff', padding:'6px 10px', border:'1px solid #e5e7eb', borderRadius:8}}>Game: {game.game.id.slice(0,8)}</div>
             <div style={{fontSize:13, background:'#fff', padding:'6px 10px', border:'1px solid #e5e7eb', borderRadius:8}}>Next: <b style={{color:COLORS[currentColor]}}>{currentColor}</b></div>
+            <Clocks clocks={game.clocks} />
             <div style={{fontSize:13, background:'#fff', padding:'6px 10px', border:'1px solid #e5e7eb', borderRadius:8}}>Moves: {game.moves.length}</div>
+            <div style={{fontSize:13, background:'#fff', padding:'6px 10px', border:'1px solid #e5e7eb', borderRadius:8}}>Export: <a href={exportUrl(game.game.id)} target="_blank" rel="noreferrer">JSON</a> · <a href={exportUrl(game.game.id, 'text')} target="_blank" rel="noreferrer">text</a></div>
           </div>
         )}
-        <div style={gridStyle}
+        {replaying && <ReplayControls turn={replayTurn} total={game.moves.length} finished={game.game.status === 'finished'} onTurn={setReplayTurn} onExit={()=>setReplayTurn(null)} />}
+        <div style={gridStyle} ref={boardRef} tabIndex={0} role="application" aria-label="Board. With a piece selected, arrow keys move it, Enter places it, R rotates, F flips and Escape puts it back."
           onMouseLeave={()=>setHover(null)}
+          onPointerDown={e=>{ boardPointer.current = e.pointerType; }}
+          onKeyDown={onBoardKey}
+          onFocus={()=>{ if (selectedPiece && !hover) setHover(startCell()); }}
 >
-          <CornerHint color={currentColor} />
-          {Array.from({length:BOARD_SIZE * BOARD_SIZE}).map((_, i) => {
-          <CornerHint color={currentColor} />
+          <StartMarkers engine={engine} />
+          {showAnalysis && <AnalysisOverlay analysis={analysis} />}
+          {!replaying && <CornerHint color={currentColor} engine={engine} />}
+          {Array.from({length:boardSize * boardSize}).map((_, i) => {
+          <CornerHint color={currentColor} engine={engine} />
 
-            const x = i % BOARD_SIZE; const y = Math.floor(i / BOARD_SIZE);
+            const x = i % boardSize; const y = Math.floor(i / boardSize);
             return (
               <div key={`${x},${y}`}
                 onMouseEnter={()=>setHover({x,y})}
-                onClick={()=>onCellClick(x,y)}
               >
                 <Cell x={x} y={y} value={occ[y][x]} onClick={onCellClick} />
               </div>
             );
           })}
-          <PiecePreview piece={selectedPiece?pieces[selectedPiece]:null} rotation={rotation} flipped={flipped} anchor={hover} color={currentColor} isValid={canPlaceLocal({ piece: selectedPiece?pieces[selectedPiece]:null, rotation, flipped, anchor: hover, color: currentColor, occ, game })} />
+          {!replaying && <PiecePreview piece={selectedPiece?pieces[selectedPiece]:null} rotation={rotation} flipped={flipped} anchor={ghost} color={currentColor} isValid={verdict ? verdict.valid : canPlaceLocal(ghost)} offending={offending} />}
+        </div>
+        {verdict && <div style={{fontSize:13, marginTop:6, color: verdict.valid ? '#166534' : '#b91c1c'}}>{verdict.valid ? 'Fits here' : placementProblems(verdict).join(' · ')}</div>}
+        <div aria-live="polite" style={{position:'absolute', width:1, height:1, overflow:'hidden', clip:'rect(0 0 0 0)'}}>
+          {ghost && !replaying ? `${selectedPiece} at ${ghost.x}, ${ghost.y}${verdict && !verdict.valid ? ': ' + placementProblems(verdict).join(', ') : canPlaceLocal(ghost) ? '' : ', does not fit'}` : ''}
         </div>
         <div style={{marginTop:8, display:'flex', gap:8}}>
           <button onClick={()=>setRotation(r=> (r+1)%4)}>Rotate (R)</button>
           <button onClick={()=>setFlipped(f=> !f)}>Flip (F)</button>
           <button onClick={onSkip}>Skip</button>
+          <button onClick={onUndo} disabled={!game || replaying || !game.moves.length || !!game.game.pending_undo || (online && !myToken)}>Undo</button>
+          <button onClick={onResign} disabled={!game || replaying || game.game.status !== 'active' || (online && !myToken)}>Resign</button>
+          {!replaying && <button onClick={()=>setReplayTurn(game.moves.length)} disabled={!game}>Replay</button>}
+          <button onClick={()=>setShowAnalysis(v=>!v)} style={{fontWeight: showAnalysis ? 700 : 400}}>Analysis</button>
         </div>
 
-        {game && (
-          <div style={{position:'relative', marginTop:8}}>
-            {/* Corner markers for the four players */}
-            <div style={{position:'absolute', left:-10, top:-10, width:8, height:8, borderRadius:4, background:COLORS['blue'], boxShadow:'0 0 0 2px #fff'}} title="Blue starts here" />
-            <div style={{position:'absolute', right:-10, top:-10, width:8, height:8, borderRadius:4, background:COLORS['yellow'], boxShadow:'0 0 0 2px #fff'}} title="Yellow starts here" />
-            <div style={{position:'absolute', right:-10, bottom:-10, width:8, height:8, borderRadius:4, background:COLORS['red'], boxShadow:'0 0 0 2px #fff'}} title="Red starts here" />
-            <div style={{position:'absolute', left:-10, bottom:-10, width:8, height:8, borderRadius:4, background:COLORS['green'], boxShadow:'0 0 0 2px #fff'}} title="Green starts here" />
-          </div>
-        )}
-
         {error && <div style={{color:'#b91c1c', background:'#fee2e2', border:'1px solid #fecaca', padding:'8px 10px', borderRadius:8, marginTop:8}}><b>Invalid placement</b>: {error}</div>}
       </div>
       <div>
+        {online && <SeatPanel game={game} seats={seats} onJoin={onJoin} />}
+        <WatchLink game={game} />
         <h3>Pieces ({currentColor})</h3>
-        <div style={{display:'grid', gridTemplateColumns:'repeat(2,1fr)', gap:8, maxWidth:300}}>
-          {remainingFor(currentColor).map(k=> (
-            <button key={k} onClick={()=> setSelectedPiece(k)} style={{padding:6, border:selectedPiece===k? '2px solid #333':'1px solid #aaa', textAlign:'left'}}>
-              {k}
-            </button>
-          ))}
-
-        </div>
+        <PieceTray keys={remainingFor(currentColor)} pieces={pieces} color={currentColor} selected={selectedPiece} rotation={rotation} flipped={flipped}
+          playable={playable} disabled={replaying} onSelect={setSelectedPiece} handlersFor={trayHandlers} />
+        <div style={{fontSize:12, color:'#6b7280', marginTop:6}}>Drag a piece onto the board. On touch, tap the selected piece to rotate it and hold to flip it.</div>
+        {showAnalysis && <>
+          <h4 style={{marginTop:16}}>Analysis</h4>
+          <AnalysisPanel analysis={analysis} canUseHint={canAct} onUseHint={onUseHint} onAskHint={()=>setWantHint(true)} />
+        </>}
+        <h4 style={{marginTop:16}}>Chat</h4>
+        <ChatPanel messages={chat} onSend={onSendChat} canSend={!online || !!chatToken} />
+        <h4 style={{marginTop:16}}>Moves</h4>
+        {game && <MoveList moves={game.moves} turn={replaying ? replayTurn : null} onSelect={setReplayTurn} />}
         <h4 style={{marginTop:16}}>Scores</h4>
         <pre style={{background:'#f9f9f9', padding:8}}>{JSON.stringify(game?.scores||{}, null, 2)}</pre>
+        {game && game.seats.some(s=>s.rank !== undefined) && (
+          <div style={{fontSize:13}}>
+            {[...game.seats].sort((a,b)=>a.rank-b.rank).map(s=> <div key={s.index}>{s.rank}. {s.name} ({s.colors.join(' + ')}): <b>{s.score}</b>{s.resigned && ' — resigned'}</div>)}
+          </div>
+        )}
+        {game?.game?.status === 'abandoned' && <div style={{fontSize:13, color:'#6b7280'}}>This game was abandoned.</div>}
+        {game && ['finished', 'abandoned'].includes(game.game.status) && (!online || myToken) && (
+          <button onClick={onRematch} style={{marginTop:8}}>{game.game.rematch_id ? 'Join the rematch' : 'Rematch'}</button>
+        )}
+        {game?.series && <>
+          <h4 style={{marginTop:16}}>Series</h4>
+          <SeriesPanel series={game.series} gameId={game.game.id} />
+        </>}
       </div>
     </div>
   );
@@ -1,27 +1,115 @@
 const API_BASE = import.meta.env.VITE_API_BASE || "https://blokus-backend-morphvm-oq9vptwe.http.cloud.morph.so";
 
-export async function getPieces() {
-  const res = await fetch(`${API_BASE}/api/pieces`);
+export async function getPieces(gameId) {
+  const res = await fetch(`${API_BASE}/api/pieces${gameId ? `?gameId=${gameId}` : ''}`);
   return res.json();
 }
-export async function createGame(players) {
-  const res = await fetch(`${API_BASE}/api/games`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ players }) });
+// Levels a computer seat can take: { levels, bots } (bots as "bot:<name>")
+export async function getBots() {
+  const res = await fetch(`${API_BASE}/api/bots`);
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+// Session token of the signed-in account, sent with every write
+let authToken = null;
+export function setAuthToken(token) {
+  authToken = token || null;
+}
+function jsonHeaders(seatToken) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (seatToken) headers['X-Seat-Token'] = seatToken;
+  if (authToken) headers.Authorization = `Bearer ${authToken}`;
+  return headers;
+}
+async function failed(res) {
+  const e = await res.json().catch(()=>({error:'unknown'}));
+  throw e;
+}
+
+// Accounts: both resolve to { user, token }
+export async function register(username, password) {
+  const res = await fetch(`${API_BASE}/api/users`, { method: 'POST', headers: jsonHeaders(), body: JSON.stringify({ username, password }) });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export async function login(username, password) {
+  const res = await fetch(`${API_BASE}/api/sessions`, { method: 'POST', headers: jsonHeaders(), body: JSON.stringify({ username, password }) });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export async function logout() {
+  await fetch(`${API_BASE}/api/sessions`, { method: 'DELETE', headers: jsonHeaders() });
+}
+// The signed-in account's games: { games, total, limit, offset }
+export async function listGames({ status, limit, offset } = {}) {
+  const params = new URLSearchParams();
+  if (status) params.set('status', status);
+  if (limit) params.set('limit', String(limit));
+  if (offset) params.set('offset', String(offset));
+  const res = await fetch(`${API_BASE}/api/games?${params}`, { headers: jsonHeaders() });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export async function createGame(players, { mode = 'hotseat', ai, variant, config, time_control, broadcast_delay } = {}) {
+  const res = await fetch(`${API_BASE}/api/games`, { method: 'POST', headers: jsonHeaders(), body: JSON.stringify({ players, mode, ai, variant, config, time_control, broadcast_delay }) });
+  return res.json();
+}
+// A finished game's rematch, opened by the first seat to ask; online games
+// also return { seat } with this browser's seat in it
+export async function rematch(gameId, seatToken) {
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/rematch`, { method: 'POST', headers: jsonHeaders(seatToken) });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+// The signed-in account's saved game setups
+export async function listTemplates() {
+  const res = await fetch(`${API_BASE}/api/templates`, { headers: jsonHeaders() });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+// `settings` is a createGame body; saving under an existing name replaces it
+export async function saveTemplate(name, settings) {
+  const res = await fetch(`${API_BASE}/api/templates`, { method: 'POST', headers: jsonHeaders(), body: JSON.stringify({ name, ...settings }) });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export async function deleteTemplate(id) {
+  const res = await fetch(`${API_BASE}/api/templates/${id}`, { method: 'DELETE', headers: jsonHeaders() });
+  if (!res.ok) await failed(res);
+}
+export async function createFromTemplate(templateId) {
+  const res = await fetch(`${API_BASE}/api/games`, { method: 'POST', headers: jsonHeaders(), body: JSON.stringify({ template: templateId }) });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export async function joinGame(gameId, color, name) {
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/join`, { method: 'POST', headers: jsonHeaders(), body: JSON.stringify({ color, name }) });
+  if (!res.ok) {
+    const e = await res.json().catch(()=>({error:'unknown'}));
+    throw e;
+  }
   return res.json();
 }
 export async function getGame(id) {
   const res = await fetch(`${API_BASE}/api/games/${id}`);
   return res.json();
 }
-export async function place(gameId, payload) {
-  const res = await fetch(`${API_BASE}/api/games/${gameId}/place`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
+export async function place(gameId, payload, seatToken) {
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/place`, { method: 'POST', headers: jsonHeaders(seatToken), body: JSON.stringify(payload) });
   if (!res.ok) {
     const e = await res.json().catch(()=>({error:'unknown'}));
     throw e;
   }
   return res.json();
 }
-export async function skip(gameId, player_color) {
-  const res = await fetch(`${API_BASE}/api/games/${gameId}/skip`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ player_color }) });
+// Dry run of place: { valid, error, cells, violations, corner }
+export async function validatePlacement(gameId, payload) {
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/validate`, { method: 'POST', headers: jsonHeaders(), body: JSON.stringify(payload) });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export async function skip(gameId, player_color, seatToken, turn_number) {
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/skip`, { method: 'POST', headers: jsonHeaders(seatToken), body: JSON.stringify({ player_color, turn_number }) });
   if (!res.ok) {
     const e = await res.json().catch(()=>({error:'unknown'}));
     throw e;
@@ -29,3 +117,151 @@ export async function skip(gameId, player_color) {
   return res.json();
 }
 
+// Rated accounts, best first: { players: [{ rank, id, username, rating, games }], total }
+export async function getLeaderboard({ limit, offset } = {}) {
+  const params = new URLSearchParams();
+  if (limit) params.set('limit', String(limit));
+  if (offset) params.set('offset', String(offset));
+  const res = await fetch(`${API_BASE}/api/leaderboard?${params}`);
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+// { user, stats, history } for an account id
+export async function getPlayerStats(userId) {
+  const res = await fetch(`${API_BASE}/api/players/${userId}/stats`);
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+
+export async function getLegalMoves(gameId, color) {
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/legal-moves?color=${encodeURIComponent(color)}`);
+  if (!res.ok) {
+    const e = await res.json().catch(()=>({error:'unknown'}));
+    throw e;
+  }
+  return res.json();
+}
+// Position analysis after `turn` moves (the live position when undefined),
+// with the search player's hint when `hint` is set
+export async function getAnalysis(gameId, turn, seatToken, { hint = false } = {}) {
+  const params = new URLSearchParams();
+  if (turn !== undefined) params.set('turn', String(turn));
+  if (hint) params.set('hint', '1');
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/analysis?${params}`, { headers: jsonHeaders(seatToken) });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export async function undo(gameId, turnNumber, seatToken) {
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/undo`, { method: 'POST', headers: jsonHeaders(seatToken), body: JSON.stringify({ turn_number: turnNumber }) });
+  if (!res.ok) {
+    const e = await res.json().catch(()=>({error:'unknown'}));
+    throw e;
+  }
+  return res.json();
+}
+export async function respondUndo(gameId, accept, seatToken) {
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/undo/respond`, { method: 'POST', headers: jsonHeaders(seatToken), body: JSON.stringify({ accept }) });
+  if (!res.ok) {
+    const e = await res.json().catch(()=>({error:'unknown'}));
+    throw e;
+  }
+  return res.json();
+}
+// `color` picks the seat in hotseat games; online games resign the token's seat
+export async function resign(gameId, color, seatToken) {
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/resign`, { method: 'POST', headers: jsonHeaders(seatToken), body: JSON.stringify({ color }) });
+  if (!res.ok) {
+    const e = await res.json().catch(()=>({error:'unknown'}));
+    throw e;
+  }
+  return res.json();
+}
+
+// Download link for a game record; format is 'json' or 'text'
+export function exportUrl(gameId, format = 'json') {
+  return `${API_BASE}/api/games/${gameId}/export${format === 'text' ? '?format=text' : ''}`;
+}
+// `record` is either the text notation or a parsed JSON export
+export async function importGame(record) {
+  const text = typeof record === 'string';
+  const res = await fetch(`${API_BASE}/api/games/import`, { method: 'POST', headers: text ? { ...jsonHeaders(), 'Content-Type': 'text/plain' } : jsonHeaders(), body: text ? record : JSON.stringify(record) });
+  if (!res.ok) {
+    const e = await res.json().catch(()=>({error:'unknown'}));
+    throw e;
+  }
+  return res.json();
+}
+
+// Live game events over Server-Sent Events. EventSource reconnects on its own
+// and resumes after the last turn it received (Last-Event-ID); if the stream
+// is closed for good we reopen it from the latest turn `getSince` reports.
+// `seatToken` lets the stream carry chat meant for the players
+export function subscribeGame(gameId, getSince, onEvent, seatToken) {
+  let es = null;
+  let timer = null;
+  let closed = false;
+  function open() {
+    const token = seatToken ? `&seat_token=${encodeURIComponent(seatToken)}` : '';
+    es = new EventSource(`${API_BASE}/api/games/${gameId}/events?since=${getSince()}${token}`);
+    for (const type of ['move', 'pass', 'finished', 'player_joined', 'undo', 'undo_request', 'resigned', 'timeout', 'chat', 'rematch']) {
+      es.addEventListener(type, e => onEvent(type, JSON.parse(e.data)));
+    }
+    es.onerror = () => {
+      if (es.readyState === EventSource.CLOSED && !closed) timer = setTimeout(open, 3000);
+    };
+  }
+  open();
+  return () => {
+    closed = true;
+    clearTimeout(timer);
+    es.close();
+  };
+}
+
+// Spectating through a watch link: the delayed state, and `state`/`chat` events
+export async function getWatched(watchId) {
+  const res = await fetch(`${API_BASE}/api/watch/${watchId}`);
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export function subscribeWatch(watchId, onEvent) {
+  const es = new EventSource(`${API_BASE}/api/watch/${watchId}/events`);
+  for (const type of ['state', 'chat']) {
+    es.addEventListener(type, e => onEvent(type, JSON.parse(e.data)));
+  }
+  return () => es.close();
+}
+
+// Chat as a player (`seatToken` in online games) or as a spectator
+export async function getChat(gameId, seatToken) {
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/chat`, { headers: jsonHeaders(seatToken) });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export async function sendChat(gameId, body, players_only, seatToken) {
+  const res = await fetch(`${API_BASE}/api/games/${gameId}/chat`, { method: 'POST', headers: jsonHeaders(seatToken), body: JSON.stringify({ body, players_only }) });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export async function getWatchChat(watchId) {
+  const res = await fetch(`${API_BASE}/api/watch/${watchId}/chat`);
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export async function sendWatchChat(watchId, body, name) {
+  const res = await fetch(`${API_BASE}/api/watch/${watchId}/chat`, { method: 'POST', headers: jsonHeaders(), body: JSON.stringify({ body, name }) });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+
+// Tournaments: both resolve to { tournament, players, rounds, standings, winner }
+export async function createTournament(payload) {
+  const res = await fetch(`${API_BASE}/api/tournaments`, { method: 'POST', headers: jsonHeaders(), body: JSON.stringify(payload) });
+  if (!res.ok) await failed(res);
+  return res.json();
+}
+export async function getTournament(id) {
+  const res = await fetch(`${API_BASE}/api/tournaments/${id}`);
+  if (!res.ok) await failed(res);
+  return res.json();
+}
@@ -1,6 +1,6 @@
 import { defineConfig } from 'vite';
 export default defineConfig({
-  server: { host: true, port: 5173 },
+  // The rules engine lives in ../shared and is imported directly
+  server: { host: true, port: 5173, fs: { allow: ['..'] } },
   preview: { host: true, port: 4173 }
 });
-
@@ -0,0 +1,52 @@
+// Lightweight accounts: username + password, with opaque session tokens sent
+// as `Authorization: Bearer <token>`. Only a digest of each token is stored.
+// Accounts are optional; they tie games to a person so they can be listed and
+// resumed. Seat tokens (seats.js) still decide who may act in online games.
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERNAME = /^[A-Za-z0-9_.-]{3,24}$/;
+const MIN_PASSWORD = 8;
+const MAX_PASSWORD = 200;
+
+// Error code for bad registration input, or null
+export function checkCredentials(username, password) {
+  if (typeof username !== 'string' || !USERNAME.test(username)) return 'invalid_username';
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD || password.length > MAX_PASSWORD) return 'invalid_password';
+  return null;
+}
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hex] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hex) return false;
+  const expected = Buffer.from(hex, 'hex');
+  const actual = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+export function newSessionToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+export function tokenDigest(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Bearer token from the request, if any
+export function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+// User row as exposed over the API
+export function publicUser(user) {
+  return { id: user.id, username: user.username, created_at: user.created_at, rating: user.rating };
+}
@@ -0,0 +1,15 @@
+// Worker thread of ai-workers.js: rebuilds the position and picks a move.
+import { parentPort } from 'worker_threads';
+import { chooseMove } from '../shared/ai.js';
+import { stateFromSnapshot } from '../shared/snapshot.js';
+
+parentPort.on('message', ({ options, snapshot, next_player_index, color, level, team, timeLimitMs })=>{
+  try {
+    const state = stateFromSnapshot(snapshot, options);
+    if (!state) throw new Error('unreadable snapshot');
+    state.nextPlayerIndex = next_player_index;
+    parentPort.postMessage({ move: chooseMove(state, color, { level, team, timeLimitMs }) });
+  } catch (e) {
+    parentPort.postMessage({ error: e.message });
+  }
+});
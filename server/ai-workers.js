@@ -0,0 +1,59 @@
+// Computer players think on worker threads. The search level spends up to its
+// time limit per move, which on the main thread would hold up every other
+// game, event stream and clock. Positions go to a worker as a board snapshot
+// (shared/snapshot.js) plus the game's engine options; jobs queue for the next
+// free worker. AI_WORKERS sets how many run (default: one less than the CPUs).
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { encodeSnapshot } from '../shared/snapshot.js';
+
+const WORKER_COUNT = Number(process.env.AI_WORKERS) || Math.max(1, os.availableParallelism() - 1);
+
+const workers = new Map(); // worker -> job in flight, or null while idle
+const queue = []; // jobs waiting for a worker: { message, resolve, reject }
+
+function spawnWorker() {
+  const worker = new Worker(new URL('./ai-worker.js', import.meta.url));
+  workers.set(worker, null);
+  worker.on('message', ({ move, error })=>{
+    const job = workers.get(worker);
+    workers.set(worker, null);
+    worker.unref();
+    if (error) job.reject(new Error(error));
+    else job.resolve(move);
+    dispatch();
+  });
+  // a worker that dies fails its job and is replaced when needed
+  const gone = e=>{
+    if (!workers.has(worker)) return;
+    workers.get(worker)?.reject(e instanceof Error ? e : new Error(`AI worker exited with code ${e}`));
+    workers.delete(worker);
+    dispatch();
+  };
+  worker.on('error', gone);
+  worker.on('exit', gone);
+  return worker;
+}
+
+function dispatch() {
+  while (queue.length) {
+    let worker = [...workers].find(([, job])=>!job)?.[0];
+    if (!worker && workers.size < WORKER_COUNT) worker = spawnWorker();
+    if (!worker) return;
+    const job = queue.shift();
+    workers.set(worker, job);
+    // only a worker with a job keeps the process alive
+    worker.ref();
+    worker.postMessage(job.message);
+  }
+}
+
+// shared/ai.js chooseMove for `engine`, created with `options` (see
+// variants.js engineOptions), on a worker: resolves to the placement or null
+export function chooseMoveOffThread(engine, options, color, { level, team, timeLimitMs }) {
+  return new Promise((resolve, reject)=>{
+    const message = { options, snapshot: encodeSnapshot(engine), next_player_index: engine.nextPlayerIndex, color, level, team, timeLimitMs };
+    queue.push({ message, resolve, reject });
+    dispatch();
+  });
+}
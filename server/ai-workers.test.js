@@ -0,0 +1,22 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, applyMove, validateMove } from '../shared/engine.js';
+import { resolveVariant, engineOptions } from '../shared/variants.js';
+import { chooseMoveOffThread } from './ai-workers.js';
+
+const duo = resolveVariant('duo');
+
+test('computer moves are chosen off the main thread', async () => {
+  const engine = createState(engineOptions(duo));
+  applyMove(engine, { player_color: 'blue', piece_key: 'I2', cells: [[4,4],[5,4]] });
+  let ticked = false;
+  setImmediate(()=>{ ticked = true; });
+  const moves = await Promise.all(['greedy', 'search'].map(level=>chooseMoveOffThread(engine, engineOptions(duo), 'red', { level, team: ['red'], timeLimitMs: 200 })));
+  // the event loop kept turning while they were worked out
+  assert.equal(ticked, true);
+  for (const move of moves) {
+    assert.equal(move.player_color, 'red');
+    assert.ok(validateMove(engine, move).ok);
+  }
+  await assert.rejects(chooseMoveOffThread(engine, engineOptions(duo), 'red', { level: 'genius', team: ['red'] }), /unknown AI level/);
+});
@@ -0,0 +1,1412 @@
+import express from 'express';
+import cors from 'cors';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  PIECES, createState, stateFromMoves, applyMove, currentColor, validateMove, explainMove, validatePass,
+  remainingPieces, isFinished, legalMoves, hasLegalMove
+} from '../shared/engine.js';
+import { subscribe, send, publish } from './events.js';
+import { GAME_MODES, newSeatToken, publicPlayer, checkSeat, seatHolder } from './seats.js';
+import { AI_LEVELS, chooseMove } from '../shared/ai.js';
+import { resolveVariant, engineOptions, seatIndexFor, seatScores } from '../shared/variants.js';
+import { validateConfig, configuredVariant } from '../shared/config.js';
+import { exportGame, toText, parseText, replayRecord } from '../shared/notation.js';
+import { analyzePosition } from '../shared/analysis.js';
+import { encodeSnapshot, stateFromSnapshot, checkSnapshot } from '../shared/snapshot.js';
+import { isOver, isGameOver, actingSeatResigned, finalResults, GAME_STATUSES } from './lifecycle.js';
+import { ratedSeats, rateResults, playerStats } from './ratings.js';
+import { validateTimeControl, initialClocks, timeLeft, clockExpired, clockPatch, timeoutPatch, clockView } from './clocks.js';
+import { checkCredentials, hashPassword, verifyPassword, newSessionToken, tokenDigest, bearerToken, publicUser } from './accounts.js';
+import { validateTournament, tableOutcome, standings, roundStatus, pairRound } from './tournaments.js';
+import { botName, askBot, BOT_PREFIX } from './bots.js';
+import { chooseMoveOffThread } from './ai-workers.js';
+import { rematchSeat, seriesChain, seriesStandings } from './series.js';
+import { createLogger } from './log.js';
+import { createMetrics, timeStorage, secondsSince } from './metrics.js';
+import { validateParams, validateBody, PLACEMENT, PASS, RESIGNATION, UNDO, UNDO_ANSWER, JOIN, CHAT, SPECTATOR_CHAT, GAME, TEMPLATE, RECORD, TOURNAMENT, CREDENTIALS } from './validation.js';
+import { newWatchId, validateBroadcastDelay, shownMoveCount, messageText, chatAudience, canRead, publicMessage, CHAT_HISTORY } from './spectators.js';
+
+// The variant a stored game is played with, house rules applied
+function gameVariant(game, players) {
+  // classic games may use any subset of the colors, so take them from the rows
+  const base = resolveVariant(game.variant, game.variant === 'classic' ? players.map(p=>p.color) : undefined);
+  return configuredVariant(base, game.config);
+}
+
+// Player rows of the seat acting for `color` on the current turn
+function seatPlayers(loaded, color) {
+  const seat = seatIndexFor(loaded.variant, color, loaded.engine.turn);
+  const colors = loaded.variant.seats[seat] || [];
+  return loaded.players.filter(p=>colors.includes(p.color));
+}
+
+// One entry per seat; a seat's name, kind and claim live on each of its color
+// rows. Finished games add the seat's total score and rank from the results.
+function describeSeats(variant, players, results) {
+  const scores = Object.fromEntries(results.map(r=>[r.color, r.score]));
+  const totals = seatScores(variant, scores);
+  return variant.seats.map((colors, index)=>{
+    const first = publicPlayer(players.find(p=>p.color===colors[0]));
+    const seat = { index, colors, name: first.name, kind: first.kind, ai_level: first.ai_level, claimed: first.claimed, resigned: !!first.resigned_at };
+    const result = results.find(r=>r.seat_index === index);
+    if (result) Object.assign(seat, { score: totals[index], rank: result.rank });
+    return seat;
+  });
+}
+
+function serializeState({ game, variant, players, moves, results, engine }, at = new Date()) {
+  const remaining = {};
+  for (const p of players) {
+    remaining[p.color] = remainingPieces(engine, p.color);
+  }
+  // stored results, in turn order
+  const ordered = variant.colors.map(c=>results.find(r=>r.color===c)).filter(Boolean);
+
+  return {
+    game: {
+      id: game.id, created_at: game.created_at, status: game.status, mode: game.mode, variant: game.variant, board_size: game.board_size, config: game.config,
+      next_player_index: game.next_player_index,
+      next_seat: seatIndexFor(variant, currentColor(engine), engine.turn),
+      pending_undo: game.pending_undo,
+      finished_at: game.finished_at,
+      time_control: game.time_control,
+      turn_started_at: game.turn_started_at,
+      watch_id: game.watch_id,
+      broadcast_delay: game.broadcast_delay,
+      series_id: game.series_id,
+      rematch_of: game.rematch_of,
+      rematch_id: game.rematch_id
+    },
+    players: players.map(publicPlayer),
+    seats: describeSeats(variant, players, ordered),
+    shared_color: variant.shared,
+    moves,
+    remaining,
+    scores: Object.fromEntries(ordered.map(r=>[r.color, r.score])),
+    results: ordered.map(({ game_id, ...r })=>r),
+    occupiedCount: engine.occupied.size,
+    clocks: clockView(game, variant.colors, currentColor(engine), at)
+  };
+}
+
+// Game state without the move list, sent alongside each live event
+function summarize(state) {
+  const { moves, ...rest } = state;
+  return rest;
+}
+function eventFor(move) {
+  return move.passed ? 'pass' : 'move';
+}
+
+// Broadcast every move recorded after `sinceTurn` (auto-passes included) and,
+// if one of them ended the game, a final `finished` event.
+function publishMoves(state, sinceTurn) {
+  const summary = summarize(state);
+  const fresh = state.moves.filter(m=>m.turn_number > sinceTurn);
+  for (const m of fresh) publish(state.game.id, eventFor(m), { move: m, state: summary }, m.turn_number);
+  if (fresh.length && state.game.status === 'finished') publish(state.game.id, 'finished', { state: summary });
+}
+
+const AI_TIME_LIMIT_MS = Number(process.env.AI_TIME_LIMIT_MS) || 800;
+// Positions whose analysis (and hint) are kept for repeated requests
+const ANALYSIS_CACHE_SIZE = 200;
+// X-Request-Id values kept as the request id; anything else gets a fresh one
+const REQUEST_ID = /^[\w.-]{1,64}$/;
+
+// Optimistic concurrency for /place and /skip: clients send the turn_number
+// their move will get. When someone else moved first the answer is 409
+// stale_state with the fresh state to redraw from. Omitting it skips the check.
+function isStale(loaded, turnNumber) {
+  return turnNumber !== undefined && turnNumber !== loaded.moveCount + 1;
+}
+
+// Link to hand out to other players; the client joins from ?gameId=
+function inviteUrl(req, gameId) {
+  const base = process.env.CLIENT_URL || req.get('origin') || '';
+  return `${base}/?gameId=${gameId}`;
+}
+
+// Refusal for games that are not being played: still in the lobby, or over
+function checkInPlay(game) {
+  if (game.status === 'waiting') return { status: 409, error: 'game_not_started' };
+  if (isOver(game.status)) return { status: 409, error: `game_${game.status}` };
+  return null;
+}
+
+// Gate for /place and /skip: the game must be in play and, in online games,
+// the caller must hold the seat acting for the color they play.
+function checkCanAct(loaded, color, req) {
+  if (!loaded.engine.colors.includes(color)) return { status: 400, error: 'invalid_color' };
+  const closed = checkInPlay(loaded.game);
+  if (closed) return closed;
+  return checkSeat(loaded.game, seatPlayers(loaded, color), req);
+}
+
+// --- Undo / takeback ---
+
+function seatKind(loaded, seat) {
+  return loaded.players.find(p=>p.color===loaded.variant.seats[seat][0]).kind;
+}
+
+// Human seats other than `seat` must approve a takeback; hotseat games and
+// online games with a single human need nobody's approval.
+function undoApprovers(loaded, seat) {
+  if (loaded.game.mode !== 'online') return [];
+  return loaded.variant.seats.map((_, i)=>i).filter(i=>i !== seat && seatKind(loaded, i) === 'human');
+}
+
+// Default takeback target: the latest placement by `seat` (online) or by any
+// human seat (hotseat), together with the computer replies and passes after it.
+function defaultUndoTurn(loaded, seat) {
+  for (let i = loaded.moves.length - 1; i >= 0; i--) {
+    const m = loaded.moves[i];
+    if (m.passed) continue;
+    const by = seatIndexFor(loaded.variant, m.player_color, m.turn_number - 1);
+    if (seat === null ? seatKind(loaded, by) === 'human' : by === seat) return m.turn_number;
+  }
+  return null;
+}
+
+const LIST_LIMIT = 20;
+const MAX_LIST_LIMIT = 100;
+
+// ?limit=&offset= of a paged list; returns { error } on bad input
+function pageQuery(query) {
+  const limit = query.limit === undefined ? LIST_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) return { error: 'invalid_limit' };
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) return { error: 'invalid_offset' };
+  return { limit, offset };
+}
+
+// Filters for GET /api/games: ?status=a,b plus paging
+function listQuery(query) {
+  const statuses = query.status ? String(query.status).split(',') : null;
+  if (statuses && !statuses.every(s=>GAME_STATUSES.includes(s))) return { error: 'invalid_status' };
+  const page = pageQuery(query);
+  return page.error ? page : { statuses, ...page };
+}
+
+// A game as listed on the home screen: no board, just enough to pick it out
+function listEntry({ game, players, move_count }, userId) {
+  return {
+    id: game.id, created_at: game.created_at, finished_at: game.finished_at, status: game.status, mode: game.mode, variant: game.variant,
+    move_count,
+    next_color: players[game.next_player_index]?.color ?? null,
+    players: players.map(publicPlayer),
+    my_colors: players.filter(p=>p.user_id === userId).map(p=>p.color)
+  };
+}
+
+// Who reads a game's chat through the game link: 'player' for seat holders
+// (everyone in hotseat games), 'public' otherwise
+function chatViewer(loaded, req, token) {
+  return loaded.game.mode !== 'online' || seatHolder(loaded.players, req, token) ? 'player' : 'public';
+}
+
+// Event filter passing on the chat messages `viewer` may read
+function chatFilter(viewer) {
+  return (event, data)=>{
+    if (event !== 'chat') return data;
+    return canRead(viewer, data.audience) ? { message: data.message } : null;
+  };
+}
+
+// Template as the API returns it
+function publicTemplate({ user_id, ...template }) {
+  return template;
+}
+
+// Express app serving the API on top of `backend` (see storage/index.js).
+// `now` is the clock time controls run on; `bots` maps names to the external
+// bots games may seat as "bot:<name>" (see bots.js); `offThread` chooses the
+// built-in computer players' moves (ai-workers.js); `logger` (log.js) and
+// `metrics` (metrics.js) receive the request logs and counters.
+export function createApp(backend, { now = () => new Date(), bots = new Map(), offThread = chooseMoveOffThread, logger = createLogger(), metrics = createMetrics() } = {}) {
+  const requests = metrics.counter('blokus_http_requests_total', 'HTTP requests answered', ['method', 'route', 'status']);
+  const requestDuration = metrics.histogram('blokus_http_request_duration_seconds', 'Time to answer HTTP requests', ['method', 'route']);
+  const movesCommitted = metrics.counter('blokus_moves_total', 'Moves committed, computer turns and automatic passes included', ['type']);
+  const validationFailures = metrics.counter('blokus_validation_failures_total', 'Requests refused with 400, by error code', ['code']);
+  const storage = timeStorage(backend, metrics.histogram('blokus_db_query_duration_seconds', 'Storage call latency', ['operation']));
+
+  const app = express();
+  app.use(cors());
+
+  // Every request gets an id (a well-formed X-Request-Id is kept), sent back
+  // in X-Request-Id and attached to its log lines through req.log. Once
+  // answered it is logged and counted.
+  app.use((req,res,next)=>{
+    const start = process.hrtime.bigint();
+    const given = req.get('X-Request-Id');
+    req.id = given && REQUEST_ID.test(given) ? given : uuidv4();
+    req.log = logger.child({ request_id: req.id });
+    res.set('X-Request-Id', req.id);
+    const json = res.json.bind(res);
+    res.json = body=>{
+      res.locals.error = body?.error;
+      return json(body);
+    };
+    res.once('close', ()=>{
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      const duration = secondsSince(start);
+      requests.inc({ method: req.method, route, status: res.statusCode });
+      requestDuration.observe({ method: req.method, route }, duration);
+      if (res.statusCode === 400) validationFailures.inc({ code: res.locals.error ?? 'unknown' });
+      req.log.info('request', { method: req.method, route, path: req.path, status: res.statusCode, error: res.locals.error, duration_ms: Math.round(duration * 1000) });
+    });
+    next();
+  });
+
+  app.use(express.json({ limit: '1mb' }));
+  validateParams(app);
+
+  // Log an unexpected failure and answer 500 { error: code }
+  function serverError(req, res, code, e) {
+    req.log.error(code, { err: e });
+    return res.status(500).json({ error: code });
+  }
+
+  // Signed-in requests carry `Authorization: Bearer <token>` and get req.user.
+  // Accounts are optional, but a token that is sent must be valid.
+  app.use(async (req,res,next)=>{
+    const token = bearerToken(req);
+    if (!token) return next();
+    try {
+      req.user = await storage.sessionUser(tokenDigest(token));
+    } catch (e) {
+      return serverError(req, res, 'failed_to_authenticate', e);
+    }
+    if (!req.user) return res.status(401).json({ error: 'invalid_session' });
+    next();
+  });
+
+  // A game with its variant and board: { game, variant, players, results,
+  // engine, moveCount, moves }. The board comes from the snapshot written with
+  // the latest move, so the move rows are only read when `withMoves` asks for
+  // them (for answers that list them) or the snapshot has to be rebuilt.
+  async function loadGame(gameId, { withMoves = false } = {}) {
+    const rows = await storage.loadGame(gameId, { moves: withMoves });
+    if (!rows) return null;
+    const { game, players: playerRows, results } = rows;
+    let { moves: moveRows, move_count: moveCount } = rows;
+    const variant = gameVariant(game, playerRows);
+    // the games row stays authoritative for whose turn it is
+    let engine = stateFromSnapshot(game.snapshot, engineOptions(variant));
+    if (!engine || engine.turn !== moveCount) {
+      // games from before snapshots, or one out of step with the moves: replay them and store the result
+      moveRows ??= await storage.listMoves(gameId);
+      moveCount = moveRows.length;
+      engine = stateFromMoves(moveRows, engineOptions(variant));
+      game.snapshot = encodeSnapshot(engine);
+      await storage.updateGame(game.id, { snapshot: game.snapshot });
+    }
+    engine.nextPlayerIndex = game.next_player_index;
+    return { game, variant, players: playerRows, moves: moveRows, moveCount, results, engine };
+  }
+
+  // `loaded` with its move list, read now if it was loaded without; moves
+  // that landed since it was loaded are left for the next read
+  async function withMoves(loaded) {
+    loaded.moves ??= (await storage.listMoves(loaded.game.id)).slice(0, loaded.moveCount);
+    return loaded;
+  }
+
+  async function getGameState(gameId) {
+    const loaded = await loadGame(gameId, { withMoves: true });
+    return loaded && currentState(loaded);
+  }
+
+  // The game state answered for `loaded`, once it is up to date
+  async function currentState(loaded) {
+    const gameId = loaded.game.id;
+    // games that ended before the lifecycle was stored are finished on first read
+    if (loaded.game.status === 'active' && isFinished(loaded.engine)) {
+      await advanceTurns(gameId);
+      loaded = await loadGame(gameId, { withMoves: true });
+    } else if (isExpired(loaded)) {
+      // a clock ran out and its timer has not fired (or was lost in a restart)
+      return expireClocks(gameId);
+    } else {
+      scheduleClock(loaded);
+    }
+    await withMoves(loaded);
+    return { ...serializeState(loaded, now()), series: await seriesOf(loaded) };
+  }
+
+  // Series table of a game that is a rematch or has one (see series.js)
+  async function seriesOf({ game, variant }) {
+    if (!game.series_id && !game.rematch_id) return null;
+    const seriesId = game.series_id ?? game.id;
+    return seriesStandings(seriesChain(await storage.seriesGames(seriesId), seriesId), variant.seats);
+  }
+
+  // --- Time controls (see clocks.js) ---
+
+  // Whether the color to move has run out of time
+  function isExpired(loaded) {
+    return loaded.game.status === 'active' && clockExpired(loaded.game, currentColor(loaded.engine), now());
+  }
+
+  // Apply the timeouts that are due and tell subscribers; returns the fresh state.
+  async function expireClocks(gameId) {
+    const before = await loadGame(gameId);
+    if (!before) return null;
+    const timeouts = isExpired(before) ? await advanceTurns(gameId) : [];
+    const state = await getGameState(gameId);
+    const summary = summarize(state);
+    for (const t of timeouts) publish(gameId, 'timeout', { ...t, state: summary });
+    publishMoves(state, before.moveCount);
+    if (timeouts.length && state.game.status === 'finished' && state.moves.length === before.moveCount) publish(gameId, 'finished', { state: summary });
+    return state;
+  }
+
+  // One timer per timed game, due when the current turn's clock runs out, so
+  // games time out even when nobody is looking at them.
+  const clockTimers = new Map(); // gameId -> { key, timer }
+  function scheduleClock({ game, engine, moveCount }) {
+    const key = `${moveCount}@${new Date(game.turn_started_at).getTime()}`;
+    const entry = clockTimers.get(game.id);
+    if (entry?.key === key) return;
+    if (entry) clearTimeout(entry.timer);
+    clockTimers.delete(game.id);
+    if (game.status !== 'active' || !game.time_control) return;
+    const ms = timeLeft(game, currentColor(engine), now());
+    const timer = setTimeout(()=>{
+      clockTimers.delete(game.id);
+      expireClocks(game.id).catch(e=>logger.error('clock_timeout_failed', { game_id: game.id, err: e }));
+    }, Math.min(ms + 50, 2**31 - 1));
+    timer.unref();
+    clockTimers.set(game.id, { key, timer });
+  }
+
+  // Record `move`, already applied to `loaded.engine`, as turn `engine.turn`
+  // and apply `patch` and the new snapshot to the game, atomically; `loaded`
+  // follows (its move list, if read, is dropped). Returns false when that turn
+  // was already taken by a concurrent request.
+  async function commitMove(loaded, move, patch = {}) {
+    const { game, engine } = loaded;
+    const turnNumber = engine.turn;
+    patch = { ...patch, snapshot: encodeSnapshot(engine) };
+    const row = move.passed
+      ? { id: uuidv4(), player_color: move.player_color, passed: true, turn_number: turnNumber }
+      : { id: uuidv4(), player_color: move.player_color, piece_key: move.piece_key, rotation: move.rotation|0, flipped: !!move.flipped, cells: move.cells, passed: false, turn_number: turnNumber };
+    if (!await storage.appendMove(game.id, row, patch)) return false;
+    movesCommitted.inc({ type: move.passed ? 'pass' : 'place' });
+    Object.assign(game, patch);
+    loaded.moveCount = turnNumber;
+    loaded.moves = undefined;
+    return true;
+  }
+
+  // Keep the game moving until a human who can place is up: resigned seats and
+  // players with no legal placement pass automatically, computer players take
+  // their turns, and humans out of time pass or resign. Once play is over the
+  // game is finished with its results. Returns the timeouts applied. Given the
+  // game as just `loaded` and written by the caller, it goes on from there and
+  // keeps it current; `outdated` is set on it once it no longer matches the
+  // database (another request moved the game on, or the game finished).
+  async function advanceTurns(gameId, loaded = null) {
+    loaded ??= await loadGame(gameId);
+    const timeouts = [];
+    if (!loaded || loaded.game.status !== 'active') return timeouts;
+    const { engine, game } = loaded;
+    while (true) {
+      if (isGameOver(loaded)) {
+        const results = finalResults(loaded);
+        // only the request that finishes the game rates it
+        if (await storage.finishGame(gameId, results)) {
+          const seats = ratedSeats({ ...loaded, results });
+          if (seats.length) await storage.recordRatings(gameId, seats, rateResults);
+        }
+        loaded.outdated = true;
+        break;
+      }
+      const color = currentColor(engine);
+      const acting = seatPlayers(loaded, color);
+      const [player] = acting;
+      const timedOut = player.kind === 'human' && !actingSeatResigned(loaded, acting) && clockExpired(game, color, now());
+      let move;
+      if (timedOut) {
+        const action = game.time_control.on_timeout;
+        timeouts.push({ color, action });
+        if (action === 'resign') {
+          // from here on the seat passes, or the game is over
+          await storage.resignSeat(gameId, acting.map(p=>p.color));
+          for (const p of acting) p.resigned_at = p.resigned_at || now();
+          loaded.outdated = true;
+          continue;
+        }
+        move = { player_color: color, passed: true };
+      }
+      else if (actingSeatResigned(loaded, acting) || !hasLegalMove(engine, color)) move = { player_color: color, passed: true };
+      else if (player.kind === 'ai') {
+        const team = loaded.variant.seats[seatIndexFor(loaded.variant, color, engine.turn)];
+        const bot = bots.get(botName(player.ai_level));
+        move = bot
+          ? (await askBot(bot, engine, loaded.variant, color)).move
+          : await computerMove(loaded, color, { level: player.ai_level, team, timeLimitMs: AI_TIME_LIMIT_MS });
+      }
+      else break;
+      applyMove(engine, move);
+      const patch = { next_player_index: engine.nextPlayerIndex, ...(timedOut ? timeoutPatch : clockPatch)(game, color, now()) };
+      // another request moved the game on; it advances the turns from there
+      if (!await commitMove(loaded, move, patch)) {
+        loaded.outdated = true;
+        break;
+      }
+    }
+    return timeouts;
+  }
+
+  // A built-in computer player's move, chosen on a worker. A worker that
+  // crashes or fails is logged and the move is chosen here instead, so the
+  // turn is still played.
+  async function computerMove({ game, variant, engine }, color, settings) {
+    try {
+      return await offThread(engine, engineOptions(variant), color, settings);
+    } catch (e) {
+      logger.error('ai_worker_failed', { game_id: game.id, color, err: e });
+      return chooseMove(engine, color, settings);
+    }
+  }
+
+  // Remove `turnNumber` and every later move and hand the turn back.
+  async function rollBack(loaded, turnNumber) {
+    const gameId = loaded.game.id;
+    const nextIndex = (turnNumber - 1) % loaded.players.length;
+    const engine = stateFromMoves(loaded.moves.slice(0, turnNumber - 1), engineOptions(loaded.variant));
+    // the turn handed back starts afresh; banks are not refunded
+    await storage.deleteMovesFrom(gameId, turnNumber, { next_player_index: nextIndex, pending_undo: null, turn_started_at: now(), snapshot: encodeSnapshot(engine) });
+    await advanceTurns(gameId);
+    const state = await getGameState(gameId);
+    publish(gameId, 'undo', { state });
+    return state;
+  }
+
+  // The game as its watch link shows it: `broadcast_delay` moves behind while
+  // it is played, with the clocks hidden along with the moves, and without the
+  // game id.
+  function spectatorState(loaded) {
+    const shown = shownMoveCount(loaded.game, loaded.moves.length);
+    let view = loaded;
+    if (shown < loaded.moves.length) {
+      const moves = loaded.moves.slice(0, shown);
+      const engine = stateFromMoves(moves, engineOptions(loaded.variant));
+      view = { ...loaded, moves, engine, game: { ...loaded.game, next_player_index: engine.nextPlayerIndex, pending_undo: null, time_control: null } };
+    }
+    const state = serializeState(view, now());
+    const hidden = { id: null, series_id: null, rematch_of: null, rematch_id: null };
+    return { ...state, game: { ...state.game, ...hidden }, spectating: true, hidden_moves: loaded.moves.length - shown };
+  }
+
+  // Spectators get the whole delayed view after each change. It is built once
+  // per burst of events, however many are watching.
+  const spectatorViews = new Map(); // gameId -> Promise<state>
+  function spectatorView(gameId) {
+    if (!spectatorViews.has(gameId)) {
+      spectatorViews.set(gameId, new Promise(resolve=>setImmediate(resolve)).then(async ()=>{
+        spectatorViews.delete(gameId);
+        const loaded = await loadGame(gameId, { withMoves: true });
+        return loaded && spectatorState(loaded);
+      }));
+    }
+    return spectatorViews.get(gameId);
+  }
+
+  // Analyses by game and position (its snapshot and the color to move):
+  // toggling the analysis layer or scrubbing a replay does not walk the legal
+  // moves again, and each position's hint is searched for once, on a worker.
+  // The least recently used positions are dropped first.
+  const analyses = new Map(); // key -> { engine, analysis, hint?: Promise<move> }
+  function positionAnalysis(gameId, engine) {
+    const key = `${gameId}:${engine.nextPlayerIndex}:${JSON.stringify(encodeSnapshot(engine))}`;
+    let entry = analyses.get(key);
+    if (entry) analyses.delete(key);
+    else entry = { engine, analysis: analyzePosition(engine) };
+    analyses.set(key, entry);
+    if (analyses.size > ANALYSIS_CACHE_SIZE) analyses.delete(analyses.keys().next().value);
+    return entry;
+  }
+
+  // The search player's move for the color to move in an analysed position
+  function positionHint(entry, variant) {
+    if (!entry.hint) {
+      const { engine } = entry;
+      const color = currentColor(engine);
+      const team = variant.seats[seatIndexFor(variant, color, engine.turn)] || [color];
+      entry.hint = chooseMoveOffThread(engine, engineOptions(variant), color, { level: 'search', team, timeLimitMs: AI_TIME_LIMIT_MS });
+      // a failed search is tried again on the next request
+      entry.hint.catch(()=>{ entry.hint = undefined; });
+    }
+    return entry.hint;
+  }
+
+  async function loadWatched(watchId, options) {
+    const gameId = await storage.findWatchedGame(watchId);
+    return gameId ? loadGame(gameId, options) : null;
+  }
+
+  // Store a chat message and send it to the subscribers who may read it
+  async function postChat(loaded, message) {
+    const row = await storage.addChatMessage({ ...message, game_id: loaded.game.id });
+    const data = { message: publicMessage(row), audience: chatAudience(row, loaded.game) };
+    publish(loaded.game.id, 'chat', data);
+    return data.message;
+  }
+
+  async function chatHistory(loaded, viewer) {
+    const rows = await storage.chatMessages(loaded.game.id, CHAT_HISTORY);
+    return rows.filter(m=>canRead(viewer, chatAudience(m, loaded.game))).map(publicMessage);
+  }
+
+  app.get('/api/health', (_req,res)=> res.json({ ok: true }));
+  app.get('/metrics', (_req,res)=> res.type('text/plain; version=0.0.4').send(metrics.render()));
+  // Levels `ai` can seat: the built-in ones and the registered bots
+  app.get('/api/bots', (_req,res)=> res.json({ levels: AI_LEVELS, bots: [...bots.keys()].map(name=>BOT_PREFIX + name) }));
+  // The standard set, or with ?gameId= the piece set that game is played with
+  app.get('/api/pieces', async (req,res)=> {
+    if (!req.query.gameId) return res.json({ pieces: Object.fromEntries(Object.entries(PIECES).map(([k,v])=>[k,v])) });
+    try {
+      const loaded = await loadGame(req.query.gameId);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      res.json({ pieces: loaded.engine.pieces });
+    } catch (e) {
+      serverError(req, res, 'failed_to_load_pieces', e);
+    }
+  });
+
+  // --- Accounts (see accounts.js) ---
+
+  async function startSession(user) {
+    const token = newSessionToken();
+    await storage.createSession({ token_hash: tokenDigest(token), user_id: user.id });
+    return { user: publicUser(user), token };
+  }
+
+  app.post('/api/users', validateBody(CREDENTIALS), async (req,res)=>{
+    try {
+      const { username, password } = req.body || {};
+      const invalid = checkCredentials(username, password);
+      if (invalid) return res.status(400).json({ error: invalid });
+      const id = uuidv4();
+      if (!await storage.createUser({ id, username, password_hash: await hashPassword(password) })) {
+        return res.status(409).json({ error: 'username_taken' });
+      }
+      res.status(201).json(await startSession(await storage.findUser(username)));
+    } catch (e) {
+      serverError(req, res, 'failed_to_register', e);
+    }
+  });
+
+  // Log in: { username, password } -> { user, token }
+  app.post('/api/sessions', validateBody(CREDENTIALS), async (req,res)=>{
+    try {
+      const { username, password } = req.body;
+      const user = await storage.findUser(username);
+      if (!user || !await verifyPassword(password, user.password_hash)) return res.status(401).json({ error: 'invalid_credentials' });
+      res.json(await startSession(user));
+    } catch (e) {
+      serverError(req, res, 'failed_to_log_in', e);
+    }
+  });
+
+  // Log out the session whose token is sent
+  app.delete('/api/sessions', async (req,res)=>{
+    if (!req.user) return res.status(401).json({ error: 'auth_required' });
+    try {
+      await storage.deleteSession(tokenDigest(bearerToken(req)));
+      res.status(204).end();
+    } catch (e) {
+      serverError(req, res, 'failed_to_log_out', e);
+    }
+  });
+
+  app.get('/api/me', (req,res)=>{
+    if (!req.user) return res.status(401).json({ error: 'auth_required' });
+    res.json({ user: publicUser(req.user) });
+  });
+
+  // The signed-in user's games, newest first: the ones they created and the
+  // ones they hold a seat in. ?status=active,finished narrows the list.
+  app.get('/api/games', async (req,res)=>{
+    if (!req.user) return res.status(401).json({ error: 'auth_required' });
+    const query = listQuery(req.query);
+    if (query.error) return res.status(400).json({ error: query.error });
+    try {
+      const { games, total } = await storage.listGames(req.user.id, query);
+      res.json({ games: games.map(g=>listEntry(g, req.user.id)), total, limit: query.limit, offset: query.offset });
+    } catch (e) {
+      serverError(req, res, 'failed_to_list_games', e);
+    }
+  });
+
+  // --- Ratings (see ratings.js) ---
+
+  app.get('/api/leaderboard', async (req,res)=>{
+    const page = pageQuery(req.query);
+    if (page.error) return res.status(400).json({ error: page.error });
+    try {
+      const { users, total } = await storage.leaderboard(page);
+      const players = users.map((u, i)=>({ rank: page.offset + i + 1, ...publicUser(u), games: u.games }));
+      res.json({ players, total, ...page });
+    } catch (e) {
+      serverError(req, res, 'failed_to_load_leaderboard', e);
+    }
+  });
+
+  // Finished games of an account: totals, plus the rating after each rated game
+  app.get('/api/players/:id/stats', async (req,res)=>{
+    try {
+      const user = await storage.findUserById(req.params.id);
+      if (!user) return res.status(404).json({ error: 'not_found' });
+      const history = await storage.ratingHistory(user.id);
+      res.json({
+        user: publicUser(user),
+        stats: playerStats(await storage.userResults(user.id)),
+        history: history.map(({ user_id, ...h })=>h)
+      });
+    } catch (e) {
+      serverError(req, res, 'failed_to_load_stats', e);
+    }
+  });
+
+  // --- Games ---
+
+  // Validated settings of a new game from a POST /api/games body (or a
+  // template): { setup } for openGame plus the `settings` a template stores,
+  // or { error }
+  function gameSetup(body) {
+    const { players, mode = 'online', ai = {}, variant: variantName = 'classic', config: rawConfig } = body || {};
+    if (!GAME_MODES.includes(mode)) return { error: 'invalid_mode' };
+    // a custom color list is only meaningful for classic games
+    const customColors = Array.isArray(players) && players.length > 0 ? players : undefined;
+    if (customColors && variantName !== 'classic') return { error: 'invalid_players' };
+    const base = resolveVariant(variantName, customColors);
+    if (!base) return { error: customColors ? 'invalid_players' : 'invalid_variant' };
+    const { config, error: configError } = validateConfig(rawConfig, base);
+    if (configError) return { error: configError };
+    const { timeControl, error: clockError } = validateTimeControl(body?.time_control);
+    if (clockError) return { error: clockError };
+    const { delay, error: delayError } = validateBroadcastDelay(body?.broadcast_delay);
+    if (delayError) return { error: delayError };
+    const variant = configuredVariant(base, config);
+    // ai: { color: level } seats a computer player, or a registered bot as
+    // "bot:<name>", on that color's seat
+    const seatOf = c => variant.seats.findIndex(s=>s.includes(c));
+    const knownLevel = level => AI_LEVELS.includes(level) || bots.has(botName(level));
+    if (typeof ai !== 'object' || Object.entries(ai).some(([c,level])=>seatOf(c) < 0 || !knownLevel(level))) {
+      return { error: 'invalid_ai' };
+    }
+    const seatLevels = variant.seats.map(colors=>colors.map(c=>ai[c]).find(Boolean) || null);
+    return {
+      setup: { mode, variant, config, timeControl, delay, seatLevels },
+      settings: { mode, variant: variantName, players: customColors, config, time_control: timeControl, broadcast_delay: delay, ai }
+    };
+  }
+
+  // Create a game from a gameSetup and play any computer turns; returns its
+  // id. `seats` may hold a claim carried over from another game per seat
+  // index, { name, seat_token, user_id }, and `links` its series columns.
+  async function openGame({ mode, variant, config, timeControl, delay, seatLevels }, { createdBy, seats = [], links = {} } = {}) {
+    const id = uuidv4();
+    // online games wait in the lobby until every human seat has been claimed;
+    // a lobby of computer players (or of claimed seats) starts right away
+    const status = mode === 'online' && !seatLevels.every((level, seat)=>level || seats[seat]?.seat_token) ? 'waiting' : 'active';
+    await storage.createGame({
+      id, mode, status, variant: variant.name, board_size: variant.boardSize, config, created_by: createdBy,
+      time_control: timeControl, clocks: initialClocks(timeControl, variant.colors), turn_started_at: now(),
+      watch_id: newWatchId(), broadcast_delay: delay, snapshot: encodeSnapshot(createState(engineOptions(variant))), ...links
+    });
+    await storage.addPlayers(id, variant.colors.map((color, idx)=>{
+      const name = color.charAt(0).toUpperCase()+color.slice(1);
+      if (color === variant.shared) return { id: uuidv4(), color, order_index: idx, name, kind: 'shared' };
+      const seat = variant.seats.findIndex(s=>s.includes(color));
+      const level = seatLevels[seat];
+      if (level) return { id: uuidv4(), color, order_index: idx, name, kind: 'ai', ai_level: level };
+      const claim = seats[seat];
+      return {
+        id: uuidv4(), color, order_index: idx, name: claim?.name ?? name, kind: 'human',
+        seat_token: claim?.seat_token ?? null, user_id: claim?.user_id ?? null, joined_at: claim?.seat_token ? now() : null
+      };
+    }));
+    await advanceTurns(id);
+    return id;
+  }
+
+  // { template: id } starts from one of the signed-in user's templates; the
+  // rest of the body overrides its settings
+  app.post('/api/games', validateBody(GAME), async (req,res)=>{
+    try {
+      let { template: templateId, ...body } = req.body || {};
+      if (templateId !== undefined) {
+        if (!req.user) return res.status(401).json({ error: 'auth_required' });
+        const template = await storage.findTemplate(templateId);
+        if (!template || template.user_id !== req.user.id) return res.status(404).json({ error: 'template_not_found' });
+        body = { ...template.settings, ...body };
+      }
+      const { setup, error } = gameSetup(body);
+      if (error) return res.status(400).json({ error });
+      const id = await openGame(setup, { createdBy: req.user?.id });
+      const state = await getGameState(id);
+      if (setup.mode === 'online') state.invite_url = inviteUrl(req, id);
+      res.json(state);
+    } catch (e) {
+      serverError(req, res, 'failed_to_create_game', e);
+    }
+  });
+
+  // Play again: a finished (or abandoned) game's settings and players, each
+  // one seat on so another seat moves first (see series.js). Any seat holder
+  // may ask; the first request opens the rematch and later ones get the same
+  // game, each with their own new seat token. Claimed seats stay claimed.
+  app.post('/api/games/:id/rematch', async (req,res)=>{
+    try {
+      const loaded = await loadGame(req.params.id);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      const { game, variant, players } = loaded;
+      if (!isOver(game.status)) return res.status(409).json({ error: 'game_not_finished' });
+      const humans = players.filter(p=>p.kind === 'human');
+      const denied = checkSeat(game, humans, req);
+      if (denied) return res.status(denied.status).json({ error: denied.error });
+
+      let rematchId = game.rematch_id;
+      if (!rematchId) {
+        const seats = [];
+        const seatLevels = [];
+        variant.seats.forEach((colors, seat)=>{
+          const holder = players.find(p=>p.color === colors[0]);
+          const next = rematchSeat(seat, variant.seats.length);
+          seatLevels[next] = holder.kind === 'ai' ? holder.ai_level : null;
+          seats[next] = { name: holder.name, seat_token: holder.seat_token ? newSeatToken() : null, user_id: holder.user_id };
+        });
+        const setup = { mode: game.mode, variant, config: game.config, timeControl: game.time_control, delay: game.broadcast_delay, seatLevels };
+        const id = await openGame(setup, { createdBy: game.created_by, seats, links: { series_id: game.series_id ?? game.id, rematch_of: game.id } });
+        if (await storage.linkRematch(game.id, id)) {
+          rematchId = id;
+          publish(game.id, 'rematch', { rematch_id: id });
+        } else {
+          // another seat holder's rematch was linked first
+          await storage.updateGame(id, { status: 'abandoned' });
+          rematchId = (await storage.loadGame(game.id, { moves: false })).game.rematch_id;
+        }
+      }
+
+      const state = await getGameState(rematchId);
+      if (game.mode !== 'online') return res.json(state);
+      state.invite_url = inviteUrl(req, rematchId);
+      const holder = seatHolder(humans, req);
+      const index = rematchSeat(variant.seats.findIndex(s=>s.includes(holder.color)), variant.seats.length);
+      const colors = variant.seats[index];
+      const rematch = await storage.loadGame(rematchId, { moves: false });
+      const token = rematch.players.find(p=>p.color === colors[0]).seat_token;
+      res.json({ seat: { index, colors, token }, ...state });
+    } catch (e) {
+      serverError(req, res, 'failed_to_rematch', e);
+    }
+  });
+
+  // --- Templates: named game setups of an account ---
+
+  app.get('/api/templates', async (req,res)=>{
+    if (!req.user) return res.status(401).json({ error: 'auth_required' });
+    try {
+      res.json({ templates: (await storage.listTemplates(req.user.id)).map(publicTemplate) });
+    } catch (e) {
+      serverError(req, res, 'failed_to_list_templates', e);
+    }
+  });
+
+  // { name, ...POST /api/games body } saves the setup under `name`, replacing
+  // the user's template of that name
+  app.post('/api/templates', validateBody(TEMPLATE), async (req,res)=>{
+    if (!req.user) return res.status(401).json({ error: 'auth_required' });
+    try {
+      const { name, ...body } = req.body;
+      const { settings, error } = gameSetup(body);
+      if (error) return res.status(400).json({ error });
+      const template = await storage.saveTemplate({ id: uuidv4(), user_id: req.user.id, name: name.trim(), settings });
+      res.status(201).json({ template: publicTemplate(template) });
+    } catch (e) {
+      serverError(req, res, 'failed_to_save_template', e);
+    }
+  });
+
+  app.delete('/api/templates/:id', async (req,res)=>{
+    if (!req.user) return res.status(401).json({ error: 'auth_required' });
+    try {
+      if (!await storage.deleteTemplate(req.params.id, req.user.id)) return res.status(404).json({ error: 'template_not_found' });
+      res.status(204).end();
+    } catch (e) {
+      serverError(req, res, 'failed_to_delete_template', e);
+    }
+  });
+
+  // Claim a color in an online game. The seat token is only ever returned here,
+  // to the claimer and later to the account that claimed it.
+  app.post('/api/games/:id/join', validateBody(JOIN), async (req,res)=>{
+    try {
+      const gameId = req.params.id;
+      const { color, name } = req.body || {};
+      const loaded = await loadGame(gameId);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      if (loaded.game.mode !== 'online') return res.status(400).json({ error: 'not_an_online_game' });
+      // claiming any color of a seat claims all of them; the shared color has no seat
+      const seat = loaded.variant.seats.findIndex(s=>s.includes(color));
+      if (seat < 0) return res.status(400).json({ error: 'invalid_color' });
+      const colors = loaded.variant.seats[seat];
+
+      // a signed-in player resuming on another device gets their seat token back
+      const owned = req.user && loaded.players.find(p=>p.color === colors[0] && p.user_id === req.user.id);
+      if (owned) return res.json({ seat: { index: seat, colors, token: owned.seat_token }, ...await getGameState(gameId) });
+
+      const token = newSeatToken();
+      // signed-in players default to their username and get the game listed
+      const rows = await storage.claimSeat(gameId, colors, token, name ? name.trim() : req.user?.username ?? null, req.user?.id);
+      if (rows.length === 0) return res.status(409).json({ error: 'seat_taken' });
+      // re-read after claiming so a join racing this one is seen either here or there
+      const after = await storage.loadGame(gameId, { moves: false });
+      if (after.game.status === 'waiting' && after.players.every(p=>p.kind !== 'human' || p.seat_token)) {
+        await storage.updateGame(gameId, { status: 'active', turn_started_at: now() });
+      }
+      // computer players may open the game once the lobby is full
+      await advanceTurns(gameId);
+
+      const state = await getGameState(gameId);
+      publish(gameId, 'player_joined', { player: publicPlayer(rows[0]), state: summarize(state) });
+      publishMoves(state, loaded.moveCount);
+      res.json({ seat: { index: seat, colors, token }, ...state });
+    } catch (e) {
+      serverError(req, res, 'failed_to_join', e);
+    }
+  });
+
+  app.get('/api/games/:id', async (req,res)=>{
+    try {
+      const state = await getGameState(req.params.id);
+      if (!state) return res.status(404).json({ error: 'not_found' });
+      res.json(state);
+    } catch (e) {
+      serverError(req, res, 'failed_to_load_game', e);
+    }
+  });
+
+  // Live updates as Server-Sent Events. Each move/pass event carries its
+  // turn_number as the event id, so a reconnecting EventSource resumes via
+  // Last-Event-ID; first-time subscribers pass ?since=N to catch up from turn N.
+  app.get('/api/games/:id/events', async (req,res)=>{
+    let loaded, viewer;
+    try {
+      loaded = await loadGame(req.params.id);
+      // chat for the players needs the seat token, sent as ?seat_token= here
+      if (loaded) viewer = chatViewer(loaded, req, req.query.seat_token);
+    } catch (e) {
+      return serverError(req, res, 'failed_to_subscribe', e);
+    }
+    if (!loaded) return res.status(404).json({ error: 'not_found' });
+    const since = Number(req.get('Last-Event-ID') ?? req.query.since ?? loaded.moveCount);
+    if (!Number.isInteger(since) || since < 0) return res.status(400).json({ error: 'invalid_since' });
+
+    // subscribe before reading the backlog so nothing lands in between; clients drop duplicate turns
+    subscribe(loaded.game.id, req, res, chatFilter(viewer));
+    try {
+      const latest = await getGameState(loaded.game.id);
+      // the client is ahead of the server, so moves it knows were taken back
+      if (since > latest.moves.length) send(res, 'undo', { state: latest });
+      const summary = summarize(latest);
+      for (const m of latest.moves) {
+        if (m.turn_number > since) send(res, eventFor(m), { move: m, state: summary }, m.turn_number);
+      }
+    } catch (e) {
+      req.log.error('failed_to_send_backlog', { err: e });
+      res.end();
+    }
+  });
+
+  app.get('/api/games/:id/legal-moves', async (req,res)=>{
+    try {
+      const loaded = await loadGame(req.params.id);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      const color = req.query.color || currentColor(loaded.engine);
+      if (!loaded.engine.colors.includes(color)) return res.status(400).json({ error: 'invalid_color' });
+      const moves = legalMoves(loaded.engine, color);
+      // per-piece counts so clients can tell which pieces still fit without walking the list
+      const pieces = {};
+      for (const m of moves) pieces[m.piece_key] = (pieces[m.piece_key] || 0) + 1;
+      res.json({ color, count: moves.length, pieces, moves });
+    } catch (e) {
+      serverError(req, res, 'failed_to_list_moves', e);
+    }
+  });
+
+  // Analysis of the position after `?turn=N` moves (the live one by default):
+  // corners, legal move counts and exclusive/contested cells per
+  // shared/analysis.js. With ?hint=1 it adds a hint, the move the search player
+  // would make for the color to move; while an online game is being played
+  // only the seat to move gets one for the live position.
+  app.get('/api/games/:id/analysis', async (req,res)=>{
+    try {
+      const loaded = await loadGame(req.params.id);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      const total = loaded.moveCount;
+      const turn = req.query.turn === undefined ? total : Number(req.query.turn);
+      if (!Number.isInteger(turn) || turn < 0 || turn > total) return res.status(400).json({ error: 'invalid_turn_number' });
+      const engine = turn === total ? loaded.engine : stateFromMoves((await withMoves(loaded)).moves.slice(0, turn), engineOptions(loaded.variant));
+      const entry = positionAnalysis(loaded.game.id, engine);
+      const color = currentColor(entry.engine);
+      const body = { turn, color, ...entry.analysis };
+      if (req.query.hint === '1') {
+        const hidden = turn === total && loaded.game.mode === 'online' && loaded.game.status === 'active' && !!checkSeat(loaded.game, seatPlayers(loaded, color), req);
+        body.hint = hidden ? null : await positionHint(entry, loaded.variant);
+      }
+      res.json(body);
+    } catch (e) {
+      serverError(req, res, 'failed_to_analyze', e);
+    }
+  });
+
+  app.post('/api/games/:id/skip', validateBody(PASS), async (req,res)=>{
+    try {
+      const gameId = req.params.id;
+      const { player_color, turn_number } = req.body;
+      const loaded = await loadGame(gameId);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      if (isExpired(loaded)) return res.status(409).json({ error: 'time_expired', state: await expireClocks(gameId) });
+      const denied = checkCanAct(loaded, player_color, req);
+      if (denied) return res.status(denied.status).json({ error: denied.error });
+      if (isStale(loaded, turn_number)) return res.status(409).json({ error: 'stale_state', state: await currentState(loaded) });
+      const check = validatePass(loaded.engine, { player_color });
+      if (!check.ok) return res.status(400).json({ error: check.error });
+
+      // advance next_player_index
+      const nextIndex = (loaded.game.next_player_index + 1) % loaded.players.length;
+      // a new move supersedes any open takeback request
+      const patch = { next_player_index: nextIndex, pending_undo: null, ...clockPatch(loaded.game, player_color, now()) };
+      const move = { player_color, passed: true };
+      const before = loaded.moveCount;
+      applyMove(loaded.engine, move);
+      if (!await commitMove(loaded, move, patch)) return res.status(409).json({ error: 'stale_state', state: await getGameState(gameId) });
+      await advanceTurns(gameId, loaded);
+
+      // the game as written here, unless someone else got to it meanwhile
+      const newState = loaded.outdated ? await getGameState(gameId) : await currentState(loaded);
+      publishMoves(newState, before);
+      res.json(newState);
+    } catch (e) {
+      serverError(req, res, 'failed_to_skip', e);
+    }
+  });
+
+  // Dry run of /place for previews: the same body (seat token and turn number
+  // are not needed), answered with whether the placement is legal right now
+  // and, per engine explainMove, which cells break which rule. Nothing is stored.
+  app.post('/api/games/:id/validate', validateBody(PLACEMENT), async (req,res)=>{
+    try {
+      const { player_color, piece_key, rotation=0, flipped=false, position } = req.body;
+      const loaded = await loadGame(req.params.id);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      const closed = checkInPlay(loaded.game);
+      if (closed) return res.status(closed.status).json({ error: closed.error });
+      if (!loaded.engine.colors.includes(player_color)) return res.status(400).json({ error: 'invalid_color' });
+      const explained = explainMove(loaded.engine, { player_color, piece_key, rotation, flipped, position });
+      if (!explained.cells) return res.status(400).json({ error: explained.error });
+      const { ok, error = null, ...detail } = explained;
+      res.json({ valid: ok, error, ...detail });
+    } catch (e) {
+      serverError(req, res, 'failed_to_validate', e);
+    }
+  });
+
+  app.post('/api/games/:id/place', validateBody(PLACEMENT), async (req,res)=>{
+    try {
+      const gameId = req.params.id;
+      const { player_color, piece_key, rotation=0, flipped=false, position, turn_number } = req.body;
+      const loaded = await loadGame(gameId);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      if (isExpired(loaded)) return res.status(409).json({ error: 'time_expired', state: await expireClocks(gameId) });
+      const denied = checkCanAct(loaded, player_color, req);
+      if (denied) return res.status(denied.status).json({ error: denied.error });
+      if (isStale(loaded, turn_number)) return res.status(409).json({ error: 'stale_state', state: await currentState(loaded) });
+
+      const check = validateMove(loaded.engine, { player_color, piece_key, rotation, flipped, position });
+      if (!check.ok) return res.status(400).json({ error: check.error });
+
+      // Advance next player
+      const nextIndex = (loaded.game.next_player_index + 1) % loaded.players.length;
+      // a new move supersedes any open takeback request
+      const patch = { next_player_index: nextIndex, pending_undo: null, ...clockPatch(loaded.game, player_color, now()) };
+      const move = { player_color, piece_key, rotation, flipped, cells: check.cells };
+      const before = loaded.moveCount;
+      applyMove(loaded.engine, move);
+      if (!await commitMove(loaded, move, patch)) return res.status(409).json({ error: 'stale_state', state: await getGameState(gameId) });
+      await advanceTurns(gameId, loaded);
+
+      // the game as written here, unless someone else got to it meanwhile
+      const newState = loaded.outdated ? await getGameState(gameId) : await currentState(loaded);
+      publishMoves(newState, before);
+      res.json(newState);
+    } catch (e) {
+      serverError(req, res, 'failed_to_place', e);
+    }
+  });
+
+  // Resign a seat: online games resign the seat whose token is sent, hotseat
+  // games the seat playing { color }. Its colors pass from now on, and the game
+  // ends once a single seat is left playing.
+  app.post('/api/games/:id/resign', validateBody(RESIGNATION), async (req,res)=>{
+    try {
+      const gameId = req.params.id;
+      const loaded = await loadGame(gameId);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      const closed = checkInPlay(loaded.game);
+      if (closed) return res.status(closed.status).json({ error: closed.error });
+      let seat;
+      if (loaded.game.mode === 'online') {
+        const holder = seatHolder(loaded.players, req);
+        if (!holder) return res.status(403).json({ error: 'invalid_seat_token' });
+        seat = loaded.variant.seats.findIndex(s=>s.includes(holder.color));
+      } else {
+        seat = loaded.variant.seats.findIndex(s=>s.includes((req.body || {}).color));
+        if (seat < 0) return res.status(400).json({ error: 'invalid_color' });
+      }
+      const resigned = await storage.resignSeat(gameId, loaded.variant.seats[seat]);
+      if (resigned.length === 0) return res.status(409).json({ error: 'already_resigned' });
+      // passes the seat's turn if it is up, or ends the game
+      await advanceTurns(gameId);
+
+      const state = await getGameState(gameId);
+      publish(gameId, 'resigned', { seat, state: summarize(state) });
+      publishMoves(state, loaded.moveCount);
+      if (state.game.status === 'finished' && state.moves.length === loaded.moveCount) publish(gameId, 'finished', { state: summarize(state) });
+      res.json(state);
+    } catch (e) {
+      serverError(req, res, 'failed_to_resign', e);
+    }
+  });
+
+  // Integrity check of the board snapshot (shared/snapshot.js): the moves are
+  // replayed and compared with it, and a snapshot that disagrees is rebuilt
+  // from them. Answers { consistent, rebuilt, turn }.
+  app.post('/api/games/:id/integrity', async (req,res)=>{
+    try {
+      const rows = await storage.loadGame(req.params.id);
+      if (!rows) return res.status(404).json({ error: 'not_found' });
+      const { game, players, moves } = rows;
+      const { consistent, state } = checkSnapshot(game.snapshot, moves, engineOptions(gameVariant(game, players)));
+      if (!consistent) await storage.updateGame(game.id, { snapshot: encodeSnapshot(state) });
+      res.json({ consistent, rebuilt: !consistent, turn: state.turn });
+    } catch (e) {
+      serverError(req, res, 'failed_to_check_integrity', e);
+    }
+  });
+
+  // --- Export / import (format documented in shared/notation.js) ---
+
+  // ?format=text for the one-line-per-move notation, JSON otherwise
+  app.get('/api/games/:id/export', async (req,res)=>{
+    try {
+      const loaded = await loadGame(req.params.id, { withMoves: true });
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      const record = exportGame({ variant: loaded.game.variant, config: loaded.game.config, players: loaded.players, moves: loaded.moves });
+      if (req.query.format === 'text') return res.type('text/plain').send(toText(record));
+      res.json(record);
+    } catch (e) {
+      serverError(req, res, 'failed_to_export', e);
+    }
+  });
+
+  // Recreate a game from an export (JSON body, or text/plain in the text
+  // notation) as a hotseat game. Every move is checked as /place and /skip
+  // would; the first illegal one is reported as { error, turn }.
+  app.post('/api/games/import', express.text({ limit: '1mb' }), validateBody(RECORD, { text: true }), async (req,res)=>{
+    try {
+      let record = req.body;
+      if (typeof record === 'string') {
+        const parsed = parseText(record);
+        if (parsed.error) return res.status(400).json(parsed);
+        record = parsed.record;
+      }
+      const replay = replayRecord(record);
+      if (replay.error) return res.status(400).json(replay);
+      const { variant, config, players, moves, state } = replay;
+
+      const id = uuidv4();
+      // a finished record is finished (and scored) by advanceTurns below
+      await storage.createGame({ id, mode: 'hotseat', status: 'active', variant: variant.name, board_size: variant.boardSize, config, next_player_index: state.nextPlayerIndex, created_by: req.user?.id, turn_started_at: now(), watch_id: newWatchId(),
+        snapshot: encodeSnapshot(createState(engineOptions(variant))) });
+      await storage.addPlayers(id, players.map((p, idx)=>{
+        const name = p.name || p.color.charAt(0).toUpperCase()+p.color.slice(1);
+        const kind = p.color === variant.shared ? 'shared' : 'human';
+        return { id: uuidv4(), color: p.color, order_index: idx, name, kind };
+      }));
+      const loaded = { game: { id }, engine: createState(engineOptions(variant)), moveCount: 0 };
+      for (const move of moves) {
+        applyMove(loaded.engine, move);
+        await commitMove(loaded, move);
+      }
+      await advanceTurns(id);
+      res.json(await getGameState(id));
+    } catch (e) {
+      serverError(req, res, 'failed_to_import', e);
+    }
+  });
+
+  // Take back the latest move, or roll back to { turn_number } (that turn and
+  // all later ones are removed). Multi-seat online games open a takeback request
+  // the other human seats answer via /undo/respond.
+  app.post('/api/games/:id/undo', validateBody(UNDO), async (req,res)=>{
+    try {
+      const loaded = await loadGame(req.params.id, { withMoves: true });
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      const closed = checkInPlay(loaded.game);
+      if (closed) return res.status(closed.status).json({ error: closed.error });
+      let seat = null;
+      if (loaded.game.mode === 'online') {
+        const holder = seatHolder(loaded.players, req);
+        if (!holder) return res.status(403).json({ error: 'invalid_seat_token' });
+        seat = loaded.variant.seats.findIndex(s=>s.includes(holder.color));
+      }
+      if (loaded.game.pending_undo) return res.status(409).json({ error: 'undo_already_pending' });
+
+      const { turn_number } = req.body || {};
+      const target = turn_number ?? defaultUndoTurn(loaded, seat);
+      if (target === null) return res.status(400).json({ error: 'nothing_to_undo' });
+      if (!Number.isInteger(target) || target < 1 || target > loaded.moves.length) return res.status(400).json({ error: 'invalid_turn_number' });
+
+      if (undoApprovers(loaded, seat).length === 0) return res.json(await rollBack(loaded, target));
+
+      const pending = { seat, turn_number: target, approvals: [], created_at: new Date().toISOString() };
+      await storage.updateGame(loaded.game.id, { pending_undo: pending });
+      const state = await getGameState(loaded.game.id);
+      publish(loaded.game.id, 'undo_request', { state: summarize(state) });
+      res.status(202).json(state);
+    } catch (e) {
+      serverError(req, res, 'failed_to_undo', e);
+    }
+  });
+
+  // Answer the open takeback request with { accept: true|false }. The requester
+  // may withdraw it by answering false; the rollback happens once every other
+  // human seat has accepted.
+  app.post('/api/games/:id/undo/respond', validateBody(UNDO_ANSWER), async (req,res)=>{
+    try {
+      const loaded = await loadGame(req.params.id, { withMoves: true });
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      const closed = checkInPlay(loaded.game);
+      if (closed) return res.status(closed.status).json({ error: closed.error });
+      const pending = loaded.game.pending_undo;
+      if (!pending) return res.status(409).json({ error: 'no_pending_undo' });
+      const holder = seatHolder(loaded.players, req);
+      if (!holder) return res.status(403).json({ error: 'invalid_seat_token' });
+      const seat = loaded.variant.seats.findIndex(s=>s.includes(holder.color));
+      const { accept } = req.body;
+      const approvers = undoApprovers(loaded, pending.seat);
+      if (seat !== pending.seat && !approvers.includes(seat)) return res.status(403).json({ error: 'not_an_approver' });
+
+      if (!accept) {
+        await storage.updateGame(loaded.game.id, { pending_undo: null });
+        const state = await getGameState(loaded.game.id);
+        publish(loaded.game.id, 'undo_request', { state: summarize(state) });
+        return res.json(state);
+      }
+      if (seat === pending.seat) return res.status(400).json({ error: 'cannot_approve_own_request' });
+      const approvals = [...new Set([...pending.approvals, seat])];
+      if (approvers.every(s=>approvals.includes(s))) return res.json(await rollBack(loaded, pending.turn_number));
+
+      await storage.updateGame(loaded.game.id, { pending_undo: { ...pending, approvals } });
+      const state = await getGameState(loaded.game.id);
+      publish(loaded.game.id, 'undo_request', { state: summarize(state) });
+      res.json(state);
+    } catch (e) {
+      serverError(req, res, 'failed_to_respond', e);
+    }
+  });
+
+  // --- Spectators and chat (see spectators.js) ---
+
+  app.get('/api/watch/:watchId', async (req,res)=>{
+    try {
+      const loaded = await loadWatched(req.params.watchId, { withMoves: true });
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      res.json(spectatorState(loaded));
+    } catch (e) {
+      serverError(req, res, 'failed_to_load_game', e);
+    }
+  });
+
+  // The delayed view as a `state` event on connecting and after every change
+  // to the game, and the chat spectators may read as `chat` events
+  app.get('/api/watch/:watchId/events', async (req,res)=>{
+    let loaded;
+    try {
+      loaded = await loadWatched(req.params.watchId, { withMoves: true });
+    } catch (e) {
+      return serverError(req, res, 'failed_to_subscribe', e);
+    }
+    if (!loaded) return res.status(404).json({ error: 'not_found' });
+    const gameId = loaded.game.id;
+    subscribe(gameId, req, res, (event, data)=>{
+      if (event === 'chat') return canRead('spectator', data.audience) ? { message: data.message } : null;
+      spectatorView(gameId)
+        .then(state=>{ if (state && !res.destroyed) send(res, 'state', { state }); })
+        .catch(e=>req.log.error('failed_to_send_state', { err: e }));
+      return null;
+    });
+    send(res, 'state', { state: spectatorState(loaded) });
+  });
+
+  app.get('/api/watch/:watchId/chat', async (req,res)=>{
+    try {
+      const loaded = await loadWatched(req.params.watchId);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      res.json({ messages: await chatHistory(loaded, 'spectator') });
+    } catch (e) {
+      serverError(req, res, 'failed_to_load_chat', e);
+    }
+  });
+
+  // { body, name? }: spectators post under `name`, their username or 'Spectator'
+  app.post('/api/watch/:watchId/chat', validateBody(SPECTATOR_CHAT), async (req,res)=>{
+    try {
+      const { body, name } = req.body || {};
+      const loaded = await loadWatched(req.params.watchId);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      const text = messageText(body);
+      if (!text) return res.status(400).json({ error: 'invalid_message' });
+      const author = name?.trim() || req.user?.username || 'Spectator';
+      const message = await postChat(loaded, { author, user_id: req.user?.id, role: 'spectator', players_only: false, body: text });
+      res.status(201).json({ message });
+    } catch (e) {
+      serverError(req, res, 'failed_to_send_message', e);
+    }
+  });
+
+  app.get('/api/games/:id/chat', async (req,res)=>{
+    try {
+      const loaded = await loadGame(req.params.id);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      res.json({ messages: await chatHistory(loaded, chatViewer(loaded, req)) });
+    } catch (e) {
+      serverError(req, res, 'failed_to_load_chat', e);
+    }
+  });
+
+  // { body, players_only? } from a seat holder (anyone in hotseat games),
+  // posted under the seat's name
+  app.post('/api/games/:id/chat', validateBody(CHAT), async (req,res)=>{
+    try {
+      const { body, players_only = false } = req.body || {};
+      const loaded = await loadGame(req.params.id);
+      if (!loaded) return res.status(404).json({ error: 'not_found' });
+      const holder = loaded.game.mode === 'online' ? seatHolder(loaded.players, req) : null;
+      if (loaded.game.mode === 'online' && !holder) return res.status(403).json({ error: 'invalid_seat_token' });
+      const text = messageText(body);
+      if (!text) return res.status(400).json({ error: 'invalid_message' });
+      const author = holder?.name || req.user?.username || 'Players';
+      const message = await postChat(loaded, { author, user_id: req.user?.id, role: 'player', players_only, body: text });
+      res.status(201).json({ message });
+    } catch (e) {
+      serverError(req, res, 'failed_to_send_message', e);
+    }
+  });
+
+  // --- Tournaments (see tournaments.js) ---
+
+  // Online game for a table, its seats named after the players sitting there
+  async function openTableGame(table, names) {
+    const variant = resolveVariant(table.variant);
+    const id = uuidv4();
+    await storage.createGame({
+      id, mode: 'online', status: 'waiting', variant: variant.name, board_size: variant.boardSize, turn_started_at: now(),
+      watch_id: newWatchId(), snapshot: encodeSnapshot(createState(engineOptions(variant)))
+    });
+    await storage.addPlayers(id, variant.colors.map((color, idx)=>{
+      if (color === variant.shared) return { id: uuidv4(), color, order_index: idx, name: color.charAt(0).toUpperCase()+color.slice(1), kind: 'shared' };
+      const seat = variant.seats.findIndex(s=>s.includes(color));
+      return { id: uuidv4(), color, order_index: idx, name: names[table.seats[seat]], kind: 'human' };
+    }));
+    return id;
+  }
+
+  // Pair the next round and open its games. Only one request gets to add a
+  // round; games opened by the others are abandoned.
+  async function startRound({ tournament, tables }, outcomes) {
+    const next = pairRound(tournament, tables, outcomes);
+    for (const t of next) t.game_id = t.variant ? await openTableGame(t, tournament.players) : null;
+    if (await storage.addRound(tournament.id, next[0].round, next)) return;
+    for (const t of next) if (t.game_id) await storage.updateGame(t.game_id, { status: 'abandoned' });
+  }
+
+  function serializeTournament({ tournament, tables }, states, outcomes) {
+    const ranked = standings(tournament, tables, outcomes);
+    const rounds = [];
+    tables.forEach((t, i)=>{
+      const seats = t.variant ? resolveVariant(t.variant).seats : [[]];
+      if (!rounds[t.round - 1]) rounds[t.round - 1] = { round: t.round, tables: [] };
+      rounds[t.round - 1].tables.push({
+        index: t.table_index, game_id: t.game_id, variant: t.variant, status: t.variant ? states[i]?.game.status ?? null : 'bye',
+        seats: t.seats.map((player, seat)=>({ player, name: tournament.players[player], colors: seats[seat], rank: outcomes[i]?.[seat].rank ?? null, score: outcomes[i]?.[seat].score ?? null }))
+      });
+    });
+    const { id, name, format, variant, status, created_at, finished_at } = tournament;
+    return {
+      tournament: { id, name, format, variant, rounds: tournament.rounds, status, created_at, finished_at, current_round: rounds.length },
+      players: tournament.players,
+      rounds,
+      standings: ranked,
+      winner: status === 'finished' ? ranked[0].player : null
+    };
+  }
+
+  // The tournament with its tables' games, moved on first: once every table of
+  // the latest round is decided the next round is paired, or the tournament
+  // finished.
+  async function tournamentState(id) {
+    while (true) {
+      const loaded = await storage.loadTournament(id);
+      if (!loaded) return null;
+      const { tournament, tables } = loaded;
+      const states = await Promise.all(tables.map(t=>t.game_id ? getGameState(t.game_id) : null));
+      const outcomes = tables.map((t, i)=>tableOutcome(t, states[i]));
+      const step = tournament.status === 'active' ? roundStatus(tournament, tables, outcomes) : 'done';
+      if (step === 'ready') await startRound(loaded, outcomes);
+      else if (step === 'finished') await storage.finishTournament(id);
+      else return serializeTournament(loaded, states, outcomes);
+    }
+  }
+
+  // { name, format: swiss|elimination, variant: classic|duo, players: [names],
+  // rounds? } -> the tournament with its first round under way
+  app.post('/api/tournaments', validateBody(TOURNAMENT), async (req,res)=>{
+    try {
+      const { tournament, error } = validateTournament(req.body);
+      if (error) return res.status(400).json({ error });
+      const id = uuidv4();
+      await storage.createTournament({ ...tournament, id, status: 'active', created_by: req.user?.id });
+      res.status(201).json(await tournamentState(id));
+    } catch (e) {
+      serverError(req, res, 'failed_to_create_tournament', e);
+    }
+  });
+
+  app.get('/api/tournaments/:id', async (req,res)=>{
+    try {
+      const state = await tournamentState(req.params.id);
+      if (!state) return res.status(404).json({ error: 'not_found' });
+      res.json(state);
+    } catch (e) {
+      serverError(req, res, 'failed_to_get_tournament', e);
+    }
+  });
+
+  // Unknown routes, bodies that do not parse, and anything a handler throws
+  // outside its own try answer in the same { error } shape as the routes.
+  app.use((req,res)=> res.status(404).json({ error: 'not_found' }));
+  app.use((err,req,res,next)=>{
+    if (res.headersSent) return next(err);
+    if (err.type === 'entity.parse.failed') return res.status(400).json({ error: 'invalid_json' });
+    if (err.type === 'entity.too.large') return res.status(413).json({ error: 'body_too_large' });
+    serverError(req, res, 'internal_error', err);
+  });
+
+  return app;
+}
@@ -0,0 +1,1020 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { stateFromMoves, currentColor } from '../shared/engine.js';
+import { resolveVariant, engineOptions } from '../shared/variants.js';
+import { createApp } from './app.js';
+import { createLogger } from './log.js';
+import { createMemoryStorage } from './storage/memory.js';
+import { createSqliteStorage } from './storage/sqlite.js';
+
+// The whole API against each offline backend, over real HTTP.
+const backends = { memory: createMemoryStorage, sqlite: () => createSqliteStorage({ filename: ':memory:' }) };
+
+async function startServer(storage, options) {
+  await storage.init();
+  const server = createApp(storage, { logger: createLogger({ level: 'silent' }), ...options }).listen(0);
+  await new Promise(resolve=>server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  async function call(method, path, body, headers = {}) {
+    const res = await fetch(base + path, {
+      method,
+      headers: body === undefined ? headers : { 'Content-Type': typeof body === 'string' ? 'text/plain' : 'application/json', ...headers },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    const type = res.headers.get('content-type') || '';
+    return { status: res.status, headers: res.headers, body: type.includes('json') ? JSON.parse(text) : text };
+  }
+  // An open event stream; take(n) resolves with its next n events as { event, id, data }
+  async function listen(path, headers = {}) {
+    const controller = new AbortController();
+    const res = await fetch(base + path, { headers, signal: controller.signal });
+    const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+    const events = [];
+    let buffer = '';
+    async function take(n) {
+      while (events.length < n) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        const frames = (buffer + value).split('\n\n');
+        buffer = frames.pop();
+        for (const frame of frames) {
+          const fields = Object.fromEntries(frame.split('\n').filter(l=>!l.startsWith(':')).map(l=>[l.slice(0, l.indexOf(':')), l.slice(l.indexOf(':') + 2)]));
+          if (fields.event) events.push({ event: fields.event, id: fields.id && Number(fields.id), data: JSON.parse(fields.data) });
+        }
+      }
+      return events.splice(0, n);
+    }
+    return { status: res.status, take, close: () => controller.abort() };
+  }
+  return { call, listen, close: () => new Promise(resolve=>server.close(resolve)) };
+}
+
+const opening = { player_color: 'blue', piece_key: 'I2', rotation: 0, flipped: false, position: { x: 0, y: 0 } };
+
+for (const [name, create] of Object.entries(backends)) {
+  test(`${name}: hotseat games place, reject illegal moves and take back`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      assert.equal((await call('GET', '/api/games/00000000-0000-4000-8000-000000000000')).status, 404);
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat' });
+      const id = game.game.id;
+      assert.equal(game.game.status, 'active');
+
+      const bad = await call('POST', `/api/games/${id}/place`, { ...opening, position: { x: 5, y: 5 } });
+      assert.deepEqual([bad.status, bad.body.error], [400, 'first_move_must_cover_corner']);
+      const placed = await call('POST', `/api/games/${id}/place`, opening);
+      assert.equal(placed.status, 200);
+      assert.deepEqual(placed.body.moves[0].cells, [[0,0],[1,0]]);
+      assert.equal(placed.body.players[placed.body.game.next_player_index].color, 'yellow');
+      const wrongTurn = await call('POST', `/api/games/${id}/place`, opening);
+      assert.equal(wrongTurn.body.error, 'not_your_turn');
+
+      const undone = await call('POST', `/api/games/${id}/undo`, {});
+      assert.equal(undone.status, 200);
+      assert.equal(undone.body.moves.length, 0);
+      assert.equal(undone.body.game.next_player_index, 0);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: legal moves are listed, blocked players pass and the game ends when nobody can move`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      // a 5x5 Duo board with three pieces each: blue's I5 along the top edge leaves it no corners
+      const config = { board_size: 5, start_cells: { blue: [0,0], red: [4,4] }, pieces: ['I1', 'I2', 'I5'] };
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo', config });
+      const id = game.game.id;
+      const { body: opened } = await call('GET', `/api/games/${id}/legal-moves`);
+      assert.deepEqual([opened.color, opened.count, opened.pieces], ['blue', 5, { I1: 1, I2: 2, I5: 2 }]);
+      assert.deepEqual(opened.moves[0], { player_color: 'blue', piece_key: 'I1', rotation: 0, flipped: false, position: { x: 0, y: 0 }, cells: [[0,0]] });
+      assert.equal((await call('GET', `/api/games/${id}/legal-moves?color=pink`)).body.error, 'invalid_color');
+      assert.equal((await call('GET', '/api/games/00000000-0000-4000-8000-000000000000/legal-moves')).status, 404);
+
+      await call('POST', `/api/games/${id}/place`, { player_color: 'blue', piece_key: 'I5', position: { x: 0, y: 0 } });
+      const { body: passed } = await call('POST', `/api/games/${id}/place`, { player_color: 'red', piece_key: 'I1', position: { x: 4, y: 4 } });
+      assert.deepEqual(passed.moves.map(m=>[m.player_color, m.passed]), [['blue', false], ['red', false], ['blue', true]]);
+      assert.deepEqual([passed.game.status, passed.players[passed.game.next_player_index].color], ['active', 'red']);
+      assert.equal((await call('GET', `/api/games/${id}/legal-moves?color=blue`)).body.count, 0);
+      assert.deepEqual((await call('GET', `/api/games/${id}/legal-moves`)).body.pieces, { I2: 2 });
+
+      // both still hold pieces, but neither can place one
+      const { body: over } = await call('POST', `/api/games/${id}/place`, { player_color: 'red', piece_key: 'I2', position: { x: 2, y: 3 } });
+      assert.equal(over.game.status, 'finished');
+      assert.deepEqual(over.results.map(r=>[r.color, r.score, r.rank]), [['blue', -3, 1], ['red', -5, 2]]);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: events stream moves as they land and catch reconnecting clients up`, async () => {
+    const { call, listen, close } = await startServer(create());
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat' });
+      const id = game.game.id;
+      assert.equal((await call('GET', `/api/games/${id}/events?since=-1`)).body.error, 'invalid_since');
+      assert.equal((await call('GET', '/api/games/00000000-0000-4000-8000-000000000000/events')).status, 404);
+
+      const live = await listen(`/api/games/${id}/events`);
+      assert.equal(live.status, 200);
+      await call('POST', `/api/games/${id}/place`, opening);
+      await call('POST', `/api/games/${id}/skip`, { player_color: 'yellow' });
+      const [placed, passed] = await live.take(2);
+      assert.deepEqual([placed.event, placed.id, placed.data.move.piece_key], ['move', 1, 'I2']);
+      assert.deepEqual([passed.event, passed.id, passed.data.move.player_color], ['pass', 2, 'yellow']);
+      assert.equal(passed.data.state.game.next_player_index, 2);
+      assert.equal('moves' in passed.data.state, false);
+      live.close();
+
+      // missed while disconnected: resumed from the last event id, or from ?since=
+      await call('POST', `/api/games/${id}/skip`, { player_color: 'red' });
+      await call('POST', `/api/games/${id}/skip`, { player_color: 'green' });
+      const resumed = await listen(`/api/games/${id}/events`, { 'Last-Event-ID': '2' });
+      assert.deepEqual((await resumed.take(2)).map(e=>[e.event, e.id, e.data.move.player_color]), [['pass', 3, 'red'], ['pass', 4, 'green']]);
+      resumed.close();
+      const fresh = await listen(`/api/games/${id}/events?since=0`);
+      assert.deepEqual((await fresh.take(4)).map(e=>e.id), [1, 2, 3, 4]);
+      fresh.close();
+
+      // a client ahead of the server missed a takeback
+      await call('POST', `/api/games/${id}/undo`, { turn_number: 3 });
+      const behind = await listen(`/api/games/${id}/events`, { 'Last-Event-ID': '4' });
+      const [undone] = await behind.take(1);
+      assert.deepEqual([undone.event, undone.data.state.moves.length], ['undo', 2]);
+      behind.close();
+
+      // joins reach the lobby
+      const { body: online } = await call('POST', '/api/games', { mode: 'online', variant: 'duo' });
+      const lobby = await listen(`/api/games/${online.game.id}/events`);
+      await call('POST', `/api/games/${online.game.id}/join`, { color: 'blue', name: 'Ada' });
+      const [joined] = await lobby.take(1);
+      assert.deepEqual([joined.event, joined.data.player.name, joined.data.state.game.status], ['player_joined', 'Ada', 'waiting']);
+      lobby.close();
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: the move list replays to the board as it was after every turn`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo' });
+      const id = game.game.id;
+      const seen = [];
+      for (const [path, body] of [
+        ['place', { ...opening, position: { x: 4, y: 4 } }],
+        ['place', { ...opening, player_color: 'red', position: { x: 9, y: 9 } }],
+        ['place', { ...opening, piece_key: 'V3', position: { x: 6, y: 5 } }],
+        ['skip', { player_color: 'red' }],
+        ['skip', { player_color: 'blue' }]
+      ]) {
+        const { body: state } = await call('POST', `/api/games/${id}/${path}`, body);
+        seen.push({ occupied: state.occupiedCount, next: state.players[state.game.next_player_index].color });
+      }
+
+      const { body: over } = await call('GET', `/api/games/${id}`);
+      assert.equal(over.game.status, 'finished');
+      assert.deepEqual(over.moves.map(m=>[m.turn_number, m.player_color, m.piece_key, m.passed]), [
+        [1, 'blue', 'I2', false], [2, 'red', 'I2', false], [3, 'blue', 'V3', false], [4, 'red', null, true], [5, 'blue', null, true]
+      ]);
+      const options = engineOptions(resolveVariant('duo'));
+      for (const [turn, { occupied, next }] of seen.entries()) {
+        const engine = stateFromMoves(over.moves.filter(m=>m.turn_number <= turn + 1), options);
+        assert.deepEqual([engine.occupied.size, currentColor(engine)], [occupied, next]);
+      }
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: moves for a stale turn are refused with the fresh state`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat' });
+      const id = game.game.id;
+      const early = await call('POST', `/api/games/${id}/skip`, { player_color: 'blue', turn_number: 2 });
+      assert.deepEqual([early.status, early.body.error, early.body.state.moves.length], [409, 'stale_state', 0]);
+      assert.equal((await call('POST', `/api/games/${id}/skip`, { player_color: 'blue', turn_number: 'x' })).body.error, 'invalid_turn_number');
+
+      // two submissions for the same turn: exactly one lands
+      const results = await Promise.all([
+        call('POST', `/api/games/${id}/place`, { ...opening, turn_number: 1 }),
+        call('POST', `/api/games/${id}/place`, { ...opening, piece_key: 'I1', turn_number: 1 })
+      ]);
+      assert.deepEqual(results.map(r=>r.status).sort(), [200, 409]);
+      const loser = results.find(r=>r.status === 409).body;
+      assert.equal(loser.error, 'stale_state');
+      assert.equal(loser.state.moves.length, 1);
+      const { body: after } = await call('GET', `/api/games/${id}`);
+      assert.deepEqual(after.moves.map(m=>m.turn_number), [1]);
+      assert.equal(after.game.next_player_index, 1);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: games end for good with stored results`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo' });
+      const id = game.game.id;
+      await call('POST', `/api/games/${id}/place`, { ...opening, position: { x: 4, y: 4 } });
+      assert.equal((await call('POST', `/api/games/${id}/resign`, { color: 'purple' })).body.error, 'invalid_color');
+      const { body: over } = await call('POST', `/api/games/${id}/resign`, { color: 'red' });
+      assert.equal(over.game.status, 'finished');
+      assert.ok(over.game.finished_at);
+      assert.deepEqual(over.results, [
+        { color: 'blue', seat_index: 0, score: -87, rank: 1, resigned: false },
+        { color: 'red', seat_index: 1, score: -89, rank: 2, resigned: true }
+      ]);
+      assert.deepEqual(over.scores, { blue: -87, red: -89 });
+      assert.deepEqual(over.seats.map(s=>[s.rank, s.resigned]), [[1, false], [2, true]]);
+
+      const late = await call('POST', `/api/games/${id}/place`, { ...opening, piece_key: 'I1', position: { x: 9, y: 9 } });
+      assert.deepEqual([late.status, late.body.error], [409, 'game_finished']);
+      assert.equal((await call('POST', `/api/games/${id}/undo`, {})).body.error, 'game_finished');
+      assert.equal((await call('POST', `/api/games/${id}/resign`, { color: 'blue' })).body.error, 'game_finished');
+
+      // everyone passing in a row also ends the game
+      const { body: classic } = await call('POST', '/api/games', { mode: 'hotseat' });
+      let state = classic;
+      for (const color of ['blue','yellow','red','green']) {
+        state = (await call('POST', `/api/games/${classic.game.id}/skip`, { player_color: color })).body;
+      }
+      assert.equal(state.game.status, 'finished');
+      assert.deepEqual(state.results.map(r=>r.rank), [1, 1, 1, 1]);
+      assert.equal((await call('POST', `/api/games/${classic.game.id}/skip`, { player_color: 'blue' })).body.error, 'game_finished');
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: games are played in the variant they are created with`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      assert.equal((await call('POST', '/api/games', { variant: 'hex' })).body.error, 'invalid_variant');
+      assert.equal((await call('POST', '/api/games', { variant: 'duo', players: ['blue', 'red'] })).body.error, 'invalid_players');
+      const { body: pair } = await call('POST', '/api/games', { mode: 'hotseat', players: ['blue', 'red'] });
+      assert.deepEqual(pair.players.map(p=>p.color), ['blue', 'red']);
+
+      const { body: duo } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo' });
+      assert.deepEqual([duo.game.variant, duo.game.board_size], ['duo', 14]);
+      assert.equal((await call('POST', `/api/games/${duo.game.id}/place`, opening)).body.error, 'first_move_must_cover_corner');
+      assert.equal((await call('POST', `/api/games/${duo.game.id}/place`, { ...opening, position: { x: 4, y: 4 } })).status, 200);
+
+      // two colors a seat: one token plays both, and the seat scores their sum
+      const { body: two } = await call('POST', '/api/games', { mode: 'online', variant: 'two_player' });
+      const id = two.game.id;
+      const first = await call('POST', `/api/games/${id}/join`, { color: 'red' });
+      assert.deepEqual([first.body.seat.index, first.body.seat.colors], [0, ['blue', 'red']]);
+      const second = await call('POST', `/api/games/${id}/join`, { color: 'yellow' });
+      const seats = [{ 'X-Seat-Token': first.body.seat.token }, { 'X-Seat-Token': second.body.seat.token }];
+      await call('POST', `/api/games/${id}/place`, opening, seats[0]);
+      await call('POST', `/api/games/${id}/skip`, { player_color: 'yellow' }, seats[1]);
+      const red = { ...opening, player_color: 'red', position: { x: 0, y: 19 } };
+      assert.equal((await call('POST', `/api/games/${id}/place`, red, seats[1])).status, 403);
+      assert.equal((await call('POST', `/api/games/${id}/place`, red, seats[0])).status, 200);
+      const { body: over } = await call('POST', `/api/games/${id}/resign`, {}, seats[1]);
+      assert.deepEqual(over.seats.map(s=>[s.colors, s.score, s.rank]), [[['blue', 'red'], -174, 1], [['yellow', 'green'], -178, 2]]);
+
+      // three players: the shared color is taken by each seat in turn
+      const { body: three } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'three_player' });
+      const place = (player_color, piece_key, x, y)=>call('POST', `/api/games/${three.game.id}/place`, { player_color, piece_key, rotation: 0, flipped: false, position: { x, y } }).then(r=>r.body);
+      assert.deepEqual([three.shared_color, three.seats.length], ['green', 3]);
+      await place('blue', 'I2', 0, 0);
+      await place('yellow', 'I2', 18, 0);
+      assert.equal((await place('red', 'I2', 0, 19)).game.next_seat, 0);
+      await place('green', 'I2', 18, 19);
+      await place('blue', 'I1', 2, 1);
+      await place('yellow', 'I1', 17, 1);
+      const { game } = await place('red', 'I1', 2, 18);
+      assert.deepEqual([game.next_player_index, game.next_seat], [3, 1]);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: house rules set the board, the start cells and the piece set`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const rejected = config=>call('POST', '/api/games', { mode: 'hotseat', config }).then(r=>r.body.error);
+      assert.equal(await rejected({ board_size: 4 }), 'invalid_board_size');
+      assert.equal(await rejected({ start_cells: { blue: [20, 0] } }), 'invalid_start_cells');
+      assert.equal(await rejected({ start_cells: { blue: [19, 0] } }), 'invalid_start_cells');
+      assert.equal(await rejected({ pieces: ['Q9'] }), 'invalid_pieces');
+      assert.equal(await rejected({ pieces: [{ key: 'GAP', cells: [[0,0],[2,0]] }] }), 'invalid_piece_shape');
+
+      const cup = { key: 'CUP', cells: [[0,0],[2,0],[0,1],[1,1],[2,1]] };
+      const config = { board_size: 30, start_cells: { blue: [15, 15] }, pieces: ['I1', 'L5', cup] };
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat', config });
+      const id = game.game.id;
+      assert.deepEqual([game.game.board_size, game.game.config], [30, config]);
+      assert.deepEqual(Object.keys((await call('GET', `/api/pieces?gameId=${id}`)).body.pieces), ['I1', 'L5', 'CUP']);
+      assert.ok('I2' in (await call('GET', '/api/pieces')).body.pieces);
+
+      const place = body=>call('POST', `/api/games/${id}/place`, { rotation: 0, flipped: false, ...body }).then(r=>r.body);
+      assert.equal((await place({ player_color: 'blue', piece_key: 'I1', position: { x: 0, y: 0 } })).error, 'first_move_must_cover_corner');
+      assert.equal((await place({ player_color: 'blue', piece_key: 'I2', position: { x: 15, y: 15 } })).error, 'invalid_piece');
+      await place({ player_color: 'blue', piece_key: 'I1', position: { x: 15, y: 15 } });
+      const { moves } = await place({ player_color: 'yellow', piece_key: 'CUP', position: { x: 27, y: 0 } });
+      assert.deepEqual(moves[1].cells, [[27,0],[29,0],[27,1],[28,1],[29,1]]);
+
+      let state;
+      for (const color of ['red', 'green', 'blue', 'yellow']) state = (await call('POST', `/api/games/${id}/skip`, { player_color: color })).body;
+      assert.equal(state.game.status, 'finished');
+      assert.deepEqual(state.scores, { blue: -10, yellow: -6, red: -11, green: -11 });
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: online games wait for every seat and check seat tokens`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'online', variant: 'duo' });
+      const id = game.game.id;
+      assert.equal(game.game.status, 'waiting');
+      assert.equal((await call('POST', `/api/games/${id}/place`, opening)).body.error, 'game_not_started');
+
+      const blue = await call('POST', `/api/games/${id}/join`, { color: 'blue', name: 'Ada' });
+      assert.equal(blue.body.game.status, 'waiting');
+      assert.equal((await call('POST', `/api/games/${id}/join`, { color: 'blue' })).body.error, 'seat_taken');
+      const red = await call('POST', `/api/games/${id}/join`, { color: 'red' });
+      assert.equal(red.body.game.status, 'active');
+      assert.equal(red.body.players.find(p=>p.color==='blue').name, 'Ada');
+      assert.ok(red.body.players.every(p=>p.claimed && !('seat_token' in p)));
+
+      const duoOpening = { ...opening, position: { x: 4, y: 4 } };
+      assert.equal((await call('POST', `/api/games/${id}/place`, duoOpening)).status, 401);
+      assert.equal((await call('POST', `/api/games/${id}/place`, duoOpening, { 'X-Seat-Token': red.body.seat.token })).status, 403);
+      assert.equal((await call('POST', `/api/games/${id}/place`, duoOpening, { 'X-Seat-Token': blue.body.seat.token })).status, 200);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: seats are claimed for a token that moves on them require`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'online' }, { Origin: 'http://blokus.test' });
+      const id = game.game.id;
+      assert.equal(game.invite_url, `http://blokus.test/?gameId=${id}`);
+      const { body: hotseat } = await call('POST', '/api/games', { mode: 'hotseat' });
+      assert.equal('invite_url' in hotseat, false);
+      assert.equal((await call('POST', `/api/games/${hotseat.game.id}/join`, { color: 'blue' })).body.error, 'not_an_online_game');
+      assert.equal((await call('POST', `/api/games/${id}/join`, { color: 'pink' })).body.error, 'invalid_color');
+
+      const tokens = {};
+      for (const color of ['blue', 'yellow', 'red', 'green']) {
+        const { body } = await call('POST', `/api/games/${id}/join`, { color });
+        assert.deepEqual([body.seat.colors, typeof body.seat.token], [[color], 'string']);
+        tokens[color] = { 'X-Seat-Token': body.seat.token };
+      }
+      assert.equal(new Set(Object.values(tokens).map(t=>t['X-Seat-Token'])).size, 4);
+      const { body: state } = await call('GET', `/api/games/${id}`);
+      assert.equal(state.game.status, 'active');
+      assert.ok(state.players.every(p=>p.claimed && !('seat_token' in p)));
+
+      const skip = headers=>call('POST', `/api/games/${id}/skip`, { player_color: 'blue' }, headers).then(r=>[r.status, r.body.error]);
+      assert.deepEqual(await skip(), [401, 'seat_token_required']);
+      assert.deepEqual(await skip(tokens.yellow), [403, 'invalid_seat_token']);
+      assert.deepEqual(await skip(tokens.blue), [200, undefined]);
+      const placed = await call('POST', `/api/games/${id}/place`, { ...opening, player_color: 'yellow', position: { x: 18, y: 0 } }, tokens.yellow);
+      assert.equal(placed.status, 200);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: takebacks in online games wait for the other human seats`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const join = async (id, color)=>({ 'X-Seat-Token': (await call('POST', `/api/games/${id}/join`, { color })).body.seat.token });
+      const { body: duo } = await call('POST', '/api/games', { mode: 'online', variant: 'duo' });
+      const id = duo.game.id;
+      const blue = await join(id, 'blue');
+      const red = await join(id, 'red');
+      const undo = headers=>call('POST', `/api/games/${id}/undo`, {}, headers);
+      const respond = (accept, headers)=>call('POST', `/api/games/${id}/undo/respond`, { accept }, headers);
+      assert.equal((await respond(true, red)).body.error, 'no_pending_undo');
+      await call('POST', `/api/games/${id}/place`, { ...opening, position: { x: 4, y: 4 } }, blue);
+
+      const asked = await undo(blue);
+      assert.equal(asked.status, 202);
+      assert.deepEqual([asked.body.game.pending_undo.seat, asked.body.game.pending_undo.turn_number, asked.body.game.pending_undo.approvals], [0, 1, []]);
+      assert.equal((await undo(red)).body.error, 'undo_already_pending');
+      assert.equal((await respond(true)).status, 403);
+      assert.equal((await respond(true, blue)).body.error, 'cannot_approve_own_request');
+      // declined by the opponent, then withdrawn by the requester
+      const declined = await respond(false, red);
+      assert.deepEqual([declined.body.game.pending_undo, declined.body.moves.length], [null, 1]);
+      await undo(blue);
+      assert.equal((await respond(false, blue)).body.game.pending_undo, null);
+      // accepted: the move is gone and blue is up again
+      await undo(blue);
+      const accepted = await respond(true, red);
+      assert.deepEqual([accepted.status, accepted.body.moves.length, accepted.body.game.pending_undo], [200, 0, null]);
+      assert.equal(accepted.body.players[accepted.body.game.next_player_index].color, 'blue');
+
+      // three human seats and a computer: both other humans must accept
+      const { body: classic } = await call('POST', '/api/games', { mode: 'online', ai: { green: 'greedy' } });
+      const gameId = classic.game.id;
+      const seats = {};
+      for (const color of ['blue', 'yellow', 'red']) seats[color] = await join(gameId, color);
+      await call('POST', `/api/games/${gameId}/place`, opening, seats.blue);
+      await call('POST', `/api/games/${gameId}/place`, { ...opening, player_color: 'yellow', position: { x: 18, y: 0 } }, seats.yellow);
+      const { body: played } = await call('POST', `/api/games/${gameId}/place`, { ...opening, player_color: 'red', position: { x: 0, y: 19 } }, seats.red);
+      assert.equal(played.moves.length, 4);
+      assert.equal((await call('POST', `/api/games/${gameId}/undo`, {}, seats.yellow)).body.game.pending_undo.turn_number, 2);
+      const once = await call('POST', `/api/games/${gameId}/undo/respond`, { accept: true }, seats.blue);
+      assert.deepEqual([once.body.game.pending_undo.approvals, once.body.moves.length], [[0], 4]);
+      const twice = await call('POST', `/api/games/${gameId}/undo/respond`, { accept: true }, seats.red);
+      assert.deepEqual([twice.body.game.pending_undo, twice.body.moves.length], [null, 1]);
+      assert.equal(twice.body.players[twice.body.game.next_player_index].color, 'yellow');
+
+      // nobody to ask against computers only
+      const { body: solo } = await call('POST', '/api/games', { mode: 'online', variant: 'duo', ai: { red: 'greedy' } });
+      const mine = await join(solo.game.id, 'blue');
+      await call('POST', `/api/games/${solo.game.id}/place`, { ...opening, position: { x: 4, y: 4 } }, mine);
+      const { status, body } = await call('POST', `/api/games/${solo.game.id}/undo`, {}, mine);
+      assert.deepEqual([status, body.moves.length], [200, 0]);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: rematches rotate the seats and keep a series score`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'online', variant: 'duo' });
+      const id = game.game.id;
+      const ada = await call('POST', `/api/games/${id}/join`, { color: 'blue', name: 'Ada' });
+      const bo = await call('POST', `/api/games/${id}/join`, { color: 'red', name: 'Bo' });
+      const adaSeat = { 'X-Seat-Token': ada.body.seat.token };
+      const boSeat = { 'X-Seat-Token': bo.body.seat.token };
+      assert.equal((await call('POST', `/api/games/${id}/rematch`, {}, adaSeat)).body.error, 'game_not_finished');
+      await call('POST', `/api/games/${id}/place`, { ...opening, position: { x: 4, y: 4 } }, adaSeat);
+      await call('POST', `/api/games/${id}/resign`, {}, boSeat);
+      assert.equal((await call('POST', `/api/games/${id}/rematch`)).status, 401);
+
+      // Ada asks first and opens the rematch in the second seat; Bo gets the same game
+      const first = await call('POST', `/api/games/${id}/rematch`, {}, adaSeat);
+      const rematchId = first.body.game.id;
+      assert.deepEqual([first.body.game.status, first.body.game.rematch_of, first.body.game.series_id], ['active', id, id]);
+      assert.deepEqual([first.body.seat.index, first.body.seat.colors], [1, ['red']]);
+      assert.deepEqual(first.body.players.map(p=>[p.color, p.name, p.claimed]), [['blue', 'Bo', true], ['red', 'Ada', true]]);
+      assert.deepEqual(first.body.series.players.map(p=>[p.name, p.games, p.wins, p.score]), [['Ada', 1, 1, -87], ['Bo', 1, 0, -89]]);
+      const second = await call('POST', `/api/games/${id}/rematch`, {}, boSeat);
+      assert.deepEqual([second.body.game.id, second.body.seat.index], [rematchId, 0]);
+      assert.notEqual(second.body.seat.token, first.body.seat.token);
+      assert.equal((await call('GET', `/api/games/${id}`)).body.game.rematch_id, rematchId);
+
+      const placed = await call('POST', `/api/games/${rematchId}/place`, { ...opening, position: { x: 4, y: 4 } }, { 'X-Seat-Token': second.body.seat.token });
+      assert.equal(placed.status, 200);
+      const { body: over } = await call('POST', `/api/games/${rematchId}/resign`, {}, { 'X-Seat-Token': first.body.seat.token });
+      assert.deepEqual(over.series.games.map(g=>[g.id, g.status]), [[id, 'finished'], [rematchId, 'finished']]);
+      assert.deepEqual(over.series.players.map(p=>[p.player, p.name, p.games, p.wins, p.score]), [[0, 'Ada', 2, 1, -176], [1, 'Bo', 2, 1, -176]]);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: templates save a setup per account and start games`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const auth = {};
+      for (const username of ['ada', 'bob']) {
+        const { body } = await call('POST', '/api/users', { username, password: 'long enough' });
+        auth[username] = { Authorization: `Bearer ${body.token}` };
+      }
+      const setup = { name: 'Duo practice', mode: 'hotseat', variant: 'duo', ai: { red: 'greedy' }, time_control: { type: 'move', seconds: 60 } };
+      assert.equal((await call('POST', '/api/templates', setup)).status, 401);
+      assert.equal((await call('POST', '/api/templates', { ...setup, name: ' ' }, auth.ada)).body.error, 'invalid_name');
+      assert.equal((await call('POST', '/api/templates', { ...setup, variant: 'hex' }, auth.ada)).body.error, 'invalid_variant');
+      await call('POST', '/api/templates', { ...setup, ai: {} }, auth.ada);
+      const saved = await call('POST', '/api/templates', setup, auth.ada);
+      assert.equal(saved.status, 201);
+      const { body: list } = await call('GET', '/api/templates', undefined, auth.ada);
+      assert.deepEqual(list.templates.map(t=>[t.id, t.name, t.settings.ai]), [[saved.body.template.id, 'Duo practice', { red: 'greedy' }]]);
+
+      const templateId = saved.body.template.id;
+      assert.equal((await call('POST', '/api/games', { template: templateId }, auth.bob)).body.error, 'template_not_found');
+      const { body: game } = await call('POST', '/api/games', { template: templateId, broadcast_delay: 2 }, auth.ada);
+      assert.deepEqual([game.game.mode, game.game.variant, game.game.time_control.seconds, game.game.broadcast_delay], ['hotseat', 'duo', 60, 2]);
+      assert.equal(game.players.find(p=>p.color === 'red').kind, 'ai');
+
+      assert.equal((await call('DELETE', `/api/templates/${templateId}`, undefined, auth.bob)).status, 404);
+      assert.equal((await call('DELETE', `/api/templates/${templateId}`, undefined, auth.ada)).status, 204);
+      assert.deepEqual((await call('GET', '/api/templates', undefined, auth.ada)).body.templates, []);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: computer players answer and exports import back`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo', ai: { red: 'greedy' } });
+      const id = game.game.id;
+      const after = await call('POST', `/api/games/${id}/place`, { ...opening, position: { x: 4, y: 4 } });
+      assert.deepEqual(after.body.moves.map(m=>m.player_color), ['blue', 'red']);
+
+      const text = await call('GET', `/api/games/${id}/export?format=text`);
+      assert.match(text.body, /^1\. blue I2 0 4,4$/m);
+      const imported = await call('POST', '/api/games/import', text.body);
+      assert.equal(imported.status, 200);
+      assert.notEqual(imported.body.game.id, id);
+      assert.deepEqual(imported.body.moves.map(m=>m.cells), after.body.moves.map(m=>m.cells));
+
+      const { body: record } = await call('GET', `/api/games/${id}/export`);
+      record.moves[1].position = { x: 4, y: 4 };
+      assert.deepEqual((await call('POST', '/api/games/import', record)).body, { error: 'overlap', turn: 2 });
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: computer seats take their turns until a human is up`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      assert.equal((await call('POST', '/api/games', { mode: 'hotseat', ai: { yellow: 'genius' } })).body.error, 'invalid_ai');
+      assert.equal((await call('POST', '/api/games', { mode: 'hotseat', ai: { purple: 'random' } })).body.error, 'invalid_ai');
+
+      // a computer seat that moves first has moved by the time the game is answered
+      const { body: opened } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo', ai: { blue: 'greedy' } });
+      assert.deepEqual(opened.moves.map(m=>[m.player_color, m.passed]), [['blue', false]]);
+      assert.equal(opened.players[opened.game.next_player_index].color, 'red');
+
+      const ai = { yellow: 'random', red: 'greedy', green: 'search' };
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat', ai });
+      assert.deepEqual(game.players.map(p=>[p.color, p.kind, p.ai_level ?? null]), [['blue', 'human', null], ['yellow', 'ai', 'random'], ['red', 'ai', 'greedy'], ['green', 'ai', 'search']]);
+      assert.equal(game.moves.length, 0);
+      const { body: after } = await call('POST', `/api/games/${game.game.id}/place`, opening);
+      assert.deepEqual(after.moves.map(m=>[m.player_color, m.passed]), [['blue', false], ['yellow', false], ['red', false], ['green', false]]);
+      assert.equal(after.players[after.game.next_player_index].color, 'blue');
+      assert.equal((await call('POST', `/api/games/${game.game.id}/skip`, { player_color: 'yellow' })).body.error, 'not_your_turn');
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: games export to both notations and import back move for move`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      assert.equal((await call('GET', '/api/games/00000000-0000-4000-8000-000000000000/export')).status, 404);
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo' });
+      const id = game.game.id;
+      await call('POST', `/api/games/${id}/place`, { ...opening, rotation: 1, position: { x: 4, y: 4 } });
+      await call('POST', `/api/games/${id}/skip`, { player_color: 'red' });
+      const { body: played } = await call('POST', `/api/games/${id}/place`, { player_color: 'blue', piece_key: 'V3', rotation: 0, flipped: true, position: { x: 5, y: 6 } });
+
+      const { body: record } = await call('GET', `/api/games/${id}/export`);
+      assert.deepEqual(record, {
+        format: 'blokus', version: 1, variant: 'duo', config: null,
+        players: [{ color: 'blue', name: 'Blue' }, { color: 'red', name: 'Red' }],
+        moves: [
+          { player_color: 'blue', piece_key: 'I2', rotation: 1, flipped: false, position: { x: 4, y: 4 } },
+          { player_color: 'red', passed: true },
+          { player_color: 'blue', piece_key: 'V3', rotation: 0, flipped: true, position: { x: 5, y: 6 } }
+        ]
+      });
+      const text = await call('GET', `/api/games/${id}/export?format=text`);
+      assert.match(text.headers.get('content-type'), /^text\/plain/);
+      assert.equal(text.body, 'Blokus 1\nVariant duo\nPlayer blue Blue\nPlayer red Red\n1. blue I2 1 4,4\n2. red pass\n3. blue V3 0f 5,6\n');
+
+      for (const body of [record, text.body]) {
+        const { status, body: imported } = await call('POST', '/api/games/import', body);
+        assert.equal(status, 200);
+        assert.deepEqual([imported.game.mode, imported.game.variant], ['hotseat', 'duo']);
+        assert.deepEqual(imported.moves.map(m=>[m.player_color, m.passed, m.cells]), played.moves.map(m=>[m.player_color, m.passed, m.cells]));
+      }
+      assert.equal((await call('POST', '/api/games/import', { ...record, version: 2 })).body.error, 'unsupported_version');
+      const misplaced = { ...record, moves: [{ ...record.moves[0], position: { x: 0, y: 0 } }] };
+      assert.deepEqual((await call('POST', '/api/games/import', misplaced)).body, { error: 'first_move_must_cover_corner', turn: 1 });
+      const outOfTurn = text.body.replace('2. red pass', '2. blue pass');
+      assert.equal((await call('POST', '/api/games/import', outOfTurn)).body.turn, 2);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: computer turns are still played when their worker fails`, async () => {
+    const lines = [];
+    const logger = createLogger({ level: 'error', write: line=>lines.push(JSON.parse(line)) });
+    const offThread = async ()=>{ throw new Error('AI worker exited with code 1'); };
+    const { call, listen, close } = await startServer(create(), { logger, offThread });
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo', ai: { red: 'greedy' } });
+      const id = game.game.id;
+      const live = await listen(`/api/games/${id}/events`);
+      const placed = await call('POST', `/api/games/${id}/place`, { ...opening, position: { x: 4, y: 4 } });
+      assert.equal(placed.status, 200);
+      assert.deepEqual(placed.body.moves.map(m=>[m.player_color, m.passed]), [['blue', false], ['red', false]]);
+      assert.equal(placed.body.players[placed.body.game.next_player_index].color, 'blue');
+      assert.deepEqual((await live.take(2)).map(e=>[e.event, e.id]), [['move', 1], ['move', 2]]);
+      live.close();
+      assert.deepEqual(lines.map(l=>[l.msg, l.color, l.game_id]), [['ai_worker_failed', 'red', id]]);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: registered bots play their seats and bad answers pass`, async () => {
+    const requests = [];
+    const answers = [{ piece_key: 'I1', rotation: 0, flipped: false, position: { x: 9, y: 9 } }, { piece_key: 'I1', position: { x: 0, y: 0 } }];
+    const bot = { ask: async request=>{ requests.push(request); return answers.shift(); }, close() {} };
+    const { call, close } = await startServer(create(), { bots: new Map([['echo', bot]]) });
+    try {
+      assert.deepEqual((await call('GET', '/api/bots')).body, { levels: ['random', 'greedy', 'search'], bots: ['bot:echo'] });
+      assert.equal((await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo', ai: { red: 'bot:other' } })).body.error, 'invalid_ai');
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo', ai: { red: 'bot:echo' } });
+      const id = game.game.id;
+      const first = await call('POST', `/api/games/${id}/place`, { ...opening, position: { x: 4, y: 4 } });
+      assert.deepEqual(first.body.moves.map(m=>[m.player_color, m.piece_key]), [['blue', 'I2'], ['red', 'I1']]);
+      assert.deepEqual([requests[0].color, requests[0].turn, requests[0].board[4][5]], ['red', 1, 'blue']);
+      assert.ok(!requests[0].remaining.blue.includes('I2'));
+      // not touching red's piece: the turn passes
+      const second = await call('POST', `/api/games/${id}/place`, { ...opening, piece_key: 'I1', position: { x: 3, y: 3 } });
+      assert.equal(second.body.moves.at(-1).passed, true);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: accounts sign in and list their games`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      assert.equal((await call('POST', '/api/users', { username: 'ada', password: 'short' })).body.error, 'invalid_password');
+      assert.equal((await call('POST', '/api/users', { username: 'a d', password: 'long enough' })).body.error, 'invalid_username');
+      const registered = await call('POST', '/api/users', { username: 'Ada', password: 'long enough' });
+      assert.equal(registered.status, 201);
+      assert.equal(registered.body.user.username, 'Ada');
+      assert.ok(!('password_hash' in registered.body.user));
+      assert.equal((await call('POST', '/api/users', { username: 'ADA', password: 'whatever it is' })).status, 409);
+
+      assert.equal((await call('POST', '/api/sessions', { username: 'ada', password: 'wrong password' })).status, 401);
+      const { body: session } = await call('POST', '/api/sessions', { username: 'ada', password: 'long enough' });
+      const auth = { Authorization: `Bearer ${session.token}` };
+      assert.equal((await call('GET', '/api/me', undefined, auth)).body.user.id, registered.body.user.id);
+      assert.equal((await call('GET', '/api/games')).status, 401);
+      assert.equal((await call('GET', '/api/games', undefined, { Authorization: 'Bearer nope' })).body.error, 'invalid_session');
+
+      const { body: hotseat } = await call('POST', '/api/games', { mode: 'hotseat' }, auth);
+      await call('POST', `/api/games/${hotseat.game.id}/place`, opening);
+      await call('POST', '/api/games', { mode: 'hotseat' });
+      const { body: online } = await call('POST', '/api/games', { mode: 'online', variant: 'duo' });
+      const joined = await call('POST', `/api/games/${online.game.id}/join`, { color: 'red' }, auth);
+      assert.equal(joined.body.players.find(p=>p.color==='red').name, 'Ada');
+      const rejoined = await call('POST', `/api/games/${online.game.id}/join`, { color: 'red' }, auth);
+      assert.equal(rejoined.body.seat.token, joined.body.seat.token);
+      assert.equal((await call('POST', `/api/games/${online.game.id}/join`, { color: 'red' })).body.error, 'seat_taken');
+
+      const { body: list } = await call('GET', '/api/games', undefined, auth);
+      assert.equal(list.total, 2);
+      assert.deepEqual(new Set(list.games.map(g=>g.id)), new Set([hotseat.game.id, online.game.id]));
+      const listed = list.games.find(g=>g.id === online.game.id);
+      assert.deepEqual([listed.status, listed.my_colors, listed.move_count], ['waiting', ['red'], 0]);
+      assert.equal(list.games.find(g=>g.id === hotseat.game.id).move_count, 1);
+
+      const waiting = await call('GET', '/api/games?status=waiting,finished', undefined, auth);
+      assert.deepEqual(waiting.body.games.map(g=>g.id), [online.game.id]);
+      const page = await call('GET', '/api/games?limit=1&offset=1', undefined, auth);
+      assert.deepEqual([page.body.games.length, page.body.total], [1, 2]);
+      assert.equal((await call('GET', '/api/games?status=lost', undefined, auth)).body.error, 'invalid_status');
+      assert.equal((await call('GET', '/api/games?limit=0', undefined, auth)).body.error, 'invalid_limit');
+
+      assert.equal((await call('DELETE', '/api/sessions', undefined, auth)).status, 204);
+      assert.equal((await call('GET', '/api/me', undefined, auth)).status, 401);
+      assert.equal((await call('GET', '/api/me', undefined, { Authorization: `Bearer ${registered.body.token}` })).status, 200);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: finished games between accounts are rated`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const auth = {};
+      for (const username of ['ada', 'bob']) {
+        const { body } = await call('POST', '/api/users', { username, password: 'long enough' });
+        auth[username] = { Authorization: `Bearer ${body.token}` };
+      }
+      const { body: game } = await call('POST', '/api/games', { mode: 'online', variant: 'duo' });
+      const id = game.game.id;
+      const blue = await call('POST', `/api/games/${id}/join`, { color: 'blue' }, auth.ada);
+      const red = await call('POST', `/api/games/${id}/join`, { color: 'red' }, auth.bob);
+      await call('POST', `/api/games/${id}/place`, { ...opening, position: { x: 4, y: 4 } }, { 'X-Seat-Token': blue.body.seat.token });
+      assert.equal((await call('GET', '/api/leaderboard')).body.total, 0);
+      await call('POST', `/api/games/${id}/resign`, {}, { 'X-Seat-Token': red.body.seat.token });
+
+      const { body: board } = await call('GET', '/api/leaderboard');
+      assert.deepEqual(board.players.map(p=>[p.rank, p.username, p.rating, p.games]), [[1, 'ada', 1516, 1], [2, 'bob', 1484, 1]]);
+      assert.equal((await call('GET', '/api/leaderboard?limit=500')).body.error, 'invalid_limit');
+
+      const { body: stats } = await call('GET', `/api/players/${board.players[0].id}/stats`);
+      assert.deepEqual(stats.stats, { games_played: 1, wins: 1, win_rate: 1, average_score: -87, favorite_opening: 'I2' });
+      assert.deepEqual(stats.history.map(h=>[h.game_id, h.rating_before, h.rating_after]), [[id, 1500, 1516]]);
+      assert.equal((await call('GET', '/api/players/00000000-0000-4000-8000-000000000000/stats')).status, 404);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: clocks run out on the server`, async () => {
+    let clock = Date.parse('2030-01-01T00:00:00Z');
+    const { call, close } = await startServer(create(), { now: () => new Date(clock) });
+    try {
+      assert.equal((await call('POST', '/api/games', { mode: 'hotseat', time_control: { type: 'move', seconds: 0 } })).body.error, 'invalid_time_control');
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat', time_control: { type: 'move', seconds: 30 } });
+      const id = game.game.id;
+      assert.deepEqual(game.clocks, { remaining: { blue: 30000, yellow: 30000, red: 30000, green: 30000 }, running: 'blue' });
+      clock += 10e3;
+      assert.equal((await call('GET', `/api/games/${id}`)).body.clocks.remaining.blue, 20000);
+      clock += 25e3;
+      const { body: passed } = await call('GET', `/api/games/${id}`);
+      assert.deepEqual(passed.moves.map(m=>[m.player_color, m.passed]), [['blue', true]]);
+      assert.deepEqual([passed.clocks.running, passed.clocks.remaining.yellow], ['yellow', 30000]);
+      clock += 31e3;
+      const late = await call('POST', `/api/games/${id}/place`, { ...opening, player_color: 'yellow', position: { x: 18, y: 0 }, turn_number: 2 });
+      assert.deepEqual([late.status, late.body.error, late.body.state.moves.length], [409, 'time_expired', 2]);
+
+      // banks: charged per move with an increment; running out resigns here
+      const { body: duo } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo', time_control: { type: 'bank', seconds: 60, increment: 5, on_timeout: 'resign' } });
+      clock += 20e3;
+      const { body: moved } = await call('POST', `/api/games/${duo.game.id}/place`, { ...opening, position: { x: 4, y: 4 } });
+      assert.deepEqual(moved.clocks.remaining, { blue: 45000, red: 60000 });
+      clock += 61e3;
+      const { body: over } = await call('GET', `/api/games/${duo.game.id}`);
+      assert.equal(over.game.status, 'finished');
+      assert.deepEqual(over.results.map(r=>[r.color, r.rank, r.resigned]), [['blue', 1, false], ['red', 2, true]]);
+      assert.equal(over.clocks.running, null);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: analysis reports corners, territory and a hint on request`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat', variant: 'duo' });
+      const id = game.game.id;
+      await call('POST', `/api/games/${id}/place`, { ...opening, position: { x: 4, y: 4 } });
+      const { body: live } = await call('GET', `/api/games/${id}/analysis`);
+      assert.deepEqual([live.turn, live.color], [1, 'red']);
+      assert.deepEqual(live.colors.blue.corners, [[3,3], [6,3], [3,5], [6,5]]);
+      assert.ok(live.colors.red.legal_moves > 0 && live.colors.red.exclusive.length > 0);
+      assert.equal('hint' in live, false);
+      const { body: hinted } = await call('GET', `/api/games/${id}/analysis?hint=1`);
+      assert.deepEqual(hinted.colors, live.colors);
+      assert.equal(hinted.hint.player_color, 'red');
+      assert.ok(hinted.hint.cells.some(([x,y])=>x === 9 && y === 9));
+
+      const { body: start } = await call('GET', `/api/games/${id}/analysis?turn=0`);
+      assert.deepEqual([start.color, start.colors.blue.corners], ['blue', [[4,4]]]);
+      assert.equal((await call('GET', `/api/games/${id}/analysis?turn=5`)).body.error, 'invalid_turn_number');
+
+      // a turn taken back and played differently is a new position
+      await call('POST', `/api/games/${id}/undo`, {});
+      await call('POST', `/api/games/${id}/place`, { ...opening, piece_key: 'I1', position: { x: 4, y: 4 } });
+      assert.deepEqual((await call('GET', `/api/games/${id}/analysis`)).body.colors.blue.corners, [[3,3], [5,3], [3,5], [5,5]]);
+
+      // no hints for someone else's turn in an online game
+      const { body: online } = await call('POST', '/api/games', { mode: 'online', variant: 'duo' });
+      const blue = await call('POST', `/api/games/${online.game.id}/join`, { color: 'blue' });
+      await call('POST', `/api/games/${online.game.id}/join`, { color: 'red' });
+      assert.equal((await call('GET', `/api/games/${online.game.id}/analysis?hint=1`)).body.hint, null);
+      assert.equal((await call('GET', `/api/games/${online.game.id}/analysis?hint=1`, undefined, { 'X-Seat-Token': blue.body.seat.token })).body.hint.player_color, 'blue');
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: the board snapshot follows every move and is rebuilt when it drifts`, async () => {
+    const storage = create();
+    const { call, close } = await startServer(storage);
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat' });
+      const id = game.game.id;
+      await call('POST', `/api/games/${id}/place`, opening);
+      await call('POST', `/api/games/${id}/skip`, { player_color: 'yellow' });
+      const stored = (await storage.loadGame(id)).game.snapshot;
+      assert.equal(stored.turn, 2);
+      assert.deepEqual((await call('POST', `/api/games/${id}/integrity`)).body, { consistent: true, rebuilt: false, turn: 2 });
+
+      // a snapshot that disagrees with the moves is found and rebuilt
+      await storage.updateGame(id, { snapshot: { ...stored, boards: { ...stored.boards, blue: stored.boards.red } } });
+      assert.deepEqual((await call('POST', `/api/games/${id}/integrity`)).body, { consistent: false, rebuilt: true, turn: 2 });
+      assert.deepEqual((await storage.loadGame(id)).game.snapshot, stored);
+
+      // games without one (or behind the moves) are replayed on load
+      await storage.updateGame(id, { snapshot: null });
+      const state = (await call('GET', `/api/games/${id}`)).body;
+      assert.equal(state.occupiedCount, 2);
+      assert.deepEqual((await storage.loadGame(id)).game.snapshot, stored);
+      const undone = await call('POST', `/api/games/${id}/undo`, { turn_number: 1 });
+      assert.equal(undone.body.occupiedCount, 0);
+      assert.equal((await storage.loadGame(id)).game.snapshot.turn, 0);
+      assert.equal((await call('POST', '/api/games/00000000-0000-4000-8000-000000000000/integrity')).status, 404);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: moves are played from the snapshot and answered without loading the game again`, async () => {
+    const storage = create();
+    const reads = [];
+    const { loadGame, listMoves } = storage;
+    storage.loadGame = (id, options)=>{ reads.push(options?.moves === false ? 'head' : 'game'); return loadGame(id, options); };
+    storage.listMoves = id=>{ reads.push('moves'); return listMoves(id); };
+    const { call, close } = await startServer(storage);
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat' });
+      const id = game.game.id;
+      reads.length = 0;
+      const placed = await call('POST', `/api/games/${id}/place`, { ...opening, turn_number: 1 });
+      assert.deepEqual(reads, ['head', 'moves']);
+      assert.deepEqual(placed.body.moves.map(m=>[m.turn_number, m.piece_key]), [[1, opening.piece_key]]);
+      assert.equal(placed.body.occupiedCount, 2);
+
+      reads.length = 0;
+      const stale = await call('POST', `/api/games/${id}/skip`, { player_color: 'yellow', turn_number: 1 });
+      assert.deepEqual([stale.status, stale.body.error, stale.body.state.moves.length], [409, 'stale_state', 1]);
+      assert.deepEqual(reads, ['head', 'moves']);
+      reads.length = 0;
+      assert.equal((await call('GET', `/api/games/${id}/legal-moves?color=yellow`)).status, 200);
+      assert.deepEqual(reads, ['head']);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: tournaments seat each round and advance when its tables finish`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      assert.equal((await call('POST', '/api/tournaments', { name: 'Office', format: 'elimination', players: ['Ann'] })).body.error, 'invalid_players');
+      assert.equal((await call('GET', '/api/tournaments/00000000-0000-4000-8000-000000000000')).status, 404);
+      const created = await call('POST', '/api/tournaments', { name: 'Office', format: 'elimination', variant: 'duo', players: ['Ann', 'Bo', 'Cy'] });
+      assert.equal(created.status, 201);
+      const [table, bye] = created.body.rounds[0].tables;
+      assert.equal(bye.status, 'bye');
+      assert.deepEqual(table.seats.map(s=>[s.name, s.colors]), [['Bo', ['blue']], ['Cy', ['red']]]);
+      const { body: game } = await call('GET', `/api/games/${table.game_id}`);
+      assert.deepEqual([game.game.mode, game.game.status, game.players.map(p=>p.name)], ['online', 'waiting', ['Bo', 'Cy']]);
+
+      // Cy resigns, so Bo meets Ann in the final
+      const play = async (gameId, loser) => {
+        const seats = {};
+        for (const color of ['blue', 'red']) seats[color] = (await call('POST', `/api/games/${gameId}/join`, { color })).body.seat.token;
+        await call('POST', `/api/games/${gameId}/resign`, {}, { 'X-Seat-Token': seats[loser] });
+      };
+      await play(table.game_id, 'red');
+      const { body: second } = await call('GET', `/api/tournaments/${created.body.tournament.id}`);
+      assert.equal(second.tournament.current_round, 2);
+      assert.deepEqual(second.rounds[0].tables[0].seats.map(s=>s.rank), [1, 2]);
+      const final = second.rounds[1].tables[0];
+      assert.deepEqual(new Set(final.seats.map(s=>s.name)), new Set(['Ann', 'Bo']));
+
+      await play(final.game_id, 'blue');
+      const { body: done } = await call('GET', `/api/tournaments/${created.body.tournament.id}`);
+      assert.equal(done.tournament.status, 'finished');
+      assert.equal(done.players[done.winner], final.seats[1].name);
+      assert.deepEqual(done.standings.map(e=>e.eliminated_in), [null, 2, 1]);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: spectators watch a delayed game and chat apart from the players`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      assert.equal((await call('POST', '/api/games', { mode: 'online', variant: 'duo', broadcast_delay: -1 })).body.error, 'invalid_broadcast_delay');
+      assert.equal((await call('GET', '/api/watch/nope')).status, 404);
+      const { body: game } = await call('POST', '/api/games', { mode: 'online', variant: 'duo', broadcast_delay: 1 });
+      const id = game.game.id;
+      const watch = game.game.watch_id;
+      const blue = (await call('POST', `/api/games/${id}/join`, { color: 'blue' })).body.seat.token;
+      const red = (await call('POST', `/api/games/${id}/join`, { color: 'red' })).body.seat.token;
+      await call('POST', `/api/games/${id}/place`, { ...opening, position: { x: 4, y: 4 } }, { 'X-Seat-Token': blue });
+
+      const { body: view } = await call('GET', `/api/watch/${watch}`);
+      assert.deepEqual([view.game.id, view.spectating, view.moves.length, view.hidden_moves], [null, true, 0, 1]);
+      assert.equal(view.players[view.game.next_player_index].color, 'blue');
+      await call('POST', `/api/games/${id}/place`, { ...opening, player_color: 'red', position: { x: 9, y: 9 } }, { 'X-Seat-Token': red });
+      assert.deepEqual((await call('GET', `/api/watch/${watch}`)).body.moves.map(m=>m.player_color), ['blue']);
+
+      assert.equal((await call('POST', `/api/games/${id}/chat`, { body: 'hi' })).status, 403);
+      await call('POST', `/api/games/${id}/chat`, { body: 'go for the middle', players_only: true }, { 'X-Seat-Token': blue });
+      const hi = await call('POST', `/api/games/${id}/chat`, { body: 'hi all' }, { 'X-Seat-Token': blue });
+      assert.deepEqual([hi.status, hi.body.message.author, hi.body.message.role], [201, 'Blue', 'player']);
+      assert.equal((await call('POST', `/api/watch/${watch}/chat`, { body: '   ' })).body.error, 'invalid_message');
+      await call('POST', `/api/watch/${watch}/chat`, { body: 'play X5!', name: 'Ann' });
+
+      const bodies = async (path, headers) => (await call('GET', path, undefined, headers)).body.messages.map(m=>m.body);
+      assert.deepEqual(await bodies(`/api/watch/${watch}/chat`), ['hi all', 'play X5!']);
+      assert.deepEqual(await bodies(`/api/games/${id}/chat`, { 'X-Seat-Token': red }), ['go for the middle', 'hi all']);
+      assert.deepEqual(await bodies(`/api/games/${id}/chat`), ['hi all']);
+
+      // once the game is over spectators see every move and players the whole chat
+      await call('POST', `/api/games/${id}/resign`, {}, { 'X-Seat-Token': red });
+      assert.equal((await call('GET', `/api/watch/${watch}`)).body.moves.length, 2);
+      assert.deepEqual(await bodies(`/api/games/${id}/chat`, { 'X-Seat-Token': red }), ['go for the middle', 'hi all', 'play X5!']);
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: validate explains a placement without making it`, async () => {
+    const { call, close } = await startServer(create());
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat' });
+      const id = game.game.id;
+      const ok = await call('POST', `/api/games/${id}/validate`, { player_color: 'blue', piece_key: 'I2', position: { x: 0, y: 0 } });
+      assert.equal(ok.status, 200);
+      assert.deepEqual([ok.body.valid, ok.body.error, ok.body.corner], [true, null, { rule: 'start', cells: [[0,0]], satisfied: true }]);
+
+      const off = await call('POST', `/api/games/${id}/validate`, { player_color: 'blue', piece_key: 'I2', position: { x: 19, y: 0 } });
+      assert.deepEqual([off.body.valid, off.body.error, off.body.violations.out_of_bounds], [false, 'out_of_bounds', [[20,0]]]);
+      assert.equal((await call('GET', `/api/games/${id}`)).body.moves.length, 0);
+
+      assert.equal((await call('POST', `/api/games/${id}/validate`, { player_color: 'blue', piece_key: 'Q9', position: { x: 0, y: 0 } })).body.error, 'invalid_piece');
+      assert.equal((await call('POST', `/api/games/${id}/validate`, { player_color: 'pink', piece_key: 'I2', position: { x: 0, y: 0 } })).body.error, 'invalid_color');
+    } finally {
+      await close();
+    }
+  });
+
+  test(`${name}: requests are validated, logged with their id and counted`, async () => {
+    const lines = [];
+    const logger = createLogger({ level: 'info', write: line=>lines.push(JSON.parse(line)) });
+    const { call, close } = await startServer(create(), { logger });
+    try {
+      const { body: game } = await call('POST', '/api/games', { mode: 'hotseat' });
+      const id = game.game.id;
+      assert.deepEqual(await call('GET', '/api/games/42').then(r=>[r.status, r.body.error]), [400, 'invalid_id']);
+      assert.equal((await call('GET', '/api/watch/nope')).status, 404);
+      const place = body=>call('POST', `/api/games/${id}/place`, body).then(r=>[r.status, r.body.error]);
+      assert.deepEqual(await place({ ...opening, rotation: 5 }), [400, 'invalid_rotation']);
+      assert.deepEqual(await place({ ...opening, position: { x: 1.5, y: 0 } }), [400, 'invalid_position']);
+      assert.deepEqual(await place({ ...opening, player_color: 'pink' }), [400, 'invalid_color']);
+      assert.deepEqual(await place(undefined), [400, 'invalid_color']);
+      const malformed = await call('POST', `/api/games/${id}/place`, '{"player_color":', { 'Content-Type': 'application/json' });
+      assert.deepEqual([malformed.status, malformed.body.error], [400, 'invalid_json']);
+      assert.deepEqual(await call('GET', '/api/nothing').then(r=>[r.status, r.body.error]), [404, 'not_found']);
+
+      const placed = await call('POST', `/api/games/${id}/place`, opening, { 'X-Request-Id': 'req-42' });
+      assert.deepEqual([placed.status, placed.headers.get('x-request-id')], [200, 'req-42']);
+
+      const { body: metrics } = await call('GET', '/metrics');
+      assert.match(metrics, /^blokus_moves_total\{type="place"\} 1$/m);
+      assert.match(metrics, /^blokus_validation_failures_total\{code="invalid_rotation"\} 1$/m);
+      assert.match(metrics, /^blokus_db_query_duration_seconds_count\{operation="createGame"\} 1$/m);
+    } finally {
+      await close();
+    }
+    const logged = lines.find(l=>l.msg === 'request' && l.request_id === 'req-42');
+    assert.deepEqual([logged.level, logged.method, logged.route, logged.status], ['info', 'POST', '/api/games/:id/place', 200]);
+  });
+
+  test(`${name}: request bodies are checked before anything is loaded`, async () => {
+    const { call, close } = await startServer(create());
+    const missing = '00000000-0000-4000-8000-000000000000';
+    const watch = '0'.repeat(32);
+    const post = (path, body)=>call('POST', path, body).then(r=>[r.status, r.body.error]);
+    try {
+      assert.deepEqual(await post('/api/games', { mode: 3 }), [400, 'invalid_mode']);
+      assert.deepEqual(await post('/api/games', { ai: null }), [400, 'invalid_ai']);
+      assert.deepEqual(await post('/api/games', { players: ['red', 7] }), [400, 'invalid_players']);
+      assert.deepEqual(await post('/api/games', { time_control: 'blitz' }), [400, 'invalid_time_control']);
+      assert.deepEqual(await post('/api/games', { template: 'mine' }), [400, 'invalid_template']);
+      assert.deepEqual(await post('/api/templates', { name: ' ' }), [400, 'invalid_name']);
+      assert.deepEqual(await post('/api/templates', { name: 'Duo', config: [] }), [400, 'invalid_config']);
+      assert.deepEqual(await post(`/api/games/${missing}/join`, {}), [400, 'invalid_color']);
+      assert.deepEqual(await post(`/api/games/${missing}/join`, { color: 'blue', name: 'x'.repeat(41) }), [400, 'invalid_name']);
+      assert.deepEqual(await post(`/api/games/${missing}/resign`, { color: 1 }), [400, 'invalid_color']);
+      assert.deepEqual(await post(`/api/games/${missing}/chat`, { body: 42 }), [400, 'invalid_message']);
+      assert.deepEqual(await post(`/api/games/${missing}/chat`, { body: 'hi', players_only: 'yes' }), [400, 'invalid_players_only']);
+      assert.deepEqual(await post(`/api/watch/${watch}/chat`, { body: 'hi', name: '' }), [400, 'invalid_name']);
+      assert.deepEqual(await post(`/api/games/${missing}/undo`, { turn_number: 0 }), [400, 'invalid_turn_number']);
+      assert.deepEqual(await post(`/api/games/${missing}/undo/respond`, { accept: 'yes' }), [400, 'invalid_accept']);
+      assert.deepEqual(await post('/api/games/import', { format: 'blokus', players: {}, moves: [] }), [400, 'invalid_notation']);
+      const imported = moves=>post('/api/games/import', { format: 'blokus', version: 1, players: [], moves });
+      assert.deepEqual(await imported([7]), [400, 'invalid_notation']);
+      assert.deepEqual(await imported([{ ...opening, rotation: 7 }]), [400, 'invalid_rotation']);
+      assert.deepEqual(await imported([{ ...opening, rotation: 1.5 }]), [400, 'invalid_rotation']);
+      assert.deepEqual(await imported([{ ...opening, position: { x: 0.5, y: 0 } }]), [400, 'invalid_position']);
+      assert.deepEqual(await imported([{ player_color: 'blue', passed: 'yes' }]), [400, 'invalid_passed']);
+      assert.deepEqual(await imported([{ passed: true }]), [400, 'invalid_color']);
+      assert.deepEqual(await post('/api/tournaments', { name: 'Office', format: 'swiss', players: 'Ann, Bob' }), [400, 'invalid_players']);
+      assert.deepEqual(await post('/api/users', { username: 'ann' }), [400, 'invalid_password']);
+      assert.deepEqual(await post('/api/sessions', { username: ['ann'], password: 'secret' }), [400, 'invalid_username']);
+
+      // bodies that fit go on to the handlers
+      assert.deepEqual(await post(`/api/games/${missing}/join`, { color: 'blue' }), [404, 'not_found']);
+      assert.deepEqual(await post(`/api/games/${missing}/undo/respond`, { accept: true }), [404, 'not_found']);
+      assert.deepEqual(await post('/api/games/import', 'not notation'), [400, 'invalid_notation']);
+    } finally {
+      await close();
+    }
+  });
+}
@@ -0,0 +1,201 @@
+// External bots: programs that play a seat through a small JSON protocol,
+// either as a long-running process (one request per line on stdin, one answer
+// per line on stdout) or as an HTTP endpoint (the request is POSTed, the
+// answer is the response body). The server only runs bots its operator lists
+// in BOTS_FILE; games seat them like computer players, with level "bot:<name>".
+//
+// Request, sent when the bot's color is to move and has a legal placement:
+//   {
+//     "protocol": 1,
+//     "color": "red",                          // the color to place
+//     "team": ["blue", "red"],                 // every color of the bot's seat
+//     "variant": "two_player",
+//     "board_size": 20,
+//     "colors": ["blue", "yellow", "red", "green"],   // turn order
+//     "start_corners": { "blue": [0, 0], ... },
+//     "turn": 13,                              // moves made so far, passes included
+//     "board": [["blue", null, ...], ...],     // board[y][x]: color or null
+//     "remaining": { "blue": ["I1", ...], ... },      // unplaced pieces, as in the game state
+//     "pieces": { "I1": [[0, 0]], ... },       // shapes of the game's piece set
+//     "time_limit_ms": 5000
+//   }
+//
+// Answer, exactly as POST /api/games/:id/place takes it (or a pass):
+//   { "piece_key": "L5", "rotation": 1, "flipped": false, "position": { "x": 3, "y": 0 } }
+//   { "pass": true }
+//
+// An illegal, malformed or late answer passes the turn. stateFromRequest turns
+// a request back into an engine state for bots written against shared/engine.js.
+import { spawn } from 'child_process';
+import fs from 'fs';
+import { createState, remainingPieces, validateMove, keyOfCell } from '../shared/engine.js';
+import { seatIndexFor } from '../shared/variants.js';
+import { schemaError, PLACEMENT } from './validation.js';
+
+export const BOT_PROTOCOL = 1;
+export const BOT_PREFIX = 'bot:';
+export const BOT_TIMEOUT_MS = Number(process.env.BOT_TIMEOUT_MS) || 5000;
+
+// Name of the registered bot an ai_level refers to, or null for the built-in levels
+export function botName(level) {
+  return typeof level === 'string' && level.startsWith(BOT_PREFIX) ? level.slice(BOT_PREFIX.length) : null;
+}
+
+export function botRequest(engine, variant, color, timeLimitMs = BOT_TIMEOUT_MS) {
+  const board = Array.from({ length: engine.boardSize }, ()=>Array(engine.boardSize).fill(null));
+  for (const [key, c] of engine.occupied) {
+    const [x, y] = key.split(',').map(Number);
+    board[y][x] = c;
+  }
+  return {
+    protocol: BOT_PROTOCOL,
+    color,
+    team: variant.seats[seatIndexFor(variant, color, engine.turn)] || [color],
+    variant: variant.name,
+    board_size: engine.boardSize,
+    colors: engine.colors,
+    start_corners: engine.startCorners,
+    turn: engine.turn,
+    board,
+    remaining: Object.fromEntries(engine.colors.map(c=>[c, remainingPieces(engine, c)])),
+    pieces: engine.pieces,
+    time_limit_ms: timeLimitMs
+  };
+}
+
+// Engine state for a request, with `color` to move
+export function stateFromRequest(request) {
+  const state = createState({ colors: request.colors, boardSize: request.board_size, startCorners: request.start_corners, pieces: request.pieces });
+  request.board.forEach((row, y)=>row.forEach((c, x)=>{
+    if (!c) return;
+    state.occupied.set(keyOfCell(x, y), c);
+    state.cells[c].add(keyOfCell(x, y));
+  }));
+  for (const c of state.colors) {
+    for (const k of Object.keys(state.pieces)) if (!request.remaining[c].includes(k)) state.used[c].add(k);
+  }
+  state.turn = request.turn;
+  state.nextPlayerIndex = state.colors.indexOf(request.color);
+  return state;
+}
+
+// The move a bot's answer makes for `color`: { move } for a legal placement or
+// a pass, or { move: pass, fault } with the reason an answer was not used.
+// Answers are held to the /place body schema (validation.js) first.
+export function botAnswer(engine, color, answer) {
+  const pass = { player_color: color, passed: true };
+  if (!answer || typeof answer !== 'object') return { move: pass, fault: 'no_answer' };
+  if (answer.pass === true) return { move: pass };
+  const invalid = schemaError(PLACEMENT, { ...answer, player_color: color });
+  if (invalid) return { move: pass, fault: invalid };
+  const { piece_key, rotation = 0, flipped = false, position } = answer;
+  const check = validateMove(engine, { player_color: color, piece_key, rotation, flipped, position }, { ignoreTurn: true });
+  if (!check.ok) return { move: pass, fault: check.error };
+  return { move: { player_color: color, piece_key, rotation, flipped, cells: check.cells } };
+}
+
+function parseAnswer(text) {
+  try { return JSON.parse(text); } catch { return null; }
+}
+
+// Bot run as a shell command. It is started on first use and kept running;
+// requests go one at a time, and one that times out restarts the process.
+export function processBot(command, { timeoutMs = BOT_TIMEOUT_MS } = {}) {
+  let child = null;
+  let buffer = '';
+  let waiting = null; // resolves the request in flight with a line, or null
+  let queue = Promise.resolve();
+
+  function start() {
+    const proc = spawn(command, { shell: true, stdio: ['pipe', 'pipe', 'inherit'] });
+    child = proc;
+    buffer = '';
+    proc.stdout.setEncoding('utf8');
+    proc.stdout.on('data', chunk=>{
+      if (child !== proc) return;
+      buffer += chunk;
+      let nl;
+      while ((nl = buffer.indexOf('\n')) >= 0) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 1);
+        waiting?.(line);
+      }
+    });
+    // a bot that exits or cannot be started fails the request in flight
+    const gone = ()=>{
+      if (child !== proc) return;
+      child = null;
+      waiting?.(null);
+    };
+    proc.on('exit', gone);
+    proc.on('error', gone);
+    proc.stdin.on('error', ()=>{});
+  }
+
+  function stop() {
+    const proc = child;
+    child = null;
+    proc?.kill();
+  }
+
+  function askOnce(request) {
+    return new Promise(resolve=>{
+      if (!child) start();
+      const timer = setTimeout(()=>{ finish(null); stop(); }, timeoutMs);
+      function finish(line) {
+        clearTimeout(timer);
+        waiting = null;
+        resolve(line === null ? null : parseAnswer(line));
+      }
+      waiting = finish;
+      child.stdin.write(JSON.stringify(request) + '\n');
+    });
+  }
+
+  return {
+    ask(request) {
+      const answer = queue.then(()=>askOnce(request));
+      queue = answer;
+      return answer;
+    },
+    close: stop
+  };
+}
+
+// Bot behind an HTTP endpoint; each request is POSTed as JSON
+export function httpBot(url, { timeoutMs = BOT_TIMEOUT_MS } = {}) {
+  return {
+    async ask(request) {
+      try {
+        const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(request), signal: AbortSignal.timeout(timeoutMs) });
+        return res.ok ? await res.json() : null;
+      } catch {
+        return null;
+      }
+    },
+    close() {}
+  };
+}
+
+// { command } or { url } -> bot
+export function createBot(spec, options) {
+  if (typeof spec?.command === 'string') return processBot(spec.command, options);
+  if (typeof spec?.url === 'string') return httpBot(spec.url, options);
+  throw new Error(`bot needs a command or a url: ${JSON.stringify(spec)}`);
+}
+
+// Bots listed in a JSON file, { "name": { "command": "..." } | { "url": "..." } },
+// as a Map of name -> bot; empty without a file
+export function loadBots(file) {
+  const bots = new Map();
+  if (!file) return bots;
+  const specs = JSON.parse(fs.readFileSync(file, 'utf8'));
+  for (const [name, spec] of Object.entries(specs)) bots.set(name, createBot(spec));
+  return bots;
+}
+
+// Ask `bot` for `color`'s move in a game of `variant` at `engine`; returns
+// { move, fault? } as botAnswer does.
+export async function askBot(bot, engine, variant, color, timeLimitMs) {
+  return botAnswer(engine, color, await bot.ask(botRequest(engine, variant, color, timeLimitMs)));
+}
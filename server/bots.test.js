@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createState, applyMove, legalMoves } from '../shared/engine.js';
+import { resolveVariant, engineOptions } from '../shared/variants.js';
+import { botRequest, stateFromRequest, botAnswer, processBot, httpBot, askBot } from './bots.js';
+import { runMatch } from './match.js';
+
+const duo = resolveVariant('duo');
+const opening = { player_color: 'blue', piece_key: 'I2', rotation: 0, flipped: false, cells: [[4,4],[5,4]] };
+
+test('requests carry the position and turn back into the same state', () => {
+  const engine = createState(engineOptions(duo));
+  applyMove(engine, opening);
+  const request = botRequest(engine, duo, 'red', 1000);
+  assert.deepEqual([request.color, request.team, request.turn, request.time_limit_ms], ['red', ['red'], 1, 1000]);
+  assert.deepEqual([request.board[4][4], request.board[4][5], request.board[4][6]], ['blue', 'blue', null]);
+  assert.ok(!request.remaining.blue.includes('I2') && request.remaining.red.includes('I2'));
+  const state = stateFromRequest(JSON.parse(JSON.stringify(request)));
+  assert.deepEqual(legalMoves(state, 'red').map(m=>m.cells), legalMoves(engine, 'red').map(m=>m.cells));
+});
+
+test('answers that are not legal placements pass with a fault', () => {
+  const engine = createState(engineOptions(duo));
+  applyMove(engine, opening);
+  const place = { piece_key: 'I1', position: { x: 9, y: 9 } };
+  assert.deepEqual(botAnswer(engine, 'red', place), { move: { player_color: 'red', piece_key: 'I1', rotation: 0, flipped: false, cells: [[9,9]] } });
+  assert.deepEqual(botAnswer(engine, 'red', { pass: true }), { move: { player_color: 'red', passed: true } });
+  assert.equal(botAnswer(engine, 'red', null).fault, 'no_answer');
+  assert.equal(botAnswer(engine, 'red', { ...place, position: { x: 4, y: 4 } }).move.passed, true);
+  assert.ok(botAnswer(engine, 'red', { ...place, piece_key: 'Q9' }).fault);
+  // rotations and positions the /place schema refuses never reach the board
+  assert.deepEqual(botAnswer(engine, 'red', { ...place, rotation: 5 }), { move: { player_color: 'red', passed: true }, fault: 'invalid_rotation' });
+  assert.equal(botAnswer(engine, 'red', { ...place, rotation: 1.5 }).fault, 'invalid_rotation');
+  assert.equal(botAnswer(engine, 'red', { ...place, position: { x: 9.5, y: 9 } }).fault, 'invalid_position');
+  assert.equal(botAnswer(engine, 'red', { ...place, flipped: 'yes' }).fault, 'invalid_flipped');
+  assert.equal(botAnswer(engine, 'red', { ...place, rotation: 3, flipped: true }).move.rotation, 3);
+});
+
+test('process bots answer over stdin and time out', async () => {
+  const engine = createState(engineOptions(duo));
+  const bot = processBot('node example-bot.js');
+  try {
+    const { move, fault } = await askBot(bot, engine, duo, 'blue');
+    assert.equal(fault, undefined);
+    assert.equal(move.cells.length, 5);
+  } finally {
+    bot.close();
+  }
+  const silent = processBot(`node -e "process.stdin.resume()"`, { timeoutMs: 300 });
+  try {
+    assert.equal((await askBot(silent, engine, duo, 'blue')).fault, 'no_answer');
+  } finally {
+    silent.close();
+  }
+});
+
+test('http bots get the request as a POST', async () => {
+  const server = http.createServer((req, res)=>{
+    let body = '';
+    req.on('data', chunk=>{ body += chunk; });
+    req.on('end', ()=>{
+      const { color } = JSON.parse(body);
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ piece_key: 'I1', position: color === 'blue' ? { x: 4, y: 4 } : { x: 9, y: 9 } }));
+    });
+  }).listen(0);
+  await new Promise(resolve=>server.once('listening', resolve));
+  try {
+    const bot = httpBot(`http://127.0.0.1:${server.address().port}/move`);
+    const { move } = await askBot(bot, createState(engineOptions(duo)), duo, 'blue');
+    assert.deepEqual(move.cells, [[4,4]]);
+  } finally {
+    await new Promise(resolve=>server.close(resolve));
+  }
+});
+
+test('matches rotate seats and report win rates and average scores', async () => {
+  const results = await runMatch({ players: ['greedy', 'random'], variant: 'duo', games: 2, random: () => 0 });
+  assert.deepEqual(results.map(r=>[r.name, r.games, r.faults]), [['greedy', 2, 0], ['random', 2, 0]]);
+  assert.equal(results[0].win_rate + results[1].win_rate, 1);
+  for (const r of results) assert.ok(r.average_score <= 0);
+  await assert.rejects(runMatch({ players: ['greedy'], variant: 'duo' }), /needs 2 players/);
+});
@@ -0,0 +1,75 @@
+// Optional time controls, chosen when the game is created:
+//
+//   { type: 'move', seconds }              every turn must be played within `seconds`
+//   { type: 'bank', seconds, increment }   each color has `seconds` for the whole game,
+//                                          plus `increment` seconds back after each move
+//
+// and on_timeout: 'pass' (default) or 'resign'. The games row keeps when the
+// current turn started and, for banks, each color's remaining milliseconds, so
+// the clocks change in the same write as the move that stops them. A color
+// whose bank ran out with 'pass' passes at once on each of its later turns.
+
+export const TIME_CONTROL_TYPES = ['move', 'bank'];
+export const TIMEOUT_ACTIONS = ['pass', 'resign'];
+const MAX_SECONDS = 24 * 3600;
+const MAX_INCREMENT = 600;
+
+// { timeControl } (null when none is asked for) or { error }
+export function validateTimeControl(raw) {
+  if (raw === undefined || raw === null) return { timeControl: null };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'invalid_time_control' };
+  const { type, seconds, increment = 0, on_timeout = 'pass' } = raw;
+  if (!TIME_CONTROL_TYPES.includes(type)) return { error: 'invalid_time_control' };
+  if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_SECONDS) return { error: 'invalid_time_control' };
+  if (type === 'bank' && (!Number.isInteger(increment) || increment < 0 || increment > MAX_INCREMENT)) return { error: 'invalid_time_control' };
+  if (!TIMEOUT_ACTIONS.includes(on_timeout)) return { error: 'invalid_time_control' };
+  return { timeControl: type === 'bank' ? { type, seconds, increment, on_timeout } : { type, seconds, on_timeout } };
+}
+
+// Starting banks per color, or null when colors have no bank
+export function initialClocks(timeControl, colors) {
+  if (timeControl?.type !== 'bank') return null;
+  return Object.fromEntries(colors.map(c=>[c, timeControl.seconds * 1000]));
+}
+
+// Milliseconds `color` has left on its turn at `at`
+export function timeLeft(game, color, at) {
+  const used = at - new Date(game.turn_started_at);
+  const available = game.time_control.type === 'move' ? game.time_control.seconds * 1000 : game.clocks[color];
+  return available - used;
+}
+
+// Whether `color`, the color to move, has run out of time
+export function clockExpired(game, color, at) {
+  return !!game.time_control && timeLeft(game, color, at) <= 0;
+}
+
+// Game patch for `color` moving at `at`: the next turn starts now and the
+// mover's bank is charged for the turn and credited the increment.
+export function clockPatch(game, color, at) {
+  const patch = { turn_started_at: at };
+  if (game.time_control?.type === 'bank') {
+    const left = Math.max(0, timeLeft(game, color, at));
+    patch.clocks = { ...game.clocks, [color]: left + game.time_control.increment * 1000 };
+  }
+  return patch;
+}
+
+// Game patch for `color` running out of time at `at`
+export function timeoutPatch(game, color, at) {
+  const patch = { turn_started_at: at };
+  if (game.time_control?.type === 'bank') patch.clocks = { ...game.clocks, [color]: 0 };
+  return patch;
+}
+
+// Clocks as sent to clients: milliseconds left per color at `at`, and the
+// color whose clock is running (null while the game is not being played).
+export function clockView(game, colors, running, at) {
+  if (!game.time_control) return null;
+  const active = game.status === 'active' ? running : null;
+  const remaining = Object.fromEntries(colors.map(c=>{
+    const idle = game.time_control.type === 'move' ? game.time_control.seconds * 1000 : game.clocks[c];
+    return [c, c === active ? Math.max(0, timeLeft(game, c, at)) : idle];
+  }));
+  return { remaining, running: active };
+}
@@ -0,0 +1,56 @@
+// Per-game Server-Sent Events hub.
+// Each subscriber is an open `text/event-stream` response; events for a game
+// are fanned out to every response subscribed to that game id, through the
+// subscriber's filter when it has one.
+
+const channels = new Map(); // gameId -> Map<res, filter | null>
+const HEARTBEAT_MS = 25000;
+
+function write(res, event, data, id) {
+  let frame = '';
+  if (id !== undefined) frame += `id: ${id}\n`;
+  frame += `event: ${event}\n`;
+  frame += `data: ${JSON.stringify(data)}\n\n`;
+  res.write(frame);
+}
+
+// Turn `res` into an event stream for `gameId` until the client disconnects.
+// `filter(event, data)` decides what this subscriber gets: the data to send,
+// or null to leave the event out.
+export function subscribe(gameId, req, res, filter = null) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 2000\n\n');
+
+  if (!channels.has(gameId)) channels.set(gameId, new Map());
+  channels.get(gameId).set(res, filter);
+
+  // comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(()=> res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', ()=>{
+    clearInterval(heartbeat);
+    const subs = channels.get(gameId);
+    if (!subs) return;
+    subs.delete(res);
+    if (subs.size === 0) channels.delete(gameId);
+  });
+}
+
+// Send to a single subscriber, e.g. while replaying missed moves.
+export function send(res, event, data, id) {
+  write(res, event, data, id);
+}
+
+// `id` should be the move's turn_number so reconnecting clients resume from it.
+export function publish(gameId, event, data, id) {
+  const subs = channels.get(gameId);
+  if (!subs) return;
+  for (const [res, filter] of subs) {
+    const out = filter ? filter(event, data) : data;
+    if (out) write(res, event, out, id);
+  }
+}
@@ -0,0 +1,16 @@
+// A minimal external bot speaking the protocol in bots.js over stdin/stdout:
+// it places the largest piece it can, at the first spot it finds. Try it with
+//   npm run match -- --games 4 --variant duo "cmd:node example-bot.js" greedy
+import readline from 'readline';
+import { legalMoves } from '../shared/engine.js';
+import { stateFromRequest } from './bots.js';
+
+const lines = readline.createInterface({ input: process.stdin });
+lines.on('line', line=>{
+  const request = JSON.parse(line);
+  const state = stateFromRequest(request);
+  const moves = legalMoves(state, request.color).sort((a,b)=>b.cells.length - a.cells.length);
+  const [best] = moves;
+  const answer = best ? { piece_key: best.piece_key, rotation: best.rotation, flipped: best.flipped, position: best.position } : { pass: true };
+  process.stdout.write(JSON.stringify(answer) + '\n');
+});
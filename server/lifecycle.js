@@ -0,0 +1,80 @@
+// Game lifecycle: waiting -> active -> finished, or abandoned when nobody
+// plays for a while. Resigned seats stay on the board; their colors pass
+// automatically from then on. Final scores and ranking are written to the
+// results table once, when the game ends.
+import { isFinished, hasLegalMove, computeScores } from '../shared/engine.js';
+import { seatScores } from '../shared/variants.js';
+import { createLogger } from './log.js';
+
+export const GAME_STATUSES = ['waiting', 'active', 'finished', 'abandoned'];
+
+// Games nobody has moved in for this long are marked abandoned
+export const ABANDON_AFTER_MS = (Number(process.env.ABANDON_AFTER_HOURS) || 168) * 3600 * 1000;
+const SWEEP_INTERVAL_MS = 3600 * 1000;
+
+export function isOver(status) {
+  return status === 'finished' || status === 'abandoned';
+}
+
+function isResigned(loaded, color) {
+  return !!loaded.players.find(p=>p.color===color)?.resigned_at;
+}
+
+// Seat indexes that have not resigned
+export function seatsInPlay(loaded) {
+  return loaded.variant.seats.map((_, i)=>i).filter(i=>!loaded.variant.seats[i].every(c=>isResigned(loaded, c)));
+}
+
+// Whether the seat acting for the current turn has resigned; its color passes.
+export function actingSeatResigned(loaded, seatPlayers) {
+  return seatPlayers.length > 0 && seatPlayers.every(p=>p.resigned_at);
+}
+
+// Play is over once every color passed in a row, when nobody still playing
+// can place, or when all but one seat have resigned.
+export function isGameOver(loaded) {
+  const { engine, variant } = loaded;
+  if (isFinished(engine)) return true;
+  const playing = seatsInPlay(loaded);
+  if (playing.length < Math.min(2, variant.seats.length)) return true;
+  const inPlay = variant.colors.filter(c=>c === variant.shared || !isResigned(loaded, c));
+  return inPlay.every(c=>!hasLegalMove(engine, c));
+}
+
+// Final result rows: per-color score, plus the rank of the color's seat.
+// Seats still playing rank ahead of resigned ones, each group by seat total,
+// with ties sharing a rank. The shared color is scored but not ranked.
+export function finalResults(loaded) {
+  const { variant, engine } = loaded;
+  const scores = computeScores(engine);
+  const totals = seatScores(variant, scores);
+  const playing = new Set(seatsInPlay(loaded));
+  const order = variant.seats.map((_, i)=>i)
+    .sort((a,b)=>(playing.has(b) - playing.has(a)) || totals[b] - totals[a]);
+  const ranks = [];
+  order.forEach((seat, i)=>{
+    const prev = order[i-1];
+    const tied = i > 0 && totals[prev] === totals[seat] && playing.has(prev) === playing.has(seat);
+    ranks[seat] = tied ? ranks[prev] : i + 1;
+  });
+  return variant.colors.map(color=>{
+    const seat = color === variant.shared ? null : variant.seats.findIndex(s=>s.includes(color));
+    return { color, seat_index: seat, score: scores[color], rank: seat === null ? null : ranks[seat], resigned: isResigned(loaded, color) };
+  });
+}
+
+// Mark idle games abandoned now and then; returns a function that stops it.
+export function startAbandonSweep(storage, { idleMs = ABANDON_AFTER_MS, intervalMs = SWEEP_INTERVAL_MS, logger = createLogger() } = {}) {
+  async function sweep() {
+    try {
+      const ids = await storage.abandonStale(new Date(Date.now() - idleMs));
+      if (ids.length) logger.info('games_abandoned', { count: ids.length });
+    } catch (e) {
+      logger.error('abandon_sweep_failed', { err: e });
+    }
+  }
+  sweep();
+  const timer = setInterval(sweep, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
@@ -0,0 +1,26 @@
+// Structured logs: one JSON object per line, { time, level, msg, ...fields },
+// on stdout. LOG_LEVEL (debug, info, warn, error or silent; default info)
+// sets the least severe level written. Errors passed as `err` are written
+// with their message and stack.
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function serialize(fields) {
+  const out = { ...fields };
+  if (out.err instanceof Error) out.err = { message: out.err.message, code: out.err.code, stack: out.err.stack };
+  return out;
+}
+
+// Logger with debug/info/warn/error(msg, fields?); child(fields) returns one
+// that adds `fields` to every line, e.g. the request id.
+export function createLogger({ level = process.env.LOG_LEVEL || 'info', write = line=>process.stdout.write(line + '\n'), context = {} } = {}) {
+  const threshold = LOG_LEVELS.includes(level) ? LOG_LEVELS.indexOf(level) : LOG_LEVELS.length;
+  const logger = { child: fields=>createLogger({ level, write, context: { ...context, ...fields } }) };
+  LOG_LEVELS.forEach((name, rank)=>{
+    logger[name] = (msg, fields = {})=>{
+      if (rank < threshold) return;
+      write(JSON.stringify({ time: new Date().toISOString(), level: name, msg, ...context, ...serialize(fields) }));
+    };
+  });
+  return logger;
+}
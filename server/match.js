@@ -0,0 +1,133 @@
+// Offline matches between bots, for engine and bot development. Runs N games,
+// rotating the players through the seats, and reports each player's win rate
+// (a win shared by k tied seats counts 1/k), average seat score and faults
+// (answers that were illegal, malformed or late and so passed the turn).
+//
+//   npm run match -- [--games N] [--variant V] [--time-limit MS] [--bots FILE] [--json] PLAYER...
+//
+// One PLAYER per seat of the variant: a built-in level (random, greedy,
+// search), "cmd:<command>" for a process speaking the bot protocol (bots.js),
+// an http(s) URL for an HTTP bot, or "bot:<name>" from a BOTS_FILE-style file.
+import { pathToFileURL } from 'url';
+import { createState, applyMove, currentColor, hasLegalMove, isFinished, noMovesLeft, computeScores } from '../shared/engine.js';
+import { AI_LEVELS, chooseMove } from '../shared/ai.js';
+import { resolveVariant, engineOptions, seatIndexFor, seatScores } from '../shared/variants.js';
+import { processBot, httpBot, loadBots, askBot, botName, BOT_TIMEOUT_MS } from './bots.js';
+
+// Bot for a PLAYER argument; built-in levels are played in-process
+export function playerBot(spec, registry = new Map(), options) {
+  if (AI_LEVELS.includes(spec)) return { level: spec, close() {} };
+  if (spec.startsWith('cmd:')) return processBot(spec.slice(4), options);
+  if (/^https?:\/\//.test(spec)) return httpBot(spec, options);
+  const name = botName(spec);
+  if (name !== null && registry.has(name)) return registry.get(name);
+  throw new Error(`unknown player: ${spec}`);
+}
+
+// One game of `variant` between `seatBots` (one per seat, in seat order).
+// Colors with no legal placement pass without asking their bot. Without a
+// `timeLimitMs` built-in levels think as long as they do on the server and
+// external bots get BOT_TIMEOUT_MS.
+export async function playMatchGame(variant, seatBots, { timeLimitMs, random = Math.random } = {}) {
+  const state = createState(engineOptions(variant));
+  const faults = seatBots.map(()=>0);
+  while (!isFinished(state) && !noMovesLeft(state)) {
+    const color = currentColor(state);
+    const seat = seatIndexFor(variant, color, state.turn);
+    const bot = seatBots[seat];
+    let move = { player_color: color, passed: true };
+    if (!hasLegalMove(state, color)) {
+      // nothing to ask
+    } else if (bot.level) {
+      move = chooseMove(state, color, { level: bot.level, team: variant.seats[seat], random, timeLimitMs }) || move;
+    } else {
+      const answer = await askBot(bot, state, variant, color, timeLimitMs ?? BOT_TIMEOUT_MS);
+      if (answer.fault) faults[seat]++;
+      move = answer.move;
+    }
+    applyMove(state, move);
+  }
+  return { totals: seatScores(variant, computeScores(state)), faults };
+}
+
+// Play `games` games between `players` (PLAYER arguments, one per seat); in
+// game g seat i goes to player (i + g) mod n. Returns per-player totals.
+export async function runMatch({ players, variant: variantName = 'classic', games = 10, timeLimitMs, registry, random, onGame } = {}) {
+  const variant = resolveVariant(variantName);
+  if (!variant) throw new Error(`unknown variant: ${variantName}`);
+  if (players.length !== variant.seats.length) throw new Error(`${variantName} needs ${variant.seats.length} players, got ${players.length}`);
+  const bots = players.map(spec=>playerBot(spec, registry, { timeoutMs: timeLimitMs }));
+  const results = players.map(name=>({ name, games: 0, wins: 0, score: 0, faults: 0 }));
+  try {
+    for (let g = 0; g < games; g++) {
+      const order = players.map((_, seat)=>(seat + g) % players.length);
+      const { totals, faults } = await playMatchGame(variant, order.map(p=>bots[p]), { timeLimitMs, random });
+      const best = Math.max(...totals);
+      const winners = totals.filter(t=>t === best).length;
+      order.forEach((p, seat)=>{
+        const r = results[p];
+        r.games++;
+        r.score += totals[seat];
+        r.faults += faults[seat];
+        if (totals[seat] === best) r.wins += 1 / winners;
+      });
+      onGame?.(g + 1, order.map((p, seat)=>({ player: players[p], score: totals[seat] })));
+    }
+  } finally {
+    // registered bots belong to the registry, which closes them
+    bots.forEach((b, i)=>{ if (!botName(players[i])) b.close(); });
+  }
+  return results.map(r=>({ name: r.name, games: r.games, win_rate: r.wins / r.games, average_score: r.score / r.games, faults: r.faults }));
+}
+
+function parseArgs(argv) {
+  const options = { players: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = ()=>{
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    if (arg === '--games') options.games = Number(value());
+    else if (arg === '--variant') options.variant = value();
+    else if (arg === '--time-limit') options.timeLimitMs = Number(value());
+    else if (arg === '--bots') options.botsFile = value();
+    else if (arg === '--json') options.json = true;
+    else if (arg.startsWith('--')) throw new Error(`unknown option: ${arg}`);
+    else options.players.push(arg);
+  }
+  if (!Number.isInteger(options.games ?? 10) || options.games < 1) throw new Error('--games must be a positive integer');
+  return options;
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(`${e.message}\nusage: npm run match -- [--games N] [--variant V] [--time-limit MS] [--bots FILE] [--json] PLAYER...`);
+    process.exit(2);
+  }
+  const registry = loadBots(options.botsFile);
+  try {
+    const results = await runMatch({
+      ...options, registry,
+      onGame: options.json ? undefined : (g, seats)=>console.log(`game ${g}: ${seats.map(s=>`${s.player} ${s.score}`).join(', ')}`)
+    });
+    if (options.json) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      console.log('\nplayer                          games  win rate  avg score  faults');
+      for (const r of results) {
+        console.log(`${r.name.slice(0, 30).padEnd(30)}  ${String(r.games).padStart(5)}  ${(r.win_rate * 100).toFixed(1).padStart(7)}%  ${r.average_score.toFixed(1).padStart(9)}  ${String(r.faults).padStart(6)}`);
+      }
+    }
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  } finally {
+    for (const bot of registry.values()) bot.close();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) main();
@@ -0,0 +1,93 @@
+// Metrics in the Prometheus text format, served by GET /metrics. A registry
+// holds counters and histograms, each with label names fixed when it is
+// created; the app registers its own (see createApp):
+//
+//   blokus_http_requests_total{method,route,status}
+//   blokus_http_request_duration_seconds{method,route}
+//   blokus_moves_total{type}                   committed placements and passes;
+//                                              rate() of it is moves per second
+//   blokus_validation_failures_total{code}     400 answers by error code
+//   blokus_db_query_duration_seconds{operation} storage calls by method
+
+export const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+const escape = v => String(v).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelText(names, values) {
+  const pairs = names.map((n, i)=>`${n}="${escape(values[i])}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+export function createMetrics() {
+  const families = [];
+
+  // series key of `labels` in the order of `names`
+  const keyOf = (names, labels) => JSON.stringify(names.map(n=>labels[n] ?? ''));
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map(); // key -> value
+    families.push({ name, help, type: 'counter', render() {
+      return [...series].map(([key, value])=>`${name}${labelText(labelNames, JSON.parse(key))} ${value}`);
+    } });
+    return {
+      inc(labels = {}, by = 1) {
+        const key = keyOf(labelNames, labels);
+        series.set(key, (series.get(key) || 0) + by);
+      }
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map(); // key -> { counts per bucket, sum, count }
+    families.push({ name, help, type: 'histogram', render() {
+      const lines = [];
+      for (const [key, s] of series) {
+        const values = JSON.parse(key);
+        buckets.forEach((le, i)=>lines.push(`${name}_bucket${labelText([...labelNames, 'le'], [...values, le])} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${labelText([...labelNames, 'le'], [...values, '+Inf'])} ${s.count}`);
+        lines.push(`${name}_sum${labelText(labelNames, values)} ${s.sum}`);
+        lines.push(`${name}_count${labelText(labelNames, values)} ${s.count}`);
+      }
+      return lines;
+    } });
+    return {
+      observe(labels, value) {
+        const key = keyOf(labelNames, labels);
+        if (!series.has(key)) series.set(key, { counts: buckets.map(()=>0), sum: 0, count: 0 });
+        const s = series.get(key);
+        buckets.forEach((le, i)=>{ if (value <= le) s.counts[i]++; });
+        s.sum += value;
+        s.count++;
+      }
+    };
+  }
+
+  function render() {
+    return families.map(f=>[`# HELP ${f.name} ${f.help}`, `# TYPE ${f.name} ${f.type}`, ...f.render()].join('\n')).join('\n') + '\n';
+  }
+
+  return { counter, histogram, render };
+}
+
+// Seconds since `start` (a process.hrtime.bigint() reading)
+export function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+// `storage` with each call timed into `histogram` by method name; failed
+// calls are timed too
+export function timeStorage(storage, histogram) {
+  const timed = { ...storage };
+  for (const [operation, fn] of Object.entries(storage)) {
+    if (typeof fn !== 'function') continue;
+    timed[operation] = async (...args)=>{
+      const start = process.hrtime.bigint();
+      try {
+        return await fn(...args);
+      } finally {
+        histogram.observe({ operation }, secondsSince(start));
+      }
+    };
+  }
+  return timed;
+}
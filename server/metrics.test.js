@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createMetrics, timeStorage } from './metrics.js';
+import { createLogger } from './log.js';
+
+test('counters and histograms render in the Prometheus text format', () => {
+  const metrics = createMetrics();
+  const moves = metrics.counter('moves_total', 'Moves', ['type']);
+  const latency = metrics.histogram('latency_seconds', 'Latency', ['op'], [0.1, 1]);
+  moves.inc({ type: 'place' });
+  moves.inc({ type: 'place' }, 2);
+  moves.inc({ type: 'pass' });
+  latency.observe({ op: 'load' }, 0.5);
+  latency.observe({ op: 'load' }, 2);
+  assert.equal(metrics.render(), [
+    '# HELP moves_total Moves', '# TYPE moves_total counter',
+    'moves_total{type="place"} 3', 'moves_total{type="pass"} 1',
+    '# HELP latency_seconds Latency', '# TYPE latency_seconds histogram',
+    'latency_seconds_bucket{op="load",le="0.1"} 0', 'latency_seconds_bucket{op="load",le="1"} 1',
+    'latency_seconds_bucket{op="load",le="+Inf"} 2', 'latency_seconds_sum{op="load"} 2.5', 'latency_seconds_count{op="load"} 2'
+  ].join('\n') + '\n');
+});
+
+test('timed storage observes each call, failed ones too', async () => {
+  const metrics = createMetrics();
+  const queries = metrics.histogram('query_seconds', 'Queries', ['operation']);
+  const storage = timeStorage({ name: 'fake', getGame: async id=>({ id }), fail: async () => { throw new Error('down'); } }, queries);
+  assert.equal(storage.name, 'fake');
+  assert.deepEqual(await storage.getGame('g'), { id: 'g' });
+  await assert.rejects(storage.fail(), /down/);
+  assert.match(metrics.render(), /^query_seconds_count\{operation="getGame"\} 1$/m);
+  assert.match(metrics.render(), /^query_seconds_count\{operation="fail"\} 1$/m);
+});
+
+test('logs are JSON lines with the child context, above the level', () => {
+  const lines = [];
+  const logger = createLogger({ level: 'info', write: line=>lines.push(JSON.parse(line)) });
+  const child = logger.child({ request_id: 'r1' });
+  child.debug('hidden');
+  child.info('request', { status: 200 });
+  logger.error('failed', { err: Object.assign(new Error('boom'), { code: 'E1' }) });
+  assert.deepEqual(lines.map(l=>[l.level, l.msg, l.request_id, l.status]), [['info', 'request', 'r1', 200], ['error', 'failed', undefined, undefined]]);
+  assert.deepEqual([lines[1].err.message, lines[1].err.code], ['boom', 'E1']);
+  createLogger({ level: 'silent', write: line=>lines.push(line) }).error('nothing');
+  assert.equal(lines.length, 2);
+});
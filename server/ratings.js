@@ -0,0 +1,59 @@
+// Ratings for accounts, updated once per finished game. A game with N rated
+// seats counts as every pair of them playing each other: ranks from the stored
+// results decide each pairing (ties are draws), and the Elo changes of a seat's
+// N-1 pairings are averaged so a 4-player game moves ratings about as far as a
+// 2-player one.
+
+export const INITIAL_RATING = 1500;
+const K = 32;
+
+// Chance that a player rated `a` finishes ahead of one rated `b`
+export function expectedScore(a, b) {
+  return 1 / (1 + 10 ** ((b - a) / 400));
+}
+
+// [{ user_id, rank, rating }] -> [{ user_id, rating_before, rating_after }]
+export function rateResults(entries) {
+  return entries.map(e=>{
+    const others = entries.filter(o=>o !== e);
+    const delta = others.reduce((sum, o)=>{
+      const actual = e.rank < o.rank ? 1 : e.rank === o.rank ? 0.5 : 0;
+      return sum + actual - expectedScore(e.rating, o.rating);
+    }, 0);
+    return { user_id: e.user_id, rating_before: e.rating, rating_after: Math.round(e.rating + K * delta / others.length) };
+  });
+}
+
+// Seats of a finished game that are rated: human seats claimed by an account
+// holding no other seat in it. Fewer than two means the game is not rated.
+export function ratedSeats({ variant, players, results }) {
+  const seats = variant.seats.map((colors, index)=>{
+    const row = players.find(p=>p.color === colors[0]);
+    return { user_id: row.kind === 'human' ? row.user_id : null, rank: results.find(r=>r.seat_index === index)?.rank };
+  }).filter(s=>s.user_id && s.rank);
+  const rated = seats.filter(s=>seats.filter(o=>o.user_id === s.user_id).length === 1);
+  return rated.length >= 2 ? rated : [];
+}
+
+// Totals over an account's result rows (one per color it played, with the
+// piece its color opened with): games, wins, average seat score, favorite opening.
+export function playerStats(rows) {
+  const games = new Map(); // game_id -> { score, rank }
+  const openings = {};
+  for (const r of rows) {
+    const g = games.get(r.game_id) || { score: 0, rank: r.rank };
+    g.score += r.score;
+    games.set(r.game_id, g);
+    if (r.opening_piece) openings[r.opening_piece] = (openings[r.opening_piece] || 0) + 1;
+  }
+  const played = [...games.values()];
+  const wins = played.filter(g=>g.rank === 1).length;
+  const [favorite] = Object.entries(openings).sort((a,b)=>b[1] - a[1] || a[0].localeCompare(b[0]));
+  return {
+    games_played: played.length,
+    wins,
+    win_rate: played.length ? wins / played.length : 0,
+    average_score: played.length ? played.reduce((sum, g)=>sum + g.score, 0) / played.length : 0,
+    favorite_opening: favorite ? favorite[0] : null
+  };
+}
@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { expectedScore, rateResults, ratedSeats, playerStats } from './ratings.js';
+import { resolveVariant } from '../shared/variants.js';
+
+test('two-player games move ratings like plain Elo', () => {
+  assert.equal(expectedScore(1500, 1500), 0.5);
+  assert.deepEqual(rateResults([{ user_id: 'a', rank: 1, rating: 1500 }, { user_id: 'b', rank: 2, rating: 1500 }]), [
+    { user_id: 'a', rating_before: 1500, rating_after: 1516 },
+    { user_id: 'b', rating_before: 1500, rating_after: 1484 }
+  ]);
+  // an upset moves more than an expected result
+  const [upset] = rateResults([{ user_id: 'a', rank: 1, rating: 1300 }, { user_id: 'b', rank: 2, rating: 1700 }]);
+  assert.ok(upset.rating_after - 1300 > 16);
+});
+
+test('multiplayer games average the pairings and treat ties as draws', () => {
+  const changes = rateResults(['a','b','c','d'].map((user_id, i)=>({ user_id, rank: [1, 2, 2, 4][i], rating: 1500 })));
+  assert.deepEqual(changes.map(c=>c.rating_after - 1500), [16, 0, 0, -16]);
+});
+
+test('only seats held by distinct accounts are rated', () => {
+  const variant = resolveVariant('classic');
+  const players = [
+    { color: 'blue', kind: 'human', user_id: 'a' },
+    { color: 'yellow', kind: 'human', user_id: null },
+    { color: 'red', kind: 'ai', user_id: null },
+    { color: 'green', kind: 'human', user_id: 'b' }
+  ];
+  const results = players.map((p, i)=>({ color: p.color, seat_index: i, rank: i + 1 }));
+  assert.deepEqual(ratedSeats({ variant, players, results }), [{ user_id: 'a', rank: 1 }, { user_id: 'b', rank: 4 }]);
+  players[3].user_id = 'a';
+  assert.deepEqual(ratedSeats({ variant, players, results }), []);
+});
+
+test('stats total an account\'s games', () => {
+  const stats = playerStats([
+    { game_id: 1, score: -10, rank: 1, opening_piece: 'I5' },
+    { game_id: 1, score: -20, rank: 1, opening_piece: 'X5' },
+    { game_id: 2, score: -40, rank: 3, opening_piece: 'I5' },
+    { game_id: 3, score: -30, rank: 2, opening_piece: null }
+  ]);
+  assert.deepEqual(stats, { games_played: 3, wins: 1, win_rate: 1/3, average_score: -100/3, favorite_opening: 'I5' });
+  assert.deepEqual(playerStats([]), { games_played: 0, wins: 0, win_rate: 0, average_score: 0, favorite_opening: null });
+});
@@ -0,0 +1,40 @@
+// Seats for online games: each seat (one or more colors, see shared/variants.js)
+// is claimed by one player, who receives a secret seat token and must present
+// it (X-Seat-Token header) to act for that seat. Hotseat games skip the check
+// so one browser can play every color.
+import crypto from 'crypto';
+
+export const GAME_MODES = ['hotseat', 'online'];
+
+export function newSeatToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function tokenMatches(expected, given) {
+  if (!expected || !given) return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Player row as exposed over the API: the token is replaced by a claimed flag.
+export function publicPlayer(player) {
+  const { seat_token, ...rest } = player;
+  return { ...rest, claimed: !!seat_token };
+}
+
+// Returns null when `req` holds the seat owning `seatPlayers` (the color rows
+// of the seat acting this turn), else { status, error } to send back.
+export function checkSeat(game, seatPlayers, req) {
+  if (game.mode !== 'online') return null;
+  const token = req.get('X-Seat-Token');
+  if (!token) return { status: 401, error: 'seat_token_required' };
+  if (!seatPlayers.some(p=>tokenMatches(p.seat_token, token))) return { status: 403, error: 'invalid_seat_token' };
+  return null;
+}
+
+// Player row whose seat token the request carries (or `token`, for event
+// streams, which cannot send headers), if any
+export function seatHolder(players, req, token = req.get('X-Seat-Token')) {
+  return players.find(p=>tokenMatches(p.seat_token, token)) || null;
+}
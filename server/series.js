@@ -0,0 +1,55 @@
+// Series: a game and its rematches. A rematch copies the finished game's
+// variant, house rules, time control and seats, with every occupant moved one
+// seat back, so the seat that moved second in one game moves first in the
+// next. Within a series a player is known by the seat they held in its first
+// game; the series table adds up each player's seat scores and wins (a shared
+// first place is a win for each) over the games that finished.
+
+// Seat the occupant of `seat` takes in the rematch
+export function rematchSeat(seat, seatCount) {
+  return (seat + seatCount - 1) % seatCount;
+}
+
+// Seat of series player `player` in the series' game `number` (0 for the first)
+export function seriesSeat(player, number, seatCount) {
+  return ((player - number) % seatCount + seatCount) % seatCount;
+}
+
+// The series' games in play order, following the rematch links from its first
+// game. `games` ({ game, ... } in any order) may hold rematches that lost a
+// race to be linked; they are not part of the series.
+export function seriesChain(games, seriesId) {
+  const byId = new Map(games.map(g=>[g.game.id, g]));
+  const chain = [];
+  for (let entry = byId.get(seriesId); entry && !chain.includes(entry); entry = byId.get(entry.game.rematch_id)) chain.push(entry);
+  return chain;
+}
+
+// Series table of a chain of { game, players, results }, played with `seats`
+// (the variant's colors per seat): { id, games: [{ id, status }], players:
+// [{ player, name, games, wins, score }] }, best first. Names are the ones
+// held in the latest game.
+export function seriesStandings(chain, seats) {
+  const n = seats.length;
+  const latest = chain[chain.length - 1];
+  const players = seats.map((_, player)=>{
+    const seat = seriesSeat(player, chain.length - 1, n);
+    const name = latest.players.find(p=>p.color === seats[seat][0])?.name ?? null;
+    return { player, name, games: 0, wins: 0, score: 0 };
+  });
+  chain.forEach(({ game, results }, number)=>{
+    if (game.status !== 'finished') return;
+    for (const entry of players) {
+      const seat = seriesSeat(entry.player, number, n);
+      const rows = results.filter(r=>r.seat_index === seat);
+      entry.games++;
+      entry.score += rows.reduce((sum, r)=>sum + r.score, 0);
+      if (rows[0]?.rank === 1) entry.wins++;
+    }
+  });
+  return {
+    id: chain[0].game.id,
+    games: chain.map(({ game })=>({ id: game.id, status: game.status })),
+    players: players.sort((a,b)=>b.wins - a.wins || b.score - a.score || a.player - b.player)
+  };
+}
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { rematchSeat, seriesSeat, seriesChain, seriesStandings } from './series.js';
+
+const seats = [['blue'], ['yellow'], ['red']];
+// A finished game of the series where seat i scored scores[i] and ranks follow the scores
+function played(id, rematchId, names, scores, status = 'finished') {
+  const ranks = scores.map(s=>1 + scores.filter(o=>o > s).length);
+  return {
+    game: { id, rematch_id: rematchId, status },
+    players: seats.map(([color], i)=>({ color, name: names[i] })),
+    results: status === 'finished' ? seats.map(([color], i)=>({ color, seat_index: i, score: scores[i], rank: ranks[i] })) : []
+  };
+}
+
+test('rematches move every player one seat back', () => {
+  assert.deepEqual([0, 1, 2].map(seat=>rematchSeat(seat, 3)), [2, 0, 1]);
+  // the player who started game 0 sits last in game 1, second to last in game 2
+  assert.deepEqual([0, 1, 2, 3].map(number=>seriesSeat(0, number, 3)), [0, 2, 1, 0]);
+  for (let number = 0; number < 3; number++) {
+    for (let player = 0; player < 3; player++) {
+      assert.equal(seriesSeat(player, number + 1, 3), rematchSeat(seriesSeat(player, number, 3), 3));
+    }
+  }
+});
+
+test('series follow the rematch links and add up seat scores and wins', () => {
+  const games = [
+    played('c', null, ['Cy', 'Ann', 'Bo'], [0, 0, 0], 'active'),
+    played('x', null, ['Bo', 'Cy', 'Ann'], [-1, -2, -3]),
+    played('a', 'b', ['Ann', 'Bo', 'Cy'], [-10, -20, -5]),
+    played('b', 'c', ['Bo', 'Cy', 'Ann'], [-8, -8, -30])
+  ];
+  const chain = seriesChain(games, 'a');
+  assert.deepEqual(chain.map(g=>g.game.id), ['a', 'b', 'c']);
+  const table = seriesStandings(chain, seats);
+  assert.deepEqual(table.games, [{ id: 'a', status: 'finished' }, { id: 'b', status: 'finished' }, { id: 'c', status: 'active' }]);
+  // Bo and Cy share game b's first place
+  assert.deepEqual(table.players.map(p=>[p.player, p.name, p.games, p.wins, p.score]), [
+    [2, 'Cy', 2, 2, -13], [1, 'Bo', 2, 1, -28], [0, 'Ann', 2, 0, -40]
+  ]);
+});
@@ -0,0 +1,59 @@
+// Spectators and chat. Every game gets a watch id when it is created; the link
+// built from it (?watch=<id>) shows the game read-only. It never reveals the
+// game id, which hotseat games accept moves on, and while the game is played
+// it is `broadcast_delay` moves behind so watchers cannot coach.
+//
+// Chat messages are stored with the game. Players may send a message to the
+// players only; spectators' messages stay among spectators while a delayed game
+// is being played. Who may read a message:
+//
+//   'all'         everyone with the game or watch link
+//   'players'     seat holders (anyone with the game link in hotseat games)
+//   'spectators'  the watch link
+import crypto from 'crypto';
+import { isOver } from './lifecycle.js';
+
+export const MAX_BROADCAST_DELAY = 50;
+export const MAX_MESSAGE_LENGTH = 500;
+export const CHAT_HISTORY = 200;
+
+export function newWatchId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+// { delay } (0 when not asked for) or { error }
+export function validateBroadcastDelay(raw) {
+  if (raw === undefined || raw === null) return { delay: 0 };
+  if (!Number.isInteger(raw) || raw < 0 || raw > MAX_BROADCAST_DELAY) return { error: 'invalid_broadcast_delay' };
+  return { delay: raw };
+}
+
+// Number of moves spectators see: all of them once the game is over
+export function shownMoveCount(game, moveCount) {
+  if (isOver(game.status)) return moveCount;
+  return Math.max(0, moveCount - (game.broadcast_delay || 0));
+}
+
+// Trimmed message text, or null when it is empty or too long
+export function messageText(raw) {
+  if (typeof raw !== 'string') return null;
+  const text = raw.trim();
+  return text && text.length <= MAX_MESSAGE_LENGTH ? text : null;
+}
+
+export function chatAudience(message, game) {
+  if (message.players_only) return 'players';
+  if (message.role === 'spectator' && game.broadcast_delay > 0 && !isOver(game.status)) return 'spectators';
+  return 'all';
+}
+
+// Whether a `viewer` ('player', 'spectator' or 'public': the game link without
+// a seat) may read a message for `audience`
+export function canRead(viewer, audience) {
+  return audience === 'all' || audience === `${viewer}s`;
+}
+
+// Chat row as exposed over the API
+export function publicMessage({ game_id, user_id, ...message }) {
+  return message;
+}
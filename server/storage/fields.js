@@ -0,0 +1,41 @@
+// Columns shared by every storage backend. Rows come back with these names;
+// JSON columns (config, pending_undo, time_control, clocks, snapshot, cells, settings) as parsed values and timestamps
+// as Dates, whatever the backend stores them as.
+
+export const GAME_FIELDS = ['id', 'created_at', 'status', 'mode', 'variant', 'board_size', 'next_player_index', 'config', 'pending_undo', 'finished_at', 'created_by',
+  'time_control', 'clocks', 'turn_started_at', 'watch_id', 'broadcast_delay', 'snapshot', 'series_id', 'rematch_of', 'rematch_id'];
+export const PLAYER_FIELDS = ['id', 'game_id', 'color', 'order_index', 'name', 'kind', 'ai_level', 'seat_token', 'joined_at', 'resigned_at', 'user_id'];
+export const MOVE_FIELDS = ['id', 'game_id', 'player_color', 'piece_key', 'rotation', 'flipped', 'cells', 'passed', 'created_at', 'turn_number'];
+// Final standings, one row per color; seat_index and rank are null for the shared color
+export const RESULT_FIELDS = ['game_id', 'color', 'seat_index', 'score', 'rank', 'resigned'];
+// Accounts; usernames are unique regardless of case
+export const USER_FIELDS = ['id', 'username', 'password_hash', 'created_at', 'rating'];
+// Rating history: one row per rated account per finished game
+export const RATING_FIELDS = ['user_id', 'game_id', 'rating_before', 'rating_after', 'created_at'];
+// Login sessions, keyed by a digest of the bearer token
+export const SESSION_FIELDS = ['token_hash', 'user_id', 'created_at'];
+// Chat, oldest first by id; role is 'player' or 'spectator'
+export const CHAT_FIELDS = ['id', 'game_id', 'created_at', 'author', 'user_id', 'role', 'players_only', 'body'];
+// Tournaments (see tournaments.js); players is the JSON list of registered names,
+// and a player is known by their index in it
+export const TOURNAMENT_FIELDS = ['id', 'created_at', 'name', 'format', 'variant', 'rounds', 'status', 'players', 'created_by', 'finished_at'];
+// One row per table of a round: seats holds player indexes in seat order (JSON),
+// variant and game_id are null for a bye
+export const TOURNAMENT_TABLE_FIELDS = ['tournament_id', 'round', 'table_index', 'game_id', 'variant', 'seats'];
+// Saved game setups; settings is the JSON body a new game is created from, and
+// names are unique per account
+export const TEMPLATE_FIELDS = ['id', 'user_id', 'name', 'settings', 'created_at'];
+
+// Game columns holding JSON
+export const JSON_GAME_FIELDS = ['config', 'pending_undo', 'time_control', 'clocks', 'snapshot'];
+
+// Game columns that may change after creation
+export const MUTABLE_GAME_FIELDS = ['status', 'next_player_index', 'pending_undo', 'clocks', 'turn_started_at', 'snapshot'];
+
+// Columns of an updateGame patch; unknown ones are a programming error
+export function checkPatch(patch) {
+  const cols = Object.keys(patch);
+  const bad = cols.find(c=>!MUTABLE_GAME_FIELDS.includes(c));
+  if (bad) throw new Error(`cannot update games.${bad}`);
+  return cols;
+}
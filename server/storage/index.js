@@ -0,0 +1,102 @@
+// Storage backends behind one interface, picked by the STORAGE setting:
+//
+//   postgres  NEON_DATABASE_URL (the default when it is set)
+//   sqlite    SQLITE_FILE, default blokus.db
+//   memory    nothing persists (the default without a database URL)
+//
+// Every backend provides, all async:
+//   init()                                 create or migrate the schema
+//   createGame(game)                       insert a games row
+//   addPlayers(gameId, players)            insert player rows
+//   loadGame(gameId, { moves = true }?)    { game, players, moves, move_count, results } or
+//                                          null; players by order_index, moves by turn_number.
+//                                          With moves: false the move rows are left out and
+//                                          only counted
+//   listMoves(gameId)                      the game's moves rows by turn_number
+//   appendMove(gameId, move, patch?)       insert a moves row and apply `patch` (as updateGame)
+//                                          to the game in one transaction; false (and nothing
+//                                          written) unless move.turn_number directly follows
+//                                          the last turn
+//   deleteMovesFrom(gameId, turnNumber, patch?)
+//                                          remove that turn and all later ones, applying
+//                                          `patch` in the same transaction
+//   updateGame(gameId, patch)              set any of MUTABLE_GAME_FIELDS (fields.js): status,
+//                                          next_player_index, pending_undo, clocks,
+//                                          turn_started_at, snapshot; other columns throw.
+//                                          Series columns are set by createGame and linkRematch
+//   claimSeat(gameId, colors, token, name, userId?)
+//                                          set the seat token (and owner) on the unclaimed
+//                                          human rows of `colors`; returns the rows claimed
+//   resignSeat(gameId, colors)             set resigned_at on those rows; returns the
+//                                          rows that had not resigned yet
+//   finishGame(gameId, results)            mark an active game finished and store its
+//                                          result rows, once; false if it was not active
+//   abandonStale(cutoff)                   mark waiting/active games with no move (or
+//                                          creation) since `cutoff` abandoned; returns ids
+//   listGames(userId, { statuses, limit, offset })
+//                                          games the user created or holds a seat in, newest
+//                                          first: { games: [{ game, players, move_count }], total }
+//   createUser(user)                       insert a users row; false if the name is taken
+//   findUser(username)                     users row by name, ignoring case, or null
+//   createSession(session)                 insert a sessions row
+//   sessionUser(tokenHash)                 users row the session belongs to, or null
+//   deleteSession(tokenHash)
+//   findUserById(id)                       users row or null
+//   recordRatings(gameId, seats, rate)     rate a finished game once: reads the current rating
+//                                          of each { user_id, rank } seat, stores the
+//                                          rate([{ user_id, rank, rating }]) result as history
+//                                          and new ratings in one transaction; returns it, or
+//                                          null if the game was rated already
+//   leaderboard({ limit, offset })         { users: [row + games], total } of accounts with a
+//                                          rated game, best rating first
+//   ratingHistory(userId)                  ratings rows, oldest first
+//   userResults(userId)                    results rows of the colors the user played, each
+//                                          with opening_piece (its first placed piece)
+//   findWatchedGame(watchId)               id of the game with that watch id, or null
+//   addChatMessage(message)                insert a chat row (id assigned in order); returns it
+//   chatMessages(gameId, limit)            the game's latest `limit` chat rows, oldest first
+//   createTournament(tournament)           insert a tournaments row
+//   loadTournament(id)                     { tournament, tables } or null; tables by round,
+//                                          then table_index
+//   addRound(tournamentId, round, tables)  insert the tables of `round` in one transaction;
+//                                          false (and nothing written) if it has tables already
+//   finishTournament(id)                   mark an active tournament finished, once; false
+//                                          if it was not active
+//   linkRematch(gameId, rematchId)         set rematch_id on a game that has none, once;
+//                                          false if it had one
+//   seriesGames(seriesId)                  [{ game, players, results }] of the game with that
+//                                          id and the games with that series_id
+//   saveTemplate(template)                 insert a templates row, or replace the settings of
+//                                          the user's template with that name; returns the row
+//   listTemplates(userId)                  the user's templates by name
+//   findTemplate(id)                       templates row or null
+//   deleteTemplate(id, userId)             remove the user's template; false if there was none
+//   close()
+// Row shapes are listed in fields.js.
+
+import { createLogger } from '../log.js';
+
+export const STORAGE_KINDS = ['postgres', 'sqlite', 'memory'];
+
+// The backend `env` asks for; `logger` (see log.js) gets setup warnings
+export async function createStorage(env = process.env, { logger = createLogger() } = {}) {
+  const kind = env.STORAGE || (env.NEON_DATABASE_URL ? 'postgres' : 'memory');
+  switch (kind) {
+    case 'postgres': {
+      if (!env.NEON_DATABASE_URL) logger.warn('database_url_missing', { setting: 'NEON_DATABASE_URL', hint: 'set it to connect to Neon Postgres' });
+      const { createPostgresStorage } = await import('./postgres.js');
+      return createPostgresStorage({ connectionString: env.NEON_DATABASE_URL });
+    }
+    case 'sqlite': {
+      // better-sqlite3 is a native module, so it is only loaded when asked for
+      const { createSqliteStorage } = await import('./sqlite.js');
+      return createSqliteStorage({ filename: env.SQLITE_FILE || 'blokus.db' });
+    }
+    case 'memory': {
+      const { createMemoryStorage } = await import('./memory.js');
+      return createMemoryStorage();
+    }
+    default:
+      throw new Error(`unknown STORAGE: ${kind} (expected one of ${STORAGE_KINDS.join(', ')})`);
+  }
+}
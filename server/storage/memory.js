@@ -0,0 +1,280 @@
+// In-memory storage for tests and running without a database. Everything is
+// lost on restart. Rows are copied in and out so callers never share state.
+import { GAME_FIELDS, PLAYER_FIELDS, MOVE_FIELDS, RESULT_FIELDS, USER_FIELDS, SESSION_FIELDS, RATING_FIELDS, CHAT_FIELDS, TOURNAMENT_FIELDS, TOURNAMENT_TABLE_FIELDS, TEMPLATE_FIELDS, checkPatch } from './fields.js';
+import { INITIAL_RATING } from '../ratings.js';
+
+function pick(fields, row, defaults) {
+  const out = {};
+  for (const f of fields) out[f] = row[f] !== undefined ? row[f] : defaults[f] ?? null;
+  return structuredClone(out);
+}
+
+export function createMemoryStorage() {
+  const games = new Map(); // id -> { game, players, moves, results }
+  const users = new Map(); // lower-cased username -> row
+  const sessions = new Map(); // token_hash -> row
+  const ratings = []; // rating history rows
+  const chat = []; // chat rows, in id order
+  const tournaments = new Map(); // id -> { tournament, tables }
+  const templates = []; // templates rows
+
+  const userById = id => [...users.values()].find(u=>u.id === id);
+
+  return {
+    name: 'memory',
+
+    async init() {},
+
+    async createGame(game) {
+      const row = pick(GAME_FIELDS, game, { created_at: new Date(), status: 'active', mode: 'hotseat', variant: 'classic', board_size: 20, next_player_index: 0, broadcast_delay: 0 });
+      games.set(row.id, { game: row, players: [], moves: [], results: [] });
+    },
+
+    async addPlayers(gameId, players) {
+      const entry = games.get(gameId);
+      for (const p of players) entry.players.push(pick(PLAYER_FIELDS, { ...p, game_id: gameId }, { kind: 'human' }));
+      entry.players.sort((a,b)=>a.order_index - b.order_index);
+    },
+
+    async loadGame(gameId, { moves = true } = {}) {
+      const entry = games.get(gameId);
+      if (!entry) return null;
+      const { moves: rows, ...rest } = entry;
+      return structuredClone({ ...rest, ...(moves ? { moves: rows } : {}), move_count: rows.length });
+    },
+
+    async listMoves(gameId) {
+      return structuredClone(games.get(gameId)?.moves ?? []);
+    },
+
+    async appendMove(gameId, move, patch = {}) {
+      checkPatch(patch);
+      const entry = games.get(gameId);
+      if (move.turn_number !== entry.moves.length + 1) return false;
+      entry.moves.push(pick(MOVE_FIELDS, { ...move, game_id: gameId }, { created_at: new Date(), passed: false }));
+      Object.assign(entry.game, structuredClone(patch));
+      return true;
+    },
+
+    async deleteMovesFrom(gameId, turnNumber, patch = {}) {
+      checkPatch(patch);
+      const entry = games.get(gameId);
+      if (!entry) return;
+      entry.moves = entry.moves.filter(m=>m.turn_number < turnNumber);
+      Object.assign(entry.game, structuredClone(patch));
+    },
+
+    async updateGame(gameId, patch) {
+      checkPatch(patch);
+      const entry = games.get(gameId);
+      if (entry) Object.assign(entry.game, structuredClone(patch));
+    },
+
+    async claimSeat(gameId, colors, token, name, userId = null) {
+      const entry = games.get(gameId);
+      if (!entry) return [];
+      const claimed = [];
+      for (const p of entry.players) {
+        if (!colors.includes(p.color) || p.seat_token !== null || p.kind !== 'human') continue;
+        Object.assign(p, { seat_token: token, joined_at: new Date(), name: name ?? p.name, user_id: userId ?? p.user_id });
+        claimed.push(structuredClone(p));
+      }
+      return claimed;
+    },
+
+    async resignSeat(gameId, colors) {
+      const entry = games.get(gameId);
+      if (!entry) return [];
+      const resigned = [];
+      for (const p of entry.players) {
+        if (!colors.includes(p.color) || p.resigned_at) continue;
+        p.resigned_at = new Date();
+        resigned.push(structuredClone(p));
+      }
+      return resigned;
+    },
+
+    async finishGame(gameId, results) {
+      const entry = games.get(gameId);
+      if (!entry || entry.game.status !== 'active') return false;
+      Object.assign(entry.game, { status: 'finished', finished_at: new Date() });
+      entry.results = results.map(r=>pick(RESULT_FIELDS, { ...r, game_id: gameId }, {}));
+      return true;
+    },
+
+    async abandonStale(cutoff) {
+      const ids = [];
+      for (const { game, moves } of games.values()) {
+        if (game.status !== 'waiting' && game.status !== 'active') continue;
+        const last = moves.length ? moves[moves.length-1].created_at : game.created_at;
+        if (last >= cutoff) continue;
+        Object.assign(game, { status: 'abandoned', finished_at: new Date() });
+        ids.push(game.id);
+      }
+      return ids;
+    },
+
+    async listGames(userId, { statuses, limit, offset }) {
+      const mine = [...games.values()]
+        .filter(({ game, players })=>game.created_by === userId || players.some(p=>p.user_id === userId))
+        .filter(({ game })=>!statuses || statuses.includes(game.status))
+        .sort((a,b)=>b.game.created_at - a.game.created_at);
+      const page = mine.slice(offset, offset + limit).map(({ game, players, moves })=>({ game, players, move_count: moves.length }));
+      return { games: structuredClone(page), total: mine.length };
+    },
+
+    async createUser(user) {
+      const key = user.username.toLowerCase();
+      if (users.has(key)) return false;
+      users.set(key, pick(USER_FIELDS, user, { created_at: new Date(), rating: INITIAL_RATING }));
+      return true;
+    },
+
+    async findUser(username) {
+      const user = users.get(String(username).toLowerCase());
+      return user ? structuredClone(user) : null;
+    },
+
+    async createSession(session) {
+      sessions.set(session.token_hash, pick(SESSION_FIELDS, session, { created_at: new Date() }));
+    },
+
+    async sessionUser(tokenHash) {
+      const session = sessions.get(tokenHash);
+      const user = session && userById(session.user_id);
+      return user ? structuredClone(user) : null;
+    },
+
+    async deleteSession(tokenHash) {
+      sessions.delete(tokenHash);
+    },
+
+    async findUserById(id) {
+      const user = userById(id);
+      return user ? structuredClone(user) : null;
+    },
+
+    async recordRatings(gameId, seats, rate) {
+      if (ratings.some(r=>r.game_id === gameId)) return null;
+      const changes = rate(seats.map(s=>({ ...s, rating: userById(s.user_id).rating })));
+      for (const c of changes) {
+        ratings.push(pick(RATING_FIELDS, { ...c, game_id: gameId }, { created_at: new Date() }));
+        userById(c.user_id).rating = c.rating_after;
+      }
+      return changes;
+    },
+
+    async leaderboard({ limit, offset }) {
+      const counts = {};
+      for (const r of ratings) counts[r.user_id] = (counts[r.user_id] || 0) + 1;
+      const ranked = [...users.values()].filter(u=>counts[u.id])
+        .sort((a,b)=>b.rating - a.rating || a.username.localeCompare(b.username))
+        .map(u=>({ ...u, games: counts[u.id] }));
+      return { users: structuredClone(ranked.slice(offset, offset + limit)), total: ranked.length };
+    },
+
+    async ratingHistory(userId) {
+      return structuredClone(ratings.filter(r=>r.user_id === userId));
+    },
+
+    async userResults(userId) {
+      const rows = [];
+      for (const { players, moves, results } of games.values()) {
+        for (const r of results) {
+          if (!players.some(p=>p.color === r.color && p.user_id === userId)) continue;
+          const opening = moves.find(m=>m.player_color === r.color && !m.passed);
+          rows.push({ ...structuredClone(r), opening_piece: opening?.piece_key ?? null });
+        }
+      }
+      return rows;
+    },
+
+    async findWatchedGame(watchId) {
+      return [...games.values()].find(({ game })=>game.watch_id === watchId)?.game.id ?? null;
+    },
+
+    async addChatMessage(message) {
+      const row = pick(CHAT_FIELDS, { ...message, id: chat.length + 1 }, { created_at: new Date(), players_only: false });
+      chat.push(row);
+      return structuredClone(row);
+    },
+
+    async chatMessages(gameId, limit) {
+      return structuredClone(chat.filter(m=>m.game_id === gameId).slice(-limit));
+    },
+
+    async createTournament(tournament) {
+      const row = pick(TOURNAMENT_FIELDS, tournament, { created_at: new Date(), status: 'active' });
+      tournaments.set(row.id, { tournament: row, tables: [] });
+    },
+
+    async loadTournament(id) {
+      const entry = tournaments.get(id);
+      return entry ? structuredClone(entry) : null;
+    },
+
+    async addRound(tournamentId, round, tables) {
+      const entry = tournaments.get(tournamentId);
+      if (!entry || entry.tables.some(t=>t.round === round)) return false;
+      for (const t of tables) entry.tables.push(pick(TOURNAMENT_TABLE_FIELDS, { ...t, tournament_id: tournamentId, round }, {}));
+      entry.tables.sort((a,b)=>a.round - b.round || a.table_index - b.table_index);
+      return true;
+    },
+
+    async finishTournament(id) {
+      const entry = tournaments.get(id);
+      if (!entry || entry.tournament.status !== 'active') return false;
+      Object.assign(entry.tournament, { status: 'finished', finished_at: new Date() });
+      return true;
+    },
+
+    async linkRematch(gameId, rematchId) {
+      const entry = games.get(gameId);
+      if (!entry || entry.game.rematch_id) return false;
+      entry.game.rematch_id = rematchId;
+      return true;
+    },
+
+    async seriesGames(seriesId) {
+      const series = [...games.values()].filter(({ game })=>game.id === seriesId || game.series_id === seriesId);
+      return structuredClone(series.map(({ game, players, results })=>({ game, players, results })));
+    },
+
+    async saveTemplate(template) {
+      const existing = templates.find(t=>t.user_id === template.user_id && t.name === template.name);
+      if (existing) {
+        existing.settings = structuredClone(template.settings);
+        return structuredClone(existing);
+      }
+      const row = pick(TEMPLATE_FIELDS, template, { created_at: new Date() });
+      templates.push(row);
+      return structuredClone(row);
+    },
+
+    async listTemplates(userId) {
+      return structuredClone(templates.filter(t=>t.user_id === userId).sort((a,b)=>a.name.localeCompare(b.name)));
+    },
+
+    async findTemplate(id) {
+      const template = templates.find(t=>t.id === id);
+      return template ? structuredClone(template) : null;
+    },
+
+    async deleteTemplate(id, userId) {
+      const index = templates.findIndex(t=>t.id === id && t.user_id === userId);
+      if (index < 0) return false;
+      templates.splice(index, 1);
+      return true;
+    },
+
+    async close() {
+      games.clear();
+      users.clear();
+      sessions.clear();
+      ratings.length = 0;
+      chat.length = 0;
+      tournaments.clear();
+      templates.length = 0;
+    }
+  };
+}
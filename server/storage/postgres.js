@@ -0,0 +1,487 @@
+// Postgres (Neon) storage. The schema is created on init and migrated in place
+// with ADD COLUMN IF NOT EXISTS, so existing databases keep working.
+import pkg from 'pg';
+import { GAME_FIELDS, JSON_GAME_FIELDS, PLAYER_FIELDS, MOVE_FIELDS, RESULT_FIELDS, SESSION_FIELDS, RATING_FIELDS, CHAT_FIELDS, TOURNAMENT_FIELDS, TOURNAMENT_TABLE_FIELDS, checkPatch } from './fields.js';
+import { INITIAL_RATING } from '../ratings.js';
+
+const { Pool } = pkg;
+
+export function createPostgresStorage({ connectionString }) {
+  const pool = new Pool({ connectionString, ssl: { rejectUnauthorized: false } });
+
+  function insert(db, table, fields, row) {
+    const cols = fields.filter(f=>row[f] !== undefined);
+    const values = cols.map(c=>row[c]);
+    return db.query(`INSERT INTO ${table}(${cols.join(', ')}) VALUES(${cols.map((_, i)=>`$${i+1}`).join(', ')})`, values);
+  }
+
+  // JSONB columns go over the wire as text
+  const json = v => v === null || v === undefined ? v : JSON.stringify(v);
+
+  function update(db, gameId, patch) {
+    const cols = checkPatch(patch);
+    if (!cols.length) return;
+    const values = cols.map(c=>JSON_GAME_FIELDS.includes(c) ? json(patch[c]) : patch[c]);
+    return db.query(`UPDATE games SET ${cols.map((c, i)=>`${c}=$${i+2}`).join(', ')} WHERE id=$1`, [gameId, ...values]);
+  }
+
+  // Run `fn(client)` in a transaction holding the row lock of `id` in `table`,
+  // so writes to one game (or tournament) are serialized. Rolls back when `fn`
+  // throws or returns false.
+  async function withLock(table, id, fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SELECT id FROM ${table} WHERE id=$1 FOR UPDATE`, [id]);
+      const result = await fn(client);
+      await client.query(result === false ? 'ROLLBACK' : 'COMMIT');
+      return result;
+    } catch (e) {
+      await client.query('ROLLBACK').catch(()=>{});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+  const withGameLock = (gameId, fn) => withLock('games', gameId, fn);
+
+  async function moveRows(gameId) {
+    const { rows } = await pool.query('SELECT * FROM moves WHERE game_id=$1 ORDER BY turn_number', [gameId]);
+    return rows;
+  }
+
+  // Databases from before the unique moves(game_id, turn_number) index could
+  // hold two moves for one turn (or skip a turn after them). Each such game's
+  // moves are numbered 1..n in the order they were made and its snapshot
+  // dropped, so the board is rebuilt from them on next load; then the index is
+  // created.
+  async function uniqueTurns() {
+    const { rows } = await pool.query(`SELECT 1 FROM pg_indexes WHERE indexname='idx_moves_game_turn'`);
+    if (rows.length) return;
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('LOCK TABLE moves IN SHARE ROW EXCLUSIVE MODE');
+      const { rows: games } = await client.query(
+        'SELECT game_id FROM moves GROUP BY game_id HAVING count(*) <> max(turn_number) OR count(DISTINCT turn_number) <> count(*)');
+      const ids = games.map(g=>g.game_id);
+      if (ids.length) {
+        await client.query(`UPDATE moves SET turn_number=r.n FROM (
+          SELECT id, row_number() OVER (PARTITION BY game_id ORDER BY turn_number, created_at, id) AS n FROM moves WHERE game_id = ANY($1)
+        ) r WHERE moves.id=r.id`, [ids]);
+        await client.query('UPDATE games SET snapshot=NULL WHERE id = ANY($1)', [ids]);
+      }
+      await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_moves_game_turn ON moves(game_id, turn_number)');
+      await client.query('COMMIT');
+    } catch (e) {
+      await client.query('ROLLBACK').catch(()=>{});
+      throw e;
+    } finally {
+      client.release();
+    }
+  }
+
+  return {
+    name: 'postgres',
+
+    async init() {
+      await pool.query(`CREATE TABLE IF NOT EXISTS games (
+        id UUID PRIMARY KEY,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        status TEXT NOT NULL DEFAULT 'active',
+        board_size INT NOT NULL DEFAULT 20,
+        next_player_index INT NOT NULL DEFAULT 0,
+        variant TEXT NOT NULL DEFAULT 'classic'
+      );`);
+      await pool.query(`CREATE TABLE IF NOT EXISTS players (
+        id UUID PRIMARY KEY,
+        game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+        color TEXT NOT NULL,
+        order_index INT NOT NULL,
+        name TEXT NOT NULL
+      );`);
+      await pool.query(`CREATE TABLE IF NOT EXISTS moves (
+        id UUID PRIMARY KEY,
+        game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+        player_color TEXT NOT NULL,
+        piece_key TEXT,
+        rotation INT,
+        flipped BOOLEAN,
+        cells JSONB,
+        passed BOOLEAN NOT NULL DEFAULT false,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        turn_number INT NOT NULL
+      );`);
+      await pool.query(`CREATE INDEX IF NOT EXISTS idx_moves_game_created ON moves(game_id, created_at);`);
+      // Seats: games created before this are hotseat games
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS mode TEXT NOT NULL DEFAULT 'hotseat';`);
+      await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS seat_token TEXT;`);
+      await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS joined_at TIMESTAMPTZ;`);
+      // Computer players: kind 'ai' with one of AI_LEVELS
+      await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'human';`);
+      await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS ai_level TEXT;`);
+      // House rules (board size, start cells, piece set); NULL means the variant's defaults
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS config JSONB;`);
+      // Open takeback request: { seat, turn_number, approvals: [seat], created_at }
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS pending_undo JSONB;`);
+      // Lifecycle: resignations, when the game ended, and its final standings
+      await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS resigned_at TIMESTAMPTZ;`);
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS finished_at TIMESTAMPTZ;`);
+      await pool.query(`CREATE TABLE IF NOT EXISTS results (
+        game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+        color TEXT NOT NULL,
+        seat_index INT,
+        score INT NOT NULL,
+        rank INT,
+        resigned BOOLEAN NOT NULL DEFAULT false,
+        PRIMARY KEY (game_id, color)
+      );`);
+      // Accounts: who created a game and who holds each seat
+      await pool.query(`CREATE TABLE IF NOT EXISTS users (
+        id UUID PRIMARY KEY,
+        username TEXT NOT NULL,
+        password_hash TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );`);
+      await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username ON users(lower(username));`);
+      await pool.query(`CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+      );`);
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS created_by UUID;`);
+      await pool.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS user_id UUID;`);
+      await pool.query(`CREATE INDEX IF NOT EXISTS idx_players_user ON players(user_id);`);
+      // Ratings: the current one on the account, plus its history per game
+      await pool.query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS rating INT NOT NULL DEFAULT ${INITIAL_RATING};`);
+      await pool.query(`CREATE TABLE IF NOT EXISTS ratings (
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+        rating_before INT NOT NULL,
+        rating_after INT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (game_id, user_id)
+      );`);
+      await pool.query(`CREATE INDEX IF NOT EXISTS idx_ratings_user ON ratings(user_id, created_at);`);
+      // Time controls: the rules, per-color banks in ms, and when the current turn began
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS time_control JSONB;`);
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS clocks JSONB;`);
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS turn_started_at TIMESTAMPTZ;`);
+      // Spectators: the read-only link's id and how many moves it lags behind, and the chat
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS watch_id TEXT;`);
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS broadcast_delay INT NOT NULL DEFAULT 0;`);
+      await pool.query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_games_watch ON games(watch_id);`);
+      await pool.query(`CREATE TABLE IF NOT EXISTS chat_messages (
+        id SERIAL PRIMARY KEY,
+        game_id UUID NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        author TEXT NOT NULL,
+        user_id UUID,
+        role TEXT NOT NULL,
+        players_only BOOLEAN NOT NULL DEFAULT false,
+        body TEXT NOT NULL
+      );`);
+      await pool.query(`CREATE INDEX IF NOT EXISTS idx_chat_game ON chat_messages(game_id, id);`);
+      // Board snapshot (shared/snapshot.js), rewritten with every move; NULL until first rebuilt
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS snapshot JSONB;`);
+      // One move per turn; concurrent submissions for the same turn cannot both land
+      await uniqueTurns();
+      // Tournaments and the tables of their rounds
+      await pool.query(`CREATE TABLE IF NOT EXISTS tournaments (
+        id UUID PRIMARY KEY,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        name TEXT NOT NULL,
+        format TEXT NOT NULL,
+        variant TEXT NOT NULL,
+        rounds INT,
+        status TEXT NOT NULL DEFAULT 'active',
+        players JSONB NOT NULL,
+        created_by UUID,
+        finished_at TIMESTAMPTZ
+      );`);
+      await pool.query(`CREATE TABLE IF NOT EXISTS tournament_tables (
+        tournament_id UUID NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+        round INT NOT NULL,
+        table_index INT NOT NULL,
+        game_id UUID REFERENCES games(id) ON DELETE SET NULL,
+        variant TEXT,
+        seats JSONB NOT NULL,
+        PRIMARY KEY (tournament_id, round, table_index)
+      );`);
+      // Rematches: each game links to the next one of its series
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS series_id UUID;`);
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS rematch_of UUID;`);
+      await pool.query(`ALTER TABLE games ADD COLUMN IF NOT EXISTS rematch_id UUID;`);
+      await pool.query(`CREATE INDEX IF NOT EXISTS idx_games_series ON games(series_id);`);
+      await pool.query(`CREATE TABLE IF NOT EXISTS templates (
+        id UUID PRIMARY KEY,
+        user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        settings JSONB NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        UNIQUE (user_id, name)
+      );`);
+    },
+
+    async createGame(game) {
+      const row = { ...game };
+      for (const f of JSON_GAME_FIELDS) row[f] = json(game[f]);
+      await insert(pool, 'games', GAME_FIELDS, row);
+    },
+
+    async addPlayers(gameId, players) {
+      await Promise.all(players.map(p=>insert(pool, 'players', PLAYER_FIELDS, { ...p, game_id: gameId })));
+    },
+
+    async loadGame(gameId, { moves = true } = {}) {
+      const { rows: gameRows } = await pool.query('SELECT * FROM games WHERE id=$1', [gameId]);
+      if (gameRows.length === 0) return null;
+      const { rows: players } = await pool.query('SELECT * FROM players WHERE game_id=$1 ORDER BY order_index', [gameId]);
+      const { rows: results } = await pool.query('SELECT * FROM results WHERE game_id=$1', [gameId]);
+      const loaded = { game: gameRows[0], players, results };
+      if (!moves) {
+        const { rows } = await pool.query('SELECT count(*)::int AS count FROM moves WHERE game_id=$1', [gameId]);
+        return { ...loaded, move_count: rows[0].count };
+      }
+      const rows = await moveRows(gameId);
+      return { ...loaded, moves: rows, move_count: rows.length };
+    },
+
+    async listMoves(gameId) {
+      return moveRows(gameId);
+    },
+
+    async appendMove(gameId, move, patch = {}) {
+      checkPatch(patch);
+      return withGameLock(gameId, async client=>{
+        const { rows } = await client.query('SELECT count(*)::int AS count FROM moves WHERE game_id=$1', [gameId]);
+        if (move.turn_number !== rows[0].count + 1) return false;
+        await insert(client, 'moves', MOVE_FIELDS, { ...move, game_id: gameId, cells: json(move.cells) });
+        await update(client, gameId, patch);
+        return true;
+      });
+    },
+
+    async deleteMovesFrom(gameId, turnNumber, patch = {}) {
+      checkPatch(patch);
+      await withGameLock(gameId, async client=>{
+        await client.query('DELETE FROM moves WHERE game_id=$1 AND turn_number >= $2', [gameId, turnNumber]);
+        await update(client, gameId, patch);
+      });
+    },
+
+    async updateGame(gameId, patch) {
+      await update(pool, gameId, patch);
+    },
+
+    async claimSeat(gameId, colors, token, name, userId = null) {
+      const { rows } = await pool.query(
+        "UPDATE players SET seat_token=$3, joined_at=now(), name=COALESCE($4, name), user_id=COALESCE($5, user_id) WHERE game_id=$1 AND color = ANY($2) AND seat_token IS NULL AND kind='human' RETURNING *",
+        [gameId, colors, token, name, userId]
+      );
+      return rows;
+    },
+
+    async resignSeat(gameId, colors) {
+      const { rows } = await pool.query(
+        'UPDATE players SET resigned_at=now() WHERE game_id=$1 AND color = ANY($2) AND resigned_at IS NULL RETURNING *',
+        [gameId, colors]
+      );
+      return rows;
+    },
+
+    async finishGame(gameId, results) {
+      return withGameLock(gameId, async client=>{
+        const { rowCount } = await client.query("UPDATE games SET status='finished', finished_at=now() WHERE id=$1 AND status='active'", [gameId]);
+        if (!rowCount) return false;
+        for (const r of results) await insert(client, 'results', RESULT_FIELDS, { ...r, game_id: gameId });
+        return true;
+      });
+    },
+
+    async abandonStale(cutoff) {
+      const { rows } = await pool.query(
+        `UPDATE games SET status='abandoned', finished_at=now()
+         WHERE status IN ('waiting','active')
+           AND COALESCE((SELECT max(created_at) FROM moves WHERE game_id=games.id), created_at) < $1
+         RETURNING id`,
+        [cutoff]
+      );
+      return rows.map(r=>r.id);
+    },
+
+    async listGames(userId, { statuses, limit, offset }) {
+      const where = `(created_by=$1 OR EXISTS (SELECT 1 FROM players WHERE players.game_id=games.id AND players.user_id=$1))
+        AND ($2::text[] IS NULL OR status = ANY($2))`;
+      const params = [userId, statuses || null];
+      const { rows: [{ total }] } = await pool.query(`SELECT count(*)::int AS total FROM games WHERE ${where}`, params);
+      const { rows } = await pool.query(
+        `SELECT games.*, (SELECT count(*)::int FROM moves WHERE moves.game_id=games.id) AS move_count
+         FROM games WHERE ${where} ORDER BY created_at DESC, id LIMIT $3 OFFSET $4`,
+        [...params, limit, offset]
+      );
+      const { rows: players } = await pool.query('SELECT * FROM players WHERE game_id = ANY($1) ORDER BY order_index', [rows.map(r=>r.id)]);
+      const games = rows.map(({ move_count, ...game })=>({ game, players: players.filter(p=>p.game_id === game.id), move_count }));
+      return { games, total };
+    },
+
+    async createUser(user) {
+      const { rowCount } = await pool.query(
+        'INSERT INTO users(id, username, password_hash) VALUES($1, $2, $3) ON CONFLICT DO NOTHING',
+        [user.id, user.username, user.password_hash]
+      );
+      return rowCount === 1;
+    },
+
+    async findUser(username) {
+      const { rows } = await pool.query('SELECT * FROM users WHERE lower(username)=lower($1)', [String(username)]);
+      return rows[0] ?? null;
+    },
+
+    async createSession(session) {
+      await insert(pool, 'sessions', SESSION_FIELDS, session);
+    },
+
+    async sessionUser(tokenHash) {
+      const { rows } = await pool.query('SELECT users.* FROM sessions JOIN users ON users.id=sessions.user_id WHERE token_hash=$1', [tokenHash]);
+      return rows[0] ?? null;
+    },
+
+    async deleteSession(tokenHash) {
+      await pool.query('DELETE FROM sessions WHERE token_hash=$1', [tokenHash]);
+    },
+
+    async findUserById(id) {
+      const { rows } = await pool.query('SELECT * FROM users WHERE id=$1', [id]);
+      return rows[0] ?? null;
+    },
+
+    async recordRatings(gameId, seats, rate) {
+      // the game lock makes rating a game once; the user locks (in id order)
+      // keep concurrent games from losing each other's updates
+      let changes = null;
+      await withGameLock(gameId, async client=>{
+        const { rows: done } = await client.query('SELECT 1 FROM ratings WHERE game_id=$1 LIMIT 1', [gameId]);
+        if (done.length) return false;
+        const { rows } = await client.query('SELECT id, rating FROM users WHERE id = ANY($1) ORDER BY id FOR UPDATE', [seats.map(s=>s.user_id)]);
+        changes = rate(seats.map(s=>({ ...s, rating: rows.find(r=>r.id === s.user_id).rating })));
+        for (const c of changes) {
+          await insert(client, 'ratings', RATING_FIELDS, { ...c, game_id: gameId });
+          await client.query('UPDATE users SET rating=$2 WHERE id=$1', [c.user_id, c.rating_after]);
+        }
+      });
+      return changes;
+    },
+
+    async leaderboard({ limit, offset }) {
+      const { rows: [{ total }] } = await pool.query('SELECT count(DISTINCT user_id)::int AS total FROM ratings');
+      const { rows: users } = await pool.query(
+        `SELECT users.*, count(*)::int AS games FROM users JOIN ratings ON ratings.user_id=users.id
+         GROUP BY users.id ORDER BY users.rating DESC, users.username LIMIT $1 OFFSET $2`,
+        [limit, offset]
+      );
+      return { users, total };
+    },
+
+    async ratingHistory(userId) {
+      const { rows } = await pool.query('SELECT * FROM ratings WHERE user_id=$1 ORDER BY created_at, game_id', [userId]);
+      return rows;
+    },
+
+    async userResults(userId) {
+      const { rows } = await pool.query(
+        `SELECT results.*, (SELECT piece_key FROM moves WHERE moves.game_id=results.game_id AND moves.player_color=results.color AND NOT moves.passed
+                            ORDER BY turn_number LIMIT 1) AS opening_piece
+         FROM results JOIN players ON players.game_id=results.game_id AND players.color=results.color
+         WHERE players.user_id=$1`,
+        [userId]
+      );
+      return rows;
+    },
+
+    async findWatchedGame(watchId) {
+      const { rows } = await pool.query('SELECT id FROM games WHERE watch_id=$1', [watchId]);
+      return rows[0]?.id ?? null;
+    },
+
+    async addChatMessage(message) {
+      const cols = CHAT_FIELDS.filter(f=>f !== 'id' && message[f] !== undefined);
+      const { rows } = await pool.query(
+        `INSERT INTO chat_messages(${cols.join(', ')}) VALUES(${cols.map((_, i)=>`$${i+1}`).join(', ')}) RETURNING *`,
+        cols.map(c=>message[c])
+      );
+      return rows[0];
+    },
+
+    async chatMessages(gameId, limit) {
+      const { rows } = await pool.query('SELECT * FROM chat_messages WHERE game_id=$1 ORDER BY id DESC LIMIT $2', [gameId, limit]);
+      return rows.reverse();
+    },
+
+    async createTournament(tournament) {
+      await insert(pool, 'tournaments', TOURNAMENT_FIELDS, { ...tournament, players: json(tournament.players) });
+    },
+
+    async loadTournament(id) {
+      const { rows } = await pool.query('SELECT * FROM tournaments WHERE id=$1', [id]);
+      if (!rows.length) return null;
+      const tables = await pool.query('SELECT * FROM tournament_tables WHERE tournament_id=$1 ORDER BY round, table_index', [id]);
+      return { tournament: rows[0], tables: tables.rows };
+    },
+
+    async addRound(tournamentId, round, tables) {
+      return withLock('tournaments', tournamentId, async client=>{
+        const { rowCount } = await client.query('SELECT 1 FROM tournament_tables WHERE tournament_id=$1 AND round=$2', [tournamentId, round]);
+        if (rowCount) return false;
+        for (const t of tables) await insert(client, 'tournament_tables', TOURNAMENT_TABLE_FIELDS, { ...t, tournament_id: tournamentId, round, seats: json(t.seats) });
+        return true;
+      });
+    },
+
+    async finishTournament(id) {
+      const { rowCount } = await pool.query("UPDATE tournaments SET status='finished', finished_at=now() WHERE id=$1 AND status='active'", [id]);
+      return rowCount > 0;
+    },
+
+    async linkRematch(gameId, rematchId) {
+      const { rowCount } = await pool.query('UPDATE games SET rematch_id=$2 WHERE id=$1 AND rematch_id IS NULL', [gameId, rematchId]);
+      return rowCount > 0;
+    },
+
+    async seriesGames(seriesId) {
+      const { rows: games } = await pool.query('SELECT * FROM games WHERE id=$1 OR series_id=$1', [seriesId]);
+      const ids = games.map(g=>g.id);
+      const { rows: players } = await pool.query('SELECT * FROM players WHERE game_id = ANY($1) ORDER BY order_index', [ids]);
+      const { rows: results } = await pool.query('SELECT * FROM results WHERE game_id = ANY($1)', [ids]);
+      return games.map(game=>({ game, players: players.filter(p=>p.game_id === game.id), results: results.filter(r=>r.game_id === game.id) }));
+    },
+
+    async saveTemplate(template) {
+      const { rows } = await pool.query(
+        `INSERT INTO templates(id, user_id, name, settings) VALUES($1, $2, $3, $4)
+         ON CONFLICT (user_id, name) DO UPDATE SET settings=excluded.settings RETURNING *`,
+        [template.id, template.user_id, template.name, json(template.settings)]
+      );
+      return rows[0];
+    },
+
+    async listTemplates(userId) {
+      const { rows } = await pool.query('SELECT * FROM templates WHERE user_id=$1 ORDER BY name', [userId]);
+      return rows;
+    },
+
+    async findTemplate(id) {
+      const { rows } = await pool.query('SELECT * FROM templates WHERE id=$1', [id]);
+      return rows[0] ?? null;
+    },
+
+    async deleteTemplate(id, userId) {
+      const { rowCount } = await pool.query('DELETE FROM templates WHERE id=$1 AND user_id=$2', [id, userId]);
+      return rowCount > 0;
+    },
+
+    async close() {
+      await pool.end();
+    }
+  };
+}
@@ -0,0 +1,464 @@
+// SQLite storage (better-sqlite3) for running on a single machine without
+// Postgres. JSON columns are stored as text, booleans as 0/1 and timestamps
+// as ISO strings; rows are converted back on the way out.
+import Database from 'better-sqlite3';
+import { GAME_FIELDS, PLAYER_FIELDS, MOVE_FIELDS, RESULT_FIELDS, USER_FIELDS, SESSION_FIELDS, RATING_FIELDS, CHAT_FIELDS, TOURNAMENT_FIELDS, TOURNAMENT_TABLE_FIELDS, checkPatch } from './fields.js';
+import { INITIAL_RATING } from '../ratings.js';
+
+const JSON_FIELDS = ['config', 'pending_undo', 'time_control', 'clocks', 'snapshot', 'cells', 'players', 'seats', 'settings'];
+const BOOL_FIELDS = ['flipped', 'passed', 'resigned', 'players_only'];
+const DATE_FIELDS = ['created_at', 'joined_at', 'resigned_at', 'finished_at', 'turn_started_at'];
+
+function toRow(row) {
+  const out = {};
+  for (const [k, v] of Object.entries(row)) {
+    if (v === undefined) continue;
+    if (v === null) out[k] = null;
+    else if (JSON_FIELDS.includes(k)) out[k] = JSON.stringify(v);
+    else if (BOOL_FIELDS.includes(k)) out[k] = v ? 1 : 0;
+    else if (v instanceof Date) out[k] = v.toISOString();
+    else out[k] = v;
+  }
+  return out;
+}
+
+function fromRow(row) {
+  if (!row) return row;
+  const out = { ...row };
+  for (const k of JSON_FIELDS) if (typeof out[k] === 'string') out[k] = JSON.parse(out[k]);
+  for (const k of BOOL_FIELDS) if (k in out && out[k] !== null) out[k] = !!out[k];
+  for (const k of DATE_FIELDS) if (typeof out[k] === 'string') out[k] = new Date(out[k]);
+  return out;
+}
+
+const NOW = "(strftime('%Y-%m-%dT%H:%M:%fZ','now'))";
+
+export function createSqliteStorage({ filename = ':memory:' } = {}) {
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  function insert(table, fields, row) {
+    const data = toRow(row);
+    const cols = fields.filter(f=>data[f] !== undefined);
+    return db.prepare(`INSERT INTO ${table}(${cols.join(', ')}) VALUES(${cols.map(c=>`@${c}`).join(', ')})`).run(data);
+  }
+
+  // ADD COLUMN for files created by an older schema
+  function addColumn(table, column, type) {
+    const exists = db.prepare(`SELECT 1 FROM pragma_table_info('${table}') WHERE name=?`).get(column);
+    if (!exists) db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+  }
+
+  // One move per turn. Files from before the unique index could hold two moves
+  // for one turn (or skip a turn after them) and had a plain index of the same
+  // name. Each such game's moves are numbered 1..n in the order they were made
+  // and its snapshot dropped, so the board is rebuilt from them on next load.
+  function uniqueTurns() {
+    const index = db.prepare(`SELECT "unique" FROM pragma_index_list('moves') WHERE name='idx_moves_game_turn'`).get();
+    if (index?.unique) return;
+    db.transaction(()=>{
+      const games = db.prepare('SELECT game_id FROM moves GROUP BY game_id HAVING count(*) <> max(turn_number) OR count(DISTINCT turn_number) <> count(*)').all();
+      const renumber = db.prepare('UPDATE moves SET turn_number=? WHERE id=?');
+      for (const { game_id } of games) {
+        const ids = db.prepare('SELECT id FROM moves WHERE game_id=? ORDER BY turn_number, created_at, rowid').all(game_id);
+        ids.forEach(({ id }, i)=>renumber.run(i + 1, id));
+        db.prepare('UPDATE games SET snapshot=NULL WHERE id=?').run(game_id);
+      }
+      db.exec('DROP INDEX IF EXISTS idx_moves_game_turn; CREATE UNIQUE INDEX idx_moves_game_turn ON moves(game_id, turn_number)');
+    })();
+  }
+
+  function moveRows(gameId) {
+    return db.prepare('SELECT * FROM moves WHERE game_id=? ORDER BY turn_number').all(gameId).map(fromRow);
+  }
+
+  // Conditions shared by the listGames count and page queries
+  function listFilter(statuses) {
+    const mine = '(created_by=@user OR EXISTS (SELECT 1 FROM players WHERE players.game_id=games.id AND players.user_id=@user))';
+    return statuses ? `${mine} AND status IN (${statuses.map((_, i)=>`@s${i}`).join(', ')})` : mine;
+  }
+
+  function update(gameId, patch) {
+    const cols = Object.keys(patch);
+    if (!cols.length) return;
+    db.prepare(`UPDATE games SET ${cols.map(c=>`${c}=@${c}`).join(', ')} WHERE id=@id`).run({ ...toRow(patch), id: gameId });
+  }
+
+  return {
+    name: 'sqlite',
+
+    async init() {
+      db.exec(`CREATE TABLE IF NOT EXISTS games (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL DEFAULT ${NOW},
+        status TEXT NOT NULL DEFAULT 'active',
+        mode TEXT NOT NULL DEFAULT 'hotseat',
+        variant TEXT NOT NULL DEFAULT 'classic',
+        board_size INTEGER NOT NULL DEFAULT 20,
+        next_player_index INTEGER NOT NULL DEFAULT 0,
+        config TEXT,
+        pending_undo TEXT,
+        finished_at TEXT,
+        created_by TEXT,
+        time_control TEXT,
+        clocks TEXT,
+        turn_started_at TEXT,
+        watch_id TEXT,
+        broadcast_delay INTEGER NOT NULL DEFAULT 0,
+        snapshot TEXT
+      );
+      CREATE TABLE IF NOT EXISTS players (
+        id TEXT PRIMARY KEY,
+        game_id TEXT NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+        color TEXT NOT NULL,
+        order_index INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        kind TEXT NOT NULL DEFAULT 'human',
+        ai_level TEXT,
+        seat_token TEXT,
+        joined_at TEXT,
+        resigned_at TEXT,
+        user_id TEXT
+      );
+      CREATE TABLE IF NOT EXISTS moves (
+        id TEXT PRIMARY KEY,
+        game_id TEXT NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+        player_color TEXT NOT NULL,
+        piece_key TEXT,
+        rotation INTEGER,
+        flipped INTEGER,
+        cells TEXT,
+        passed INTEGER NOT NULL DEFAULT 0,
+        created_at TEXT NOT NULL DEFAULT ${NOW},
+        turn_number INTEGER NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS results (
+        game_id TEXT NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+        color TEXT NOT NULL,
+        seat_index INTEGER,
+        score INTEGER NOT NULL,
+        rank INTEGER,
+        resigned INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (game_id, color)
+      );
+      CREATE TABLE IF NOT EXISTS users (
+        id TEXT PRIMARY KEY,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT ${NOW},
+        rating INTEGER NOT NULL DEFAULT ${INITIAL_RATING}
+      );
+      CREATE TABLE IF NOT EXISTS sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL DEFAULT ${NOW}
+      );
+      CREATE TABLE IF NOT EXISTS ratings (
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        game_id TEXT NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+        rating_before INTEGER NOT NULL,
+        rating_after INTEGER NOT NULL,
+        created_at TEXT NOT NULL DEFAULT ${NOW},
+        PRIMARY KEY (game_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_ratings_user ON ratings(user_id, created_at);
+      CREATE TABLE IF NOT EXISTS chat_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        game_id TEXT NOT NULL REFERENCES games(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL DEFAULT ${NOW},
+        author TEXT NOT NULL,
+        user_id TEXT,
+        role TEXT NOT NULL,
+        players_only INTEGER NOT NULL DEFAULT 0,
+        body TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_chat_game ON chat_messages(game_id, id);
+      CREATE TABLE IF NOT EXISTS tournaments (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL DEFAULT ${NOW},
+        name TEXT NOT NULL,
+        format TEXT NOT NULL,
+        variant TEXT NOT NULL,
+        rounds INTEGER,
+        status TEXT NOT NULL DEFAULT 'active',
+        players TEXT NOT NULL,
+        created_by TEXT,
+        finished_at TEXT
+      );
+      CREATE TABLE IF NOT EXISTS tournament_tables (
+        tournament_id TEXT NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+        round INTEGER NOT NULL,
+        table_index INTEGER NOT NULL,
+        game_id TEXT REFERENCES games(id) ON DELETE SET NULL,
+        variant TEXT,
+        seats TEXT NOT NULL,
+        PRIMARY KEY (tournament_id, round, table_index)
+      );
+      CREATE TABLE IF NOT EXISTS templates (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        settings TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT ${NOW},
+        UNIQUE (user_id, name)
+      );`);
+      addColumn('games', 'finished_at', 'TEXT');
+      addColumn('players', 'resigned_at', 'TEXT');
+      addColumn('games', 'created_by', 'TEXT');
+      addColumn('players', 'user_id', 'TEXT');
+      addColumn('users', 'rating', `INTEGER NOT NULL DEFAULT ${INITIAL_RATING}`);
+      addColumn('games', 'time_control', 'TEXT');
+      addColumn('games', 'clocks', 'TEXT');
+      addColumn('games', 'turn_started_at', 'TEXT');
+      addColumn('games', 'watch_id', 'TEXT');
+      addColumn('games', 'broadcast_delay', 'INTEGER NOT NULL DEFAULT 0');
+      db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_games_watch ON games(watch_id)');
+      addColumn('games', 'snapshot', 'TEXT');
+      uniqueTurns();
+      db.exec('CREATE INDEX IF NOT EXISTS idx_players_user ON players(user_id)');
+      addColumn('games', 'series_id', 'TEXT');
+      addColumn('games', 'rematch_of', 'TEXT');
+      addColumn('games', 'rematch_id', 'TEXT');
+      db.exec('CREATE INDEX IF NOT EXISTS idx_games_series ON games(series_id)');
+    },
+
+    async createGame(game) {
+      insert('games', GAME_FIELDS, game);
+    },
+
+    async addPlayers(gameId, players) {
+      db.transaction(()=>{
+        for (const p of players) insert('players', PLAYER_FIELDS, { ...p, game_id: gameId });
+      })();
+    },
+
+    async loadGame(gameId, { moves = true } = {}) {
+      const game = db.prepare('SELECT * FROM games WHERE id=?').get(gameId);
+      if (!game) return null;
+      const players = db.prepare('SELECT * FROM players WHERE game_id=? ORDER BY order_index').all(gameId);
+      const results = db.prepare('SELECT * FROM results WHERE game_id=?').all(gameId);
+      const loaded = { game: fromRow(game), players: players.map(fromRow), results: results.map(fromRow) };
+      if (!moves) return { ...loaded, move_count: db.prepare('SELECT count(*) AS count FROM moves WHERE game_id=?').get(gameId).count };
+      const rows = moveRows(gameId);
+      return { ...loaded, moves: rows, move_count: rows.length };
+    },
+
+    async listMoves(gameId) {
+      return moveRows(gameId);
+    },
+
+    async appendMove(gameId, move, patch = {}) {
+      checkPatch(patch);
+      // better-sqlite3 runs the whole transaction synchronously, so nothing interleaves
+      return db.transaction(()=>{
+        const { count } = db.prepare('SELECT count(*) AS count FROM moves WHERE game_id=?').get(gameId);
+        if (move.turn_number !== count + 1) return false;
+        insert('moves', MOVE_FIELDS, { ...move, game_id: gameId });
+        update(gameId, patch);
+        return true;
+      })();
+    },
+
+    async deleteMovesFrom(gameId, turnNumber, patch = {}) {
+      checkPatch(patch);
+      db.transaction(()=>{
+        db.prepare('DELETE FROM moves WHERE game_id=? AND turn_number >= ?').run(gameId, turnNumber);
+        update(gameId, patch);
+      })();
+    },
+
+    async updateGame(gameId, patch) {
+      checkPatch(patch);
+      update(gameId, patch);
+    },
+
+    async claimSeat(gameId, colors, token, name, userId = null) {
+      const rows = db.prepare(
+        `UPDATE players SET seat_token=?, joined_at=${NOW}, name=COALESCE(?, name), user_id=COALESCE(?, user_id) WHERE game_id=? AND color IN (${colors.map(()=>'?').join(', ')}) AND seat_token IS NULL AND kind='human' RETURNING *`
+      ).all(token, name, userId, gameId, ...colors);
+      return rows.map(fromRow);
+    },
+
+    async resignSeat(gameId, colors) {
+      const rows = db.prepare(
+        `UPDATE players SET resigned_at=${NOW} WHERE game_id=? AND color IN (${colors.map(()=>'?').join(', ')}) AND resigned_at IS NULL RETURNING *`
+      ).all(gameId, ...colors);
+      return rows.map(fromRow);
+    },
+
+    async finishGame(gameId, results) {
+      return db.transaction(()=>{
+        const { changes } = db.prepare(`UPDATE games SET status='finished', finished_at=${NOW} WHERE id=? AND status='active'`).run(gameId);
+        if (!changes) return false;
+        for (const r of results) insert('results', RESULT_FIELDS, { ...r, game_id: gameId });
+        return true;
+      })();
+    },
+
+    async abandonStale(cutoff) {
+      const rows = db.prepare(
+        `UPDATE games SET status='abandoned', finished_at=${NOW}
+         WHERE status IN ('waiting','active')
+           AND COALESCE((SELECT max(created_at) FROM moves WHERE game_id=games.id), created_at) < ?
+         RETURNING id`
+      ).all(cutoff.toISOString());
+      return rows.map(r=>r.id);
+    },
+
+    async listGames(userId, { statuses, limit, offset }) {
+      const params = { user: userId, limit, offset };
+      (statuses || []).forEach((s, i)=>{ params[`s${i}`] = s; });
+      const where = listFilter(statuses);
+      const { total } = db.prepare(`SELECT count(*) AS total FROM games WHERE ${where}`).get(params);
+      const rows = db.prepare(
+        `SELECT games.*, (SELECT count(*) FROM moves WHERE moves.game_id=games.id) AS move_count
+         FROM games WHERE ${where} ORDER BY created_at DESC, id LIMIT @limit OFFSET @offset`
+      ).all(params);
+      const players = db.prepare('SELECT * FROM players WHERE game_id=? ORDER BY order_index');
+      const games = rows.map(({ move_count, ...game })=>({ game: fromRow(game), players: players.all(game.id).map(fromRow), move_count }));
+      return { games, total };
+    },
+
+    async createUser(user) {
+      try {
+        insert('users', USER_FIELDS, user);
+        return true;
+      } catch (e) {
+        if (e.code === 'SQLITE_CONSTRAINT_UNIQUE') return false;
+        throw e;
+      }
+    },
+
+    async findUser(username) {
+      return fromRow(db.prepare('SELECT * FROM users WHERE username=?').get(String(username))) ?? null;
+    },
+
+    async createSession(session) {
+      insert('sessions', SESSION_FIELDS, session);
+    },
+
+    async sessionUser(tokenHash) {
+      const user = db.prepare('SELECT users.* FROM sessions JOIN users ON users.id=sessions.user_id WHERE token_hash=?').get(tokenHash);
+      return fromRow(user) ?? null;
+    },
+
+    async deleteSession(tokenHash) {
+      db.prepare('DELETE FROM sessions WHERE token_hash=?').run(tokenHash);
+    },
+
+    async findUserById(id) {
+      return fromRow(db.prepare('SELECT * FROM users WHERE id=?').get(id)) ?? null;
+    },
+
+    async recordRatings(gameId, seats, rate) {
+      return db.transaction(()=>{
+        if (db.prepare('SELECT 1 FROM ratings WHERE game_id=?').get(gameId)) return null;
+        const rating = db.prepare('SELECT rating FROM users WHERE id=?');
+        const changes = rate(seats.map(s=>({ ...s, rating: rating.get(s.user_id).rating })));
+        for (const c of changes) {
+          insert('ratings', RATING_FIELDS, { ...c, game_id: gameId });
+          db.prepare('UPDATE users SET rating=? WHERE id=?').run(c.rating_after, c.user_id);
+        }
+        return changes;
+      })();
+    },
+
+    async leaderboard({ limit, offset }) {
+      const { total } = db.prepare('SELECT count(DISTINCT user_id) AS total FROM ratings').get();
+      const users = db.prepare(
+        `SELECT users.*, count(*) AS games FROM users JOIN ratings ON ratings.user_id=users.id
+         GROUP BY users.id ORDER BY users.rating DESC, users.username LIMIT ? OFFSET ?`
+      ).all(limit, offset);
+      return { users: users.map(fromRow), total };
+    },
+
+    async ratingHistory(userId) {
+      return db.prepare('SELECT * FROM ratings WHERE user_id=? ORDER BY created_at, game_id').all(userId).map(fromRow);
+    },
+
+    async userResults(userId) {
+      return db.prepare(
+        `SELECT results.*, (SELECT piece_key FROM moves WHERE moves.game_id=results.game_id AND moves.player_color=results.color AND moves.passed=0
+                            ORDER BY turn_number LIMIT 1) AS opening_piece
+         FROM results JOIN players ON players.game_id=results.game_id AND players.color=results.color
+         WHERE players.user_id=?`
+      ).all(userId).map(fromRow);
+    },
+
+    async findWatchedGame(watchId) {
+      return db.prepare('SELECT id FROM games WHERE watch_id=?').get(watchId)?.id ?? null;
+    },
+
+    async addChatMessage(message) {
+      const { lastInsertRowid } = insert('chat_messages', CHAT_FIELDS, message);
+      return fromRow(db.prepare('SELECT * FROM chat_messages WHERE id=?').get(lastInsertRowid));
+    },
+
+    async chatMessages(gameId, limit) {
+      const rows = db.prepare('SELECT * FROM chat_messages WHERE game_id=? ORDER BY id DESC LIMIT ?').all(gameId, limit);
+      return rows.reverse().map(fromRow);
+    },
+
+    async createTournament(tournament) {
+      insert('tournaments', TOURNAMENT_FIELDS, tournament);
+    },
+
+    async loadTournament(id) {
+      const tournament = fromRow(db.prepare('SELECT * FROM tournaments WHERE id=?').get(id));
+      if (!tournament) return null;
+      const tables = db.prepare('SELECT * FROM tournament_tables WHERE tournament_id=? ORDER BY round, table_index').all(id).map(fromRow);
+      return { tournament, tables };
+    },
+
+    async addRound(tournamentId, round, tables) {
+      return db.transaction(()=>{
+        if (db.prepare('SELECT 1 FROM tournament_tables WHERE tournament_id=? AND round=?').get(tournamentId, round)) return false;
+        for (const t of tables) insert('tournament_tables', TOURNAMENT_TABLE_FIELDS, { ...t, tournament_id: tournamentId, round });
+        return true;
+      })();
+    },
+
+    async finishTournament(id) {
+      const { changes } = db.prepare(`UPDATE tournaments SET status='finished', finished_at=${NOW} WHERE id=? AND status='active'`).run(id);
+      return changes > 0;
+    },
+
+    async linkRematch(gameId, rematchId) {
+      const { changes } = db.prepare('UPDATE games SET rematch_id=? WHERE id=? AND rematch_id IS NULL').run(rematchId, gameId);
+      return changes > 0;
+    },
+
+    async seriesGames(seriesId) {
+      const games = db.prepare('SELECT * FROM games WHERE id=? OR series_id=?').all(seriesId, seriesId);
+      const players = db.prepare('SELECT * FROM players WHERE game_id=? ORDER BY order_index');
+      const results = db.prepare('SELECT * FROM results WHERE game_id=?');
+      return games.map(game=>({ game: fromRow(game), players: players.all(game.id).map(fromRow), results: results.all(game.id).map(fromRow) }));
+    },
+
+    async saveTemplate(template) {
+      const row = toRow(template);
+      return fromRow(db.prepare(
+        `INSERT INTO templates(id, user_id, name, settings) VALUES(@id, @user_id, @name, @settings)
+         ON CONFLICT(user_id, name) DO UPDATE SET settings=excluded.settings RETURNING *`
+      ).get(row));
+    },
+
+    async listTemplates(userId) {
+      return db.prepare('SELECT * FROM templates WHERE user_id=? ORDER BY name').all(userId).map(fromRow);
+    },
+
+    async findTemplate(id) {
+      return fromRow(db.prepare('SELECT * FROM templates WHERE id=?').get(id)) ?? null;
+    },
+
+    async deleteTemplate(id, userId) {
+      const { changes } = db.prepare('DELETE FROM templates WHERE id=? AND user_id=?').run(id, userId);
+      return changes > 0;
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
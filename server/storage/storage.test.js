@@ -0,0 +1,343 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { createMemoryStorage } from './memory.js';
+import { createSqliteStorage } from './sqlite.js';
+
+// Postgres runs the same suite when a database is configured
+const backends = { memory: createMemoryStorage, sqlite: () => createSqliteStorage({ filename: ':memory:' }) };
+if (process.env.NEON_DATABASE_URL) {
+  const { createPostgresStorage } = await import('./postgres.js');
+  backends.postgres = () => createPostgresStorage({ connectionString: process.env.NEON_DATABASE_URL });
+}
+
+let seq = 0;
+const uuid = () => `00000000-0000-4000-8000-${String(++seq).padStart(12, '0')}`;
+
+for (const [name, create] of Object.entries(backends)) {
+  test(`${name}: games round-trip with players in seat order and moves in turn order`, async () => {
+    const storage = create();
+    await storage.init();
+    const id = uuid();
+    assert.equal(await storage.loadGame(id), null);
+    await storage.createGame({ id, mode: 'online', status: 'waiting', variant: 'duo', board_size: 14, config: { board_size: 14 } });
+    await storage.addPlayers(id, [
+      { id: uuid(), color: 'red', order_index: 1, name: 'Red', kind: 'ai', ai_level: 'greedy' },
+      { id: uuid(), color: 'blue', order_index: 0, name: 'Blue', kind: 'human' }
+    ]);
+    assert.equal(await storage.appendMove(id, { id: uuid(), player_color: 'blue', piece_key: 'I2', rotation: 1, flipped: true, cells: [[4,4],[4,5]], passed: false, turn_number: 1 }), true);
+    const snapshot = { version: 1, turn: 2, pass_streak: 1, boards: { blue: '0', red: '0' }, used: { blue: '2', red: '0' }, last_piece: { blue: 'I2', red: null } };
+    assert.equal(await storage.appendMove(id, { id: uuid(), player_color: 'red', passed: true, turn_number: 2 }, { next_player_index: 0, snapshot }), true);
+
+    const { game, players, moves } = await storage.loadGame(id);
+    assert.equal(game.status, 'waiting');
+    assert.equal(game.next_player_index, 0);
+    assert.deepEqual(game.config, { board_size: 14 });
+    assert.deepEqual(game.snapshot, snapshot);
+    assert.equal(game.pending_undo, null);
+    assert.ok(game.created_at instanceof Date);
+    assert.deepEqual(players.map(p=>[p.color, p.kind, p.ai_level, p.seat_token]), [['blue','human',null,null], ['red','ai','greedy',null]]);
+    assert.deepEqual(moves.map(m=>m.turn_number), [1, 2]);
+    assert.deepEqual(moves[0].cells, [[4,4],[4,5]]);
+    assert.equal(moves[0].flipped, true);
+    assert.equal(moves[1].passed, true);
+
+    const head = await storage.loadGame(id, { moves: false });
+    assert.equal(head.move_count, 2);
+    assert.equal('moves' in head, false);
+    assert.deepEqual(head.game.snapshot, snapshot);
+    assert.deepEqual((await storage.listMoves(id)).map(m=>m.turn_number), [1, 2]);
+    await storage.close();
+  });
+
+  test(`${name}: a turn can only be appended once and in order`, async () => {
+    const storage = create();
+    await storage.init();
+    const id = uuid();
+    await storage.createGame({ id, mode: 'hotseat', status: 'active', variant: 'classic', board_size: 20 });
+    const pass = turn => ({ id: uuid(), player_color: 'blue', passed: true, turn_number: turn });
+    assert.equal(await storage.appendMove(id, pass(2), { next_player_index: 3 }), false);
+    const results = await Promise.all([storage.appendMove(id, pass(1), { next_player_index: 1 }), storage.appendMove(id, pass(1), { next_player_index: 2 })]);
+    assert.deepEqual(results.sort(), [false, true]);
+    const { game, moves } = await storage.loadGame(id);
+    assert.equal(moves.length, 1);
+    // only the winning append's patch landed
+    assert.ok([1, 2].includes(game.next_player_index));
+    await storage.close();
+  });
+
+  test(`${name}: updates, takebacks and seat claims`, async () => {
+    const storage = create();
+    await storage.init();
+    const id = uuid();
+    await storage.createGame({ id, mode: 'online', status: 'waiting', variant: 'classic', board_size: 20 });
+    await storage.addPlayers(id, ['blue','yellow'].map((color, i)=>({ id: uuid(), color, order_index: i, name: color, kind: 'human' })));
+    for (let t=1; t<=3; t++) await storage.appendMove(id, { id: uuid(), player_color: 'blue', passed: true, turn_number: t });
+
+    await storage.updateGame(id, { next_player_index: 1, pending_undo: { seat: 0, turn_number: 2, approvals: [] } });
+    assert.deepEqual((await storage.loadGame(id)).game.pending_undo, { seat: 0, turn_number: 2, approvals: [] });
+    await storage.deleteMovesFrom(id, 2, { pending_undo: null, status: 'active' });
+    const { game, moves } = await storage.loadGame(id);
+    assert.deepEqual([game.status, game.next_player_index, game.pending_undo], ['active', 1, null]);
+    assert.deepEqual(moves.map(m=>m.turn_number), [1]);
+    await assert.rejects(storage.updateGame(id, { variant: 'duo' }));
+    await storage.updateGame(id, { clocks: { blue: 1500, yellow: 0 }, turn_started_at: new Date(0) });
+    const timed = (await storage.loadGame(id)).game;
+    assert.deepEqual([timed.clocks, timed.turn_started_at.getTime(), timed.time_control], [{ blue: 1500, yellow: 0 }, 0, null]);
+
+    const claimed = await storage.claimSeat(id, ['yellow'], 'secret', 'Ada');
+    assert.deepEqual(claimed.map(p=>[p.color, p.name, p.seat_token]), [['yellow', 'Ada', 'secret']]);
+    assert.ok(claimed[0].joined_at instanceof Date);
+    assert.deepEqual(await storage.claimSeat(id, ['yellow'], 'other', null), []);
+    assert.equal((await storage.loadGame(id)).players[1].seat_token, 'secret');
+    await storage.close();
+  });
+
+  test(`${name}: resignations, final results and abandoned games`, async () => {
+    const storage = create();
+    await storage.init();
+    const id = uuid();
+    await storage.createGame({ id, mode: 'hotseat', status: 'active', variant: 'duo', board_size: 14 });
+    await storage.addPlayers(id, ['blue','red'].map((color, i)=>({ id: uuid(), color, order_index: i, name: color, kind: 'human' })));
+    assert.deepEqual((await storage.resignSeat(id, ['red'])).map(p=>p.color), ['red']);
+    assert.deepEqual(await storage.resignSeat(id, ['red']), []);
+
+    const results = [
+      { color: 'blue', seat_index: 0, score: -80, rank: 1, resigned: false },
+      { color: 'red', seat_index: 1, score: -89, rank: 2, resigned: true }
+    ];
+    assert.equal(await storage.finishGame(id, results), true);
+    assert.equal(await storage.finishGame(id, results), false);
+    const { game, players, results: stored } = await storage.loadGame(id);
+    assert.equal(game.status, 'finished');
+    assert.ok(game.finished_at instanceof Date);
+    assert.ok(players[1].resigned_at instanceof Date);
+    assert.deepEqual(stored.map(({ game_id, ...r })=>r).sort((a,b)=>a.seat_index - b.seat_index), results);
+
+    const idle = uuid();
+    const busy = uuid();
+    await storage.createGame({ id: idle, mode: 'online', status: 'waiting', variant: 'classic', board_size: 20, created_at: new Date(Date.now() - 3600e3) });
+    await storage.createGame({ id: busy, mode: 'hotseat', status: 'active', variant: 'classic', board_size: 20, created_at: new Date(Date.now() - 3600e3) });
+    await storage.appendMove(busy, { id: uuid(), player_color: 'blue', passed: true, turn_number: 1 });
+    const abandoned = await storage.abandonStale(new Date(Date.now() - 60e3));
+    assert.ok(abandoned.includes(idle));
+    assert.ok(!abandoned.includes(busy) && !abandoned.includes(id));
+    assert.equal((await storage.loadGame(idle)).game.status, 'abandoned');
+    await storage.close();
+  });
+
+  test(`${name}: users, sessions and game lists`, async () => {
+    const storage = create();
+    await storage.init();
+    const user = uuid();
+    assert.equal(await storage.createUser({ id: user, username: 'Ada', password_hash: 'x' }), true);
+    assert.equal(await storage.createUser({ id: uuid(), username: 'ada', password_hash: 'y' }), false);
+    const found = await storage.findUser('ADA');
+    assert.deepEqual([found.id, found.username, found.password_hash], [user, 'Ada', 'x']);
+    assert.ok(found.created_at instanceof Date);
+    assert.equal(await storage.findUser('bob'), null);
+
+    await storage.createSession({ token_hash: 'h1', user_id: user });
+    assert.equal((await storage.sessionUser('h1')).id, user);
+    await storage.deleteSession('h1');
+    assert.equal(await storage.sessionUser('h1'), null);
+
+    const created = uuid();
+    const seated = uuid();
+    const other = uuid();
+    const hourAgo = new Date(Date.now() - 3600e3);
+    await storage.createGame({ id: created, mode: 'hotseat', status: 'finished', variant: 'duo', board_size: 14, created_by: user, created_at: hourAgo });
+    await storage.createGame({ id: seated, mode: 'online', status: 'waiting', variant: 'duo', board_size: 14 });
+    await storage.createGame({ id: other, mode: 'hotseat', status: 'active', variant: 'duo', board_size: 14 });
+    for (const id of [created, seated, other]) {
+      await storage.addPlayers(id, ['blue','red'].map((color, i)=>({ id: uuid(), color, order_index: i, name: color, kind: 'human' })));
+    }
+    await storage.appendMove(created, { id: uuid(), player_color: 'blue', passed: true, turn_number: 1 });
+    assert.equal((await storage.claimSeat(seated, ['red'], 'secret', null, user))[0].user_id, user);
+
+    const all = await storage.listGames(user, { statuses: null, limit: 10, offset: 0 });
+    assert.equal(all.total, 2);
+    assert.deepEqual(all.games.map(g=>[g.game.id, g.move_count, g.players.length]), [[seated, 0, 2], [created, 1, 2]]);
+    const finished = await storage.listGames(user, { statuses: ['finished'], limit: 10, offset: 0 });
+    assert.deepEqual(finished.games.map(g=>g.game.id), [created]);
+    const page = await storage.listGames(user, { statuses: null, limit: 1, offset: 1 });
+    assert.deepEqual([page.games.map(g=>g.game.id), page.total], [[created], 2]);
+    await storage.close();
+  });
+
+  test(`${name}: ratings are recorded once per game`, async () => {
+    const storage = create();
+    await storage.init();
+    const [a, b] = [uuid(), uuid()];
+    await storage.createUser({ id: a, username: `a${seq}`, password_hash: 'x' });
+    await storage.createUser({ id: b, username: `b${seq}`, password_hash: 'x' });
+    assert.equal((await storage.findUserById(a)).rating, 1500);
+    const id = uuid();
+    await storage.createGame({ id, mode: 'online', status: 'active', variant: 'duo', board_size: 14 });
+    await storage.addPlayers(id, [['blue', a], ['red', b]].map(([color, user_id], i)=>({ id: uuid(), color, order_index: i, name: color, kind: 'human', user_id })));
+    await storage.appendMove(id, { id: uuid(), player_color: 'blue', passed: true, turn_number: 1 });
+    await storage.appendMove(id, { id: uuid(), player_color: 'red', piece_key: 'I2', rotation: 0, flipped: false, cells: [[9,9],[9,10]], passed: false, turn_number: 2 });
+    await storage.finishGame(id, [
+      { color: 'blue', seat_index: 0, score: -89, rank: 2, resigned: false },
+      { color: 'red', seat_index: 1, score: -87, rank: 1, resigned: false }
+    ]);
+
+    const seats = [{ user_id: a, rank: 2 }, { user_id: b, rank: 1 }];
+    const rate = entries => entries.map(e=>({ user_id: e.user_id, rating_before: e.rating, rating_after: e.rating + (e.rank === 1 ? 10 : -10) }));
+    assert.deepEqual((await storage.recordRatings(id, seats, rate)).map(c=>c.rating_after), [1490, 1510]);
+    assert.equal(await storage.recordRatings(id, seats, rate), null);
+    assert.equal((await storage.findUserById(b)).rating, 1510);
+
+    const { users, total } = await storage.leaderboard({ limit: 10, offset: 0 });
+    assert.equal(total, 2);
+    assert.deepEqual(users.map(u=>[u.id, u.rating, u.games]), [[b, 1510, 1], [a, 1490, 1]]);
+    assert.deepEqual((await storage.ratingHistory(a)).map(r=>[r.game_id, r.rating_before, r.rating_after]), [[id, 1500, 1490]]);
+    assert.deepEqual((await storage.userResults(b)).map(r=>[r.color, r.rank, r.opening_piece]), [['red', 1, 'I2']]);
+    assert.deepEqual((await storage.userResults(a)).map(r=>[r.color, r.opening_piece]), [['blue', null]]);
+    await storage.close();
+  });
+
+  test(`${name}: watch ids find their game and chat keeps its order`, async () => {
+    const storage = create();
+    await storage.init();
+    const id = uuid();
+    const watchId = `w${seq}`;
+    await storage.createGame({ id, mode: 'hotseat', status: 'active', variant: 'duo', board_size: 14, watch_id: watchId, broadcast_delay: 3 });
+    assert.equal(await storage.findWatchedGame(watchId), id);
+    assert.equal(await storage.findWatchedGame('nope'), null);
+    assert.equal((await storage.loadGame(id)).game.broadcast_delay, 3);
+
+    const first = await storage.addChatMessage({ game_id: id, author: 'Blue', role: 'player', players_only: true, body: 'gg' });
+    assert.equal(first.players_only, true);
+    assert.ok(first.created_at instanceof Date);
+    for (const body of ['one', 'two']) await storage.addChatMessage({ game_id: id, author: 'Ann', role: 'spectator', body });
+    const all = await storage.chatMessages(id, 10);
+    assert.deepEqual(all.map(m=>[m.body, m.role, m.players_only]), [['gg', 'player', true], ['one', 'spectator', false], ['two', 'spectator', false]]);
+    assert.ok(all[0].id < all[1].id);
+    assert.deepEqual((await storage.chatMessages(id, 2)).map(m=>m.body), ['one', 'two']);
+    await storage.close();
+  });
+
+  test(`${name}: tournament rounds are added once and finish once`, async () => {
+    const storage = create();
+    await storage.init();
+    const id = uuid();
+    const game = uuid();
+    assert.equal(await storage.loadTournament(id), null);
+    await storage.createTournament({ id, name: 'Office', format: 'elimination', variant: 'duo', players: ['Ann', 'Bo', 'Cy'] });
+    await storage.createGame({ id: game, mode: 'online', status: 'waiting', variant: 'duo', board_size: 14 });
+    const round = [{ table_index: 1, game_id: null, variant: null, seats: [0] }, { table_index: 0, game_id: game, variant: 'duo', seats: [2, 1] }];
+    assert.equal(await storage.addRound(id, 1, round), true);
+    assert.equal(await storage.addRound(id, 1, round), false);
+
+    const { tournament, tables } = await storage.loadTournament(id);
+    assert.deepEqual([tournament.status, tournament.rounds, tournament.players], ['active', null, ['Ann', 'Bo', 'Cy']]);
+    assert.ok(tournament.created_at instanceof Date);
+    assert.deepEqual(tables.map(t=>[t.round, t.table_index, t.game_id, t.variant, t.seats]), [[1, 0, game, 'duo', [2, 1]], [1, 1, null, null, [0]]]);
+    assert.equal(await storage.finishTournament(id), true);
+    assert.equal(await storage.finishTournament(id), false);
+    assert.ok((await storage.loadTournament(id)).tournament.finished_at instanceof Date);
+    await storage.close();
+  });
+
+  test(`${name}: rematches are linked once and templates are replaced by name`, async () => {
+    const storage = create();
+    await storage.init();
+    const [first, second, loser] = [uuid(), uuid(), uuid()];
+    await storage.createGame({ id: first, status: 'finished', variant: 'duo', board_size: 14 });
+    for (const id of [second, loser]) await storage.createGame({ id, variant: 'duo', board_size: 14, series_id: first, rematch_of: first });
+    assert.equal(await storage.linkRematch(first, second), true);
+    assert.equal(await storage.linkRematch(first, loser), false);
+    const series = await storage.seriesGames(first);
+    assert.deepEqual(series.map(g=>[g.game.id, g.game.rematch_id]).sort(), [[first, second], [loser, null], [second, null]].sort());
+    assert.ok(series.every(g=>Array.isArray(g.players) && Array.isArray(g.results)));
+
+    const user = uuid();
+    await storage.createUser({ id: user, username: `tpl${user}`, password_hash: 'x' });
+    const saved = await storage.saveTemplate({ id: uuid(), user_id: user, name: 'Duo', settings: { variant: 'duo' } });
+    const again = await storage.saveTemplate({ id: uuid(), user_id: user, name: 'Duo', settings: { variant: 'duo', ai: { red: 'greedy' } } });
+    assert.equal(again.id, saved.id);
+    await storage.saveTemplate({ id: uuid(), user_id: user, name: 'Classic', settings: { variant: 'classic' } });
+    const list = await storage.listTemplates(user);
+    assert.deepEqual(list.map(t=>[t.name, t.settings]), [['Classic', { variant: 'classic' }], ['Duo', { variant: 'duo', ai: { red: 'greedy' } }]]);
+    assert.ok(list[0].created_at instanceof Date);
+    assert.equal((await storage.findTemplate(saved.id)).user_id, user);
+    assert.equal(await storage.deleteTemplate(saved.id, uuid()), false);
+    assert.equal(await storage.deleteTemplate(saved.id, user), true);
+    assert.equal(await storage.findTemplate(saved.id), null);
+    await storage.close();
+  });
+}
+
+// Two moves stored for turn 2 by the race older versions had, and the turn
+// numbered after them: init numbers them in the order they were made
+const raced = [['m1', 'blue', 1], ['m2', 'yellow', 2], ['m3', 'red', 2], ['m4', 'green', 4]];
+
+test('sqlite: files from the first schema are migrated on init', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blokus-'));
+  const filename = path.join(dir, 'old.db');
+  try {
+    // the schema of the first SQLite backend, before moves were unique per turn
+    const old = new Database(filename);
+    old.exec(`CREATE TABLE games (id TEXT PRIMARY KEY, created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')), status TEXT NOT NULL DEFAULT 'active',
+        mode TEXT NOT NULL DEFAULT 'hotseat', variant TEXT NOT NULL DEFAULT 'classic', board_size INTEGER NOT NULL DEFAULT 20, next_player_index INTEGER NOT NULL DEFAULT 0, config TEXT, pending_undo TEXT);
+      CREATE TABLE players (id TEXT PRIMARY KEY, game_id TEXT NOT NULL REFERENCES games(id) ON DELETE CASCADE, color TEXT NOT NULL, order_index INTEGER NOT NULL,
+        name TEXT NOT NULL, kind TEXT NOT NULL DEFAULT 'human', ai_level TEXT, seat_token TEXT, joined_at TEXT);
+      CREATE TABLE moves (id TEXT PRIMARY KEY, game_id TEXT NOT NULL REFERENCES games(id) ON DELETE CASCADE, player_color TEXT NOT NULL, piece_key TEXT, rotation INTEGER,
+        flipped INTEGER, cells TEXT, passed INTEGER NOT NULL DEFAULT 0, created_at TEXT NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')), turn_number INTEGER NOT NULL);
+      CREATE INDEX idx_moves_game_turn ON moves(game_id, turn_number);`);
+    const id = uuid();
+    old.prepare('INSERT INTO games(id) VALUES(?)').run(id);
+    ['blue', 'yellow', 'red', 'green'].forEach((color, i)=>old.prepare('INSERT INTO players(id, game_id, color, order_index, name) VALUES(?, ?, ?, ?, ?)').run(uuid(), id, color, i, color));
+    raced.forEach(([move, color, turn], i)=>old.prepare(`INSERT INTO moves(id, game_id, player_color, passed, turn_number, created_at) VALUES(?, ?, ?, 1, ?, ?)`)
+      .run(move, id, color, turn, new Date(Date.UTC(2024, 0, 1, 0, 0, i)).toISOString()));
+    old.close();
+
+    const storage = createSqliteStorage({ filename });
+    await storage.init();
+    const { game, moves } = await storage.loadGame(id);
+    assert.deepEqual(moves.map(m=>[m.id, m.turn_number]), [['m1', 1], ['m2', 2], ['m3', 3], ['m4', 4]]);
+    assert.equal(game.snapshot, null);
+    assert.equal(await storage.appendMove(id, { id: uuid(), player_color: 'blue', passed: true, turn_number: 4 }), false);
+    assert.equal(await storage.appendMove(id, { id: uuid(), player_color: 'blue', passed: true, turn_number: 5 }), true);
+    // lifecycle columns the first schema did not have
+    assert.deepEqual((await storage.resignSeat(id, ['red'])).map(p=>p.color), ['red']);
+    assert.equal(await storage.finishGame(id, [{ color: 'blue', seat_index: 0, score: -89, rank: 1, resigned: false }]), true);
+    assert.ok((await storage.loadGame(id)).game.finished_at instanceof Date);
+    await storage.close();
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+if (process.env.NEON_DATABASE_URL) {
+  test('postgres: turns stored twice before the unique index are renumbered on init', async () => {
+    const { createPostgresStorage } = await import('./postgres.js');
+    const { default: pg } = await import('pg');
+    const pool = new pg.Pool({ connectionString: process.env.NEON_DATABASE_URL, ssl: { rejectUnauthorized: false } });
+    const storage = createPostgresStorage({ connectionString: process.env.NEON_DATABASE_URL });
+    const id = uuid();
+    try {
+      await storage.init();
+      await storage.createGame({ id, mode: 'hotseat', status: 'active', variant: 'classic', board_size: 20 });
+      await pool.query('DROP INDEX idx_moves_game_turn');
+      const moveIds = raced.map(()=>uuid());
+      for (const [i, [, color, turn]] of raced.entries()) {
+        await pool.query('INSERT INTO moves(id, game_id, player_color, passed, turn_number, created_at) VALUES($1, $2, $3, true, $4, $5)',
+          [moveIds[i], id, color, turn, new Date(Date.UTC(2024, 0, 1, 0, 0, i))]);
+      }
+      await storage.init();
+      const { moves } = await storage.loadGame(id);
+      assert.deepEqual(moves.map(m=>[m.id, m.turn_number]), moveIds.map((m, i)=>[m, i + 1]));
+      const { rows } = await pool.query(`SELECT 1 FROM pg_indexes WHERE indexname='idx_moves_game_turn'`);
+      assert.equal(rows.length, 1);
+    } finally {
+      await pool.query('DELETE FROM games WHERE id=$1', [id]);
+      await pool.end();
+      await storage.close();
+    }
+  });
+}
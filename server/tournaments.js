@@ -0,0 +1,187 @@
+// Tournaments: registered players meet over rounds of tables, each table one
+// game. Tables are classic games of up to four seats (three_player and
+// two_player games when a round does not divide into fours) or, in duo
+// tournaments, 1v1 duo games. A table of one is a bye.
+//
+//   swiss        a set number of rounds; every round pairs players with
+//                similar standings, avoiding repeat meetings where it can
+//   elimination  each table's winner goes through until one player is left
+//
+// Standings come from the games' final ranks and seat scores: a player earns a
+// point for every opponent they finished ahead of, half for a tie, and one for
+// a bye; total game score breaks ties, then registration order. The first
+// round and every elimination round deal the field round-robin across the
+// tables so the top seeds are spread out. Within a table, seats (and with
+// them colors and who moves first) go to whoever has sat there least.
+import { isOver } from './lifecycle.js';
+
+export const TOURNAMENT_FORMATS = ['swiss', 'elimination'];
+export const TOURNAMENT_VARIANTS = ['classic', 'duo'];
+export const MAX_PLAYERS = 64;
+export const MAX_ROUNDS = 20;
+const MAX_NAME_LENGTH = 80;
+const MAX_PLAYER_NAME_LENGTH = 40;
+const BYE_POINTS = 1;
+
+// Game variant for a table of `size` players; null for a bye
+const TABLE_VARIANTS = {
+  classic: { 4: 'classic', 3: 'three_player', 2: 'two_player' },
+  duo: { 2: 'duo' }
+};
+
+// { tournament } with the fields to store, or { error }
+export function validateTournament(body) {
+  const { name, format, variant = 'classic', players, rounds } = body || {};
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) return { error: 'invalid_name' };
+  if (!TOURNAMENT_FORMATS.includes(format)) return { error: 'invalid_format' };
+  if (!TOURNAMENT_VARIANTS.includes(variant)) return { error: 'invalid_variant' };
+  if (!Array.isArray(players) || players.length < 2 || players.length > MAX_PLAYERS) return { error: 'invalid_players' };
+  const names = players.map(p=>typeof p === 'string' ? p.trim() : '');
+  if (names.some(n=>!n || n.length > MAX_PLAYER_NAME_LENGTH) || new Set(names.map(n=>n.toLowerCase())).size !== names.length) return { error: 'invalid_players' };
+  let roundCount = null;
+  if (format === 'swiss') {
+    roundCount = rounds ?? Math.max(1, Math.ceil(Math.log2(names.length)));
+    if (!Number.isInteger(roundCount) || roundCount < 1 || roundCount > MAX_ROUNDS) return { error: 'invalid_rounds' };
+  } else if (rounds !== undefined) {
+    return { error: 'invalid_rounds' };
+  }
+  return { tournament: { name: name.trim(), format, variant, rounds: roundCount, players: names } };
+}
+
+export function tableVariant(tournament, size) {
+  return TABLE_VARIANTS[tournament.variant][size] || null;
+}
+
+// Per-seat outcome of a table, in seat order: [{ player, rank, score }], or
+// null while its game is undecided. `state` is the table game's state as the
+// API serves it. Abandoned games count as a tie at zero.
+export function tableOutcome(table, state) {
+  if (!table.game_id) return table.seats.map(player=>({ player, rank: 1, score: 0, bye: true }));
+  if (!state || !isOver(state.game.status)) return null;
+  if (state.game.status === 'abandoned') return table.seats.map(player=>({ player, rank: 1, score: 0 }));
+  return table.seats.map((player, i)=>({ player, rank: state.seats[i].rank, score: state.seats[i].score }));
+}
+
+// The player a decided table sends through in an elimination tournament
+function tableWinner(outcome) {
+  return [...outcome].sort((a,b)=>a.rank - b.rank || b.score - a.score || a.player - b.player)[0].player;
+}
+
+function latestRound(tables) {
+  return tables.reduce((max, t)=>Math.max(max, t.round), 0);
+}
+
+// Standings after the decided tables, best first. `outcomes[i]` belongs to
+// `tables[i]` (see tableOutcome). Eliminated players rank below everyone still
+// in, those knocked out later ahead of those knocked out earlier.
+export function standings(tournament, tables, outcomes) {
+  const entries = tournament.players.map((name, player)=>({ player, name, points: 0, score: 0, games: 0, byes: 0, eliminated_in: null }));
+  tables.forEach((table, i)=>{
+    const outcome = outcomes[i];
+    if (!outcome) return;
+    for (const e of outcome) {
+      const entry = entries[e.player];
+      if (e.bye) {
+        entry.points += BYE_POINTS;
+        entry.byes++;
+        continue;
+      }
+      entry.games++;
+      entry.score += e.score;
+      for (const o of outcome) {
+        if (o !== e) entry.points += e.rank < o.rank ? 1 : e.rank === o.rank ? 0.5 : 0;
+      }
+    }
+    if (tournament.format === 'elimination' && outcome.length > 1) {
+      const winner = tableWinner(outcome);
+      for (const e of outcome) if (e.player !== winner) entries[e.player].eliminated_in = table.round;
+    }
+  });
+  const out = e => e.eliminated_in ?? Infinity;
+  return entries
+    .sort((a,b)=>out(b) - out(a) || b.points - a.points || b.score - a.score || a.player - b.player)
+    .map((e, i)=>({ rank: i + 1, ...e }));
+}
+
+// 'playing' while a table of the latest round is undecided, 'finished' once
+// the tournament is over, else 'ready' for the next round (the first included).
+export function roundStatus(tournament, tables, outcomes) {
+  const last = latestRound(tables);
+  if (tables.some((t, i)=>t.round === last && !outcomes[i])) return 'playing';
+  if (tournament.format === 'swiss') return last >= tournament.rounds ? 'finished' : 'ready';
+  return last > 0 && standings(tournament, tables, outcomes).filter(e=>e.eliminated_in === null).length <= 1 ? 'finished' : 'ready';
+}
+
+// Table sizes for `count` players, larger tables first
+function tableSizes(count, variant) {
+  if (variant === 'duo') return [...Array(Math.floor(count / 2)).fill(2), ...(count % 2 ? [1] : [])];
+  const tables = Math.ceil(count / 4);
+  return Array.from({ length: tables }, (_, i)=>Math.floor(count / tables) + (i < count % tables ? 1 : 0));
+}
+
+// Fill tables of `sizes` from `pool` (best first): each table starts with the
+// best player left and takes whoever has met the players already seated
+// least often, the better placed on a tie.
+function groupByStanding(pool, sizes, met) {
+  pool = [...pool];
+  return sizes.map(size=>{
+    const table = [pool.shift()];
+    while (table.length < size) {
+      const meetings = p => table.reduce((sum, t)=>sum + (met[p].get(t) || 0), 0);
+      let best = 0;
+      pool.forEach((p, i)=>{ if (meetings(p) < meetings(pool[best])) best = i; });
+      table.push(pool.splice(best, 1)[0]);
+    }
+    return table;
+  });
+}
+
+// Deal `pool` (best first) round-robin over tables of `sizes`
+function deal(pool, sizes) {
+  const tables = sizes.map(()=>[]);
+  pool.forEach((p, i)=>tables[i % sizes.length].push(p));
+  return tables;
+}
+
+// Seat order for a table: seat by seat, whoever has sat there least
+function seatOrder(players, seatCounts) {
+  const left = [...players];
+  return players.map((_, seat)=>{
+    const times = p => seatCounts[p][seat] || 0;
+    let best = 0;
+    left.forEach((p, i)=>{ if (times(p) < times(left[best])) best = i; });
+    return left.splice(best, 1)[0];
+  });
+}
+
+// Tables of the next round, [{ round, table_index, variant, seats }] with
+// `seats` the player indexes in seat order; call once roundStatus is 'ready'.
+export function pairRound(tournament, tables, outcomes) {
+  const round = latestRound(tables) + 1;
+  const ranked = standings(tournament, tables, outcomes);
+  const pool = ranked.filter(e=>e.eliminated_in === null).map(e=>e.player);
+  const met = tournament.players.map(()=>new Map());
+  const seatCounts = tournament.players.map(()=>[]);
+  for (const t of tables) {
+    if (!t.game_id) continue;
+    t.seats.forEach((p, seat)=>{
+      seatCounts[p][seat] = (seatCounts[p][seat] || 0) + 1;
+      for (const o of t.seats) if (o !== p) met[p].set(o, (met[p].get(o) || 0) + 1);
+    });
+  }
+
+  let sizes = tableSizes(pool.length, tournament.variant);
+  let bye = null;
+  if (sizes.includes(1)) {
+    // the top seed sits out an elimination round; in swiss rounds the lowest
+    // placed player who has not had a bye yet
+    const byes = Object.fromEntries(ranked.map(e=>[e.player, e.byes]));
+    bye = tournament.format === 'elimination' ? pool[0] : [...pool].reverse().find(p=>byes[p] === 0) ?? pool[pool.length - 1];
+    pool.splice(pool.indexOf(bye), 1);
+    sizes = sizes.filter(s=>s > 1);
+  }
+  const grouped = round === 1 || tournament.format === 'elimination' ? deal(pool, sizes) : groupByStanding(pool, sizes, met);
+  const next = grouped.map((players, i)=>({ round, table_index: i, variant: tableVariant(tournament, players.length), seats: seatOrder(players, seatCounts) }));
+  if (bye !== null) next.push({ round, table_index: next.length, variant: null, seats: [bye] });
+  return next;
+}
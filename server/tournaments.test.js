@@ -0,0 +1,78 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validateTournament, tableOutcome, standings, roundStatus, pairRound } from './tournaments.js';
+
+// Decide every undecided table: seat ranks from `ranks(table)`, scores from the ranks
+function decide(tables, outcomes, ranks) {
+  return tables.map((t, i)=>outcomes[i] || tableOutcome(t, t.game_id && {
+    game: { status: 'finished' },
+    seats: ranks(t).map(rank=>({ rank, score: -10 * rank }))
+  }));
+}
+const withGames = tables => tables.map(t=>t.variant ? { ...t, game_id: `g${t.round}.${t.table_index}` } : { ...t, game_id: null });
+
+test('tournaments are validated with swiss rounds defaulting to the field size', () => {
+  const players = ['Ann', 'Bo', 'Cy', 'Di', 'Ed'];
+  assert.deepEqual(validateTournament({ name: ' Office ', format: 'swiss', players }).tournament,
+    { name: 'Office', format: 'swiss', variant: 'classic', rounds: 3, players });
+  assert.equal(validateTournament({ name: 'x', format: 'elimination', variant: 'duo', players }).tournament.rounds, null);
+  assert.equal(validateTournament({ name: '', format: 'swiss', players }).error, 'invalid_name');
+  assert.equal(validateTournament({ name: 'x', format: 'league', players }).error, 'invalid_format');
+  assert.equal(validateTournament({ name: 'x', format: 'swiss', variant: 'two_player', players }).error, 'invalid_variant');
+  assert.equal(validateTournament({ name: 'x', format: 'swiss', players: ['Ann', 'ann'] }).error, 'invalid_players');
+  assert.equal(validateTournament({ name: 'x', format: 'swiss', players: ['Ann'] }).error, 'invalid_players');
+  assert.equal(validateTournament({ name: 'x', format: 'swiss', players, rounds: 0 }).error, 'invalid_rounds');
+  assert.equal(validateTournament({ name: 'x', format: 'elimination', players, rounds: 2 }).error, 'invalid_rounds');
+});
+
+test('swiss rounds spread the seeds, then group by standing and rotate seats', () => {
+  const tournament = { format: 'swiss', variant: 'classic', rounds: 2, players: ['A', 'B', 'C', 'D', 'E', 'F'] };
+  assert.equal(roundStatus(tournament, [], []), 'ready');
+  let tables = withGames(pairRound(tournament, [], []));
+  assert.deepEqual(tables.map(t=>[t.variant, t.seats]), [['three_player', [0, 2, 4]], ['three_player', [1, 3, 5]]]);
+  let outcomes = tables.map(()=>null);
+  assert.equal(roundStatus(tournament, tables, outcomes), 'playing');
+
+  // seat order decides: first seat wins, last seat loses
+  outcomes = decide(tables, outcomes, t=>t.seats.map((_, i)=>i + 1));
+  const table = standings(tournament, tables, outcomes);
+  assert.deepEqual(table.map(e=>[e.name, e.points]), [['A', 2], ['B', 2], ['C', 1], ['D', 1], ['E', 0], ['F', 0]]);
+  assert.equal(roundStatus(tournament, tables, outcomes), 'ready');
+
+  const second = withGames(pairRound(tournament, tables, outcomes));
+  assert.deepEqual(second.map(t=>t.round), [2, 2]);
+  // the top table takes A, then B (new to A), then C and D have each met one
+  // of them and the better placed C goes first
+  assert.deepEqual(new Set(second[0].seats), new Set([0, 1, 2]));
+  // nobody keeps the first seat
+  for (const t of second) assert.ok(![0, 1].includes(t.seats[0]));
+  tables = [...tables, ...second];
+  outcomes = decide(tables, [...outcomes, null, null], t=>t.seats.map(()=>1));
+  assert.equal(roundStatus(tournament, tables, outcomes), 'finished');
+});
+
+test('elimination brackets send table winners through, with byes for the top seed', () => {
+  const tournament = { format: 'elimination', variant: 'duo', rounds: null, players: ['A', 'B', 'C', 'D', 'E'] };
+  let tables = withGames(pairRound(tournament, [], []));
+  assert.deepEqual(tables.map(t=>[t.variant, t.seats]), [['duo', [1, 3]], ['duo', [2, 4]], [null, [0]]]);
+  // B and D tie and B goes through on the better seed; E upsets C
+  let outcomes = decide(tables, tables.map(()=>null), t=>t.seats.includes(4) ? [2, 1] : [1, 1]);
+  assert.deepEqual(standings(tournament, tables, outcomes).filter(e=>e.eliminated_in === null).map(e=>e.name), ['A', 'E', 'B']);
+
+  while (roundStatus(tournament, tables, outcomes) === 'ready') {
+    const next = withGames(pairRound(tournament, tables, outcomes));
+    tables = [...tables, ...next];
+    outcomes = decide(tables, [...outcomes, ...next.map(()=>null)], t=>t.seats.map((_, i)=>i + 1));
+  }
+  assert.equal(tables.filter(t=>t.round === 2).length, 2);
+  const final = standings(tournament, tables, outcomes);
+  assert.equal(final.filter(e=>e.eliminated_in === null).length, 1);
+  assert.equal(final[0].eliminated_in, null);
+  assert.equal(final.at(-1).eliminated_in, 1);
+});
+
+test('abandoned tables are a tie and undecided ones have no outcome', () => {
+  const table = { game_id: 'g', seats: [3, 1] };
+  assert.equal(tableOutcome(table, { game: { status: 'active' } }), null);
+  assert.deepEqual(tableOutcome(table, { game: { status: 'abandoned' } }), [{ player: 3, rank: 1, score: 0 }, { player: 1, rank: 1, score: 0 }]);
+});
@@ -0,0 +1,193 @@
+// Request validation. Route parameters are checked by name wherever they
+// appear (every :id is a UUID, every :watchId a watch id), and routes taking a
+// body declare its shape. A request that does not fit is answered 400 { error }
+// with the code of the first field that fails, before the handler loads
+// anything; checks that need the game or the rest of the request (is
+// player_color one of its colors, is the turn current, does the variant
+// exist) stay with the handlers.
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const WATCH_ID = /^[0-9a-f]{32}$/;
+
+const isString = v => typeof v === 'string' && v.length > 0 && v.length <= 64;
+const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+
+// Field checks: value -> whether it is acceptable, or the error code of what
+// is wrong with it where the field's own code would say too little
+export const checks = {
+  uuid: v => typeof v === 'string' && UUID.test(v),
+  watchId: v => typeof v === 'string' && WATCH_ID.test(v),
+  color: isString,
+  pieceKey: isString,
+  rotation: v => Number.isInteger(v) && v >= 0 && v <= 3,
+  boolean: v => typeof v === 'boolean',
+  position: v => !!v && typeof v === 'object' && Number.isInteger(v.x) && Number.isInteger(v.y),
+  turnNumber: v => Number.isInteger(v) && v >= 1,
+  integer: Number.isInteger,
+  object: isObject,
+  text: v => typeof v === 'string',
+  // display names of seats, spectators and templates
+  name: v => typeof v === 'string' && v.trim().length > 0 && v.length <= 40,
+  colors: v => Array.isArray(v) && v.every(isString),
+  names: v => Array.isArray(v) && v.every(n => typeof n === 'string'),
+  // { color: level } of the computer seats
+  aiSeats: v => isObject(v) && Object.values(v).every(isString)
+};
+
+// A list whose entries `entryError` (entry -> error code or null) all accept;
+// fails with the code of the first entry it refuses
+export const eachEntry = entryError => v => Array.isArray(v) && (v.map(entryError).find(Boolean) ?? true);
+
+// Accepts a missing field as well
+export const optional = check => v => v === undefined || check(v);
+// Accepts a missing field or null, which settings read as "none"
+export const nullable = check => v => v === undefined || v === null || check(v);
+
+// Route parameter -> [check, status, error code]; a malformed watch id is
+// just a link that leads nowhere
+export const PARAMS = {
+  id: [checks.uuid, 400, 'invalid_id'],
+  watchId: [checks.watchId, 404, 'not_found']
+};
+
+// Body of /place and /validate
+export const PLACEMENT = {
+  player_color: [checks.color, 'invalid_color'],
+  piece_key: [checks.pieceKey, 'invalid_piece'],
+  rotation: [optional(checks.rotation), 'invalid_rotation'],
+  flipped: [optional(checks.boolean), 'invalid_flipped'],
+  position: [checks.position, 'invalid_position'],
+  turn_number: [optional(checks.turnNumber), 'invalid_turn_number']
+};
+
+// Body of /skip
+export const PASS = {
+  player_color: [checks.color, 'invalid_color'],
+  turn_number: [optional(checks.turnNumber), 'invalid_turn_number']
+};
+
+// Body of /resign; hotseat games name the seat by one of its colors
+export const RESIGNATION = {
+  color: [optional(checks.color), 'invalid_color']
+};
+
+// Body of /undo: the turn to roll back to, the latest own move by default
+export const UNDO = {
+  turn_number: [optional(checks.turnNumber), 'invalid_turn_number']
+};
+
+// Body of /undo/respond
+export const UNDO_ANSWER = {
+  accept: [checks.boolean, 'invalid_accept']
+};
+
+// Body of /join
+export const JOIN = {
+  color: [checks.color, 'invalid_color'],
+  name: [optional(checks.name), 'invalid_name']
+};
+
+// Chat message of the players, and of spectators under an optional name
+export const CHAT = {
+  body: [checks.text, 'invalid_message'],
+  players_only: [optional(checks.boolean), 'invalid_players_only']
+};
+export const SPECTATOR_CHAT = {
+  body: [checks.text, 'invalid_message'],
+  name: [optional(checks.name), 'invalid_name']
+};
+
+// Settings of a new game, as created or saved in a template
+const SETUP = {
+  mode: [optional(checks.text), 'invalid_mode'],
+  variant: [optional(isString), 'invalid_variant'],
+  players: [optional(checks.colors), 'invalid_players'],
+  config: [nullable(checks.object), 'invalid_config'],
+  ai: [optional(checks.aiSeats), 'invalid_ai'],
+  time_control: [nullable(checks.object), 'invalid_time_control'],
+  broadcast_delay: [nullable(checks.integer), 'invalid_broadcast_delay']
+};
+
+// Body of POST /api/games, optionally starting from a template
+export const GAME = {
+  ...SETUP,
+  template: [optional(checks.uuid), 'invalid_template']
+};
+
+// Body of POST /api/templates
+export const TEMPLATE = {
+  name: [checks.name, 'invalid_name'],
+  ...SETUP
+};
+
+// Moves of an imported record: passes, and placements checked as /place
+// checks them
+const RECORDED_PASS = {
+  passed: [checks.boolean, 'invalid_passed'],
+  player_color: PASS.player_color
+};
+const RECORDED_PLACEMENT = {
+  passed: [optional(v => v === false), 'invalid_passed'],
+  player_color: PLACEMENT.player_color,
+  piece_key: PLACEMENT.piece_key,
+  rotation: PLACEMENT.rotation,
+  flipped: PLACEMENT.flipped,
+  position: PLACEMENT.position
+};
+function recordedMoveError(move) {
+  if (!isObject(move)) return 'invalid_notation';
+  return schemaError(move.passed === true ? RECORDED_PASS : RECORDED_PLACEMENT, move);
+}
+
+// JSON body of /api/games/import (see shared/notation.js)
+export const RECORD = {
+  format: [checks.text, 'invalid_notation'],
+  players: [Array.isArray, 'invalid_notation'],
+  moves: [eachEntry(recordedMoveError), 'invalid_notation']
+};
+
+// Body of POST /api/tournaments
+export const TOURNAMENT = {
+  name: [checks.text, 'invalid_name'],
+  format: [checks.text, 'invalid_format'],
+  variant: [optional(checks.text), 'invalid_variant'],
+  players: [checks.names, 'invalid_players'],
+  rounds: [optional(checks.integer), 'invalid_rounds']
+};
+
+// Body of POST /api/users and /api/sessions
+export const CREDENTIALS = {
+  username: [checks.text, 'invalid_username'],
+  password: [checks.text, 'invalid_password']
+};
+
+// Error code of the first field of `value` that `schema` rejects, or null.
+// Anything but a plain object fails the first field.
+export function schemaError(schema, value) {
+  const fields = Object.entries(schema);
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return fields[0][1][1];
+  for (const [field, [check, code]] of fields) {
+    const checked = check(value[field]);
+    if (typeof checked === 'string') return checked;
+    if (!checked) return code;
+  }
+  return null;
+}
+
+// Middleware checking req.body against `schema`; with `text` set, text bodies
+// (parsed by express.text) are left to the handler
+export function validateBody(schema, { text = false } = {}) {
+  return (req, res, next) => {
+    if (text && typeof req.body === 'string') return next();
+    const error = schemaError(schema, req.body ?? {});
+    if (error) return res.status(400).json({ error });
+    next();
+  };
+}
+
+// Register the PARAMS checks on `app`
+export function validateParams(app) {
+  for (const [name, [check, status, code]] of Object.entries(PARAMS)) {
+    app.param(name, (req, res, next, value) => check(value) ? next() : res.status(status).json({ error: code }));
+  }
+}
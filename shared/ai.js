@@ -0,0 +1,127 @@
+// Computer players built on the rules engine. Pure and synchronous, so the
+// server can run them in-process and bots can be pitted against each other
+// headless with playGame().
+import {
+  createState, cloneState, applyMove, currentColor, legalMoves,
+  cornerAnchors, hasEdgeContact, keyOfCell, isFinished, noMovesLeft, computeScores
+} from './engine.js';
+import { resolveVariant, engineOptions, seatScores } from './variants.js';
+
+export const AI_LEVELS = ['random', 'greedy', 'search'];
+
+const DEFAULT_TIME_LIMIT_MS = 800;
+// Only the best greedy candidates are looked at by the search player
+const SEARCH_WIDTH = 40;
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+// Corner anchors a placement opens up: empty cells diagonal to the new piece
+// that do not share an edge with any of the color's squares afterwards.
+function newCorners(state, color, cells) {
+  const size = state.boardSize;
+  const own = new Set(state.cells[color]);
+  for (const [x,y] of cells) own.add(keyOfCell(x,y));
+  const found = new Set();
+  for (const [x,y] of cells) {
+    for (const [cx,cy] of [[x-1,y-1],[x-1,y+1],[x+1,y-1],[x+1,y+1]]) {
+      const k = keyOfCell(cx,cy);
+      if (cx<0 || cy<0 || cx>=size || cy>=size) continue;
+      if (own.has(k) || state.occupied.has(k)) continue;
+      if (hasEdgeContact([[cx,cy]], own)) continue;
+      found.add(k);
+    }
+  }
+  return found.size;
+}
+
+// Largest piece first, then the placement that opens the most new corners.
+function greedyScore(state, color, move) {
+  return move.cells.length * 10 + newCorners(state, color, move.cells);
+}
+
+// Legal moves with their greedy score, best first; ties broken at random.
+function rankMoves(state, color, random) {
+  return legalMoves(state, color)
+    .map(move => ({ move, score: greedyScore(state, color, move), tie: random() }))
+    .sort((a,b) => b.score - a.score || a.tie - b.tie);
+}
+
+function randomMove(state, color, random) {
+  const moves = legalMoves(state, color);
+  return moves.length ? pick(moves, random) : null;
+}
+
+function greedyMove(state, color, random) {
+  const ranked = rankMoves(state, color, random);
+  return ranked.length ? ranked[0].move : null;
+}
+
+// Material and mobility of `team` (the colors of one seat) relative to the
+// average opponent color.
+function evaluate(state, team) {
+  const others = state.colors.filter(c=>!team.includes(c));
+  const avg = (list, f) => list.reduce((a,c)=>a+f(c),0) / (list.length || 1);
+  const squares = c => state.cells[c].size;
+  const corners = c => cornerAnchors(state, c).length;
+  return (avg(team, squares) - avg(others, squares)) * 2 + avg(team, corners) - avg(others, corners);
+}
+
+// One-round look-ahead: play each candidate, let every opponent answer with
+// its greedy move, and keep the candidate with the best evaluation. Stops
+// trying candidates once the time budget is spent.
+function searchMove(state, color, team, random, timeLimitMs) {
+  const deadline = Date.now() + timeLimitMs;
+  const ranked = rankMoves(state, color, random).slice(0, SEARCH_WIDTH);
+  let best = null;
+  let bestValue = -Infinity;
+  for (const { move } of ranked) {
+    if (best && Date.now() >= deadline) break;
+    const sim = cloneState(state);
+    sim.nextPlayerIndex = sim.colors.indexOf(color);
+    applyMove(sim, move);
+    for (let i=1; i<sim.colors.length && !isFinished(sim); i++) {
+      const c = currentColor(sim);
+      applyMove(sim, greedyMove(sim, c, random) || { player_color: c, passed: true });
+    }
+    const value = evaluate(sim, team);
+    if (value > bestValue) {
+      best = move;
+      bestValue = value;
+    }
+  }
+  return best;
+}
+
+// Pick a placement for `color`, or null when it has to pass. `team` lists the
+// colors played by the same seat (two-player games) so they are not treated
+// as opponents.
+export function chooseMove(state, color, { level = 'greedy', team = [color], random = Math.random, timeLimitMs = DEFAULT_TIME_LIMIT_MS } = {}) {
+  switch (level) {
+    case 'random': return randomMove(state, color, random);
+    case 'greedy': return greedyMove(state, color, random);
+    case 'search': return searchMove(state, color, team, random, timeLimitMs);
+    default: throw new Error(`unknown AI level: ${level}`);
+  }
+}
+
+// Play a whole game of `variant` between computer players, with levels keyed
+// by color, e.g. { blue: 'search', yellow: 'random' }; colors without an entry
+// play greedy. Returns per-color scores and per-seat totals.
+export function playGame({ variant = 'classic', players = {}, random = Math.random, timeLimitMs } = {}) {
+  const v = resolveVariant(variant);
+  if (!v) throw new Error(`unknown variant: ${variant}`);
+  const state = createState(engineOptions(v));
+  const moves = [];
+  while (!isFinished(state) && !noMovesLeft(state)) {
+    const color = currentColor(state);
+    const team = v.seats.find(s=>s.includes(color)) || [color];
+    const choice = chooseMove(state, color, { level: players[color] || 'greedy', team, random, timeLimitMs });
+    const move = choice || { player_color: color, passed: true };
+    moves.push(move);
+    applyMove(state, move);
+  }
+  const scores = computeScores(state);
+  return { state, moves, scores, seatScores: seatScores(v, scores) };
+}
@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, applyMove, validateMove, PIECES } from './engine.js';
+import { chooseMove, playGame } from './ai.js';
+
+// Small deterministic PRNG so games are reproducible
+function seeded(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+test('every level returns a legal opening move', () => {
+  for (const level of ['random', 'greedy', 'search']) {
+    const st = createState();
+    const m = chooseMove(st, 'blue', { level, random: seeded(1), timeLimitMs: 200 });
+    assert.equal(validateMove(st, m).ok, true, level);
+  }
+});
+
+test('greedy opens with a five-square piece', () => {
+  const m = chooseMove(createState(), 'blue', { level: 'greedy', random: seeded(2) });
+  assert.equal(PIECES[m.piece_key].length, 5);
+});
+
+test('chooseMove returns null when the color is blocked', () => {
+  const st = createState({ colors: ['blue','yellow'] });
+  st.used.blue = new Set(Object.keys(PIECES));
+  assert.equal(chooseMove(st, 'blue', { level: 'random' }), null);
+});
+
+test('unknown levels are rejected', () => {
+  assert.throws(() => chooseMove(createState(), 'blue', { level: 'grandmaster' }));
+});
+
+test('headless games between bots only contain legal moves', () => {
+  const players = { blue: 'random', yellow: 'greedy', red: 'random', green: 'greedy' };
+  const { moves, scores, state } = playGame({ players, random: seeded(3) });
+  const replay = createState();
+  for (const m of moves) {
+    if (!m.passed) assert.equal(validateMove(replay, m).ok, true);
+    applyMove(replay, m);
+  }
+  assert.equal(replay.occupied.size, state.occupied.size);
+  assert.deepEqual(Object.keys(scores), ['blue','yellow','red','green']);
+});
@@ -0,0 +1,34 @@
+// Position analysis for reviewing games, built on the placement rules. For
+// each color: the corner anchors its next piece can use, how many legal
+// placements it has, and the empty cells only it can still cover with one of
+// those placements. Cells that more than one color can cover are contested.
+import { cornerAnchors, legalMoves, keyOfCell } from './engine.js';
+
+// [x,y] cells in reading order
+function sortCells(cells) {
+  return cells.sort((a,b)=>a[1] - b[1] || a[0] - b[0]);
+}
+
+export function analyzePosition(state) {
+  const reach = new Map(); // cell key -> colors with a legal placement covering it
+  const colors = {};
+  for (const color of state.colors) {
+    const moves = legalMoves(state, color);
+    for (const m of moves) {
+      for (const [x,y] of m.cells) {
+        const k = keyOfCell(x,y);
+        if (!reach.has(k)) reach.set(k, new Set());
+        reach.get(k).add(color);
+      }
+    }
+    colors[color] = { corners: sortCells(cornerAnchors(state, color)), legal_moves: moves.length, exclusive: [] };
+  }
+  const contested = [];
+  for (const [k, by] of reach) {
+    const cell = k.split(',').map(Number);
+    if (by.size > 1) contested.push(cell);
+    else colors[[...by][0]].exclusive.push(cell);
+  }
+  for (const c of state.colors) sortCells(colors[c].exclusive);
+  return { colors, contested: sortCells(contested) };
+}
@@ -0,0 +1,34 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, applyMove, legalMoves } from './engine.js';
+import { analyzePosition } from './analysis.js';
+
+const has = (cells, cell) => cells.some(([x,y])=>x === cell[0] && y === cell[1]);
+
+test('on an empty board every color owns the cells around its start corner', () => {
+  const st = createState();
+  const { colors, contested } = analyzePosition(st);
+  assert.deepEqual(colors.blue.corners, [[0,0]]);
+  assert.equal(colors.blue.legal_moves, legalMoves(st, 'blue').length);
+  assert.ok(has(colors.blue.exclusive, [4,0]));
+  assert.ok(!has(colors.blue.exclusive, [5,0]));
+  assert.ok(has(colors.red.exclusive, [0,19]));
+  assert.deepEqual(contested, []);
+});
+
+test('cells two colors can both cover are contested, not exclusive', () => {
+  const st = createState({ colors: ['blue', 'red'], boardSize: 5, startCorners: { blue: [0,0], red: [4,4] } });
+  const { colors, contested } = analyzePosition(st);
+  assert.ok(has(contested, [2,2]));
+  assert.ok(!has(colors.blue.exclusive, [2,2]) && !has(colors.red.exclusive, [2,2]));
+  assert.ok(has(colors.blue.exclusive, [0,1]));
+});
+
+test('corners follow the pieces placed', () => {
+  const st = createState();
+  applyMove(st, { player_color: 'blue', piece_key: 'I2', rotation: 0, flipped: false, position: { x: 0, y: 0 } });
+  const { colors } = analyzePosition(st);
+  assert.deepEqual(colors.blue.corners, [[2,1]]);
+  // the start corner is used, so blue can no longer cover it
+  assert.ok(!has(colors.blue.exclusive, [0,0]));
+});
@@ -0,0 +1,109 @@
+// House-rule game configuration, layered on top of a variant:
+//
+//   {
+//     board_size: 30,                          // 5..50, defaults to the variant's
+//     start_cells: { blue: [15,15], ... },     // per color, defaults to the variant's
+//     pieces: ['I1','L5', { key: 'C6', cells: [[0,0],[1,0],[2,0],[0,1],[2,1],[1,2]] }]
+//   }
+//
+// `pieces` lists standard keys from PIECES and/or custom polyominoes, which
+// must be edge-connected. Omitted fields keep the variant's defaults.
+import { PIECES, keyOfCell, normalize, startCornersFor } from './engine.js';
+import { VARIANTS } from './variants.js';
+
+export const MIN_BOARD_SIZE = 5;
+export const MAX_BOARD_SIZE = 50;
+const MAX_PIECE_SQUARES = 10;
+const PIECE_KEY = /^[A-Za-z0-9_]{1,16}$/;
+
+const isCell = c => Array.isArray(c) && c.length === 2 && c.every(Number.isInteger);
+
+// Edge-connected, duplicate-free set of squares
+export function isPolyomino(cells) {
+  if (!Array.isArray(cells) || cells.length === 0 || cells.length > MAX_PIECE_SQUARES) return false;
+  if (!cells.every(isCell)) return false;
+  const keys = new Set(cells.map(([x,y])=>keyOfCell(x,y)));
+  if (keys.size !== cells.length) return false;
+  const seen = new Set([keyOfCell(...cells[0])]);
+  const stack = [cells[0]];
+  while (stack.length) {
+    const [x,y] = stack.pop();
+    for (const [nx,ny] of [[x+1,y],[x-1,y],[x,y+1],[x,y-1]]) {
+      const k = keyOfCell(nx,ny);
+      if (keys.has(k) && !seen.has(k)) {
+        seen.add(k);
+        stack.push([nx,ny]);
+      }
+    }
+  }
+  return seen.size === keys.size;
+}
+
+// Check a raw config against `variant` (from resolveVariant) and return
+// { config } in canonical form, or { error } with an API error code.
+export function validateConfig(raw, variant) {
+  if (raw === undefined || raw === null) return { config: null };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'invalid_config' };
+  const config = {};
+
+  if (raw.board_size !== undefined) {
+    const size = raw.board_size;
+    if (!Number.isInteger(size) || size < MIN_BOARD_SIZE || size > MAX_BOARD_SIZE) return { error: 'invalid_board_size' };
+    config.board_size = size;
+  }
+  const size = config.board_size ?? variant.boardSize;
+
+  if (raw.start_cells !== undefined) {
+    const cells = raw.start_cells;
+    if (typeof cells !== 'object' || Array.isArray(cells) || cells === null) return { error: 'invalid_start_cells' };
+    if (Object.keys(cells).some(c=>!variant.colors.includes(c))) return { error: 'invalid_start_cells' };
+    config.start_cells = {};
+    for (const [color, cell] of Object.entries(cells)) {
+      if (!isCell(cell) || cell.some(v=>v<0 || v>=size)) return { error: 'invalid_start_cells' };
+      config.start_cells[color] = [...cell];
+    }
+  }
+
+  if (raw.pieces !== undefined) {
+    if (!Array.isArray(raw.pieces) || raw.pieces.length === 0) return { error: 'invalid_pieces' };
+    config.pieces = [];
+    const keys = new Set();
+    for (const entry of raw.pieces) {
+      if (typeof entry === 'string') {
+        if (!Object.hasOwn(PIECES, entry)) return { error: 'invalid_pieces' };
+        config.pieces.push(entry);
+        keys.add(entry);
+        continue;
+      }
+      if (!entry || typeof entry !== 'object' || !PIECE_KEY.test(entry.key ?? '')) return { error: 'invalid_pieces' };
+      if (!isPolyomino(entry.cells)) return { error: 'invalid_piece_shape' };
+      config.pieces.push({ key: entry.key, cells: normalize(entry.cells) });
+      keys.add(entry.key);
+    }
+    if (keys.size !== config.pieces.length) return { error: 'invalid_pieces' };
+  }
+
+  // every start cell must be on the board and distinct
+  const starts = Object.values(configuredVariant(variant, config).startCorners);
+  if (starts.some(([x,y])=>x>=size || y>=size)) return { error: 'invalid_start_cells' };
+  if (new Set(starts.map(([x,y])=>keyOfCell(x,y))).size !== starts.length) return { error: 'invalid_start_cells' };
+
+  return { config: Object.keys(config).length ? config : null };
+}
+
+// Piece table (key -> shape) for a config's piece list
+function pieceTable(list) {
+  return Object.fromEntries(list.map(entry=>typeof entry === 'string' ? [entry, PIECES[entry]] : [entry.key, entry.cells]));
+}
+
+// Variant with a (validated) config applied: board size, start corners and piece set.
+export function configuredVariant(variant, config) {
+  if (!config) return variant;
+  const boardSize = config.board_size ?? variant.boardSize;
+  // variants with fixed start points keep them; corner starts follow the board size
+  const defaults = VARIANTS[variant.name]?.startCorners || startCornersFor(boardSize);
+  const startCorners = { ...defaults, ...config.start_cells };
+  const out = { ...variant, boardSize, startCorners: Object.fromEntries(variant.colors.map(c=>[c, startCorners[c]])) };
+  if (config.pieces) out.pieces = pieceTable(config.pieces);
+  return out;
+}
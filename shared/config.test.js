@@ -0,0 +1,63 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { PIECES, createState, validateMove, remainingPieces, computeScores, legalMoves } from './engine.js';
+import { resolveVariant, engineOptions } from './variants.js';
+import { isPolyomino, validateConfig, configuredVariant } from './config.js';
+
+const classic = resolveVariant('classic');
+
+test('isPolyomino requires edge-connected, distinct squares', () => {
+  assert.equal(isPolyomino([[0,0],[1,0],[1,1]]), true);
+  assert.equal(isPolyomino([[0,0],[1,1]]), false);
+  assert.equal(isPolyomino([[0,0],[0,0]]), false);
+  assert.equal(isPolyomino([]), false);
+  assert.equal(isPolyomino([[0,0.5]]), false);
+});
+
+test('no config keeps the variant', () => {
+  assert.deepEqual(validateConfig(undefined, classic), { config: null });
+  assert.deepEqual(validateConfig({}, classic), { config: null });
+  assert.equal(configuredVariant(classic, null), classic);
+});
+
+test('error codes for bad configs', () => {
+  assert.equal(validateConfig([], classic).error, 'invalid_config');
+  assert.equal(validateConfig({ board_size: 4 }, classic).error, 'invalid_board_size');
+  assert.equal(validateConfig({ board_size: 20.5 }, classic).error, 'invalid_board_size');
+  assert.equal(validateConfig({ start_cells: { purple: [1,1] } }, classic).error, 'invalid_start_cells');
+  assert.equal(validateConfig({ start_cells: { blue: [20,0] } }, classic).error, 'invalid_start_cells');
+  assert.equal(validateConfig({ start_cells: { blue: [19,0] } }, classic).error, 'invalid_start_cells');
+  assert.equal(validateConfig({ pieces: [] }, classic).error, 'invalid_pieces');
+  assert.equal(validateConfig({ pieces: ['Q9'] }, classic).error, 'invalid_pieces');
+  assert.equal(validateConfig({ pieces: ['I1','I1'] }, classic).error, 'invalid_pieces');
+  assert.equal(validateConfig({ pieces: [{ key: 'GAP', cells: [[0,0],[2,0]] }] }, classic).error, 'invalid_piece_shape');
+  // duo's fixed start points must still fit a shrunken board
+  assert.equal(validateConfig({ board_size: 8 }, resolveVariant('duo')).error, 'invalid_start_cells');
+});
+
+test('bigger boards move the corner starts', () => {
+  const { config } = validateConfig({ board_size: 30 }, classic);
+  const v = configuredVariant(classic, config);
+  assert.deepEqual(v.startCorners, { blue: [0,0], yellow: [29,0], red: [0,29], green: [29,29] });
+});
+
+test('centre starts and a trimmed, custom piece set drive the rules', () => {
+  const { config } = validateConfig({
+    board_size: 10,
+    start_cells: { blue: [4,4], yellow: [5,4], red: [4,5], green: [5,5] },
+    pieces: ['I1', 'L5', { key: 'BIG', cells: [[5,5],[6,5],[7,5],[5,6],[5,7],[5,8]] }]
+  }, classic);
+  const st = createState(engineOptions(configuredVariant(classic, config)));
+  assert.deepEqual(remainingPieces(st, 'blue'), ['I1','L5','BIG']);
+  assert.deepEqual(st.pieces.BIG[0], [0,0]);
+  assert.equal(validateMove(st, { player_color: 'blue', piece_key: 'I5', position: { x: 4, y: 4 } }).error, 'invalid_piece');
+  assert.equal(validateMove(st, { player_color: 'blue', piece_key: 'BIG', position: { x: 4, y: 4 } }).ok, true);
+  assert.equal(validateMove(st, { player_color: 'blue', piece_key: 'I1', position: { x: 0, y: 0 } }).error, 'first_move_must_cover_corner');
+  assert.ok(legalMoves(st, 'blue').every(m=>['I1','L5','BIG'].includes(m.piece_key)));
+  assert.deepEqual(computeScores(st), { blue: -12, yellow: -12, red: -12, green: -12 });
+});
+
+test('the standard set is untouched by custom games', () => {
+  assert.equal(Object.keys(PIECES).length, 21);
+  assert.equal(remainingPieces(createState(), 'blue').length, 21);
+});
@@ -0,0 +1,344 @@
+// Blokus rules engine shared by the server and the client.
+// Pure and database-free: a game state is rebuilt from a list of moves
+// (rows shaped like the `moves` table) and every rule check lives here.
+
+// Blokus piece definitions (canonical shapes with origin at (0,0))
+// Each piece is a set of [x,y] squares.
+// Keys follow common naming: monomino (1), domino (2), triominoes, tetrominoes, pentominoes including Blokus unique shapes.
+// We use standard 21 pieces: 1x1, 1x2, and 19 pentomino/tri/tetromino variants.
+export const PIECES = {
+  // size 1..5
+  I1: [[0,0]],
+  I2: [[0,0],[1,0]],
+  I3: [[0,0],[1,0],[2,0]],
+  I4: [[0,0],[1,0],[2,0],[3,0]],
+  I5: [[0,0],[1,0],[2,0],[3,0],[4,0]],
+  V3: [[0,0],[0,1],[1,0]],
+  L4: [[0,0],[0,1],[0,2],[1,0]],
+  Z4: [[0,0],[1,0],[1,1],[2,1]],
+  O4: [[0,0],[1,0],[0,1],[1,1]], // square
+  T5: [[0,0],[1,0],[2,0],[1,1],[1,2]],
+  L5: [[0,0],[0,1],[0,2],[0,3],[1,0]],
+  Y5: [[0,0],[1,0],[2,0],[3,0],[1,1]],
+  N5: [[0,0],[1,0],[1,1],[2,1],[3,1]],
+  Z5: [[0,0],[1,0],[2,0],[2,1],[3,1]],
+  U5: [[0,0],[2,0],[0,1],[1,1],[2,1]],
+  V5: [[0,0],[0,1],[0,2],[1,0],[2,0]],
+  W5: [[0,0],[1,0],[1,1],[2,1],[2,2]],
+  X5: [[1,0],[0,1],[1,1],[2,1],[1,2]],
+  P5: [[0,0],[1,0],[0,1],[1,1],[0,2]],
+  F5: [[1,0],[0,1],[1,1],[1,2],[2,2]],
+  T4: [[0,0],[1,0],[2,0],[1,1]] // extra tetromino for variety
+};
+
+export const BOARD_SIZE = 20;
+export const DEFAULT_COLORS = ['blue','yellow','red','green'];
+
+// Starting corners in board coordinates: blue top-left, yellow top-right,
+// red bottom-left, green bottom-right.
+export function startCornersFor(size) {
+  const last = size - 1;
+  return {
+    blue: [0,0],
+    yellow: [last,0],
+    red: [0,last],
+    green: [last,last]
+  };
+}
+export const START_CORNERS = startCornersFor(BOARD_SIZE);
+
+export function rotate(point, times) {
+  // rotate 90deg clockwise times times around origin
+  let [x,y] = point;
+  times = ((times % 4) + 4) % 4;
+  for (let i=0;i<times;i++) {
+    [x,y] = [y, -x];
+  }
+  return [x,y];
+}
+export function flip(point) { return [-point[0], point[1]]; }
+export function normalize(cells) {
+  let minX = Math.min(...cells.map(p=>p[0]));
+  let minY = Math.min(...cells.map(p=>p[1]));
+  return cells.map(([x,y])=>[x-minX,y-minY]);
+}
+export function transformShape(shape, rotationTimes=0, flipped=false) {
+  let cells = shape.map(p=>p);
+  if (flipped) cells = cells.map(flip);
+  cells = cells.map(p=>rotate(p, rotationTimes));
+  return normalize(cells);
+}
+export function translate(cells, dx, dy) {
+  return cells.map(([x,y])=>[x+dx,y+dy]);
+}
+export function keyOfCell(x,y) { return `${x},${y}`; }
+
+export function isWithinBoard(cells, size) {
+  return cells.every(([x,y])=> x>=0 && y>=0 && x<size && y<size);
+}
+export function hasCornerContact(cells, playerSet) {
+  // at least one cell diagonally touches an existing same-color cell
+  for (const [x,y] of cells) {
+    const corners = [[x-1,y-1],[x-1,y+1],[x+1,y-1],[x+1,y+1]];
+    for (const [cx,cy] of corners) {
+      if (playerSet.has(keyOfCell(cx,cy))) return true;
+    }
+  }
+  return false;
+}
+export function hasEdgeContact(cells, playerSet) {
+  for (const [x,y] of cells) {
+    const sides = [[x-1,y],[x+1,y],[x,y-1],[x,y+1]];
+    for (const [sx,sy] of sides) {
+      if (playerSet.has(keyOfCell(sx,sy))) return true;
+    }
+  }
+  return false;
+}
+
+// Absolute board cells covered by a piece shape at `position` (its normalized top-left).
+export function pieceCells(shape, rotation=0, flipped=false, position) {
+  return translate(transformShape(shape, rotation, flipped), position.x, position.y);
+}
+
+// --- Game state ---
+
+// `pieces` is the game's piece set (key -> shape); house-rule games may trim
+// it or add custom polyominoes.
+export function createState({ colors = DEFAULT_COLORS, boardSize = BOARD_SIZE, startCorners = startCornersFor(boardSize), pieces = PIECES } = {}) {
+  const perColor = make => Object.fromEntries(colors.map(c=>[c, make()]));
+  return {
+    boardSize,
+    colors: [...colors],
+    startCorners,
+    pieces,
+    occupied: new Map(), // key -> color
+    cells: perColor(()=>new Set()),
+    used: perColor(()=>new Set()),
+    lastPiece: perColor(()=>null),
+    turn: 0,
+    nextPlayerIndex: 0,
+    passStreak: 0
+  };
+}
+
+// Apply an already-accepted move (a `moves` row or a validated payload).
+// Mutates and returns `state`; history is trusted, so nothing is re-validated.
+export function applyMove(state, move) {
+  const color = move.player_color;
+  if (!move.passed) {
+    const cells = move.cells || pieceCells(state.pieces[move.piece_key], move.rotation, move.flipped, move.position);
+    for (const [x,y] of cells) {
+      state.occupied.set(keyOfCell(x,y), color);
+      state.cells[color].add(keyOfCell(x,y));
+    }
+    state.used[color].add(move.piece_key);
+    state.lastPiece[color] = move.piece_key;
+    state.passStreak = 0;
+  } else {
+    state.passStreak++;
+  }
+  state.turn++;
+  state.nextPlayerIndex = (state.nextPlayerIndex + 1) % state.colors.length;
+  return state;
+}
+
+// Independent copy for look-ahead; applyMove on the copy leaves `state` untouched.
+export function cloneState(state) {
+  const copyEach = (obj, copy) => Object.fromEntries(Object.entries(obj).map(([k,v])=>[k, copy(v)]));
+  return {
+    ...state,
+    occupied: new Map(state.occupied),
+    cells: copyEach(state.cells, s=>new Set(s)),
+    used: copyEach(state.used, s=>new Set(s)),
+    lastPiece: { ...state.lastPiece }
+  };
+}
+
+export function stateFromMoves(moves, options) {
+  const state = createState(options);
+  for (const m of moves) applyMove(state, m);
+  return state;
+}
+
+export function currentColor(state) {
+  return state.colors[state.nextPlayerIndex];
+}
+
+export function hasPlaced(state, color) {
+  return state.used[color].size > 0;
+}
+
+// Check a placement payload ({ player_color, piece_key, rotation, flipped, position }).
+// Returns { ok: true, cells } or { ok: false, error } with the same codes the API reports.
+// `ignoreTurn` checks the placement for any color, e.g. while generating moves.
+export function validateMove(state, move, { ignoreTurn = false } = {}) {
+  const { player_color, piece_key, rotation=0, flipped=false, position } = move;
+  if (!Object.hasOwn(state.pieces, piece_key)) return { ok: false, error: 'invalid_piece' };
+  if (!position || typeof position.x !== 'number' || typeof position.y !== 'number') return { ok: false, error: 'invalid_position' };
+  if (!ignoreTurn && currentColor(state) !== player_color) return { ok: false, error: 'not_your_turn' };
+  if (state.used[player_color].has(piece_key)) return { ok: false, error: 'piece_already_used' };
+
+  const placed = pieceCells(state.pieces[piece_key], rotation, flipped, position);
+  if (!isWithinBoard(placed, state.boardSize)) return { ok: false, error: 'out_of_bounds' };
+  for (const [x,y] of placed) {
+    if (state.occupied.has(keyOfCell(x,y))) return { ok: false, error: 'overlap' };
+  }
+
+  const mySet = state.cells[player_color];
+  if (!hasPlaced(state, player_color)) {
+    const corner = state.startCorners[player_color];
+    const occupiesCorner = placed.some(([x,y])=> x===corner[0] && y===corner[1]);
+    if (!occupiesCorner) return { ok: false, error: 'first_move_must_cover_corner' };
+  } else {
+    if (!hasCornerContact(placed, mySet)) return { ok: false, error: 'must_touch_same_color_corner' };
+  }
+  if (hasEdgeContact(placed, mySet)) return { ok: false, error: 'cannot_touch_same_color_edge' };
+
+  return { ok: true, cells: placed };
+}
+
+// validateMove for previews: besides { ok, error } it says which cells break
+// which rule. `violations` lists the piece's cells that are off the board,
+// on an occupied cell, or edge-to-edge with the color's own pieces; `corner`
+// is the corner rule in force ('start': cover the start cell, 'diagonal': touch
+// an own piece at a corner), whether it is met and by which cells. Without a
+// known piece and position there is nothing to explain, so only { ok, error }.
+export function explainMove(state, move, options) {
+  const check = validateMove(state, move, options);
+  const { player_color, piece_key, rotation=0, flipped=false, position } = move;
+  if (check.error === 'invalid_piece' || check.error === 'invalid_position') return { ok: false, error: check.error };
+
+  const cells = pieceCells(state.pieces[piece_key], rotation, flipped, position);
+  const mySet = state.cells[player_color];
+  const near = ([x,y], offsets) => offsets.some(([dx,dy])=> mySet.has(keyOfCell(x+dx,y+dy)));
+  const violations = {
+    out_of_bounds: cells.filter(c=> !isWithinBoard([c], state.boardSize)),
+    overlap: cells.filter(([x,y])=> state.occupied.has(keyOfCell(x,y))),
+    edge_contact: cells.filter(c=> near(c, [[-1,0],[1,0],[0,-1],[0,1]]))
+  };
+  let corner;
+  if (hasPlaced(state, player_color)) {
+    corner = { rule: 'diagonal', cells: cells.filter(c=> near(c, [[-1,-1],[-1,1],[1,-1],[1,1]])) };
+  } else {
+    const [sx,sy] = state.startCorners[player_color];
+    corner = { rule: 'start', cells: cells.filter(([x,y])=> x === sx && y === sy) };
+  }
+  corner.satisfied = corner.cells.length > 0;
+  return { ok: check.ok, ...(check.ok ? {} : { error: check.error }), cells, violations, corner };
+}
+
+export function validatePass(state, move) {
+  if (currentColor(state) !== move.player_color) return { ok: false, error: 'not_your_turn' };
+  return { ok: true };
+}
+
+// --- Move generation ---
+
+const orientationCache = new WeakMap(); // shape -> orientations
+
+// Distinct orientations of a piece shape: all 4 rotations x flip, deduplicated by symmetry.
+export function pieceOrientations(shape) {
+  if (orientationCache.has(shape)) return orientationCache.get(shape);
+  const seen = new Set();
+  const out = [];
+  for (const flipped of [false, true]) {
+    for (let rotation=0; rotation<4; rotation++) {
+      const cells = transformShape(shape, rotation, flipped);
+      const sig = cells.map(([x,y])=>keyOfCell(x,y)).sort().join(';');
+      if (seen.has(sig)) continue;
+      seen.add(sig);
+      out.push({ rotation, flipped, cells });
+    }
+  }
+  orientationCache.set(shape, out);
+  return out;
+}
+
+// Empty cells a color's next piece may cover to satisfy the corner rule:
+// its start corner before the first placement, afterwards every empty cell
+// diagonal to one of its cells and not edge-adjacent to any of them.
+export function cornerAnchors(state, color) {
+  const size = state.boardSize;
+  if (!hasPlaced(state, color)) {
+    const [x,y] = state.startCorners[color];
+    return state.occupied.has(keyOfCell(x,y)) ? [] : [[x,y]];
+  }
+  const mine = state.cells[color];
+  const seen = new Set();
+  const anchors = [];
+  for (const key of mine) {
+    const [x,y] = key.split(',').map(Number);
+    for (const [cx,cy] of [[x-1,y-1],[x-1,y+1],[x+1,y-1],[x+1,y+1]]) {
+      const k = keyOfCell(cx,cy);
+      if (seen.has(k)) continue;
+      seen.add(k);
+      if (cx<0 || cy<0 || cx>=size || cy>=size) continue;
+      if (state.occupied.has(k)) continue;
+      if (hasEdgeContact([[cx,cy]], mine)) continue;
+      anchors.push([cx,cy]);
+    }
+  }
+  return anchors;
+}
+
+// Every legal placement for `color`, generated by aligning each orientation
+// of each remaining piece so that one of its squares covers a corner anchor.
+// With `firstOnly` the search stops at the first legal move found.
+export function legalMoves(state, color, { pieceKeys = remainingPieces(state, color), firstOnly = false } = {}) {
+  const anchors = cornerAnchors(state, color);
+  const moves = [];
+  for (const piece_key of pieceKeys) {
+    for (const { rotation, flipped, cells } of pieceOrientations(state.pieces[piece_key])) {
+      const tried = new Set();
+      for (const [ax,ay] of anchors) {
+        for (const [dx,dy] of cells) {
+          const position = { x: ax-dx, y: ay-dy };
+          const k = keyOfCell(position.x, position.y);
+          if (tried.has(k)) continue;
+          tried.add(k);
+          const check = validateMove(state, { player_color: color, piece_key, rotation, flipped, position }, { ignoreTurn: true });
+          if (!check.ok) continue;
+          moves.push({ player_color: color, piece_key, rotation, flipped, position, cells: check.cells });
+          if (firstOnly) return moves;
+        }
+      }
+    }
+  }
+  return moves;
+}
+
+export function hasLegalMove(state, color) {
+  return legalMoves(state, color, { firstOnly: true }).length > 0;
+}
+
+// True when no color can place any remaining piece.
+export function noMovesLeft(state) {
+  return state.colors.every(c=>!hasLegalMove(state, c));
+}
+
+export function remainingPieces(state, color) {
+  return Object.keys(state.pieces).filter(k=>!state.used[color].has(k));
+}
+
+// The game is over once every player's latest move was a pass.
+export function isFinished(state) {
+  return state.passStreak >= state.colors.length;
+}
+
+// Scores: -remaining squares, bonus +15 all used, +5 more if the last piece was
+// the monomino (any single-square piece in a custom set)
+export function scoreFor(state, color) {
+  const remPieces = remainingPieces(state, color);
+  let score = -remPieces.reduce((a,k)=>a+state.pieces[k].length,0);
+  if (remPieces.length === 0) {
+    score += 15;
+    const last = state.lastPiece[color];
+    if (last && state.pieces[last].length === 1) score += 5;
+  }
+  return score;
+}
+
+export function computeScores(state) {
+  return Object.fromEntries(state.colors.map(c=>[c, scoreFor(state, c)]));
+}
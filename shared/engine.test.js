@@ -0,0 +1,181 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PIECES, START_CORNERS, transformShape, createState, stateFromMoves, applyMove,
+  validateMove, explainMove, validatePass, remainingPieces, isFinished, computeScores, currentColor,
+  pieceOrientations, cornerAnchors, legalMoves, hasLegalMove, noMovesLeft
+} from './engine.js';
+
+const pass = player_color => ({ player_color, passed: true });
+const move = (player_color, piece_key, x, y, rotation=0, flipped=false) =>
+  ({ player_color, piece_key, rotation, flipped, position: { x, y } });
+
+// Blue opens on its corner with the monomino, then every other color passes.
+function afterBlueOpening() {
+  return stateFromMoves([move('blue','I1',0,0), pass('yellow'), pass('red'), pass('green')]);
+}
+
+test('transformShape normalizes rotations and flips to the origin', () => {
+  assert.deepEqual(transformShape(PIECES.I2, 1), [[0,1],[0,0]]);
+  assert.deepEqual(transformShape(PIECES.L4, 0, true), [[1,0],[1,1],[1,2],[0,0]]);
+  for (const k of Object.keys(PIECES)) {
+    for (let r=0;r<4;r++) {
+      const cells = transformShape(PIECES[k], r, r%2===1);
+      assert.equal(Math.min(...cells.map(c=>c[0])), 0);
+      assert.equal(Math.min(...cells.map(c=>c[1])), 0);
+    }
+  }
+});
+
+test('start corners match the server layout', () => {
+  assert.deepEqual(START_CORNERS, { blue: [0,0], yellow: [19,0], red: [0,19], green: [19,19] });
+});
+
+test('invalid_piece', () => {
+  const st = createState();
+  assert.deepEqual(validateMove(st, move('blue','Q9',0,0)), { ok: false, error: 'invalid_piece' });
+  assert.equal(validateMove(st, move('blue','toString',0,0)).error, 'invalid_piece');
+});
+
+test('invalid_position', () => {
+  const st = createState();
+  assert.equal(validateMove(st, { player_color: 'blue', piece_key: 'I1' }).error, 'invalid_position');
+  assert.equal(validateMove(st, { player_color: 'blue', piece_key: 'I1', position: { x: '0', y: 0 } }).error, 'invalid_position');
+});
+
+test('not_your_turn for placements and passes', () => {
+  const st = createState();
+  assert.equal(validateMove(st, move('yellow','I1',19,0)).error, 'not_your_turn');
+  assert.equal(validatePass(st, pass('red')).error, 'not_your_turn');
+  assert.equal(validatePass(st, pass('blue')).ok, true);
+});
+
+test('out_of_bounds', () => {
+  const st = createState();
+  assert.equal(validateMove(st, move('blue','I5',-1,0)).error, 'out_of_bounds');
+  assert.equal(validateMove(st, move('blue','I5',17,0)).error, 'out_of_bounds');
+});
+
+test('overlap', () => {
+  const st = stateFromMoves([move('blue','I1',0,0)]);
+  st.nextPlayerIndex = 0;
+  assert.equal(validateMove(st, move('blue','I2',0,0)).error, 'overlap');
+});
+
+test('first_move_must_cover_corner uses each color\'s own corner', () => {
+  const st = createState();
+  assert.equal(validateMove(st, move('blue','I1',1,1)).error, 'first_move_must_cover_corner');
+  assert.equal(validateMove(st, move('blue','I1',0,0)).ok, true);
+  const red = stateFromMoves([pass('blue'), pass('yellow')]);
+  assert.equal(currentColor(red), 'red');
+  assert.equal(validateMove(red, move('red','I1',19,19)).error, 'first_move_must_cover_corner');
+  assert.equal(validateMove(red, move('red','I1',0,19)).ok, true);
+});
+
+test('must_touch_same_color_corner', () => {
+  const st = afterBlueOpening();
+  assert.equal(validateMove(st, move('blue','I2',5,5)).error, 'must_touch_same_color_corner');
+  assert.equal(validateMove(st, move('blue','I2',1,1)).ok, true);
+});
+
+test('cannot_touch_same_color_edge', () => {
+  const st = afterBlueOpening();
+  assert.equal(validateMove(st, move('blue','V3',1,0)).error, 'cannot_touch_same_color_edge');
+});
+
+test('piece_already_used', () => {
+  const st = afterBlueOpening();
+  assert.equal(validateMove(st, move('blue','I1',1,1)).error, 'piece_already_used');
+});
+
+test('validated cells are the translated shape', () => {
+  const st = createState();
+  assert.deepEqual(validateMove(st, move('blue','L4',0,0,1)), { ok: true, cells: [[0,1],[1,1],[2,1],[0,0]] });
+});
+
+test('explainMove points at the cells breaking each rule', () => {
+  const st = afterBlueOpening();
+  const edge = explainMove(st, move('blue','I2',1,0));
+  assert.equal(edge.error, 'must_touch_same_color_corner');
+  assert.deepEqual(edge.violations, { out_of_bounds: [], overlap: [], edge_contact: [[1,0]] });
+  assert.deepEqual(edge.corner, { rule: 'diagonal', cells: [], satisfied: false });
+
+  const off = explainMove(createState(), move('blue','I2',19,0));
+  assert.equal(off.error, 'out_of_bounds');
+  assert.deepEqual(off.violations.out_of_bounds, [[20,0]]);
+  assert.deepEqual(off.corner, { rule: 'start', cells: [], satisfied: false });
+
+  const fits = explainMove(st, move('blue','I2',1,1));
+  assert.equal(fits.ok, true);
+  assert.deepEqual(fits.corner.cells, [[1,1]]);
+  assert.deepEqual(explainMove(st, move('blue','Q9',1,1)), { ok: false, error: 'invalid_piece' });
+});
+
+test('applyMove tracks occupancy, remaining pieces and turn order', () => {
+  const st = createState();
+  applyMove(st, move('blue','I5',0,0));
+  assert.equal(st.occupied.size, 5);
+  assert.equal(st.turn, 1);
+  assert.equal(currentColor(st), 'yellow');
+  assert.equal(remainingPieces(st, 'blue').includes('I5'), false);
+  assert.equal(remainingPieces(st, 'yellow').length, 21);
+});
+
+test('game finishes once every player passes in a row', () => {
+  const st = stateFromMoves([move('blue','I1',0,0), pass('yellow'), pass('red'), pass('green')]);
+  assert.equal(isFinished(st), false);
+  applyMove(st, pass('blue'));
+  assert.equal(isFinished(st), true);
+});
+
+test('scores count remaining squares with completion bonuses', () => {
+  const st = createState({ colors: ['blue','yellow'] });
+  st.used.blue = new Set(Object.keys(PIECES));
+  st.lastPiece.blue = 'I1';
+  st.used.yellow = new Set(Object.keys(PIECES).filter(k=>k!=='I5'));
+  st.lastPiece.yellow = 'I1';
+  assert.deepEqual(computeScores(st), { blue: 20, yellow: -5 });
+  st.lastPiece.blue = 'F5';
+  assert.equal(computeScores(st).blue, 15);
+});
+
+test('pieceOrientations deduplicates symmetric shapes', () => {
+  const counts = Object.fromEntries(Object.keys(PIECES).map(k=>[k, pieceOrientations(PIECES[k]).length]));
+  assert.equal(counts.I1, 1);
+  assert.equal(counts.O4, 1);
+  assert.equal(counts.X5, 1);
+  assert.equal(counts.I2, 2);
+  assert.equal(counts.I5, 2);
+  assert.equal(counts.T4, 4);
+  assert.equal(counts.F5, 8);
+});
+
+test('cornerAnchors start at the corner and then follow diagonals', () => {
+  assert.deepEqual(cornerAnchors(createState(), 'blue'), [[0,0]]);
+  assert.deepEqual(cornerAnchors(afterBlueOpening(), 'blue'), [[1,1]]);
+});
+
+test('legalMoves on an empty board only cover the start corner', () => {
+  const moves = legalMoves(createState(), 'blue');
+  assert.ok(moves.length > 0);
+  for (const m of moves) {
+    assert.ok(m.cells.some(([x,y])=>x===0 && y===0));
+    assert.equal(validateMove(createState(), m).ok, true);
+  }
+  // one placement per distinct orientation and covering square of each piece
+  assert.equal(legalMoves(createState(), 'blue', { pieceKeys: ['I1'] }).length, 1);
+  assert.equal(legalMoves(createState(), 'blue', { pieceKeys: ['I2'] }).length, 2);
+  // X5 has no square on its bounding-box corner
+  assert.deepEqual(remainingPieces(createState(), 'blue').filter(k=>!moves.some(m=>m.piece_key===k)), ['X5']);
+});
+
+test('a walled-in color has no legal moves', () => {
+  const st = createState({ colors: ['blue','yellow'] });
+  applyMove(st, { player_color: 'blue', piece_key: 'I1', cells: [[0,0]] });
+  applyMove(st, { player_color: 'yellow', piece_key: 'I1', cells: [[1,1]] });
+  assert.equal(hasLegalMove(st, 'blue'), false);
+  assert.equal(hasLegalMove(st, 'yellow'), true);
+  assert.equal(noMovesLeft(st), false);
+  st.used.yellow = new Set(Object.keys(PIECES));
+  assert.equal(noMovesLeft(st), true);
+});
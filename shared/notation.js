@@ -0,0 +1,154 @@
+// Portable game records, for archiving games and sharing positions outside
+// the database. Two equivalent forms:
+//
+// JSON
+//   {
+//     "format": "blokus", "version": 1,
+//     "variant": "classic",
+//     "config": null,                              // house rules, see config.js
+//     "players": [{ "color": "blue", "name": "Ada" }, ...],   // in turn order
+//     "moves": [
+//       { "player_color": "blue", "piece_key": "L5", "rotation": 1, "flipped": true, "position": { "x": 0, "y": 0 } },
+//       { "player_color": "yellow", "passed": true },
+//       ...
+//     ]
+//   }
+//
+// Text, one line per header field or move:
+//   Blokus 1
+//   Variant classic
+//   Config {"board_size":14}          (only with house rules)
+//   Player blue Ada
+//   Player yellow Yellow
+//   1. blue L5 1f 0,0                 (turn. color piece rotation[f] x,y)
+//   2. yellow pass
+//
+// The position is the anchor passed to /place: the top-left corner of the
+// rotated (and flipped) piece's bounding box. Blank lines and lines starting
+// with `;` are ignored.
+import { createState, applyMove, validateMove, validatePass, isFinished } from './engine.js';
+import { resolveVariant, engineOptions } from './variants.js';
+import { validateConfig, configuredVariant } from './config.js';
+
+export const FORMAT = 'blokus';
+export const VERSION = 1;
+
+const MOVE_LINE = /^(\d+)\.\s+(\S+)\s+(?:(pass)|(\S+)\s+([0-3])(f?)\s+(\d+),(\d+))$/;
+
+// Error code of a placement's rotation, flip or anchor that /place would
+// refuse before looking at the board, or null
+function placementError({ rotation, flipped, position }) {
+  if (rotation !== undefined && !(Number.isInteger(rotation) && rotation >= 0 && rotation <= 3)) return 'invalid_rotation';
+  if (flipped !== undefined && typeof flipped !== 'boolean') return 'invalid_flipped';
+  if (!position || typeof position !== 'object' || !Number.isInteger(position.x) || !Number.isInteger(position.y)) return 'invalid_position';
+  return null;
+}
+
+// Anchor of a stored placement: the smallest x and y among its cells
+function anchorOf(cells) {
+  return { x: Math.min(...cells.map(c=>c[0])), y: Math.min(...cells.map(c=>c[1])) };
+}
+
+// Record for a game from its stored rows (variant name, config, player rows in
+// turn order, move rows in turn order).
+export function exportGame({ variant, config = null, players, moves }) {
+  return {
+    format: FORMAT,
+    version: VERSION,
+    variant,
+    config: config || null,
+    players: players.map(p=>({ color: p.color, name: p.name })),
+    moves: moves.map(m=> m.passed
+      ? { player_color: m.player_color, passed: true }
+      : { player_color: m.player_color, piece_key: m.piece_key, rotation: m.rotation|0, flipped: !!m.flipped, position: anchorOf(m.cells) })
+  };
+}
+
+export function toText(record) {
+  const lines = [`Blokus ${record.version}`, `Variant ${record.variant}`];
+  if (record.config) lines.push(`Config ${JSON.stringify(record.config)}`);
+  for (const p of record.players) lines.push(`Player ${p.color} ${p.name}`);
+  record.moves.forEach((m, i)=>{
+    const what = m.passed ? 'pass' : `${m.piece_key} ${m.rotation}${m.flipped ? 'f' : ''} ${m.position.x},${m.position.y}`;
+    lines.push(`${i+1}. ${m.player_color} ${what}`);
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Parse the text form into a record. Returns { record } or { error, line }.
+export function parseText(text) {
+  const record = { format: FORMAT, version: null, variant: null, config: null, players: [], moves: [] };
+  const lines = String(text).split(/\r?\n/);
+  for (let i=0; i<lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith(';')) continue;
+    const fail = { error: 'invalid_notation', line: i+1 };
+    const [word, ...rest] = line.split(/\s+/);
+    if (word === 'Blokus') {
+      record.version = Number(rest[0]);
+    } else if (word === 'Variant') {
+      record.variant = rest[0];
+    } else if (word === 'Config') {
+      try {
+        record.config = JSON.parse(line.slice('Config'.length));
+      } catch {
+        return fail;
+      }
+    } else if (word === 'Player') {
+      if (!rest[0]) return fail;
+      record.players.push({ color: rest[0], name: rest.slice(1).join(' ') || undefined });
+    } else {
+      const m = MOVE_LINE.exec(line);
+      if (!m || Number(m[1]) !== record.moves.length + 1) return fail;
+      const [, , player_color, pass, piece_key, rotation, f, x, y] = m;
+      record.moves.push(pass
+        ? { player_color, passed: true }
+        : { player_color, piece_key, rotation: Number(rotation), flipped: f === 'f', position: { x: Number(x), y: Number(y) } });
+    }
+  }
+  if (record.version === null) return { error: 'invalid_notation', line: 1 };
+  return { record };
+}
+
+// Replay a record through the placement rules. Returns
+// { variant, config, players, moves, state } where `moves` carry their cells,
+// or { error, turn } at the first illegal move, using the /place and /skip
+// error codes (`turn` is 1-based; omitted for errors in the header).
+export function replayRecord(record) {
+  if (!record || typeof record !== 'object' || record.format !== FORMAT) return { error: 'invalid_notation' };
+  if (record.version !== VERSION) return { error: 'unsupported_version' };
+  if (!Array.isArray(record.players) || !Array.isArray(record.moves)) return { error: 'invalid_notation' };
+  const colors = record.players.map(p=>p?.color);
+  const variantName = record.variant ?? 'classic';
+  const base = resolveVariant(variantName, variantName === 'classic' ? colors : undefined);
+  if (!base) return { error: 'invalid_variant' };
+  if (colors.length !== base.colors.length || colors.some((c,i)=>c !== base.colors[i])) return { error: 'invalid_players' };
+  const { config, error } = validateConfig(record.config, base);
+  if (error) return { error };
+  const variant = configuredVariant(base, config);
+
+  const state = createState(engineOptions(variant));
+  const moves = [];
+  for (let i=0; i<record.moves.length; i++) {
+    const raw = record.moves[i];
+    if (!raw || typeof raw !== 'object') return { error: 'invalid_notation', turn: i+1 };
+    if (isFinished(state)) return { error: 'game_finished', turn: i+1 };
+    let move;
+    if (raw.passed) {
+      move = { player_color: raw.player_color, passed: true };
+      const check = validatePass(state, move);
+      if (!check.ok) return { error: check.error, turn: i+1 };
+    } else {
+      const invalid = placementError(raw);
+      if (invalid) return { error: invalid, turn: i+1 };
+      const { player_color, piece_key, rotation = 0, flipped = false, position } = raw;
+      const check = validateMove(state, { player_color, piece_key, rotation, flipped, position });
+      if (!check.ok) return { error: check.error, turn: i+1 };
+      move = { player_color, piece_key, rotation, flipped, cells: check.cells };
+    }
+    applyMove(state, move);
+    moves.push(move);
+  }
+  const players = record.players.map(p=>({ color: p.color, name: typeof p.name === 'string' && p.name.trim() ? p.name.trim().slice(0, 40) : null }));
+  return { variant, config, players, moves, state };
+}
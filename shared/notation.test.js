@@ -0,0 +1,72 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { playGame } from './ai.js';
+import { exportGame, toText, parseText, replayRecord } from './notation.js';
+
+const players = ['blue','yellow','red','green'].map(color=>({ color, name: color.toUpperCase() }));
+
+function seeded(seed) {
+  return () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+}
+
+test('a finished game survives export, text and replay unchanged', () => {
+  const { moves } = playGame({ random: seeded(7), players: { blue: 'random', yellow: 'random', red: 'random', green: 'random' } });
+  const record = exportGame({ variant: 'classic', players, moves });
+  const { record: parsed } = parseText(toText(record));
+  assert.deepEqual(parsed, record);
+
+  const replay = replayRecord(parsed);
+  assert.equal(replay.error, undefined);
+  assert.deepEqual(replay.moves.map(m=>m.cells || null), moves.map(m=>m.cells || null));
+});
+
+test('text notation lines', () => {
+  const record = exportGame({ variant: 'duo', config: { board_size: 12 }, players: [{ color: 'blue', name: 'Ada L' }, { color: 'red', name: 'Red' }], moves: [
+    { player_color: 'blue', piece_key: 'L5', rotation: 1, flipped: true, cells: [[4,4],[5,4],[6,4],[7,4],[4,5]] },
+    { player_color: 'red', passed: true }
+  ] });
+  assert.equal(toText(record), 'Blokus 1\nVariant duo\nConfig {"board_size":12}\nPlayer blue Ada L\nPlayer red Red\n1. blue L5 1f 4,4\n2. red pass\n');
+  assert.deepEqual(parseText('Blokus 1\n2. blue pass\n'), { error: 'invalid_notation', line: 2 });
+  assert.deepEqual(parseText('Variant classic\n'), { error: 'invalid_notation', line: 1 });
+});
+
+test('replay stops at the first illegal move with the /place error code', () => {
+  const record = { format: 'blokus', version: 1, variant: 'classic', players, moves: [
+    { player_color: 'blue', piece_key: 'I2', rotation: 0, flipped: false, position: { x: 0, y: 0 } },
+    { player_color: 'yellow', passed: true },
+    { player_color: 'red', passed: true },
+    { player_color: 'green', passed: true },
+    { player_color: 'blue', piece_key: 'I1', rotation: 0, flipped: false, position: { x: 1, y: 0 } }
+  ] };
+  assert.deepEqual(replayRecord(record), { error: 'overlap', turn: 5 });
+  record.moves[4].position = { x: 2, y: 0 };
+  assert.deepEqual(replayRecord(record), { error: 'must_touch_same_color_corner', turn: 5 });
+  record.moves[4].position = { x: 0, y: 1 };
+  assert.deepEqual(replayRecord(record), { error: 'cannot_touch_same_color_edge', turn: 5 });
+  record.moves[4] = { player_color: 'blue', piece_key: 'I2', rotation: 0, flipped: false, position: { x: 5, y: 5 } };
+  assert.deepEqual(replayRecord(record), { error: 'piece_already_used', turn: 5 });
+  record.moves[4].player_color = 'red';
+  assert.deepEqual(replayRecord(record), { error: 'not_your_turn', turn: 5 });
+});
+
+test('replay refuses placements /place would refuse before the board', () => {
+  const opening = { player_color: 'blue', piece_key: 'L5', rotation: 0, flipped: false, position: { x: 0, y: 0 } };
+  const replay = move => replayRecord({ format: 'blokus', version: 1, variant: 'classic', players, moves: [move] });
+  assert.deepEqual(replay({ ...opening, rotation: 1.5 }), { error: 'invalid_rotation', turn: 1 });
+  assert.deepEqual(replay({ ...opening, rotation: 7 }), { error: 'invalid_rotation', turn: 1 });
+  assert.deepEqual(replay({ ...opening, flipped: 1 }), { error: 'invalid_flipped', turn: 1 });
+  assert.deepEqual(replay({ ...opening, position: { x: 0.5, y: 0 } }), { error: 'invalid_position', turn: 1 });
+  const { moves } = replay({ ...opening, rotation: 3 });
+  assert.deepEqual([moves[0].rotation, moves[0].flipped], [3, false]);
+});
+
+test('replay rejects bad headers', () => {
+  assert.equal(replayRecord({ format: 'chess' }).error, 'invalid_notation');
+  assert.equal(replayRecord({ format: 'blokus', version: 2, players: [], moves: [] }).error, 'unsupported_version');
+  assert.equal(replayRecord({ format: 'blokus', version: 1, variant: 'hex', players, moves: [] }).error, 'invalid_variant');
+  assert.equal(replayRecord({ format: 'blokus', version: 1, variant: 'duo', players, moves: [] }).error, 'invalid_players');
+  assert.equal(replayRecord({ format: 'blokus', version: 1, variant: 'classic', config: { board_size: 99 }, players, moves: [] }).error, 'invalid_board_size');
+});
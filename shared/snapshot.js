@@ -0,0 +1,90 @@
+// Board snapshots: an engine state (see engine.js) in a compact, JSON-safe
+// form, so a game can be picked up without replaying its moves. Stored with
+// the game and rewritten in the same write as each move.
+//
+//   {
+//     "version": 1,
+//     "turn": 12,                        // moves applied, passes included
+//     "pass_streak": 0,
+//     "boards": { "blue": "1300…" },     // per color, bit y*size+x set where it covers
+//     "used": { "blue": "a1…" },         // per color, bit i set once the i-th piece is placed
+//     "last_piece": { "blue": "L5" }
+//   }
+//
+// Bit sets are hex strings, lowest bits first: the first digit holds bits 0-3.
+// Pieces are numbered in the order of the game's piece set. The moves stay the
+// record; checkSnapshot compares a snapshot with them.
+import { createState, stateFromMoves, keyOfCell } from './engine.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+function toHex(bits, length) {
+  const digits = new Uint8Array(Math.ceil(length / 4));
+  for (const i of bits) digits[i >> 2] |= 1 << (i & 3);
+  return Array.from(digits, d=>d.toString(16)).join('');
+}
+
+// Indexes of the set bits, or null when `hex` is not a bit set of `length` bits
+function fromHex(hex, length) {
+  if (typeof hex !== 'string' || hex.length !== Math.ceil(length / 4) || !/^[0-9a-f]*$/.test(hex)) return null;
+  const bits = [];
+  for (let d = 0; d < hex.length; d++) {
+    const digit = parseInt(hex[d], 16);
+    for (let b = 0; b < 4; b++) if (digit & (1 << b)) bits.push(d * 4 + b);
+  }
+  return bits.every(i=>i < length) ? bits : null;
+}
+
+export function encodeSnapshot(state) {
+  const size = state.boardSize;
+  const keys = Object.keys(state.pieces);
+  const perColor = make => Object.fromEntries(state.colors.map(c=>[c, make(c)]));
+  return {
+    version: SNAPSHOT_VERSION,
+    turn: state.turn,
+    pass_streak: state.passStreak,
+    boards: perColor(c=>toHex([...state.cells[c]].map(k=>{ const [x,y] = k.split(',').map(Number); return y * size + x; }), size * size)),
+    used: perColor(c=>toHex(keys.flatMap((k, i)=>state.used[c].has(k) ? [i] : []), keys.length)),
+    last_piece: perColor(c=>state.lastPiece[c])
+  };
+}
+
+// Engine state for `snapshot` under the game's engine options (those passed to
+// createState), or null when the snapshot is missing, from another version or
+// does not fit the game, e.g. two colors on one cell.
+export function stateFromSnapshot(snapshot, options) {
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION) return null;
+  const state = createState(options);
+  const size = state.boardSize;
+  const keys = Object.keys(state.pieces);
+  for (const color of state.colors) {
+    const board = fromHex(snapshot.boards?.[color], size * size);
+    const used = fromHex(snapshot.used?.[color], keys.length);
+    if (!board || !used) return null;
+    for (const i of board) {
+      const key = keyOfCell(i % size, Math.floor(i / size));
+      if (state.occupied.has(key)) return null;
+      state.occupied.set(key, color);
+      state.cells[color].add(key);
+    }
+    for (const i of used) state.used[color].add(keys[i]);
+    const last = snapshot.last_piece?.[color] ?? null;
+    if (last !== null && !state.used[color].has(last)) return null;
+    state.lastPiece[color] = last;
+  }
+  if (!Number.isInteger(snapshot.turn) || !Number.isInteger(snapshot.pass_streak)) return null;
+  state.turn = snapshot.turn;
+  state.passStreak = snapshot.pass_streak;
+  state.nextPlayerIndex = snapshot.turn % state.colors.length;
+  return state;
+}
+
+// Integrity check: rebuilds the state from the move rows and says whether
+// `snapshot` holds the same position. `state` is the rebuilt one.
+export function checkSnapshot(snapshot, moves, options) {
+  const state = stateFromMoves(moves, options);
+  const stored = stateFromSnapshot(snapshot, options);
+  // re-encoding puts both in the same key order, whatever the database kept
+  const consistent = !!stored && JSON.stringify(encodeSnapshot(stored)) === JSON.stringify(encodeSnapshot(state));
+  return { consistent, state };
+}
@@ -0,0 +1,50 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { stateFromMoves, applyMove, legalMoves, remainingPieces, computeScores, validateMove } from './engine.js';
+import { encodeSnapshot, stateFromSnapshot, checkSnapshot } from './snapshot.js';
+import { resolveVariant, engineOptions } from './variants.js';
+
+const pass = player_color => ({ player_color, passed: true });
+const move = (player_color, piece_key, x, y, rotation=0, flipped=false) =>
+  ({ player_color, piece_key, rotation, flipped, position: { x, y } });
+
+const opening = [move('blue','L5',0,0,1,true), move('yellow','I1',19,0), pass('red'), move('green','O4',18,18), move('blue','I1',2,4)];
+
+test('a snapshot round-trips the position', () => {
+  const state = stateFromMoves(opening);
+  const snapshot = JSON.parse(JSON.stringify(encodeSnapshot(state)));
+  const restored = stateFromSnapshot(snapshot);
+
+  assert.equal(restored.turn, 5);
+  assert.equal(restored.nextPlayerIndex, 1);
+  assert.deepEqual(new Map([...restored.occupied].sort()), new Map([...state.occupied].sort()));
+  for (const c of state.colors) assert.deepEqual(remainingPieces(restored, c), remainingPieces(state, c));
+  assert.deepEqual(restored.lastPiece, state.lastPiece);
+  assert.deepEqual(computeScores(restored), computeScores(state));
+  assert.equal(legalMoves(restored, 'yellow').length, legalMoves(state, 'yellow').length);
+  assert.equal(validateMove(restored, move('yellow','I1',17,1)).error, 'piece_already_used');
+});
+
+test('snapshots follow the game configuration', () => {
+  const options = engineOptions(resolveVariant('duo'));
+  const state = stateFromMoves([move('blue','I1',4,4), move('red','I2',8,9)], options);
+  const restored = stateFromSnapshot(encodeSnapshot(state), options);
+  assert.equal(restored.occupied.get('9,9'), 'red');
+  // a classic board cannot read a duo snapshot
+  assert.equal(stateFromSnapshot(encodeSnapshot(state)), null);
+});
+
+test('damaged snapshots are refused and the check finds stale ones', () => {
+  const state = stateFromMoves(opening);
+  const snapshot = encodeSnapshot(state);
+  assert.equal(stateFromSnapshot(null), null);
+  assert.equal(stateFromSnapshot({ ...snapshot, version: 0 }), null);
+  assert.equal(stateFromSnapshot({ ...snapshot, boards: { ...snapshot.boards, red: snapshot.boards.blue } }), null);
+  assert.equal(stateFromSnapshot({ ...snapshot, used: { ...snapshot.used, red: 'xyz' } }), null);
+
+  assert.equal(checkSnapshot(snapshot, opening).consistent, true);
+  const longer = [...opening, pass('yellow')];
+  const check = checkSnapshot(snapshot, longer);
+  assert.equal(check.consistent, false);
+  assert.deepEqual(encodeSnapshot(check.state), encodeSnapshot(applyMove(stateFromMoves(opening), pass('yellow'))));
+});
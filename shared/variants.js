@@ -0,0 +1,64 @@
+// Official game variants. Colors always move in the order listed; a seat is
+// the person (or computer) behind one or more colors. In three-player games
+// the shared color has no seat of its own and is played by each seat in turn.
+import { BOARD_SIZE, DEFAULT_COLORS, startCornersFor } from './engine.js';
+
+export const VARIANTS = {
+  classic: {
+    boardSize: BOARD_SIZE,
+    colors: DEFAULT_COLORS,
+    seats: [['blue'],['yellow'],['red'],['green']]
+  },
+  // each player controls two colors; scores are combined
+  two_player: {
+    boardSize: BOARD_SIZE,
+    colors: DEFAULT_COLORS,
+    seats: [['blue','red'],['yellow','green']]
+  },
+  // green is shared and taken in turns; its score does not count
+  three_player: {
+    boardSize: BOARD_SIZE,
+    colors: DEFAULT_COLORS,
+    seats: [['blue'],['yellow'],['red']],
+    shared: 'green'
+  },
+  duo: {
+    boardSize: 14,
+    colors: ['blue','red'],
+    seats: [['blue'],['red']],
+    startCorners: { blue: [4,4], red: [9,9] }
+  }
+};
+
+// Full description of a game's variant. Classic games may be played with a
+// subset of the colors (the `players` list of POST /api/games), one seat each.
+// Returns null for an unknown variant or colors the variant has no start for.
+export function resolveVariant(name = 'classic', colors) {
+  const def = VARIANTS[name];
+  if (!def) return null;
+  const startCorners = def.startCorners || startCornersFor(def.boardSize);
+  if (colors && name === 'classic') {
+    if (!colors.length || new Set(colors).size !== colors.length) return null;
+    if (!colors.every(c=>Object.hasOwn(startCorners, c))) return null;
+    return { name, boardSize: def.boardSize, colors: [...colors], seats: colors.map(c=>[c]), shared: null, startCorners };
+  }
+  return { name, boardSize: def.boardSize, colors: [...def.colors], seats: def.seats, shared: def.shared || null, startCorners };
+}
+
+// Options for engine.createState / stateFromMoves. `pieces` is only set on
+// variants with a house-rule piece set (see config.js).
+export function engineOptions(variant) {
+  return { colors: variant.colors, boardSize: variant.boardSize, startCorners: variant.startCorners, pieces: variant.pieces };
+}
+
+// Seat acting for `color` on the given turn (number of moves already made).
+// The shared color comes around once per round and rotates through the seats.
+export function seatIndexFor(variant, color, turn) {
+  if (color === variant.shared) return Math.floor(turn / variant.colors.length) % variant.seats.length;
+  return variant.seats.findIndex(s=>s.includes(color));
+}
+
+// Per-seat totals from per-color scores; the shared color is left out.
+export function seatScores(variant, colorScores) {
+  return variant.seats.map(colors => colors.reduce((a,c)=>a+(colorScores[c] || 0), 0));
+}
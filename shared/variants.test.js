@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createState, validateMove } from './engine.js';
+import { resolveVariant, engineOptions, seatIndexFor, seatScores } from './variants.js';
+import { playGame } from './ai.js';
+
+test('unknown variants and colors are rejected', () => {
+  assert.equal(resolveVariant('hexagonal'), null);
+  assert.equal(resolveVariant('classic', ['blue','purple']), null);
+  assert.equal(resolveVariant('classic', ['blue','blue']), null);
+});
+
+test('classic accepts a subset of colors, one seat each', () => {
+  const v = resolveVariant('classic', ['yellow','blue']);
+  assert.deepEqual(v.colors, ['yellow','blue']);
+  assert.deepEqual(v.seats, [['yellow'],['blue']]);
+});
+
+test('duo is 14x14 and starts on the inner points', () => {
+  const v = resolveVariant('duo');
+  const st = createState(engineOptions(v));
+  assert.equal(st.boardSize, 14);
+  const move = (player_color, x, y) => ({ player_color, piece_key: 'I1', position: { x, y } });
+  assert.equal(validateMove(st, move('blue',0,0)).error, 'first_move_must_cover_corner');
+  assert.equal(validateMove(st, move('blue',4,4)).ok, true);
+  st.nextPlayerIndex = 1;
+  assert.equal(validateMove(st, move('red',9,9)).ok, true);
+  assert.equal(validateMove(st, move('red',13,13)).error, 'first_move_must_cover_corner');
+});
+
+test('two-player seats own two colors and add their scores', () => {
+  const v = resolveVariant('two_player');
+  assert.equal(seatIndexFor(v, 'blue', 0), 0);
+  assert.equal(seatIndexFor(v, 'red', 2), 0);
+  assert.equal(seatIndexFor(v, 'green', 3), 1);
+  assert.deepEqual(seatScores(v, { blue: -3, yellow: -10, red: 15, green: -1 }), [12, -11]);
+});
+
+test('three-player rotates the shared color and ignores its score', () => {
+  const v = resolveVariant('three_player');
+  assert.equal(v.shared, 'green');
+  assert.deepEqual([3, 7, 11, 15].map(t=>seatIndexFor(v, 'green', t)), [0, 1, 2, 0]);
+  assert.equal(seatIndexFor(v, 'red', 6), 2);
+  assert.deepEqual(seatScores(v, { blue: -3, yellow: -10, red: 15, green: 20 }), [-3, -10, 15]);
+});
+
+test('bots can play every variant headless', () => {
+  for (const variant of ['duo', 'two_player', 'three_player']) {
+    const { seatScores: totals, state } = playGame({ variant, players: {}, random: () => 0.5 });
+    assert.equal(totals.length, resolveVariant(variant).seats.length);
+    assert.ok(state.occupied.size > 0);
+  }
+});